@@ -0,0 +1,1080 @@
+/*
+ * Benchmark baseline: js/components/navigation.js as of e373dcf, the commit
+ * before it moved onto the viewport scheduler. Unchanged apart from this
+ * note; only benchmarks/viewport-scheduler.js imports it.
+ */
+
+/**
+ * Navigation Component Module
+ * Handles smooth scrolling, mobile menu, active section highlighting, and keyboard navigation
+ *
+ * The URL follows the section being read: nav links push a history entry and
+ * scrolling replaces the current one (throttled), so back/forward, reloads and
+ * shared links such as /#ministries land on the section below the fixed header.
+ * Hashes that carry component state, e.g. "#sermons?q=faith", are left for
+ * that component to manage.
+ *
+ * In the "auto-hide" header mode the header slides away while scrolling down
+ * and returns on scrolling up. Set data-header-behavior="static" on the
+ * header to keep it in view, and data-header-threshold to change how far the
+ * page must scroll in one direction before it moves.
+ *
+ * A thin bar under the header shows how far down the page the reader is, and
+ * each nav link shows how much of its section has been read. Both update at
+ * most once per animation frame, from section positions measured only when
+ * the layout changes.
+ * 
+ * @module components/navigation
+ * @requires utils/validation
+ */
+
+/**
+ * Navigation state management
+ * @private
+ */
+const NavigationState = {
+  isMenuOpen: false,
+  activeSection: 'home',
+  scrollTimeout: null,
+  isScrolling: false,
+  lastScrollPosition: 0,
+  scrollTarget: null,
+  restoredScrollPosition: null,
+  historyTimeout: null,
+  pendingHistorySection: null,
+  headerAutoHide: false,
+  headerThreshold: 0,
+  headerHidden: false,
+  headerScrollDistance: 0,
+  scrollFrame: null,
+  progressBar: null,
+  progressIndicators: [],
+  pageProgress: null,
+  sectionMetrics: null,
+  layoutObserver: null,
+};
+
+/**
+ * Navigation configuration
+ * @private
+ */
+const NavigationConfig = {
+  scrollOffset: 80, // Header height offset
+  scrollBehavior: 'smooth',
+  debounceDelay: 100,
+  intersectionThreshold: 0.5,
+  mobileBreakpoint: 768,
+  historyThrottle: 500, // Minimum time between URL updates while scrolling
+  headerBehavior: 'auto-hide', // 'auto-hide' or 'static'
+  headerHideThreshold: 48, // Pixels scrolled in one direction before the header hides or returns
+  headerHiddenClass: 'is-hidden',
+  readingProgress: true, // Page progress bar and per-section progress on nav links
+};
+
+/**
+ * DOM element cache for performance
+ * @private
+ */
+const DOMCache = {
+  header: null,
+  nav: null,
+  navLinks: null,
+  mobileMenuToggle: null,
+  sections: null,
+  body: null,
+};
+
+/**
+ * Initialize DOM cache
+ * @private
+ * @throws {Error} If required DOM elements are not found
+ */
+function initializeDOMCache() {
+  DOMCache.header = document.querySelector('.header');
+  DOMCache.nav = document.querySelector('.nav');
+  DOMCache.navLinks = document.querySelectorAll('.nav-link');
+  DOMCache.mobileMenuToggle = document.querySelector('.mobile-menu-toggle');
+  DOMCache.body = document.body;
+  
+  // Cache all sections with IDs
+  DOMCache.sections = Array.from(document.querySelectorAll('section[id]'));
+
+  // Validate required elements
+  if (!DOMCache.header || !DOMCache.nav || !DOMCache.mobileMenuToggle) {
+    throw new Error('Required navigation elements not found in DOM');
+  }
+
+  if (DOMCache.navLinks.length === 0) {
+    console.warn('No navigation links found');
+  }
+
+  if (DOMCache.sections.length === 0) {
+    console.warn('No sections with IDs found for navigation');
+  }
+}
+
+/**
+ * Scroll behavior for user-requested scrolls, instant when reduced motion is preferred
+ * @private
+ * @returns {ScrollBehavior}
+ */
+function getScrollBehavior() {
+  const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  return reduceMotion ? 'instant' : NavigationConfig.scrollBehavior;
+}
+
+/**
+ * Smooth scroll to target element
+ * While the scroll runs, scroll-driven highlighting and URL updates are paused
+ * so the sections passed on the way are not recorded
+ * @param {string} targetId - ID of target element
+ * @param {number} [offset=NavigationConfig.scrollOffset] - Scroll offset in pixels
+ * @param {ScrollBehavior} [behavior] - 'smooth' or 'instant'; defaults to smooth unless reduced motion is preferred
+ * @returns {boolean} Success status
+ */
+function smoothScrollTo(targetId, offset = NavigationConfig.scrollOffset, behavior = getScrollBehavior()) {
+  try {
+    const targetElement = document.getElementById(targetId);
+    
+    if (!targetElement) {
+      console.error(`Target element with ID "${targetId}" not found`);
+      return false;
+    }
+
+    const targetPosition = Math.max(0, targetElement.getBoundingClientRect().top + window.pageYOffset - offset);
+
+    cancelHistoryUpdate();
+
+    // No scroll event follows when already in place, so nothing needs pausing
+    if (Math.abs(targetPosition - window.pageYOffset) >= 1) {
+      NavigationState.scrollTarget = targetId;
+    }
+
+    // Check for native smooth scroll support
+    if ('scrollBehavior' in document.documentElement.style) {
+      window.scrollTo({
+        top: targetPosition,
+        behavior,
+      });
+    } else {
+      // Fallback for browsers without smooth scroll support
+      window.scrollTo(0, targetPosition);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error during smooth scroll:', error);
+    return false;
+  }
+}
+
+/**
+ * Handle navigation link click
+ * @private
+ * @param {Event} event - Click event
+ */
+function handleNavLinkClick(event) {
+  const link = event.currentTarget;
+  const href = link.getAttribute('href');
+
+  // Only handle internal anchor links
+  if (!href || !href.startsWith('#')) {
+    return;
+  }
+
+  event.preventDefault();
+
+  const targetId = href.substring(1);
+  
+  // Close mobile menu if open
+  if (NavigationState.isMenuOpen) {
+    closeMobileMenu();
+  }
+
+  // Perform smooth scroll
+  const scrollSuccess = smoothScrollTo(targetId);
+
+  if (scrollSuccess) {
+    // Update active state
+    updateActiveNavLink(targetId);
+    
+    // Update URL without triggering scroll
+    if (window.history && window.history.pushState && window.location.hash !== href) {
+      window.history.pushState({ section: targetId }, '', href);
+    }
+
+    // Move focus to the section heading for screen readers
+    focusSectionHeading(targetId);
+  }
+}
+
+/**
+ * Scroll to a section below the fixed header and mark it active
+ * Used for back/forward, links opened with a hash and by components that
+ * reveal a section themselves (e.g. sermon archive links)
+ * @param {string} sectionId - Section ID
+ * @param {Object} [options] - Scroll options
+ * @param {ScrollBehavior} [options.behavior='instant'] - Scroll behavior
+ * @param {boolean} [options.focus=false] - Move focus to the section heading
+ * @returns {boolean} Success status
+ */
+function scrollToSection(sectionId, { behavior = 'instant', focus = false } = {}) {
+  if (!smoothScrollTo(sectionId, NavigationConfig.scrollOffset, behavior)) {
+    return false;
+  }
+
+  if (DOMCache.navLinks) {
+    updateActiveNavLink(sectionId);
+  }
+
+  if (focus) {
+    focusSectionHeading(sectionId);
+  }
+
+  return true;
+}
+
+/**
+ * Move focus to a section's heading without scrolling
+ * The heading is made focusable until it loses focus
+ * @private
+ * @param {string} sectionId - Section ID
+ */
+function focusSectionHeading(sectionId) {
+  const section = document.getElementById(sectionId);
+
+  if (!section) {
+    return;
+  }
+
+  const labelledBy = section.getAttribute('aria-labelledby');
+  const heading = (labelledBy && document.getElementById(labelledBy)) ||
+    section.querySelector('h1, h2, h3') ||
+    section;
+
+  if (!heading.hasAttribute('tabindex')) {
+    heading.setAttribute('tabindex', '-1');
+    heading.addEventListener('blur', () => heading.removeAttribute('tabindex'), { once: true });
+  }
+
+  heading.focus({ preventScroll: true });
+}
+
+/**
+ * Section named by a URL hash, e.g. "#ministries" or "#sermons?q=faith"
+ * @private
+ * @param {string} hash - Location hash
+ * @returns {string|null} Section ID, or null when the hash does not name a section
+ */
+function getSectionIdFromHash(hash) {
+  if (!hash || hash.length < 2) {
+    return null;
+  }
+
+  let sectionId;
+
+  try {
+    sectionId = decodeURIComponent(hash.substring(1).split('?')[0]);
+  } catch (error) {
+    return null;
+  }
+
+  return DOMCache.sections.some((section) => section.id === sectionId) ? sectionId : null;
+}
+
+/**
+ * URL for a section: the first section is the page itself, others get a hash
+ * @private
+ * @param {string} sectionId - Section ID
+ * @returns {string}
+ */
+function getSectionUrl(sectionId) {
+  const isFirst = DOMCache.sections.length > 0 && DOMCache.sections[0].id === sectionId;
+  return isFirst ? `${window.location.pathname}${window.location.search}` : `#${sectionId}`;
+}
+
+/**
+ * Section the current URL points at; a URL without a hash points at the first section
+ * @private
+ * @returns {string|null}
+ */
+function getCurrentUrlSection() {
+  if (!window.location.hash) {
+    return DOMCache.sections.length > 0 ? DOMCache.sections[0].id : null;
+  }
+
+  return getSectionIdFromHash(window.location.hash);
+}
+
+/**
+ * Record the section being read in the URL, at most once per historyThrottle
+ * @private
+ * @param {string} sectionId - Active section ID
+ */
+function scheduleHistoryUpdate(sectionId) {
+  NavigationState.pendingHistorySection = sectionId;
+
+  if (NavigationState.historyTimeout) {
+    return;
+  }
+
+  NavigationState.historyTimeout = setTimeout(() => {
+    const pending = NavigationState.pendingHistorySection;
+
+    NavigationState.historyTimeout = null;
+    NavigationState.pendingHistorySection = null;
+
+    // The URL already names this section (possibly with component state such as "#sermons?q=…")
+    if (!pending || getCurrentUrlSection() === pending) {
+      return;
+    }
+
+    if (window.history && window.history.replaceState) {
+      window.history.replaceState({ section: pending }, '', getSectionUrl(pending));
+    }
+  }, NavigationConfig.historyThrottle);
+}
+
+/**
+ * Drop a URL update that has not been written yet
+ * @private
+ */
+function cancelHistoryUpdate() {
+  if (NavigationState.historyTimeout) {
+    clearTimeout(NavigationState.historyTimeout);
+  }
+
+  NavigationState.historyTimeout = null;
+  NavigationState.pendingHistorySection = null;
+}
+
+/**
+ * Highlight a section reached by scrolling and record it in the URL
+ * Ignored while a programmatic scroll is on its way to another section
+ * @private
+ * @param {string} sectionId - Section in view
+ */
+function handleSectionChange(sectionId) {
+  if (NavigationState.scrollTarget) {
+    return;
+  }
+
+  updateActiveNavLink(sectionId);
+  scheduleHistoryUpdate(sectionId);
+}
+
+/**
+ * Handle back/forward (and in-page anchor links) by scrolling to the section
+ * in the URL below the header and focusing its heading
+ * A hash carrying component state within the section being read
+ * (e.g. "#sermons?page=2") is left to that component
+ * @private
+ */
+function handlePopState() {
+  const { hash } = window.location;
+  const sectionId = getCurrentUrlSection();
+
+  if (!sectionId) {
+    return;
+  }
+
+  if (hash.includes('?') && sectionId === NavigationState.activeSection) {
+    return;
+  }
+
+  scrollToSection(sectionId, { focus: true });
+}
+
+/**
+ * Scroll to the section named in the URL when the page opens
+ * @private
+ */
+function restoreInitialSection() {
+  const sectionId = getSectionIdFromHash(window.location.hash);
+
+  if (!sectionId) {
+    return;
+  }
+
+  scrollToSection(sectionId);
+  NavigationState.restoredScrollPosition = window.pageYOffset;
+
+  if (document.readyState !== 'complete') {
+    window.addEventListener('load', handleWindowLoad, { once: true });
+  }
+}
+
+/**
+ * Re-apply the initial section once images and fonts have loaded and moved
+ * it, unless the visitor has scrolled in the meantime
+ * @private
+ */
+function handleWindowLoad() {
+  const sectionId = getSectionIdFromHash(window.location.hash);
+
+  if (sectionId && window.pageYOffset === NavigationState.restoredScrollPosition) {
+    scrollToSection(sectionId);
+  }
+
+  NavigationState.restoredScrollPosition = null;
+}
+
+/**
+ * A wheel, touch or key press hands scrolling back to the visitor
+ * @private
+ */
+function handleUserScrollIntent() {
+  NavigationState.scrollTarget = null;
+}
+
+/**
+ * Update active navigation link
+ * @private
+ * @param {string} sectionId - Active section ID
+ */
+function updateActiveNavLink(sectionId) {
+  if (NavigationState.activeSection === sectionId) {
+    return;
+  }
+
+  NavigationState.activeSection = sectionId;
+
+  DOMCache.navLinks.forEach((link) => {
+    const href = link.getAttribute('href');
+    const isActive = href === `#${sectionId}`;
+    
+    if (isActive) {
+      link.setAttribute('aria-current', 'page');
+      link.classList.add('active');
+    } else {
+      link.removeAttribute('aria-current');
+      link.classList.remove('active');
+    }
+  });
+}
+
+/**
+ * Toggle mobile menu
+ * @private
+ */
+function toggleMobileMenu() {
+  if (NavigationState.isMenuOpen) {
+    closeMobileMenu();
+  } else {
+    openMobileMenu();
+  }
+}
+
+/**
+ * Open mobile menu
+ * @private
+ */
+function openMobileMenu() {
+  NavigationState.isMenuOpen = true;
+  setHeaderHidden(false);
+  
+  DOMCache.mobileMenuToggle.setAttribute('aria-expanded', 'true');
+  DOMCache.nav.classList.add('nav--open');
+  DOMCache.body.classList.add('menu-open');
+  
+  // Trap focus within menu
+  trapFocusInMenu();
+  
+  // Add escape key listener
+  document.addEventListener('keydown', handleMenuEscapeKey);
+}
+
+/**
+ * Close mobile menu
+ * @private
+ */
+function closeMobileMenu() {
+  NavigationState.isMenuOpen = false;
+  
+  DOMCache.mobileMenuToggle.setAttribute('aria-expanded', 'false');
+  DOMCache.nav.classList.remove('nav--open');
+  DOMCache.body.classList.remove('menu-open');
+  
+  // Remove escape key listener
+  document.removeEventListener('keydown', handleMenuEscapeKey);
+  
+  // Return focus to toggle button
+  DOMCache.mobileMenuToggle.focus();
+}
+
+/**
+ * Handle escape key in mobile menu
+ * @private
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleMenuEscapeKey(event) {
+  if (event.key === 'Escape' && NavigationState.isMenuOpen) {
+    closeMobileMenu();
+  }
+}
+
+/**
+ * Trap focus within mobile menu
+ * @private
+ */
+function trapFocusInMenu() {
+  const focusableElements = DOMCache.nav.querySelectorAll(
+    'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])'
+  );
+  
+  if (focusableElements.length === 0) {
+    return;
+  }
+
+  const firstElement = focusableElements[0];
+  const lastElement = focusableElements[focusableElements.length - 1];
+
+  function handleTabKey(event) {
+    if (event.key !== 'Tab') {
+      return;
+    }
+
+    if (event.shiftKey) {
+      // Shift + Tab
+      if (document.activeElement === firstElement) {
+        event.preventDefault();
+        lastElement.focus();
+      }
+    } else {
+      // Tab
+      if (document.activeElement === lastElement) {
+        event.preventDefault();
+        firstElement.focus();
+      }
+    }
+  }
+
+  DOMCache.nav.addEventListener('keydown', handleTabKey);
+}
+
+/**
+ * Debounce function for performance optimization
+ * @private
+ * @param {Function} func - Function to debounce
+ * @param {number} delay - Delay in milliseconds
+ * @returns {Function} Debounced function
+ */
+function debounce(func, delay) {
+  let timeoutId;
+  return function debounced(...args) {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => func.apply(this, args), delay);
+  };
+}
+
+/**
+ * Handle scroll event for active section highlighting
+ * @private
+ */
+function handleScroll() {
+  // The first pause after a programmatic scroll only ends it
+  if (NavigationState.scrollTarget) {
+    NavigationState.scrollTarget = null;
+    NavigationState.lastScrollPosition = window.pageYOffset;
+    return;
+  }
+
+  NavigationState.isScrolling = true;
+
+  // Clear existing timeout
+  if (NavigationState.scrollTimeout) {
+    clearTimeout(NavigationState.scrollTimeout);
+  }
+
+  // Set timeout to detect scroll end
+  NavigationState.scrollTimeout = setTimeout(() => {
+    NavigationState.isScrolling = false;
+  }, NavigationConfig.debounceDelay);
+
+  // Find active section
+  const scrollPosition = window.pageYOffset + NavigationConfig.scrollOffset + 50;
+  
+  let activeSection = null;
+
+  for (let i = DOMCache.sections.length - 1; i >= 0; i--) {
+    const section = DOMCache.sections[i];
+    const sectionTop = section.offsetTop;
+    
+    if (scrollPosition >= sectionTop) {
+      activeSection = section.id;
+      break;
+    }
+  }
+
+  // Default to first section if none found
+  if (!activeSection && DOMCache.sections.length > 0) {
+    activeSection = DOMCache.sections[0].id;
+  }
+
+  if (activeSection) {
+    handleSectionChange(activeSection);
+  }
+
+  // Update scroll position
+  NavigationState.lastScrollPosition = window.pageYOffset;
+}
+
+/**
+ * Read the header mode and threshold, letting data attributes on the header override the defaults
+ * @private
+ */
+function initializeHeaderBehavior() {
+  const { headerBehavior, headerThreshold } = DOMCache.header.dataset;
+  const threshold = Number(headerThreshold);
+
+  NavigationState.headerAutoHide = (headerBehavior || NavigationConfig.headerBehavior) === 'auto-hide';
+  NavigationState.headerThreshold = threshold > 0 ? threshold : NavigationConfig.headerHideThreshold;
+  NavigationState.headerScrollDistance = 0;
+  NavigationState.lastScrollPosition = window.pageYOffset;
+}
+
+/**
+ * Schedule the header and reading progress updates for the next animation frame
+ * @private
+ */
+function handleFrameScroll() {
+  if (!NavigationState.scrollFrame) {
+    NavigationState.scrollFrame = window.requestAnimationFrame(renderScrollFrame);
+  }
+}
+
+/**
+ * Run the per-frame scroll work, reading layout before writing styles
+ * @private
+ */
+function renderScrollFrame() {
+  NavigationState.scrollFrame = null;
+
+  const progress = NavigationConfig.readingProgress ? measureReadingProgress() : null;
+
+  if (NavigationState.headerAutoHide) {
+    updateHeaderVisibility();
+  }
+
+  if (progress) {
+    renderReadingProgress(progress);
+  }
+}
+
+/**
+ * Hide the header after scrolling down past the threshold and show it after
+ * scrolling up as far. It stays in view near the top of the page, while the
+ * mobile menu is open, while focus is inside it and during nav link scrolls
+ * @private
+ */
+function updateHeaderVisibility() {
+  const position = window.pageYOffset;
+  const delta = position - NavigationState.lastScrollPosition;
+  const directionChanged = delta !== 0 && (delta > 0) !== (NavigationState.headerScrollDistance > 0);
+
+  NavigationState.lastScrollPosition = position;
+  NavigationState.headerScrollDistance = directionChanged ? delta : NavigationState.headerScrollDistance + delta;
+
+  const keepVisible = NavigationState.isMenuOpen ||
+    NavigationState.scrollTarget ||
+    DOMCache.header.contains(document.activeElement) ||
+    position <= DOMCache.header.offsetHeight;
+
+  if (keepVisible || NavigationState.headerScrollDistance <= -NavigationState.headerThreshold) {
+    setHeaderHidden(false);
+  } else if (NavigationState.headerScrollDistance >= NavigationState.headerThreshold) {
+    setHeaderHidden(true);
+  }
+}
+
+/**
+ * Show or hide the header
+ * The hidden header stays focusable; focusing it brings it back
+ * @private
+ * @param {boolean} hidden - Whether to hide the header
+ */
+function setHeaderHidden(hidden) {
+  if (!DOMCache.header || NavigationState.headerHidden === hidden) {
+    return;
+  }
+
+  NavigationState.headerHidden = hidden;
+  DOMCache.header.classList.toggle(NavigationConfig.headerHiddenClass, hidden);
+}
+
+/**
+ * Bring the header back when focus moves into it, e.g. with Tab from the skip link
+ * @private
+ */
+function handleHeaderFocusIn() {
+  NavigationState.headerScrollDistance = 0;
+  setHeaderHidden(false);
+}
+
+/**
+ * Add the page progress bar to the header and a progress mark to each nav
+ * link that points at a section. Both are decorative (aria-hidden): the
+ * active link already tells assistive technology where the reader is
+ * @private
+ */
+function initializeReadingProgress() {
+  const track = document.createElement('div');
+  track.className = 'reading-progress';
+  track.setAttribute('aria-hidden', 'true');
+  NavigationState.progressBar = document.createElement('span');
+  NavigationState.progressBar.className = 'reading-progress-bar';
+  track.appendChild(NavigationState.progressBar);
+  DOMCache.header.appendChild(track);
+
+  NavigationState.progressIndicators = [];
+  DOMCache.navLinks.forEach((link) => {
+    const sectionId = getSectionIdFromHash(link.getAttribute('href'));
+
+    if (!sectionId) {
+      return;
+    }
+
+    // The link text is translated on its inner span, so the mark survives language changes
+    const element = document.createElement('span');
+    element.className = 'nav-progress';
+    element.setAttribute('aria-hidden', 'true');
+    link.appendChild(element);
+    NavigationState.progressIndicators.push({ sectionId, element, value: null });
+  });
+
+  // Sections move as feeds, images and fonts load; measure again when the page changes size
+  if ('ResizeObserver' in window) {
+    NavigationState.layoutObserver = new ResizeObserver(invalidateSectionMetrics);
+    NavigationState.layoutObserver.observe(DOMCache.body);
+  }
+}
+
+/**
+ * Forget the measured section positions and redraw the progress
+ * @private
+ */
+function invalidateSectionMetrics() {
+  NavigationState.sectionMetrics = null;
+  handleFrameScroll();
+}
+
+/**
+ * Measure the page and section positions once per layout change
+ * @private
+ * @returns {{scrollRange: number, viewportHeight: number, sections: Map<string, {top: number, height: number}>}}
+ */
+function getSectionMetrics() {
+  if (!NavigationState.sectionMetrics) {
+    const viewportHeight = window.innerHeight;
+    const sections = new Map();
+
+    DOMCache.sections.forEach((section) => {
+      sections.set(section.id, { top: section.offsetTop, height: section.offsetHeight });
+    });
+
+    NavigationState.sectionMetrics = {
+      scrollRange: Math.max(0, document.documentElement.scrollHeight - viewportHeight),
+      viewportHeight,
+      sections
+    };
+  }
+
+  return NavigationState.sectionMetrics;
+}
+
+/**
+ * Work out page and section progress for the current scroll position
+ * A section counts as read up to the bottom of the viewport, so every
+ * section is complete once the end of the page is reached
+ * @private
+ * @returns {{page: number, sections: number[]}} Progress values from 0 to 1, rounded to 1%
+ */
+function measureReadingProgress() {
+  const metrics = getSectionMetrics();
+  const position = window.pageYOffset;
+  const clamp = (value) => Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+  const page = metrics.scrollRange > 0 ? clamp(position / metrics.scrollRange) : 1;
+  const atEnd = page === 1;
+
+  const sections = NavigationState.progressIndicators.map(({ sectionId }) => {
+    const section = metrics.sections.get(sectionId);
+
+    if (!section || section.height === 0 || atEnd) {
+      return atEnd ? 1 : 0;
+    }
+
+    return clamp((position + metrics.viewportHeight - section.top) / section.height);
+  });
+
+  return { page, sections };
+}
+
+/**
+ * Apply progress values, writing only those that changed
+ * @private
+ * @param {{page: number, sections: number[]}} progress - Values from measureReadingProgress()
+ */
+function renderReadingProgress(progress) {
+  if (progress.page !== NavigationState.pageProgress) {
+    NavigationState.pageProgress = progress.page;
+    NavigationState.progressBar.style.transform = `scaleX(${progress.page})`;
+  }
+
+  NavigationState.progressIndicators.forEach((indicator, index) => {
+    const value = progress.sections[index];
+
+    if (value !== indicator.value) {
+      indicator.value = value;
+      indicator.element.style.transform = `scaleX(${value})`;
+    }
+  });
+}
+
+/**
+ * Remove the progress bar and nav link marks
+ * @private
+ */
+function cleanupReadingProgress() {
+  if (NavigationState.layoutObserver) {
+    NavigationState.layoutObserver.disconnect();
+    NavigationState.layoutObserver = null;
+  }
+
+  if (NavigationState.progressBar) {
+    NavigationState.progressBar.parentElement.remove();
+    NavigationState.progressBar = null;
+  }
+
+  NavigationState.progressIndicators.forEach(({ element }) => element.remove());
+  NavigationState.progressIndicators = [];
+  NavigationState.pageProgress = null;
+  NavigationState.sectionMetrics = null;
+}
+
+/**
+ * Initialize Intersection Observer for section visibility
+ * @private
+ */
+function initializeIntersectionObserver() {
+  // Check for Intersection Observer support
+  if (!('IntersectionObserver' in window)) {
+    console.warn('Intersection Observer not supported, falling back to scroll events');
+    return;
+  }
+
+  const observerOptions = {
+    root: null,
+    rootMargin: `-${NavigationConfig.scrollOffset}px 0px -50% 0px`,
+    threshold: NavigationConfig.intersectionThreshold,
+  };
+
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting && !NavigationState.isScrolling) {
+        handleSectionChange(entry.target.id);
+      }
+    });
+  }, observerOptions);
+
+  // Observe all sections
+  DOMCache.sections.forEach((section) => {
+    observer.observe(section);
+  });
+}
+
+/**
+ * Handle window resize for responsive behavior
+ * @private
+ */
+function handleResize() {
+  const isMobile = window.innerWidth < NavigationConfig.mobileBreakpoint;
+  
+  // Close mobile menu on resize to desktop
+  if (!isMobile && NavigationState.isMenuOpen) {
+    closeMobileMenu();
+  }
+
+  // The viewport height can change without the page changing size (mobile address bar)
+  if (NavigationConfig.readingProgress) {
+    invalidateSectionMetrics();
+  }
+}
+
+/**
+ * Initialize keyboard navigation
+ * @private
+ */
+function initializeKeyboardNavigation() {
+  // Handle arrow key navigation in nav links
+  DOMCache.navLinks.forEach((link, index) => {
+    link.addEventListener('keydown', (event) => {
+      let targetIndex = -1;
+
+      switch (event.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+          event.preventDefault();
+          targetIndex = (index + 1) % DOMCache.navLinks.length;
+          break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+          event.preventDefault();
+          targetIndex = (index - 1 + DOMCache.navLinks.length) % DOMCache.navLinks.length;
+          break;
+        case 'Home':
+          event.preventDefault();
+          targetIndex = 0;
+          break;
+        case 'End':
+          event.preventDefault();
+          targetIndex = DOMCache.navLinks.length - 1;
+          break;
+        default:
+          return;
+      }
+
+      if (targetIndex >= 0) {
+        DOMCache.navLinks[targetIndex].focus();
+      }
+    });
+  });
+}
+
+/**
+ * Initialize navigation component
+ * @public
+ * @throws {Error} If initialization fails
+ */
+function initializeNavigation() {
+  try {
+    // Initialize DOM cache
+    initializeDOMCache();
+
+    // Add click event listeners to navigation links
+    DOMCache.navLinks.forEach((link) => {
+      link.addEventListener('click', handleNavLinkClick);
+    });
+
+    // Add mobile menu toggle listener
+    DOMCache.mobileMenuToggle.addEventListener('click', toggleMobileMenu);
+
+    // Initialize scroll handling with debounce
+    const debouncedScroll = debounce(handleScroll, NavigationConfig.debounceDelay);
+    window.addEventListener('scroll', debouncedScroll, { passive: true });
+
+    // Initialize Intersection Observer
+    initializeIntersectionObserver();
+
+    // Auto-hide the header by scroll direction
+    initializeHeaderBehavior();
+    if (NavigationState.headerAutoHide) {
+      DOMCache.header.addEventListener('focusin', handleHeaderFocusIn);
+    }
+
+    // Show reading progress under the header and on the nav links
+    if (NavigationConfig.readingProgress) {
+      initializeReadingProgress();
+    }
+
+    // Header and progress updates share one animation frame per scroll
+    if (NavigationState.headerAutoHide || NavigationConfig.readingProgress) {
+      window.addEventListener('scroll', handleFrameScroll, { passive: true });
+      handleFrameScroll();
+    }
+
+    // Initialize resize handler
+    const debouncedResize = debounce(handleResize, 250);
+    window.addEventListener('resize', debouncedResize, { passive: true });
+
+    // Initialize keyboard navigation
+    initializeKeyboardNavigation();
+
+    // Follow back/forward; scroll positions are restored here with the header offset
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+    window.addEventListener('popstate', handlePopState);
+    ['wheel', 'touchstart', 'keydown'].forEach((type) => {
+      window.addEventListener(type, handleUserScrollIntent, { passive: true });
+    });
+
+    // Set initial active section
+    handleScroll();
+
+    // Scroll to the section in the URL, e.g. /#ministries
+    restoreInitialSection();
+
+    console.log('Navigation component initialized successfully');
+  } catch (error) {
+    console.error('Failed to initialize navigation component:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cleanup navigation component
+ * @public
+ */
+function cleanupNavigation() {
+  try {
+    // Remove event listeners
+    DOMCache.navLinks.forEach((link) => {
+      link.removeEventListener('click', handleNavLinkClick);
+    });
+
+    if (DOMCache.mobileMenuToggle) {
+      DOMCache.mobileMenuToggle.removeEventListener('click', toggleMobileMenu);
+    }
+
+    window.removeEventListener('scroll', handleScroll);
+    window.removeEventListener('resize', handleResize);
+    window.removeEventListener('scroll', handleFrameScroll, { passive: true });
+    window.removeEventListener('popstate', handlePopState);
+    window.removeEventListener('load', handleWindowLoad);
+    ['wheel', 'touchstart', 'keydown'].forEach((type) => {
+      window.removeEventListener(type, handleUserScrollIntent, { passive: true });
+    });
+    document.removeEventListener('keydown', handleMenuEscapeKey);
+
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'auto';
+    }
+
+    // Close mobile menu if open
+    if (NavigationState.isMenuOpen) {
+      closeMobileMenu();
+    }
+
+    // Clear timeouts
+    if (NavigationState.scrollTimeout) {
+      clearTimeout(NavigationState.scrollTimeout);
+    }
+    cancelHistoryUpdate();
+    NavigationState.scrollTarget = null;
+
+    // Leave the header in view and remove the progress marks
+    if (NavigationState.scrollFrame) {
+      window.cancelAnimationFrame(NavigationState.scrollFrame);
+      NavigationState.scrollFrame = null;
+    }
+    cleanupReadingProgress();
+    if (DOMCache.header) {
+      DOMCache.header.removeEventListener('focusin', handleHeaderFocusIn);
+    }
+    setHeaderHidden(false);
+
+    console.log('Navigation component cleaned up successfully');
+  } catch (error) {
+    console.error('Error during navigation cleanup:', error);
+  }
+}
+
+/**
+ * Public API
+ */
+export {
+  initializeNavigation,
+  cleanupNavigation,
+  smoothScrollTo,
+  scrollToSection,
+};
\ No newline at end of file
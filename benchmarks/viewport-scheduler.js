@@ -0,0 +1,363 @@
+/**
+ * Viewport Scheduler Benchmark
+ *
+ * Drives a scripted scroll over a long page and records long tasks and frame
+ * times with the real navigation and lazy loading modules running:
+ *
+ *   before - benchmarks/baseline/, the modules as they were before the
+ *            scheduler: their own scroll/resize listeners, debounced scroll
+ *            end and lazy image checks, and one animation frame for the
+ *            header and reading progress
+ *   after  - js/components/navigation.js and js/utils/lazy-loading.js as
+ *            shipped, sharing the viewport scheduler's frame
+ *
+ * Lazy loading only uses the scheduler when Intersection Observer is
+ * missing, so it is hidden while initLazyLoading() starts to measure that
+ * path. The baseline modules cannot remove all of their listeners, so every
+ * run gets a fresh page load; results are kept in sessionStorage between
+ * loads.
+ *
+ * Serve the repository root (npm start) and open
+ * /benchmarks/viewport-scheduler.html; add ?run=both to start on load.
+ *
+ * @module benchmarks/viewport-scheduler
+ */
+
+import { getViewportSubscriberCount } from '../js/utils/viewport-scheduler.js';
+
+/**
+ * Benchmark configuration
+ * @private
+ */
+const BENCH_CONFIG = Object.freeze({
+  SECTIONS: 40,
+  ITEMS_PER_SECTION: 60,
+  IMAGES_PER_SECTION: 6,
+  SECTIONS_PER_NAV_LINK: 5,
+  SCROLL_DURATION: 6000,
+  SETTLE_DELAY: 500,
+  SLOW_FRAME: 50,
+  PAUSE_BEFORE_RUN: 1000,
+  STORAGE_KEY: 'viewport-scheduler-benchmark'
+});
+
+/**
+ * Modules each mode runs
+ * @private
+ */
+const BENCH_MODULES = Object.freeze({
+  before: Object.freeze({
+    navigation: './baseline/navigation.js',
+    lazyLoading: './baseline/lazy-loading.js'
+  }),
+  after: Object.freeze({
+    navigation: '../js/components/navigation.js',
+    lazyLoading: '../js/utils/lazy-loading.js'
+  })
+});
+
+/**
+ * Benchmark state
+ * @private
+ */
+const benchState = {
+  longTasks: []
+};
+
+/**
+ * Wait helper
+ * @private
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Small image for lazy loading; each one differs so none comes from the cache
+ * @private
+ * @param {number} index - Image number
+ * @returns {string} data: URL
+ */
+function createImageSource(index) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="120" height="40"><text x="8" y="26">${index}</text></svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Build the long page the benchmark scrolls through, with the header,
+ * nav links, sections and images the modules look for
+ * @private
+ */
+function buildPage() {
+  const header = document.querySelector('.header');
+  const navList = header.querySelector('[data-nav-links]');
+  const container = document.querySelector('[data-sections]');
+  const fragment = document.createDocumentFragment();
+  let imageCount = 0;
+
+  for (let i = 0; i < BENCH_CONFIG.SECTIONS; i++) {
+    const section = document.createElement('section');
+    section.className = 'bench-section';
+    section.id = `section-${i + 1}`;
+
+    const heading = document.createElement('h2');
+    heading.textContent = `Section ${i + 1}`;
+    section.appendChild(heading);
+
+    for (let j = 0; j < BENCH_CONFIG.ITEMS_PER_SECTION; j++) {
+      const item = document.createElement('span');
+      item.className = 'bench-item';
+      section.appendChild(item);
+    }
+
+    for (let j = 0; j < BENCH_CONFIG.IMAGES_PER_SECTION; j++) {
+      const image = document.createElement('img');
+      imageCount += 1;
+      image.className = 'bench-image';
+      image.alt = '';
+      image.width = 120;
+      image.height = 40;
+      image.dataset.src = createImageSource(imageCount);
+      section.appendChild(image);
+    }
+
+    if (i % BENCH_CONFIG.SECTIONS_PER_NAV_LINK === 0) {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.className = 'nav-link';
+      link.href = `#${section.id}`;
+      link.textContent = heading.textContent;
+      item.appendChild(link);
+      navList.appendChild(item);
+    }
+
+    fragment.appendChild(section);
+  }
+
+  container.appendChild(fragment);
+}
+
+/**
+ * Start navigation and lazy loading for a mode
+ * @private
+ * @param {string} mode - 'before' or 'after'
+ * @returns {Promise<Function>} Stops both modules
+ */
+async function startModules(mode) {
+  const navigation = await import(BENCH_MODULES[mode].navigation);
+  const lazyLoading = await import(BENCH_MODULES[mode].lazyLoading);
+
+  navigation.initializeNavigation();
+
+  // Hidden only while lazy loading picks its method; navigation keeps its observer
+  const { IntersectionObserver } = window;
+  delete window.IntersectionObserver;
+  let lazyLoad;
+  try {
+    lazyLoad = lazyLoading.initLazyLoading('img[data-src]', { rootMargin: '50px', threshold: 0.01 });
+  } finally {
+    window.IntersectionObserver = IntersectionObserver;
+  }
+
+  return () => {
+    lazyLoad.destroy();
+    navigation.cleanupNavigation();
+  };
+}
+
+/**
+ * Read the queued modes and finished results from sessionStorage
+ * @private
+ * @returns {{queue: string[], results: Object[]}}
+ */
+function loadRun() {
+  try {
+    const run = JSON.parse(window.sessionStorage.getItem(BENCH_CONFIG.STORAGE_KEY));
+    if (run && Array.isArray(run.queue) && Array.isArray(run.results)) {
+      return run;
+    }
+  } catch {
+    // Missing or unreadable; start empty
+  }
+  return { queue: [], results: [] };
+}
+
+/**
+ * Keep the queued modes and results for the next page load
+ * @private
+ * @param {{queue: string[], results: Object[]}} run - Run to save
+ */
+function saveRun(run) {
+  window.sessionStorage.setItem(BENCH_CONFIG.STORAGE_KEY, JSON.stringify(run));
+}
+
+/**
+ * Load the page again from the top, without the hash navigation wrote or
+ * the ?run parameter
+ * @private
+ */
+function reloadPage() {
+  window.location.replace(window.location.pathname);
+}
+
+/**
+ * Start recording long tasks, where the browser supports them
+ * @private
+ * @returns {PerformanceObserver|null}
+ */
+function observeLongTasks() {
+  const supported = typeof PerformanceObserver !== 'undefined' &&
+    (PerformanceObserver.supportedEntryTypes || []).includes('longtask');
+
+  if (!supported) {
+    return null;
+  }
+
+  const observer = new PerformanceObserver((list) => {
+    benchState.longTasks.push(...list.getEntries());
+  });
+  observer.observe({ type: 'longtask' });
+  return observer;
+}
+
+/**
+ * Scroll from top to bottom, one step per animation frame
+ * @private
+ * @returns {Promise<number[]>} Frame durations in milliseconds
+ */
+function scrollThroughPage() {
+  const distance = document.documentElement.scrollHeight - window.innerHeight;
+  const frames = [];
+
+  return new Promise((resolve) => {
+    let start = null;
+    let previous = null;
+
+    const step = (timestamp) => {
+      if (start === null) {
+        start = timestamp;
+      } else {
+        frames.push(timestamp - previous);
+      }
+      previous = timestamp;
+
+      const elapsed = timestamp - start;
+      window.scrollTo(0, Math.min(1, elapsed / BENCH_CONFIG.SCROLL_DURATION) * distance);
+
+      if (elapsed < BENCH_CONFIG.SCROLL_DURATION) {
+        window.requestAnimationFrame(step);
+      } else {
+        resolve(frames);
+      }
+    };
+
+    window.requestAnimationFrame(step);
+  });
+}
+
+/**
+ * Add a row to the results table
+ * @private
+ * @param {Object} result - Result of one mode
+ */
+function renderResult(result) {
+  const hasLongTasks = result.longTasks !== null;
+  const cells = [
+    result.mode,
+    hasLongTasks ? result.longTasks : 'n/a',
+    hasLongTasks ? result.longTaskTime.toFixed(0) : 'n/a',
+    result.frames,
+    result.meanFrame.toFixed(1),
+    result.worstFrame.toFixed(1),
+    result.slowFrames
+  ];
+
+  const row = document.createElement('tr');
+  cells.forEach((value) => {
+    const cell = document.createElement('td');
+    cell.textContent = String(value);
+    row.appendChild(cell);
+  });
+  document.querySelector('[data-results]').appendChild(row);
+}
+
+/**
+ * Run the next queued mode on this page load, then reload for the one after
+ * @private
+ * @param {{queue: string[], results: Object[]}} run - Queued modes and results so far
+ */
+async function runNext(run) {
+  const [mode, ...queue] = run.queue;
+  const status = document.querySelector('[data-status]');
+  status.textContent = `Running "${mode}"…`;
+
+  window.scrollTo(0, 0);
+  const stopModules = await startModules(mode);
+  await wait(BENCH_CONFIG.PAUSE_BEFORE_RUN);
+
+  benchState.longTasks = [];
+  const observer = observeLongTasks();
+
+  const frames = await scrollThroughPage();
+  await wait(BENCH_CONFIG.SETTLE_DELAY);
+
+  observer?.disconnect();
+  stopModules();
+
+  const result = {
+    mode,
+    longTasks: observer ? benchState.longTasks.length : null,
+    longTaskTime: benchState.longTasks.reduce((total, entry) => total + entry.duration, 0),
+    frames: frames.length,
+    meanFrame: frames.reduce((total, frame) => total + frame, 0) / Math.max(1, frames.length),
+    worstFrame: Math.max(0, ...frames),
+    slowFrames: frames.filter((frame) => frame > BENCH_CONFIG.SLOW_FRAME).length
+  };
+
+  saveRun({ queue, results: [...run.results, result] });
+  renderResult(result);
+
+  if (queue.length > 0) {
+    reloadPage();
+    return;
+  }
+
+  status.textContent = `Finished "${mode}" (scheduler subscribers left: ${getViewportSubscriberCount()})`;
+  document.querySelectorAll('[data-run]').forEach((button) => {
+    button.disabled = false;
+  });
+}
+
+/**
+ * Queue the requested modes and start them on a fresh page load
+ * @private
+ * @param {string} run - 'before', 'after' or 'both'
+ */
+function startBenchmark(run) {
+  saveRun({ queue: run === 'both' ? ['before', 'after'] : [run], results: [] });
+  reloadPage();
+}
+
+// Every run starts at the top of the page
+window.history.scrollRestoration = 'manual';
+
+buildPage();
+
+const pendingRun = loadRun();
+pendingRun.results.forEach(renderResult);
+
+document.querySelectorAll('[data-run]').forEach((button) => {
+  button.disabled = pendingRun.queue.length > 0;
+  button.addEventListener('click', () => startBenchmark(button.dataset.run));
+});
+
+const autoRun = new URLSearchParams(window.location.search).get('run');
+if (pendingRun.queue.length > 0) {
+  runNext(pendingRun);
+} else if (['before', 'after', 'both'].includes(autoRun)) {
+  startBenchmark(autoRun);
+}
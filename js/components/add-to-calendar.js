@@ -0,0 +1,321 @@
+/**
+ * Add to Calendar Component Module
+ *
+ * Adds an "Add to calendar" control to every event card and service card.
+ * The .ics file is built in the browser: services become recurring events
+ * with an RRULE, events use their datetime attribute, and the location is
+ * taken from the JSON-LD address in the page head.
+ *
+ * @module add-to-calendar
+ */
+
+import { loadServiceSchedule } from '../utils/schedule.js';
+import {
+  buildCalendar,
+  buildServiceEvent,
+  buildFeedEvent,
+  formatPostalAddress
+} from '../utils/ical.js';
+import { downloadFile } from '../utils/download.js';
+import { createDisposable } from '../utils/disposable.js';
+import { t } from '../utils/i18n.js';
+
+/**
+ * Add to calendar configuration
+ * @private
+ */
+const CALENDAR_CONFIG = Object.freeze({
+  BUTTON_CLASS: 'btn btn-outline btn-sm add-to-calendar',
+  BUTTON_TEXT_KEY: 'common.addToCalendar',
+  CALENDAR_NAME: 'Living Faith Christian Center',
+  MIME_TYPE: 'text/calendar;charset=utf-8',
+  RENDERED_EVENT: 'events:rendered'
+});
+
+/**
+ * Component state
+ * @private
+ */
+const calendarState = {
+  schedule: null,
+  location: null,
+  disposable: null
+};
+
+/**
+ * Initializes calendar buttons on event and service cards
+ *
+ * @returns {Promise<import('../utils/disposable.js').Disposable|null>} Handle that removes the
+ *   buttons and listeners when destroyed, or null if cleaned up while loading
+ */
+export async function initAddToCalendar() {
+  cleanupAddToCalendar();
+
+  const disposable = createDisposable('add-to-calendar');
+  calendarState.disposable = disposable;
+  disposable.defer(resetAddToCalendar);
+  calendarState.location = getChurchLocation();
+
+  try {
+    calendarState.schedule = await loadServiceSchedule();
+  } catch (error) {
+    console.warn('Service schedule unavailable, service calendar buttons disabled:', error.message);
+  }
+
+  // Cleaned up while the schedule was loading
+  if (disposable.isDestroyed()) {
+    return null;
+  }
+
+  enhanceCards();
+
+  disposable.listen(document, 'click', handleCalendarClick);
+  disposable.listen(document, CALENDAR_CONFIG.RENDERED_EVENT, enhanceCards);
+
+  console.log('Add to calendar initialized successfully');
+  return disposable;
+}
+
+/**
+ * Reads the church name, address and coordinates from the JSON-LD block
+ *
+ * @returns {import('../utils/ical.js').CalendarLocation|null}
+ * @private
+ */
+function getChurchLocation() {
+  const script = document.querySelector('script[type="application/ld+json"]');
+
+  if (!script) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(script.textContent);
+
+    return {
+      text: [data.name, formatPostalAddress(data.address)].filter(Boolean).join(', '),
+      latitude: data.geo?.latitude,
+      longitude: data.geo?.longitude
+    };
+  } catch (error) {
+    console.warn('Unable to read church location from structured data:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Adds buttons to any cards that do not have one yet
+ * Runs again whenever the events feed re-renders its cards
+ * @private
+ */
+function enhanceCards() {
+  document.querySelectorAll('.event-card').forEach((card) => {
+    addButton(card, '.event-details', 'event');
+  });
+
+  if (calendarState.schedule) {
+    document.querySelectorAll('.service-card[data-service-id]').forEach((card) => {
+      addButton(card, '.service-details', 'service');
+    });
+  }
+}
+
+/**
+ * Appends a calendar button to a card
+ *
+ * @param {HTMLElement} card - Event or service card
+ * @param {string} containerSelector - Where inside the card the button goes
+ * @param {'event'|'service'} type - Card type
+ * @private
+ */
+function addButton(card, containerSelector, type) {
+  const container = card.querySelector(containerSelector) || card;
+
+  if (container.querySelector('.add-to-calendar')) {
+    return;
+  }
+
+  const title = card.querySelector('.card-title')?.textContent.trim() || '';
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = CALENDAR_CONFIG.BUTTON_CLASS;
+  button.dataset.calendarType = type;
+
+  const icon = document.createElement('span');
+  icon.setAttribute('aria-hidden', 'true');
+  icon.textContent = '📅 ';
+
+  // Translated with the page when the language changes
+  const label = document.createElement('span');
+  label.dataset.i18n = CALENDAR_CONFIG.BUTTON_TEXT_KEY;
+  label.textContent = t(CALENDAR_CONFIG.BUTTON_TEXT_KEY, 'Add to calendar');
+
+  const hiddenTitle = document.createElement('span');
+  hiddenTitle.className = 'sr-only';
+  hiddenTitle.textContent = `: ${title}`;
+
+  button.appendChild(icon);
+  button.appendChild(label);
+  button.appendChild(hiddenTitle);
+
+  container.appendChild(button);
+}
+
+/**
+ * Handles clicks on calendar buttons (delegated)
+ *
+ * @param {MouseEvent} event - Click event
+ * @private
+ */
+function handleCalendarClick(event) {
+  const button = event.target.closest?.('.add-to-calendar');
+
+  if (!button) {
+    return;
+  }
+
+  const card = button.closest('.event-card, .service-card');
+
+  if (!card) {
+    return;
+  }
+
+  try {
+    const calendar = button.dataset.calendarType === 'service'
+      ? getServiceCalendar(card)
+      : getEventCalendar(card);
+
+    if (!calendar) {
+      console.warn('Unable to build calendar entry for card', card);
+      return;
+    }
+
+    downloadFile(calendar.filename, calendar.content, CALENDAR_CONFIG.MIME_TYPE);
+    trackCalendarDownload(calendar.filename);
+  } catch (error) {
+    console.error('Failed to create calendar file:', error);
+  }
+}
+
+/**
+ * Builds the .ics file for an event card from its markup
+ *
+ * @param {HTMLElement} card - Event card
+ * @returns {{filename: string, content: string}|null}
+ * @private
+ */
+function getEventCalendar(card) {
+  const title = card.querySelector('.card-title')?.textContent.trim();
+  const datetime = card.querySelector('time.event-date')?.getAttribute('datetime');
+
+  if (!title || !datetime) {
+    return null;
+  }
+
+  const id = card.dataset.eventId || slugify(`${title}-${datetime}`);
+  const lines = buildFeedEvent({
+    id,
+    title,
+    description: card.querySelector('.event-description')?.textContent.trim(),
+    datetime,
+    endDatetime: card.dataset.endDatetime
+  }, { location: calendarState.location });
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  return {
+    filename: `${id}.ics`,
+    content: buildCalendar([lines], { name: CALENDAR_CONFIG.CALENDAR_NAME })
+  };
+}
+
+/**
+ * Builds the recurring .ics file for a service card
+ *
+ * @param {HTMLElement} card - Service card with data-service-id
+ * @returns {{filename: string, content: string}|null}
+ * @private
+ */
+function getServiceCalendar(card) {
+  const { schedule } = calendarState;
+  const service = schedule?.services.find((entry) => entry.id === card.dataset.serviceId);
+
+  if (!service) {
+    return null;
+  }
+
+  const lines = buildServiceEvent(service, {
+    timeZone: schedule.timeZone,
+    location: calendarState.location
+  });
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  return {
+    filename: `${service.id}.ics`,
+    content: buildCalendar([lines], {
+      name: CALENDAR_CONFIG.CALENDAR_NAME,
+      timeZone: schedule.timeZone
+    })
+  };
+}
+
+/**
+ * Converts text to a filename-safe slug
+ *
+ * @param {string} value - Text to convert
+ * @returns {string}
+ * @private
+ */
+function slugify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Tracks calendar downloads for analytics
+ *
+ * @param {string} filename - Downloaded file
+ * @private
+ */
+function trackCalendarDownload(filename) {
+  try {
+    if (typeof window.gtag === 'function') {
+      window.gtag('event', 'add_to_calendar', {
+        'event_category': 'Calendar',
+        'event_label': filename
+      });
+    }
+  } catch (err) {
+    console.warn('Analytics tracking failed:', err);
+  }
+}
+
+/**
+ * Cleanup function for calendar buttons
+ * Removes listeners and the buttons added to cards
+ *
+ * @returns {void}
+ */
+export function cleanupAddToCalendar() {
+  calendarState.disposable?.destroy();
+}
+
+/**
+ * Removes the buttons once the handle is destroyed
+ * @private
+ */
+function resetAddToCalendar() {
+  calendarState.disposable = null;
+
+  document.querySelectorAll('.add-to-calendar').forEach((button) => button.remove());
+
+  calendarState.schedule = null;
+  calendarState.location = null;
+
+  console.log('Add to calendar cleaned up');
+}
@@ -0,0 +1,817 @@
+/**
+ * Audio Player Component Module
+ *
+ * Plays sermons on the page when a Listen link in the archive is chosen,
+ * instead of opening the recording on its own. The player has play/pause,
+ * 15 second skips, a seek bar, playback speed (0.75× to 2×) and, for
+ * sermons with chapter marks in the feed, a chapter list. All controls are
+ * native buttons, a range input and a select, so they work from the
+ * keyboard and with screen readers; labels follow accessibility/aria-labels.json.
+ *
+ * The Media Session API puts the sermon on the lock screen and in the
+ * system media controls, where previous/next move between chapters.
+ * The listening position is kept per sermon in localStorage so listeners
+ * can pick up where they left off. Without JavaScript the Listen links
+ * still open the recording directly.
+ *
+ * @module audio-player
+ */
+
+import { getSermon } from './sermons.js';
+import { describeTimestamp, formatTimestamp } from '../utils/media-time.js';
+import { I18N_CHANGED_EVENT, t } from '../utils/i18n.js';
+import { createDisposable } from '../utils/disposable.js';
+
+/**
+ * Player configuration
+ * @private
+ */
+const PLAYER_CONFIG = Object.freeze({
+  SECTION_SELECTOR: '#sermons',
+  SKIP_SECONDS: 15,
+  SPEEDS: Object.freeze([0.75, 1, 1.25, 1.5, 1.75, 2]),
+  STORAGE_KEY: 'lfcc-sermon-positions',
+  SAVE_INTERVAL: 5000,
+  // Positions this close to the start are not worth resuming
+  MIN_RESUME: 10,
+  // Positions this close to the end count as finished
+  END_MARGIN: 20,
+  MAX_SAVED: 50,
+  // previoustrack within this many seconds of a chapter start goes to the chapter before
+  CHAPTER_RESTART: 3,
+  CHURCH_NAME: 'Living Faith Christian Center',
+  ARTWORK_URL: new URL('../../images/icons/apple-touch-icon.png', import.meta.url)
+});
+
+/**
+ * Player elements, by data attribute
+ * @private
+ */
+const PLAYER_ELEMENTS = Object.freeze({
+  track: '[data-player-track]',
+  meta: '[data-player-meta]',
+  toggle: '[data-player-toggle]',
+  seek: '[data-player-seek]',
+  current: '[data-player-current]',
+  duration: '[data-player-duration]',
+  speed: '[data-player-speed]',
+  status: '[data-player-status]',
+  restart: '[data-player-restart]',
+  chapters: '[data-player-chapters]',
+  chapterList: '[data-player-chapter-list]',
+  download: '[data-player-download]'
+});
+
+/**
+ * Component state
+ * @private
+ */
+const playerState = {
+  section: null,
+  player: null,
+  audio: null,
+  elements: {},
+  sermon: null,
+  chapterIndex: -1,
+  pendingResume: null,
+  lastSaved: 0,
+  isSeeking: false,
+  returnFocus: null,
+  disposable: null
+};
+
+/**
+ * Initializes the sermon audio player
+ *
+ * @returns {import('../utils/disposable.js').Disposable|null} Handle that stops playback and
+ *   removes the listeners when destroyed, or null if the player is not on the page
+ */
+export function initAudioPlayer() {
+  cleanupAudioPlayer();
+
+  const section = document.querySelector(PLAYER_CONFIG.SECTION_SELECTOR);
+  const player = section ? section.querySelector('[data-audio-player]') : null;
+  const audio = player ? player.querySelector('audio') : null;
+
+  if (!audio || typeof audio.play !== 'function') {
+    console.warn('Audio player not found on page');
+    return null;
+  }
+
+  playerState.section = section;
+  playerState.player = player;
+  playerState.audio = audio;
+  Object.entries(PLAYER_ELEMENTS).forEach(([name, selector]) => {
+    playerState.elements[name] = player.querySelector(selector);
+  });
+
+  addListeners();
+
+  console.log('Audio player initialized successfully');
+  return playerState.disposable;
+}
+
+/**
+ * Adds listeners for the Listen links, the controls and the audio element
+ * @private
+ */
+function addListeners() {
+  const disposable = createDisposable('audio-player');
+  playerState.disposable = disposable;
+  disposable.defer(resetAudioPlayer);
+  const { section, player, audio, elements } = playerState;
+
+  disposable.listen(section, 'click', handleListenClick);
+  disposable.listen(player, 'click', handlePlayerClick);
+  disposable.listen(elements.seek, 'input', handleSeekInput);
+  disposable.listen(elements.seek, 'change', handleSeekChange);
+  disposable.listen(elements.speed, 'change', handleSpeedChange);
+
+  disposable.listen(audio, 'play', renderPlaybackState);
+  disposable.listen(audio, 'pause', handlePause);
+  disposable.listen(audio, 'loadedmetadata', handleLoadedMetadata);
+  disposable.listen(audio, 'timeupdate', handleTimeUpdate);
+  disposable.listen(audio, 'ratechange', updatePositionState);
+  disposable.listen(audio, 'seeked', updatePositionState);
+  disposable.listen(audio, 'ended', handleEnded);
+  disposable.listen(audio, 'error', handleError);
+
+  disposable.listen(window, 'pagehide', savePosition);
+  disposable.listen(document, I18N_CHANGED_EVENT, refreshLabels);
+}
+
+/**
+ * Plays a sermon in the player when its Listen link is chosen
+ * Links opened in a new tab or window are left to the browser
+ *
+ * @param {MouseEvent} event - Click event
+ * @private
+ */
+function handleListenClick(event) {
+  const link = event.target.closest('a[data-sermon-audio]');
+  const card = link ? link.closest('[data-sermon-id]') : null;
+  const sermon = card ? getSermon(card.dataset.sermonId) : null;
+
+  if (!sermon || event.ctrlKey || event.metaKey || event.shiftKey) {
+    return;
+  }
+
+  event.preventDefault();
+  playerState.returnFocus = link;
+
+  if (playerState.sermon?.id !== sermon.id) {
+    loadSermon(sermon);
+  }
+
+  play();
+  playerState.elements.toggle.focus();
+}
+
+/**
+ * Handles the player's buttons
+ *
+ * @param {MouseEvent} event - Click event
+ * @private
+ */
+function handlePlayerClick(event) {
+  const button = event.target.closest('button');
+
+  if (!button || !playerState.sermon) {
+    return;
+  }
+
+  if (button.hasAttribute('data-player-toggle')) {
+    togglePlayback();
+  } else if (button.hasAttribute('data-player-skip')) {
+    seekTo(playerState.audio.currentTime + Number(button.dataset.playerSkip));
+  } else if (button.hasAttribute('data-chapter-start')) {
+    seekTo(Number(button.dataset.chapterStart));
+    play();
+  } else if (button.hasAttribute('data-player-restart')) {
+    restart();
+  } else if (button.hasAttribute('data-player-close')) {
+    closePlayer();
+  }
+}
+
+/**
+ * Starts the sermon over, forgetting the resumed position
+ * @private
+ */
+function restart() {
+  seekTo(0);
+  clearPosition(playerState.sermon.id);
+  playerState.elements.restart.hidden = true;
+  playerState.elements.toggle.focus();
+}
+
+/**
+ * Loads a sermon into the player and shows it
+ *
+ * @param {import('./sermons.js').Sermon} sermon - Sermon to play
+ * @private
+ */
+function loadSermon(sermon) {
+  const { audio, elements, player } = playerState;
+
+  savePosition();
+
+  playerState.sermon = sermon;
+  playerState.chapterIndex = -1;
+  playerState.pendingResume = readPosition(sermon.id);
+
+  audio.src = sermon.audioUrl;
+  audio.defaultPlaybackRate = Number(elements.speed.value) || 1;
+  audio.playbackRate = audio.defaultPlaybackRate;
+
+  elements.track.textContent = sermon.title;
+  elements.meta.textContent = [sermon.speaker, sermon.series].filter(Boolean).join(' · ');
+  elements.download.href = sermon.audioUrl;
+  elements.status.textContent = '';
+  elements.restart.hidden = true;
+  elements.seek.max = '0';
+
+  renderChapters(sermon.chapters);
+  renderTime(0);
+  renderPlaybackState();
+  updateMediaSession(sermon);
+
+  player.hidden = false;
+}
+
+/**
+ * Starts playback
+ * A refused play() (autoplay rules, no source) leaves the Play button for the listener
+ * @private
+ */
+function play() {
+  playerState.audio.play()?.catch((error) => {
+    if (error.name !== 'AbortError') {
+      console.warn('Unable to start sermon playback:', error.message);
+    }
+  });
+}
+
+/**
+ * Plays or pauses
+ * @private
+ */
+function togglePlayback() {
+  if (playerState.audio.paused) {
+    play();
+  } else {
+    playerState.audio.pause();
+  }
+}
+
+/**
+ * Moves the playback position, keeping it within the recording
+ *
+ * @param {number} time - Position in seconds
+ * @private
+ */
+function seekTo(time) {
+  const { audio } = playerState;
+  const end = Number.isFinite(audio.duration) ? audio.duration : Infinity;
+  const position = Math.min(Math.max(0, time), end);
+
+  audio.currentTime = position;
+  renderTime(position);
+}
+
+/**
+ * Shows the position while the seek bar is being moved
+ * @private
+ */
+function handleSeekInput() {
+  playerState.isSeeking = true;
+  renderTime(Number(playerState.elements.seek.value));
+}
+
+/**
+ * Seeks once the seek bar is released (or after each arrow key press)
+ * @private
+ */
+function handleSeekChange() {
+  playerState.isSeeking = false;
+  seekTo(Number(playerState.elements.seek.value));
+}
+
+/**
+ * Applies the chosen playback speed
+ * @private
+ */
+function handleSpeedChange() {
+  const { audio, elements } = playerState;
+  const rate = Number(elements.speed.value);
+
+  if (PLAYER_CONFIG.SPEEDS.includes(rate)) {
+    audio.defaultPlaybackRate = rate;
+    audio.playbackRate = rate;
+  }
+}
+
+/**
+ * Sets the seek bar range and resumes from the saved position
+ * @private
+ */
+function handleLoadedMetadata() {
+  const { audio, elements } = playerState;
+  const resume = playerState.pendingResume;
+
+  playerState.pendingResume = null;
+
+  if (Number.isFinite(audio.duration)) {
+    elements.seek.max = String(Math.floor(audio.duration));
+  }
+
+  if (resume !== null && !isNearEnd(resume)) {
+    audio.currentTime = resume;
+    elements.status.textContent = t('player.resumed', 'Resuming from {time}', { time: formatTimestamp(resume) });
+    elements.restart.hidden = false;
+  }
+
+  renderTime(audio.currentTime);
+  updatePositionState();
+}
+
+/**
+ * Follows playback: time, current chapter and the saved position
+ * @private
+ */
+function handleTimeUpdate() {
+  const { audio } = playerState;
+
+  if (!playerState.isSeeking) {
+    renderTime(audio.currentTime);
+  }
+
+  renderCurrentChapter(audio.currentTime);
+
+  if (Date.now() - playerState.lastSaved >= PLAYER_CONFIG.SAVE_INTERVAL) {
+    savePosition();
+  }
+}
+
+/**
+ * Saves the position whenever playback stops
+ * @private
+ */
+function handlePause() {
+  renderPlaybackState();
+  savePosition();
+}
+
+/**
+ * Forgets the position of a sermon that was listened to the end
+ * @private
+ */
+function handleEnded() {
+  renderPlaybackState();
+
+  if (playerState.sermon) {
+    clearPosition(playerState.sermon.id);
+  }
+}
+
+/**
+ * Reports a recording that cannot be played
+ * @private
+ */
+function handleError() {
+  if (!playerState.sermon) {
+    return;
+  }
+
+  playerState.elements.status.textContent = t(
+    'player.error',
+    'This recording could not be played. You can download it instead.'
+  );
+  renderPlaybackState();
+}
+
+/**
+ * Stops playback and hides the player, returning focus to the Listen link
+ * @private
+ */
+function closePlayer() {
+  const { returnFocus } = playerState;
+
+  stopPlayback();
+
+  if (returnFocus?.isConnected) {
+    returnFocus.focus();
+  } else {
+    playerState.section.querySelector('[data-sermons-status]')?.focus();
+  }
+}
+
+/**
+ * Saves the position, unloads the recording and hides the player
+ * @private
+ */
+function stopPlayback() {
+  const { audio, player } = playerState;
+
+  savePosition();
+  audio.pause();
+  audio.removeAttribute('src');
+  audio.load();
+
+  playerState.sermon = null;
+  playerState.returnFocus = null;
+  player.hidden = true;
+  updateMediaSession(null);
+}
+
+/**
+ * Updates the Play/Pause button and the system media controls
+ * @private
+ */
+function renderPlaybackState() {
+  const { audio, elements, player } = playerState;
+  const playing = Boolean(playerState.sermon) && !audio.paused && !audio.ended;
+
+  elements.toggle.textContent = playing ? t('player.pause', 'Pause') : t('player.play', 'Play');
+  player.classList.toggle('is-playing', playing);
+
+  if ('mediaSession' in navigator && playerState.sermon) {
+    navigator.mediaSession.playbackState = playing ? 'playing' : 'paused';
+  }
+}
+
+/**
+ * Shows a position on the clock and the seek bar
+ * The seek bar's value text reads the position in words, e.g.
+ * "3 minutes 15 seconds of 45 minutes"
+ *
+ * @param {number} time - Position in seconds
+ * @private
+ */
+function renderTime(time) {
+  const { audio, elements } = playerState;
+  const duration = Number.isFinite(audio.duration) ? audio.duration : 0;
+
+  elements.current.textContent = formatTimestamp(time);
+  elements.duration.textContent = formatTimestamp(duration);
+  elements.seek.value = String(Math.floor(time));
+  elements.seek.setAttribute('aria-valuetext', duration > 0
+    ? t('player.position', '{current} of {duration}', {
+      current: describeTimestamp(time),
+      duration: describeTimestamp(duration)
+    })
+    : describeTimestamp(time));
+}
+
+/**
+ * Builds the chapter list, hidden for sermons without chapters
+ *
+ * @param {import('./sermons.js').SermonChapter[]} chapters - Chapters
+ * @private
+ */
+function renderChapters(chapters) {
+  const { elements } = playerState;
+  const items = chapters.map((chapter) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    const time = document.createElement('span');
+
+    button.type = 'button';
+    button.className = 'audio-player-chapter';
+    button.dataset.chapterStart = String(chapter.start);
+    time.className = 'audio-player-chapter-time';
+    time.textContent = formatTimestamp(chapter.start);
+    button.append(time, ` ${chapter.title}`);
+    item.appendChild(button);
+
+    return item;
+  });
+
+  elements.chapterList.replaceChildren(...items);
+  elements.chapters.hidden = items.length === 0;
+  setChapterHandlers(items.length > 0);
+}
+
+/**
+ * Marks the chapter being played with aria-current
+ *
+ * @param {number} time - Position in seconds
+ * @private
+ */
+function renderCurrentChapter(time) {
+  const index = getChapterIndex(time);
+
+  if (index === playerState.chapterIndex) {
+    return;
+  }
+
+  playerState.chapterIndex = index;
+  playerState.elements.chapterList.querySelectorAll('.audio-player-chapter').forEach((button, i) => {
+    if (i === index) {
+      button.setAttribute('aria-current', 'true');
+    } else {
+      button.removeAttribute('aria-current');
+    }
+  });
+}
+
+/**
+ * Finds the chapter playing at a position
+ *
+ * @param {number} time - Position in seconds
+ * @returns {number} Chapter index, or -1 before the first chapter
+ * @private
+ */
+function getChapterIndex(time) {
+  const chapters = playerState.sermon ? playerState.sermon.chapters : [];
+  let index = -1;
+
+  chapters.forEach((chapter, i) => {
+    if (chapter.start <= time) {
+      index = i;
+    }
+  });
+
+  return index;
+}
+
+/**
+ * Goes to the start of the current chapter, or the one before it when the
+ * current chapter has only just started
+ * @private
+ */
+function previousChapter() {
+  const { audio, sermon } = playerState;
+  const index = getChapterIndex(audio.currentTime);
+  const chapter = sermon.chapters[index];
+
+  if (chapter && audio.currentTime - chapter.start > PLAYER_CONFIG.CHAPTER_RESTART) {
+    seekTo(chapter.start);
+  } else {
+    seekTo(index > 0 ? sermon.chapters[index - 1].start : 0);
+  }
+}
+
+/**
+ * Goes to the start of the next chapter
+ * @private
+ */
+function nextChapter() {
+  const { audio, sermon } = playerState;
+  const next = sermon.chapters[getChapterIndex(audio.currentTime) + 1];
+
+  if (next) {
+    seekTo(next.start);
+  }
+}
+
+/**
+ * Shows the sermon in the system media controls and lock screen
+ *
+ * @param {import('./sermons.js').Sermon|null} sermon - Sermon playing, or null to clear
+ * @private
+ */
+function updateMediaSession(sermon) {
+  if (!('mediaSession' in navigator)) {
+    return;
+  }
+
+  const { mediaSession } = navigator;
+
+  if (!sermon) {
+    mediaSession.metadata = null;
+    mediaSession.playbackState = 'none';
+    setActionHandlers(false);
+    return;
+  }
+
+  if (typeof window.MediaMetadata === 'function') {
+    mediaSession.metadata = new window.MediaMetadata({
+      title: sermon.title,
+      artist: sermon.speaker || PLAYER_CONFIG.CHURCH_NAME,
+      album: sermon.series || PLAYER_CONFIG.CHURCH_NAME,
+      artwork: [{ src: PLAYER_CONFIG.ARTWORK_URL.href, sizes: '180x180', type: 'image/png' }]
+    });
+  }
+
+  setActionHandlers(true);
+}
+
+/**
+ * Registers or removes the system media control handlers
+ *
+ * @param {boolean} enabled - Register (true) or remove (false)
+ * @private
+ */
+function setActionHandlers(enabled) {
+  const skip = PLAYER_CONFIG.SKIP_SECONDS;
+  const handlers = {
+    play: () => play(),
+    pause: () => playerState.audio.pause(),
+    stop: () => closePlayer(),
+    seekbackward: (details) => seekTo(playerState.audio.currentTime - (details.seekOffset || skip)),
+    seekforward: (details) => seekTo(playerState.audio.currentTime + (details.seekOffset || skip)),
+    seekto: (details) => seekTo(details.seekTime)
+  };
+
+  Object.entries(handlers).forEach(([action, handler]) => setActionHandler(action, enabled ? handler : null));
+  setChapterHandlers(enabled && Boolean(playerState.sermon?.chapters.length));
+}
+
+/**
+ * Lets previous/next in the system media controls move between chapters
+ *
+ * @param {boolean} enabled - Register (true) or remove (false)
+ * @private
+ */
+function setChapterHandlers(enabled) {
+  setActionHandler('previoustrack', enabled ? previousChapter : null);
+  setActionHandler('nexttrack', enabled ? nextChapter : null);
+}
+
+/**
+ * Sets one media session action handler
+ * Browsers throw for actions they do not support
+ *
+ * @param {string} action - Media session action
+ * @param {Function|null} handler - Handler, or null to remove
+ * @private
+ */
+function setActionHandler(action, handler) {
+  if (!('mediaSession' in navigator)) {
+    return;
+  }
+
+  try {
+    navigator.mediaSession.setActionHandler(action, handler);
+  } catch (_error) {
+    // Action not supported by this browser
+  }
+}
+
+/**
+ * Tells the system media controls the duration, position and speed
+ * @private
+ */
+function updatePositionState() {
+  const { audio } = playerState;
+
+  if (!playerState.sermon || !Number.isFinite(audio.duration) ||
+    typeof navigator.mediaSession?.setPositionState !== 'function') {
+    return;
+  }
+
+  try {
+    navigator.mediaSession.setPositionState({
+      duration: audio.duration,
+      playbackRate: audio.playbackRate,
+      position: Math.min(audio.currentTime, audio.duration)
+    });
+  } catch (error) {
+    console.warn('Unable to update media session position:', error.message);
+  }
+}
+
+/**
+ * Re-translates the labels set from script after a language change
+ * @private
+ */
+function refreshLabels() {
+  if (playerState.sermon) {
+    renderPlaybackState();
+    renderTime(playerState.audio.currentTime);
+  }
+}
+
+/**
+ * Checks whether a position is close enough to the end to count as finished
+ *
+ * @param {number} time - Position in seconds
+ * @returns {boolean}
+ * @private
+ */
+function isNearEnd(time) {
+  const { duration } = playerState.audio;
+  return Number.isFinite(duration) && time >= duration - PLAYER_CONFIG.END_MARGIN;
+}
+
+/**
+ * Reads the saved positions
+ *
+ * @returns {Object<string, {position: number, savedAt: number}>} Positions by sermon id
+ * @private
+ */
+function readPositions() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PLAYER_CONFIG.STORAGE_KEY));
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch (_error) {
+    // Storage blocked or the entry is corrupt: start without saved positions
+    return {};
+  }
+}
+
+/**
+ * Writes the saved positions, keeping only the most recent ones
+ *
+ * @param {Object<string, {position: number, savedAt: number}>} positions - Positions by sermon id
+ * @private
+ */
+function writePositions(positions) {
+  const recent = Object.entries(positions)
+    .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+    .slice(0, PLAYER_CONFIG.MAX_SAVED);
+
+  try {
+    localStorage.setItem(PLAYER_CONFIG.STORAGE_KEY, JSON.stringify(Object.fromEntries(recent)));
+  } catch (error) {
+    console.warn('Unable to remember sermon position:', error.message);
+  }
+}
+
+/**
+ * Reads the saved position for a sermon
+ *
+ * @param {string} id - Sermon id
+ * @returns {number|null} Position in seconds, or null to start from the beginning
+ * @private
+ */
+function readPosition(id) {
+  const position = readPositions()[id]?.position;
+  return Number.isFinite(position) && position >= PLAYER_CONFIG.MIN_RESUME ? position : null;
+}
+
+/**
+ * Saves the current sermon's position
+ * Near the end the position is cleared, so the sermon starts over next time
+ * @private
+ */
+function savePosition() {
+  const { audio, sermon } = playerState;
+
+  if (!sermon || !(audio.currentTime > 0)) {
+    return;
+  }
+
+  playerState.lastSaved = Date.now();
+
+  if (isNearEnd(audio.currentTime)) {
+    clearPosition(sermon.id);
+    return;
+  }
+
+  writePositions({
+    ...readPositions(),
+    [sermon.id]: { position: Math.floor(audio.currentTime), savedAt: playerState.lastSaved }
+  });
+}
+
+/**
+ * Forgets the saved position for a sermon
+ *
+ * @param {string} id - Sermon id
+ * @private
+ */
+function clearPosition(id) {
+  const positions = readPositions();
+
+  if (id in positions) {
+    delete positions[id];
+    writePositions(positions);
+  }
+}
+
+/**
+ * Cleanup function for the audio player
+ * Saves the position, stops playback and removes event listeners
+ *
+ * @returns {void}
+ */
+export function cleanupAudioPlayer() {
+  playerState.disposable?.destroy();
+}
+
+/**
+ * Saves the position and stops playback once the handle is destroyed
+ * @private
+ */
+function resetAudioPlayer() {
+  playerState.disposable = null;
+
+  if (playerState.audio && playerState.sermon) {
+    stopPlayback();
+  }
+
+  playerState.section = null;
+  playerState.player = null;
+  playerState.audio = null;
+  playerState.elements = {};
+  playerState.returnFocus = null;
+
+  console.log('Audio player cleaned up');
+}
+
+export default {
+  initAudioPlayer,
+  cleanupAudioPlayer
+};
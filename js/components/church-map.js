@@ -0,0 +1,541 @@
+/**
+ * Church Map Component Module
+ *
+ * Map in the Contact section. The page ships a static map image made by the
+ * build from the JSON-LD coordinates (scripts/build.js), linked to Google Maps
+ * so it works without JavaScript, plus "Get directions" links for Google
+ * Maps, Apple Maps and Waze.
+ *
+ * With JavaScript, a button over the image swaps it for an interactive
+ * Leaflet map. Leaflet and its tiles only load when the visitor asks for the
+ * map; the tile source and library URLs are set in content/map.json. When the
+ * visitor asks to save data (prefers-reduced-data or Save-Data), the light SVG
+ * map is shown instead of the image and Leaflet is not fetched ahead of time.
+ *
+ * @module church-map
+ */
+
+import { I18N_CHANGED_EVENT, t } from '../utils/i18n.js';
+import { createDisposable } from '../utils/disposable.js';
+
+/**
+ * Map configuration
+ * @private
+ */
+const MAP_CONFIG = Object.freeze({
+  // Resolved from this module so the localized pages (/yo/ etc.) load the same settings
+  DATA_URL: new URL('../../content/map.json', import.meta.url),
+  TIMEOUT: 8000,
+  SCRIPT_TIMEOUT: 15000,
+  DEFAULT_ZOOM: 16,
+  REDUCED_DATA_QUERY: '(prefers-reduced-data: reduce)',
+  // Next to the static image, so the path also works from the localized pages
+  LIGHT_IMAGE_NAME: 'map-static.svg',
+  IMAGE_MISSING_CLASS: 'is-image-missing',
+  INTERACTIVE_CLASS: 'is-interactive'
+});
+
+/**
+ * Directions deep links, by app
+ * @private
+ */
+const DIRECTIONS_URLS = Object.freeze({
+  google: ({ latitude, longitude }) => `https://www.google.com/maps/dir/?${new URLSearchParams({
+    api: '1',
+    destination: `${latitude},${longitude}`
+  })}`,
+  apple: ({ latitude, longitude, name }) => `https://maps.apple.com/?${new URLSearchParams({
+    daddr: `${latitude},${longitude}`,
+    ...(name ? { q: name } : {})
+  })}`,
+  waze: ({ latitude, longitude }) => `https://waze.com/ul?${new URLSearchParams({
+    ll: `${latitude},${longitude}`,
+    navigate: 'yes'
+  })}`
+});
+
+/**
+ * Church location for the map
+ * @typedef {Object} MapLocation
+ * @property {string} name - Church name
+ * @property {string} address - Street and city, for the marker popup
+ * @property {number} latitude - Latitude in degrees
+ * @property {number} longitude - Longitude in degrees
+ */
+
+/**
+ * Component state
+ * @private
+ */
+const mapState = {
+  container: null,
+  elements: {},
+  location: null,
+  settings: null,
+  reducedData: false,
+  map: null,
+  loading: false,
+  disposable: null
+};
+
+/**
+ * Leaflet loads in progress or done, by URL
+ * @type {Map<string, Promise<void>>}
+ * @private
+ */
+const assetLoads = new Map();
+
+/**
+ * Initializes the church map
+ * Without coordinates or settings the static image and links are left as they are
+ *
+ * @returns {Promise<import('../utils/disposable.js').Disposable|null>} Handle that restores the
+ *   static map when destroyed, or null if there is no map or no coordinates
+ */
+export async function initChurchMap() {
+  const container = document.querySelector('[data-church-map]');
+
+  if (!container) {
+    console.warn('Church map not found on page');
+    return null;
+  }
+
+  const location = getMapLocation();
+
+  if (!location) {
+    console.warn('No coordinates in structured data, keeping the map links');
+    return null;
+  }
+
+  cleanupChurchMap();
+
+  const disposable = createDisposable('church-map');
+  mapState.disposable = disposable;
+  disposable.defer(resetChurchMap);
+  mapState.container = container;
+  mapState.location = location;
+  mapState.reducedData = prefersReducedData();
+  mapState.elements = {
+    view: container.querySelector('[data-church-map-view]'),
+    link: container.querySelector('[data-church-map-static]'),
+    image: container.querySelector('[data-church-map-image]'),
+    open: container.querySelector('[data-church-map-open]'),
+    attribution: container.querySelector('[data-church-map-attribution]'),
+    note: container.querySelector('[data-church-map-note]'),
+    status: container.querySelector('[data-church-map-status]')
+  };
+
+  updateDirectionsLinks(container, location);
+  showStaticImage();
+
+  try {
+    mapState.settings = await fetchMapSettings();
+  } catch (error) {
+    // The static image keeps its error listener
+    console.warn('Unable to load map settings, keeping the static map:', error.message);
+    return disposable;
+  }
+
+  // Cleaned up while the settings were loading
+  if (disposable.isDestroyed()) {
+    return null;
+  }
+
+  addListeners();
+  showOpenButton();
+
+  console.log('Church map initialized successfully');
+  return disposable;
+}
+
+/**
+ * Reads the church name, address and coordinates from the JSON-LD block
+ *
+ * @returns {MapLocation|null}
+ * @private
+ */
+function getMapLocation() {
+  const script = document.querySelector('script[type="application/ld+json"]');
+
+  if (!script) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(script.textContent);
+    const latitude = Number(data.geo?.latitude);
+    const longitude = Number(data.geo?.longitude);
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return null;
+    }
+
+    return {
+      name: data.name || '',
+      address: [data.address?.streetAddress, data.address?.addressLocality].filter(Boolean).join(', '),
+      latitude,
+      longitude
+    };
+  } catch (error) {
+    console.warn('Unable to read church location from structured data:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Whether the visitor has asked to save data
+ *
+ * @returns {boolean}
+ * @private
+ */
+function prefersReducedData() {
+  return Boolean(window.matchMedia?.(MAP_CONFIG.REDUCED_DATA_QUERY).matches || navigator.connection?.saveData);
+}
+
+/**
+ * Builds a directions link for a maps app
+ *
+ * @param {'google'|'apple'|'waze'} app - Maps app
+ * @param {{latitude: number, longitude: number, name?: string}} location - Destination
+ * @returns {string|null} Deep link, or null for an unknown app
+ */
+export function getDirectionsUrl(app, location) {
+  const build = DIRECTIONS_URLS[app];
+  return build ? build(location) : null;
+}
+
+/**
+ * Points the directions links at the coordinates in the structured data,
+ * so moving the pin only needs the JSON-LD to change
+ *
+ * @param {HTMLElement} container - Map container
+ * @param {MapLocation} location - Church location
+ * @private
+ */
+function updateDirectionsLinks(container, location) {
+  container.querySelectorAll('[data-directions]').forEach((link) => {
+    const url = getDirectionsUrl(link.dataset.directions, location);
+
+    if (url) {
+      link.href = url;
+    }
+  });
+}
+
+/**
+ * Switches to the light SVG map when saving data (for browsers that send
+ * Save-Data but do not support the media query), and marks a missing image
+ * so the open button still has room
+ * @private
+ */
+function showStaticImage() {
+  const { image, note } = mapState.elements;
+
+  if (!image) {
+    return;
+  }
+
+  if (mapState.reducedData && !image.currentSrc.endsWith('.svg')) {
+    image.src = new URL(MAP_CONFIG.LIGHT_IMAGE_NAME, image.src).href;
+  }
+
+  note.hidden = !mapState.reducedData;
+
+  if (image.complete && image.naturalWidth === 0 && image.currentSrc) {
+    mapState.container.classList.add(MAP_CONFIG.IMAGE_MISSING_CLASS);
+    return;
+  }
+
+  mapState.disposable.listen(image, 'error', () => {
+    mapState.container?.classList.add(MAP_CONFIG.IMAGE_MISSING_CLASS);
+  }, { once: true });
+}
+
+/**
+ * Fetches content/map.json
+ *
+ * @returns {Promise<Object>}
+ * @private
+ */
+async function fetchMapSettings() {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), MAP_CONFIG.TIMEOUT);
+
+  try {
+    const response = await fetch(MAP_CONFIG.DATA_URL, {
+      headers: { 'Accept': 'application/json' },
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Map settings responded with status ${response.status}`);
+    }
+
+    const settings = await response.json();
+
+    if (!settings.tiles?.url || !settings.leaflet?.script?.url) {
+      throw new Error('Map settings need tiles.url and leaflet.script.url');
+    }
+
+    return settings;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Covers the image with the open button; the image link is taken out of the
+ * tab order and the accessibility tree, since the button replaces it
+ * @private
+ */
+function showOpenButton() {
+  const { link, open } = mapState.elements;
+
+  link.tabIndex = -1;
+  link.setAttribute('aria-hidden', 'true');
+  open.hidden = false;
+}
+
+/**
+ * Adds listeners for the open button and language changes
+ * @private
+ */
+function addListeners() {
+  const { disposable } = mapState;
+  const { open } = mapState.elements;
+
+  disposable.listen(open, 'click', openInteractiveMap);
+
+  // Warm up Leaflet when the visitor looks likely to open the map
+  if (!mapState.reducedData) {
+    disposable.listen(open, 'pointerenter', preloadLeaflet, { once: true });
+    disposable.listen(open, 'focus', preloadLeaflet, { once: true });
+  }
+
+  disposable.listen(document, I18N_CHANGED_EVENT, () => {
+    mapState.map?.getContainer().setAttribute('aria-label', t('map.mapLabel', 'Interactive map of the church location'));
+  });
+}
+
+/**
+ * Starts loading Leaflet in the background; failures surface when the map is opened
+ * @private
+ */
+function preloadLeaflet() {
+  loadLeaflet(mapState.settings.leaflet).catch((error) => {
+    console.warn('Unable to preload the map library:', error.message);
+  });
+}
+
+/**
+ * Loads a script or stylesheet once, with its integrity hash
+ *
+ * @param {'script'|'stylesheet'} type - Asset type
+ * @param {{url: string, integrity?: string}} asset - Asset URL and hash
+ * @returns {Promise<void>}
+ * @private
+ */
+function loadAsset(type, asset) {
+  if (assetLoads.has(asset.url)) {
+    return assetLoads.get(asset.url);
+  }
+
+  const load = new Promise((resolve, reject) => {
+    const element = document.createElement(type === 'script' ? 'script' : 'link');
+    const timeoutId = setTimeout(() => fail(new Error(`Timed out loading ${asset.url}`)), MAP_CONFIG.SCRIPT_TIMEOUT);
+
+    function fail(error) {
+      clearTimeout(timeoutId);
+      element.remove();
+      assetLoads.delete(asset.url);
+      reject(error);
+    }
+
+    if (type === 'script') {
+      element.src = asset.url;
+      element.async = true;
+    } else {
+      element.rel = 'stylesheet';
+      element.href = asset.url;
+    }
+
+    if (asset.integrity) {
+      element.integrity = asset.integrity;
+      element.crossOrigin = 'anonymous';
+    }
+
+    element.onload = () => {
+      clearTimeout(timeoutId);
+      resolve();
+    };
+    element.onerror = () => fail(new Error(`Unable to load ${asset.url}`));
+
+    document.head.appendChild(element);
+  });
+
+  assetLoads.set(asset.url, load);
+  return load;
+}
+
+/**
+ * Loads the Leaflet stylesheet and script
+ *
+ * @param {Object} leaflet - leaflet settings from content/map.json
+ * @returns {Promise<void>}
+ * @private
+ */
+async function loadLeaflet(leaflet) {
+  await Promise.all([
+    leaflet.stylesheet ? loadAsset('stylesheet', leaflet.stylesheet) : null,
+    loadAsset('script', leaflet.script)
+  ]);
+
+  if (!window.L?.map) {
+    throw new Error('Leaflet did not load');
+  }
+}
+
+/**
+ * Replaces the static image with the interactive map
+ * The static image stays if Leaflet or the tiles cannot be loaded
+ * @private
+ */
+async function openInteractiveMap() {
+  const { open, status } = mapState.elements;
+  const { disposable } = mapState;
+
+  if (mapState.map || mapState.loading) {
+    return;
+  }
+
+  mapState.loading = true;
+  open.setAttribute('aria-busy', 'true');
+  status.textContent = t('map.loading', 'Loading the interactive map…');
+
+  try {
+    await loadLeaflet(mapState.settings.leaflet);
+
+    // Cleaned up while Leaflet was loading
+    if (disposable.isDestroyed()) {
+      return;
+    }
+
+    createMap();
+    status.textContent = t('map.loaded', 'Interactive map loaded. Use the arrow keys to move and + or - to zoom.');
+
+    if (typeof window.gtag === 'function') {
+      window.gtag('event', 'map_open', {
+        'event_category': 'engagement',
+        'event_label': 'contact_map'
+      });
+    }
+  } catch (error) {
+    console.warn('Unable to load the interactive map:', error.message);
+    status.textContent = t('map.failed', 'The interactive map could not be loaded. Use the directions links below.');
+  } finally {
+    mapState.loading = false;
+    open.removeAttribute('aria-busy');
+  }
+}
+
+/**
+ * Builds the Leaflet map in place of the static image and focuses it
+ * @private
+ */
+function createMap() {
+  const { view, link, open, attribution } = mapState.elements;
+  const { location, settings } = mapState;
+  const { L } = window;
+  const centre = [location.latitude, location.longitude];
+
+  const canvas = document.createElement('div');
+  canvas.className = 'church-map-canvas';
+  view.appendChild(canvas);
+
+  const zoom = Number(settings.zoom) || MAP_CONFIG.DEFAULT_ZOOM;
+  const map = L.map(canvas, { scrollWheelZoom: false }).setView(centre, zoom);
+
+  L.tileLayer(settings.tiles.url, {
+    attribution: settings.tiles.attribution || '',
+    maxZoom: Number(settings.tiles.maxZoom) || 19
+  }).addTo(map);
+
+  L.marker(centre, { alt: location.name, title: location.name })
+    .addTo(map)
+    .bindPopup(createPopup(location));
+
+  canvas.setAttribute('aria-label', t('map.mapLabel', 'Interactive map of the church location'));
+  link.hidden = true;
+  open.hidden = true;
+  attribution.hidden = true;
+  mapState.container.classList.add(MAP_CONFIG.INTERACTIVE_CLASS);
+  mapState.map = map;
+
+  canvas.focus();
+}
+
+/**
+ * Marker popup with the church name and address
+ *
+ * @param {MapLocation} location - Church location
+ * @returns {HTMLElement}
+ * @private
+ */
+function createPopup(location) {
+  const popup = document.createElement('p');
+  const name = document.createElement('strong');
+
+  name.textContent = location.name;
+  popup.append(name, document.createElement('br'), location.address);
+  return popup;
+}
+
+/**
+ * Cleanup function for the church map
+ * Removes the interactive map and listeners and restores the static image
+ *
+ * @returns {void}
+ */
+export function cleanupChurchMap() {
+  mapState.disposable?.destroy();
+}
+
+/**
+ * Removes the interactive map once the handle is destroyed
+ * @private
+ */
+function resetChurchMap() {
+  mapState.disposable = null;
+
+  if (mapState.map) {
+    const canvas = mapState.map.getContainer();
+    mapState.map.remove();
+    canvas.remove();
+    mapState.map = null;
+  }
+
+  const { link, open, attribution } = mapState.elements;
+
+  if (link) {
+    link.hidden = false;
+    link.removeAttribute('tabindex');
+    link.removeAttribute('aria-hidden');
+    open.hidden = true;
+    attribution.hidden = false;
+  }
+
+  mapState.container?.classList.remove(MAP_CONFIG.INTERACTIVE_CLASS);
+  mapState.container = null;
+  mapState.elements = {};
+  mapState.location = null;
+  mapState.settings = null;
+  mapState.loading = false;
+
+  console.log('Church map cleaned up');
+}
+
+export default {
+  initChurchMap,
+  cleanupChurchMap,
+  getDirectionsUrl
+};
@@ -2,8 +2,11 @@
  * Contact Form Component Module
  * 
  * Handles contact form functionality including real-time validation,
- * form submission to Formspree, success/error message display,
+ * form submission through a configurable transport (Formspree, Netlify,
+ * custom JSON endpoint or mailto), success/error message display,
  * form reset, and loading states with comprehensive error handling.
+ * Submissions that fail on a bad connection are queued in IndexedDB
+ * and sent again automatically once the visitor is back online.
  * 
  * @module contact-form
  */
@@ -14,24 +17,20 @@ import {
   validatePhone,
   validateSelect,
   validateMessage,
-  validateField,
-  clearError,
   clearAllErrors,
   showSuccess,
-  showFormError,
-  sanitizeInput
+  showFormError
 } from '../utils/validation.js';
-
-/**
- * Formspree configuration
- * @private
- */
-const FORMSPREE_CONFIG = Object.freeze({
-  ENDPOINT: 'https://formspree.io/f/YOUR_FORM_ID',
-  TIMEOUT: 10000,
-  MAX_RETRIES: 2,
-  RETRY_DELAY: 1000
-});
+import { createFormEngine } from '../utils/form-engine.js';
+import { resolveTransport } from '../utils/form-transports.js';
+import {
+  isQueueSupported,
+  createIdempotencyKey,
+  flushQueue
+} from '../utils/offline-queue.js';
+import { sendSubmission } from '../utils/form-submission.js';
+import { t } from '../utils/i18n.js';
+import { createDisposable } from '../utils/disposable.js';
 
 /**
  * Form state management
@@ -39,70 +38,59 @@ const FORMSPREE_CONFIG = Object.freeze({
  */
 const formState = {
   isSubmitting: false,
-  retryCount: 0,
-  abortController: null
+  abortController: null,
+  engine: null,
+  disposable: null
 };
 
 /**
  * Initializes contact form functionality
  * Sets up event listeners and validation
  * 
- * @returns {void}
+ * @returns {import('../utils/disposable.js').Disposable|null} Handle that cancels pending
+ *   requests and removes the listeners when destroyed, or null if there is no form
  */
 export function initContactForm() {
   const form = document.querySelector('.contact-form');
   
   if (!form) {
     console.warn('Contact form not found on page');
-    return;
+    return null;
   }
 
+  cleanupContactForm();
+  formState.disposable = createDisposable('contact-form');
+  formState.disposable.defer(resetContactForm);
+
   try {
     setupFormValidation(form);
     setupFormSubmission(form);
     setupFormReset(form);
+    setupOfflineQueue();
     
     console.info('Contact form initialized successfully');
   } catch (error) {
     console.error('Failed to initialize contact form:', error);
     showFormError(
       getStatusContainer(form),
-      'Failed to initialize contact form. Please refresh the page.'
+      t('form.status.initFailed', 'Failed to initialize contact form. Please refresh the page.')
     );
   }
+
+  // Returned even after a failure so what was set up can be removed
+  return formState.disposable;
 }
 
 /**
  * Sets up real-time validation for form fields
+ * Rules come from the fields' attributes (see form-engine.js)
  * 
  * @param {HTMLFormElement} form - Form element
  * @private
  */
 function setupFormValidation(form) {
-  const fields = form.querySelectorAll('input, select, textarea');
-  
-  fields.forEach(field => {
-    // Validate on blur for better UX
-    field.addEventListener('blur', () => {
-      if (field.value.trim() || field.hasAttribute('required')) {
-        validateField(field);
-      }
-    });
-
-    // Clear errors on input
-    field.addEventListener('input', () => {
-      if (field.getAttribute('aria-invalid') === 'true') {
-        clearError(field);
-      }
-    });
-
-    // Special handling for select fields
-    if (field.tagName === 'SELECT') {
-      field.addEventListener('change', () => {
-        validateField(field);
-      });
-    }
-  });
+  formState.engine = createFormEngine(form);
+  formState.engine.attach();
 }
 
 /**
@@ -112,7 +100,7 @@ function setupFormValidation(form) {
  * @private
  */
 function setupFormSubmission(form) {
-  form.addEventListener('submit', async (event) => {
+  formState.disposable.listen(form, 'submit', async (event) => {
     event.preventDefault();
     
     if (formState.isSubmitting) {
@@ -134,14 +122,33 @@ function setupFormReset(form) {
   const resetButton = form.querySelector('button[type="reset"]');
   
   if (resetButton) {
-    resetButton.addEventListener('click', () => {
+    formState.disposable.listen(resetButton, 'click', () => {
       clearAllErrors(form);
       clearStatusMessages(form);
-      formState.retryCount = 0;
     });
   }
 }
 
+/**
+ * Sends any queued submissions now and whenever the connection returns
+ *
+ * @private
+ */
+function setupOfflineQueue() {
+  if (!isQueueSupported()) {
+    return;
+  }
+
+  formState.disposable.listen(window, 'online', flushQueuedSubmissions);
+
+  // The service worker reports submissions it sent through background sync
+  formState.disposable.listen(navigator.serviceWorker, 'message', handleWorkerMessage);
+
+  if (navigator.onLine) {
+    flushQueuedSubmissions();
+  }
+}
+
 /**
  * Handles form submission with validation and API call
  * 
@@ -158,36 +165,42 @@ async function handleFormSubmit(form) {
     clearStatusMessages(form);
     
     // Validate all fields
-    if (!validateAllFields(form)) {
+    if (!(await formState.engine.validate())) {
       showFormError(
         statusContainer,
-        'Please correct the errors in the form before submitting.'
+        t('form.status.invalid', 'Please correct the errors in the form before submitting.')
       );
       return;
     }
 
     // Collect and sanitize form data
-    const formData = collectFormData(form);
+    const formData = collectFormData();
     
     // Set loading state
     setLoadingState(submitButton, true);
     formState.isSubmitting = true;
 
-    // Submit to Formspree
-    const result = await submitToFormspree(formData);
+    // Submit through the configured transport; the key stays the same
+    // across retries and the offline queue so the message is sent once
+    const result = await submitForm(form, formData, createIdempotencyKey());
 
     if (result.success) {
-      handleSubmissionSuccess(form, statusContainer);
+      handleSubmissionSuccess(form, statusContainer, result);
     } else {
       handleSubmissionError(form, statusContainer, result.error);
     }
 
   } catch (error) {
+    // Cancelled by cleanupContactForm(); the form is being torn down
+    if (error.name === 'AbortError') {
+      return;
+    }
+
     console.error('Form submission error:', error);
     handleSubmissionError(
       form,
       statusContainer,
-      'An unexpected error occurred. Please try again.'
+      t('form.status.unexpected', 'An unexpected error occurred. Please try again.')
     );
   } finally {
     setLoadingState(submitButton, false);
@@ -195,51 +208,15 @@ async function handleFormSubmit(form) {
   }
 }
 
-/**
- * Validates all form fields
- * 
- * @param {HTMLFormElement} form - Form element
- * @returns {boolean} True if all fields are valid
- * @private
- */
-function validateAllFields(form) {
-  clearAllErrors(form);
-  
-  const fields = form.querySelectorAll('input, select, textarea');
-  let isValid = true;
-  let firstInvalidField = null;
-
-  fields.forEach(field => {
-    const fieldValid = validateField(field);
-    if (!fieldValid) {
-      isValid = false;
-      if (!firstInvalidField) {
-        firstInvalidField = field;
-      }
-    }
-  });
-
-  if (!isValid && firstInvalidField) {
-    firstInvalidField.focus();
-  }
-
-  return isValid;
-}
-
 /**
  * Collects and sanitizes form data
  * 
- * @param {HTMLFormElement} form - Form element
  * @returns {Object} Sanitized form data
  * @private
  */
-function collectFormData(form) {
-  const formData = new FormData(form);
-  const data = {};
-
-  for (const [key, value] of formData.entries()) {
-    data[key] = sanitizeInput(String(value).trim());
-  }
+function collectFormData() {
+  // NFC-normalized, trimmed and escaped; phone numbers in E.164
+  const data = formState.engine.getPayload();
 
   // Add metadata
   data._subject = `Contact Form: ${data.subject || 'General Inquiry'}`;
@@ -250,137 +227,86 @@ function collectFormData(form) {
 }
 
 /**
- * Submits form data to Formspree with retry logic
+ * Submits form data through the form's transport with retry logic
+ * Falls back to the offline queue when the connection is the problem
  * 
+ * @param {HTMLFormElement} form - Form element
  * @param {Object} data - Form data to submit
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @param {string} idempotencyKey - Unique key for this submission
+ * @returns {Promise<{success: boolean, handoff?: boolean, queued?: boolean, error?: string}>}
  * @private
  */
-async function submitToFormspree(data) {
+async function submitForm(form, data, idempotencyKey) {
   formState.abortController = new AbortController();
-  
-  try {
-    const response = await fetchWithTimeout(
-      FORMSPREE_CONFIG.ENDPOINT,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify(data),
-        signal: formState.abortController.signal
-      },
-      FORMSPREE_CONFIG.TIMEOUT
-    );
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        errorData.error || 
-        `Server responded with status ${response.status}`
-      );
-    }
-
-    const result = await response.json();
-    
-    if (result.ok) {
-      formState.retryCount = 0;
-      return { success: true };
-    } else {
-      throw new Error(result.error || 'Form submission failed');
-    }
 
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      return { 
-        success: false, 
-        error: 'Request timed out. Please check your connection and try again.' 
-      };
-    }
-
-    // Retry logic for network errors
-    if (shouldRetry(error) && formState.retryCount < FORMSPREE_CONFIG.MAX_RETRIES) {
-      formState.retryCount++;
-      console.warn(`Retrying form submission (attempt ${formState.retryCount})...`);
-      
-      await delay(FORMSPREE_CONFIG.RETRY_DELAY * formState.retryCount);
-      return submitToFormspree(data);
-    }
-
-    return { 
-      success: false, 
-      error: getErrorMessage(error) 
-    };
+  try {
+    return await sendSubmission(resolveTransport(form), data, {
+      idempotencyKey,
+      signal: formState.abortController.signal
+    });
   } finally {
     formState.abortController = null;
   }
 }
 
 /**
- * Fetch with timeout support
- * 
- * @param {string} url - URL to fetch
- * @param {Object} options - Fetch options
- * @param {number} timeout - Timeout in milliseconds
- * @returns {Promise<Response>}
+ * Sends queued submissions and reports the outcome on the form
+ *
+ * @returns {Promise<void>}
  * @private
  */
-async function fetchWithTimeout(url, options, timeout) {
-  const timeoutId = setTimeout(() => {
-    if (options.signal) {
-      options.signal.abort();
-    }
-  }, timeout);
-
+async function flushQueuedSubmissions() {
   try {
-    const response = await fetch(url, options);
-    clearTimeout(timeoutId);
-    return response;
+    reportQueueResult(await flushQueue());
   } catch (error) {
-    clearTimeout(timeoutId);
-    throw error;
+    console.warn('Unable to send queued form submissions:', error);
   }
 }
 
 /**
- * Determines if request should be retried
- * 
- * @param {Error} error - Error object
- * @returns {boolean}
+ * Handles messages from the service worker
+ *
+ * @param {MessageEvent} event - Message event
  * @private
  */
-function shouldRetry(error) {
-  const retryableErrors = [
-    'Failed to fetch',
-    'NetworkError',
-    'Network request failed',
-    'ECONNREFUSED',
-    'ETIMEDOUT'
-  ];
-
-  return retryableErrors.some(msg => 
-    error.message.includes(msg)
-  );
+function handleWorkerMessage(event) {
+  if (event.data?.type === 'queue-flushed') {
+    reportQueueResult(event.data);
+  }
 }
 
 /**
- * Gets user-friendly error message
- * 
- * @param {Error} error - Error object
- * @returns {string}
+ * Shows the outcome of sending queued submissions
+ *
+ * @param {{sent: number, rejected: number}} result - Flush result
  * @private
  */
-function getErrorMessage(error) {
-  if (error.message.includes('Failed to fetch')) {
-    return 'Unable to connect to the server. Please check your internet connection and try again.';
+function reportQueueResult({ sent, rejected }) {
+  const form = document.querySelector('.contact-form');
+
+  if (!form) {
+    return;
   }
-  
-  if (error.message.includes('NetworkError')) {
-    return 'Network error occurred. Please check your connection and try again.';
+
+  if (sent > 0) {
+    showSuccess(
+      getStatusContainer(form),
+      sent === 1
+        ? t('form.status.queueSentOne', 'Your saved message has now been sent. Thank you!')
+        : t('form.status.queueSentMany', 'Your {count} saved messages have now been sent. Thank you!', { count: sent })
+    );
+    trackFormSubmission('queued_sent');
   }
 
-  return error.message || 'An error occurred while submitting the form. Please try again.';
+  if (rejected > 0) {
+    showFormError(
+      getStatusContainer(form),
+      t(
+        'form.status.queueRejected',
+        'A message saved while you were offline could not be delivered. Please send it again or contact us by phone.'
+      )
+    );
+  }
 }
 
 /**
@@ -388,12 +314,50 @@ function getErrorMessage(error) {
  * 
  * @param {HTMLFormElement} form - Form element
  * @param {HTMLElement} statusContainer - Status message container
+ * @param {{handoff?: boolean, queued?: boolean, queueReason?: string}} [result={}] - Submission outcome
  * @private
  */
-function handleSubmissionSuccess(form, statusContainer) {
+function handleSubmissionSuccess(form, statusContainer, result = {}) {
+  if (result.handoff) {
+    // Keep the form filled in case the mail app did not open
+    showSuccess(
+      statusContainer,
+      t(
+        'form.status.handoff',
+        'Your email app should now open with your message. Please press send there to reach us.'
+      )
+    );
+    announceToScreenReader(t('form.announce.handoff', 'Opening your email app'));
+    trackFormSubmission('handoff');
+    return;
+  }
+
+  if (result.queued) {
+    const serverBusy = result.queueReason === 'server';
+    showSuccess(
+      statusContainer,
+      serverBusy
+        ? t(
+          'form.status.queuedServer',
+          'Our message service is having trouble right now, so your message has been saved. We will try sending it again automatically.'
+        )
+        : t(
+          'form.status.queued',
+          'You appear to be offline, so your message has been saved. It will be sent automatically when you are back online.'
+        )
+    );
+    form.reset();
+    clearAllErrors(form);
+    announceToScreenReader(serverBusy
+      ? t('form.announce.queuedServer', 'Message saved and will be sent again automatically')
+      : t('form.announce.queued', 'Message saved and will be sent when you are back online'));
+    trackFormSubmission('queued');
+    return;
+  }
+
   showSuccess(
     statusContainer,
-    'Thank you for your message! We will get back to you as soon as possible.'
+    t('form.status.success', 'Thank you for your message! We will get back to you as soon as possible.')
   );
 
   // Reset form after successful submission
@@ -401,7 +365,7 @@ function handleSubmissionSuccess(form, statusContainer) {
   clearAllErrors(form);
 
   // Announce success to screen readers
-  announceToScreenReader('Form submitted successfully');
+  announceToScreenReader(t('form.announce.success', 'Form submitted successfully'));
 
   // Track submission (if analytics available)
   trackFormSubmission('success');
@@ -419,7 +383,7 @@ function handleSubmissionError(form, statusContainer, errorMessage) {
   showFormError(statusContainer, errorMessage);
 
   // Announce error to screen readers
-  announceToScreenReader(`Form submission failed: ${errorMessage}`);
+  announceToScreenReader(t('form.announce.failed', 'Form submission failed: {error}', { error: errorMessage }));
 
   // Track submission error (if analytics available)
   trackFormSubmission('error', errorMessage);
@@ -444,7 +408,7 @@ function setLoadingState(button, isLoading) {
     button.setAttribute('aria-busy', 'true');
     
     if (buttonText) {
-      buttonText.textContent = 'Sending...';
+      buttonText.textContent = t('form.sending', 'Sending...');
     }
     
     button.classList.add('loading');
@@ -453,7 +417,7 @@ function setLoadingState(button, isLoading) {
     button.setAttribute('aria-busy', 'false');
     
     if (buttonText) {
-      buttonText.textContent = 'Send Message';
+      buttonText.textContent = t('form.submit', 'Send Message');
     }
     
     button.classList.remove('loading');
@@ -501,6 +465,11 @@ function clearStatusMessages(form) {
  * @private
  */
 function announceToScreenReader(message) {
+  // The form has been torn down; there is nothing to announce
+  if (!formState.disposable) {
+    return;
+  }
+
   const announcement = document.createElement('div');
   announcement.setAttribute('role', 'status');
   announcement.setAttribute('aria-live', 'polite');
@@ -509,9 +478,10 @@ function announceToScreenReader(message) {
   
   document.body.appendChild(announcement);
   
-  setTimeout(() => {
-    document.body.removeChild(announcement);
-  }, 1000);
+  // Removed after a second, or on cleanup if that comes first
+  const removeAnnouncement = () => announcement.remove();
+  formState.disposable.setTimeout(removeAnnouncement, 1000);
+  formState.disposable.defer(removeAnnouncement);
 }
 
 /**
@@ -535,17 +505,6 @@ function trackFormSubmission(status, error) {
   }
 }
 
-/**
- * Delays execution
- * 
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>}
- * @private
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Cleanup function for form
  * Cancels pending requests and removes event listeners
@@ -553,20 +512,27 @@ function delay(ms) {
  * @returns {void}
  */
 export function cleanupContactForm() {
+  formState.disposable?.destroy();
+}
+
+/**
+ * Cancels a pending request and resets the form state once the handle is destroyed
+ * @private
+ */
+function resetContactForm() {
+  formState.disposable = null;
+
   if (formState.abortController) {
     formState.abortController.abort();
     formState.abortController = null;
   }
-  
+
+  if (formState.engine) {
+    formState.engine.destroy();
+    formState.engine = null;
+  }
+
   formState.isSubmitting = false;
-  formState.retryCount = 0;
   
   console.info('Contact form cleaned up');
 }
-
-// Initialize on DOM ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initContactForm);
-} else {
-  initContactForm();
-}
\ No newline at end of file
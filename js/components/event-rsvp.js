@@ -0,0 +1,958 @@
+/**
+ * Event RSVP Component Module
+ *
+ * Adds registration to event cards whose feed entry has a "registration"
+ * object (see RegistrationSettings in rsvp-backends.js). Each card shows the places left and
+ * a Register button that opens an inline form asking for the number of
+ * attendees and the event's own questions. Once an event is full, new
+ * registrations join its waitlist, if it has one. Visitors get a reference
+ * code and can download a confirmation.
+ *
+ * Registrations go to the backend named on the events section
+ * (data-rsvp-backend, see rsvp-backends.js). Without a usable backend the
+ * cards are left as they are.
+ *
+ * @module event-rsvp
+ */
+
+import { getRenderedEvents } from './events.js';
+import { createFormEngine } from '../utils/form-engine.js';
+import { createIdempotencyKey } from '../utils/offline-queue.js';
+import { normalizeRegistration, resolveRsvpBackend } from '../utils/rsvp-backends.js';
+import { downloadFile } from '../utils/download.js';
+import { clearAllErrors, showFormError } from '../utils/validation.js';
+import { getLocale, I18N_CHANGED_EVENT, t } from '../utils/i18n.js';
+import { createDisposable } from '../utils/disposable.js';
+
+/**
+ * RSVP configuration
+ * @private
+ */
+const RSVP_CONFIG = Object.freeze({
+  SECTION_SELECTOR: '#events',
+  RENDERED_EVENT: 'events:rendered',
+  TIMEOUT: 10000,
+  CHURCH_NAME: 'Living Faith Christian Center',
+  TIME_ZONE: 'Africa/Lagos',
+  FILE_TYPE: 'text/plain;charset=utf-8'
+});
+
+/**
+ * Component state
+ * @private
+ */
+const rsvpState = {
+  selection: null,
+  disposable: null,
+  entries: new Map()
+};
+
+/**
+ * Per-card state
+ * @typedef {Object} RsvpEntry
+ * @property {import('./events.js').ChurchEvent} event - Event shown on the card
+ * @property {{id: string, registration: Object}} target - What the backend is given
+ * @property {HTMLElement} card - Event card
+ * @property {HTMLElement} block - RSVP block added to the card
+ * @property {import('../utils/rsvp-backends.js').Availability|null} availability - Last known places
+ * @property {boolean} failed - Whether the places could not be loaded
+ * @property {Object|null} engine - Form engine, once the form has been opened
+ * @property {string|null} idempotencyKey - Kept until a registration succeeds
+ * @property {boolean} isSubmitting - Whether a registration is in flight
+ * @property {Object|null} confirmation - Last registration, for the download
+ */
+
+/**
+ * Initializes RSVP on the event cards
+ *
+ * @returns {import('../utils/disposable.js').Disposable|null} Handle that removes the RSVP
+ *   blocks when destroyed, or null if registrations are not offered
+ */
+export function initEventRsvp() {
+  const section = document.querySelector(RSVP_CONFIG.SECTION_SELECTOR);
+
+  if (!section) {
+    console.warn('Events section not found on page');
+    return null;
+  }
+
+  cleanupEventRsvp();
+
+  rsvpState.selection = resolveRsvpBackend(section);
+
+  if (!rsvpState.selection) {
+    return null;
+  }
+
+  const disposable = createDisposable('event-rsvp');
+  rsvpState.disposable = disposable;
+  disposable.defer(resetEventRsvp);
+
+  disposable.listen(document, RSVP_CONFIG.RENDERED_EVENT, enhanceCards);
+  disposable.listen(document, I18N_CHANGED_EVENT, handleLocaleChanged);
+  disposable.listen(section, 'click', handleClick);
+  disposable.listen(section, 'submit', handleSubmit);
+
+  enhanceCards();
+
+  console.log(`Event RSVP initialized successfully (backend: ${rsvpState.selection.name})`);
+  return disposable;
+}
+
+/**
+ * Adds the RSVP block to rendered cards of events that take registrations
+ * Runs again whenever the events feed re-renders its cards
+ * @private
+ */
+function enhanceCards() {
+  rsvpState.entries.forEach((entry, id) => {
+    if (!entry.card.isConnected) {
+      entry.engine?.destroy();
+      rsvpState.entries.delete(id);
+    }
+  });
+
+  getRenderedEvents().forEach((event) => {
+    const settings = normalizeRegistration(event.registration);
+    const card = document.querySelector(`.event-card[data-event-id="${CSS.escape(event.id)}"]`);
+
+    if (!settings || !card || rsvpState.entries.has(event.id)) {
+      return;
+    }
+
+    const entry = {
+      event,
+      target: { id: event.id, registration: settings },
+      card,
+      block: createRsvpBlock(event),
+      availability: null,
+      failed: false,
+      engine: null,
+      idempotencyKey: null,
+      isSubmitting: false,
+      confirmation: null
+    };
+
+    (card.querySelector('.event-details') || card).appendChild(entry.block);
+    rsvpState.entries.set(event.id, entry);
+    loadAvailability(entry);
+  });
+}
+
+/**
+ * Builds the status line, Register button and (empty) panel for a card
+ *
+ * @param {import('./events.js').ChurchEvent} event - Event
+ * @returns {HTMLElement}
+ * @private
+ */
+function createRsvpBlock(event) {
+  const block = createElement('div', 'event-rsvp');
+  block.dataset.rsvp = event.id;
+
+  const status = createElement('p', 'event-rsvp-status', t('events.rsvp.checking', 'Checking places...'));
+  status.dataset.rsvpStatus = '';
+  status.setAttribute('aria-live', 'polite');
+
+  const toggle = createElement('button', 'btn btn-primary btn-sm event-rsvp-toggle');
+  toggle.type = 'button';
+  toggle.hidden = true;
+  toggle.dataset.rsvpToggle = '';
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.setAttribute('aria-controls', `rsvp-${event.id}`);
+  toggle.appendChild(createElement('span', '', ''));
+  toggle.appendChild(createElement('span', 'sr-only', `: ${event.title}`));
+
+  const panel = createElement('div', 'event-rsvp-panel');
+  panel.id = `rsvp-${event.id}`;
+  panel.hidden = true;
+
+  block.appendChild(status);
+  block.appendChild(toggle);
+  block.appendChild(panel);
+
+  return block;
+}
+
+/**
+ * Asks the backend how many places are left and updates the card
+ *
+ * @param {RsvpEntry} entry - Card state
+ * @returns {Promise<void>}
+ * @private
+ */
+async function loadAvailability(entry) {
+  const { backend, options } = rsvpState.selection;
+
+  try {
+    entry.availability = await withTimeout((signal) => backend.getAvailability(entry.target, { ...options, signal }));
+    entry.failed = false;
+  } catch (error) {
+    // Cancelled by cleanup
+    if (!rsvpState.disposable) {
+      return;
+    }
+
+    console.warn(`Unable to load places for "${entry.event.id}":`, error.message);
+    entry.availability = null;
+    entry.failed = true;
+  }
+
+  renderAvailability(entry);
+}
+
+/**
+ * Runs a backend call with a timeout; component cleanup also cancels it
+ *
+ * @param {function(AbortSignal): Promise<*>} run - Backend call
+ * @returns {Promise<*>}
+ * @private
+ */
+async function withTimeout(run) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timeoutId = setTimeout(abort, RSVP_CONFIG.TIMEOUT);
+  const cleanupSignal = rsvpState.disposable.signal;
+
+  cleanupSignal.addEventListener('abort', abort);
+
+  try {
+    return await run(controller.signal);
+  } finally {
+    clearTimeout(timeoutId);
+    cleanupSignal.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Shows the places left and whether the visitor can register or join the waitlist
+ *
+ * @param {RsvpEntry} entry - Card state
+ * @private
+ */
+function renderAvailability(entry) {
+  const { availability, block } = entry;
+  const toggle = block.querySelector('[data-rsvp-toggle]');
+  const mode = getRegistrationMode(entry);
+
+  block.querySelector('[data-rsvp-status]').textContent = getAvailabilityText(entry);
+  block.dataset.rsvpMode = mode;
+
+  toggle.hidden = mode === 'none';
+  toggle.firstChild.textContent = mode === 'waitlist'
+    ? t('events.rsvp.joinWaitlist', 'Join the waitlist')
+    : t('events.rsvp.register', 'Register');
+
+  if (mode === 'none') {
+    setPanelOpen(entry, false);
+  }
+
+  const form = block.querySelector('.event-rsvp-form');
+
+  if (form && availability) {
+    updateFormLimits(entry, form);
+  }
+}
+
+/**
+ * Works out what the card offers
+ *
+ * @param {RsvpEntry} entry - Card state
+ * @returns {'register'|'waitlist'|'none'}
+ * @private
+ */
+function getRegistrationMode({ availability }) {
+  if (!availability || availability.closed) {
+    return 'none';
+  }
+
+  if (availability.remaining > 0) {
+    return 'register';
+  }
+
+  return availability.waitlist ? 'waitlist' : 'none';
+}
+
+/**
+ * Builds the status line text
+ *
+ * @param {RsvpEntry} entry - Card state
+ * @returns {string}
+ * @private
+ */
+function getAvailabilityText({ availability, failed }) {
+  if (failed || !availability) {
+    return failed
+      ? t('events.rsvp.unavailable', 'Online registration is unavailable right now. Please try again later.')
+      : t('events.rsvp.checking', 'Checking places...');
+  }
+
+  if (availability.closed) {
+    return t('events.rsvp.closed', 'Registration has closed');
+  }
+
+  if (availability.remaining === 1) {
+    return t('events.rsvp.placesLeftOne', '1 place left');
+  }
+
+  if (availability.remaining > 0) {
+    return t('events.rsvp.placesLeft', '{count} places left', { count: availability.remaining });
+  }
+
+  return availability.waitlist
+    ? t('events.rsvp.fullWaitlist', 'Fully booked - waitlist open')
+    : t('events.rsvp.full', 'Fully booked');
+}
+
+/**
+ * Keeps the attendee limit, hint and submit label in step with the places left
+ * Without a waitlist a party can only be as large as the places left
+ *
+ * @param {RsvpEntry} entry - Card state
+ * @param {HTMLFormElement} form - Registration form
+ * @private
+ */
+function updateFormLimits(entry, form) {
+  const { availability, target } = entry;
+  const { maxPartySize } = target.registration;
+  const max = availability.waitlist ? maxPartySize : Math.min(maxPartySize, availability.remaining);
+  const attendees = form.elements.namedItem('attendees');
+  const hint = form.querySelector('[data-rsvp-attendees-hint]');
+  const fitsOnlySome = availability.waitlist && availability.remaining > 0 && availability.remaining < maxPartySize;
+
+  attendees.max = String(Math.max(max, 1));
+
+  hint.textContent = fitsOnlySome
+    ? t(
+      'events.rsvp.partyWaitlistHint',
+      'Up to {max} people. A party of more than {count} joins the waitlist.',
+      { max, count: availability.remaining }
+    )
+    : t('events.rsvp.partyHint', 'Up to {max} people per registration', { max });
+
+  form.querySelector('button[type="submit"]').textContent = getRegistrationMode(entry) === 'waitlist'
+    ? t('events.rsvp.joinWaitlist', 'Join the waitlist')
+    : t('events.rsvp.submit', 'Confirm registration');
+}
+
+/**
+ * Handles clicks inside the events section (delegated)
+ *
+ * @param {MouseEvent} event - Click event
+ * @private
+ */
+function handleClick(event) {
+  const control = event.target.closest?.('[data-rsvp-toggle], [data-rsvp-cancel], [data-rsvp-download]');
+  const entry = control && rsvpState.entries.get(control.closest('[data-rsvp]')?.dataset.rsvp);
+
+  if (!entry) {
+    return;
+  }
+
+  if (control.hasAttribute('data-rsvp-download')) {
+    downloadConfirmation(entry);
+    return;
+  }
+
+  const open = control.hasAttribute('data-rsvp-toggle') && control.getAttribute('aria-expanded') !== 'true';
+  setPanelOpen(entry, open);
+
+  if (!open) {
+    entry.block.querySelector('[data-rsvp-toggle]').focus();
+  }
+}
+
+/**
+ * Opens or closes a card's registration panel
+ * Opening always starts from the form, building it the first time
+ *
+ * @param {RsvpEntry} entry - Card state
+ * @param {boolean} open - Whether to open the panel
+ * @private
+ */
+function setPanelOpen(entry, open) {
+  const panel = entry.block.querySelector('.event-rsvp-panel');
+  const toggle = entry.block.querySelector('[data-rsvp-toggle]');
+
+  toggle.setAttribute('aria-expanded', String(open));
+  panel.hidden = !open;
+
+  if (!open) {
+    return;
+  }
+
+  if (!entry.engine) {
+    panel.appendChild(createRsvpForm(entry));
+    panel.appendChild(createConfirmation());
+    entry.engine = createFormEngine(panel.querySelector('form'));
+    entry.engine.attach();
+  }
+
+  const form = panel.querySelector('.event-rsvp-form');
+  form.hidden = false;
+  panel.querySelector('.event-rsvp-confirmation').hidden = true;
+  updateFormLimits(entry, form);
+
+  form.elements.namedItem('name').focus();
+}
+
+/**
+ * Builds the registration form for an event
+ *
+ * @param {RsvpEntry} entry - Card state
+ * @returns {HTMLFormElement}
+ * @private
+ */
+function createRsvpForm(entry) {
+  const { event, target } = entry;
+  const prefix = `rsvp-${event.id}`;
+
+  const form = createElement('form', 'event-rsvp-form');
+  form.noValidate = true;
+  form.setAttribute('aria-label', t('events.rsvp.formLabel', 'Register for {event}', { event: event.title }));
+
+  form.appendChild(createField(prefix, {
+    name: 'name',
+    label: labelText('form.name', 'Full Name'),
+    required: true,
+    attributes: { autocomplete: 'name', maxlength: '100', 'data-validate': 'name' }
+  }));
+  form.appendChild(createField(prefix, {
+    name: 'email',
+    type: 'email',
+    label: labelText('form.email', 'Email Address'),
+    required: true,
+    attributes: { autocomplete: 'email', inputmode: 'email', 'data-validate': 'email' }
+  }));
+  form.appendChild(createField(prefix, {
+    name: 'phone',
+    type: 'tel',
+    label: labelText('form.phone', 'Phone Number'),
+    hint: labelText('form.phoneHint', 'Optional - Include country code'),
+    attributes: { autocomplete: 'tel', inputmode: 'tel', 'data-validate': 'phone' }
+  }));
+
+  const attendees = createField(prefix, {
+    name: 'attendees',
+    type: 'number',
+    label: labelText('events.rsvp.attendees', 'Number of attendees'),
+    required: true,
+    hint: createElement('span'),
+    attributes: { value: '1', min: '1', max: String(target.registration.maxPartySize), inputmode: 'numeric' }
+  });
+  attendees.querySelector('.form-hint').dataset.rsvpAttendeesHint = '';
+  form.appendChild(attendees);
+
+  target.registration.questions.forEach((question) => {
+    form.appendChild(createQuestionField(prefix, question));
+  });
+
+  form.appendChild(createFormActions());
+
+  const status = createElement('div', 'form-status');
+  status.setAttribute('role', 'status');
+  status.setAttribute('aria-live', 'polite');
+  status.setAttribute('aria-atomic', 'true');
+  form.appendChild(status);
+
+  return form;
+}
+
+/**
+ * Builds the field for one of the event's own questions
+ * The labels come from the feed and are often questions themselves, so the
+ * messages do not quote them
+ *
+ * @param {string} prefix - Id prefix for the event
+ * @param {import('../utils/rsvp-backends.js').RsvpQuestion} question - Question
+ * @returns {HTMLElement}
+ * @private
+ */
+function createQuestionField(prefix, question) {
+  const field = {
+    name: `answer-${question.id}`,
+    type: question.type,
+    label: document.createTextNode(question.label),
+    required: question.required,
+    options: question.options,
+    attributes: {
+      maxlength: question.type === 'textarea' ? '500' : '200',
+      'data-msg-required': t('events.rsvp.answerRequired', 'Please answer this question'),
+      'data-msg-select-required': t('events.rsvp.answerRequired', 'Please answer this question'),
+      'data-msg-too-long': t('events.rsvp.answerTooLong', 'Please keep your answer under {max} characters')
+    }
+  };
+
+  if (question.type === 'checkbox') {
+    field.attributes = {
+      value: 'yes',
+      'data-msg-required': t('events.rsvp.answerRequired', 'Please answer this question')
+    };
+  }
+
+  return createField(prefix, field);
+}
+
+/**
+ * Builds a form group: label, control, optional hint and error message
+ *
+ * @param {string} prefix - Id prefix for the event
+ * @param {Object} field - Field description
+ * @param {string} field.name - Field name
+ * @param {string} [field.type='text'] - Input type, or select / textarea
+ * @param {Node} field.label - Label content
+ * @param {boolean} [field.required=false] - Whether the field is required
+ * @param {Node} [field.hint] - Hint content
+ * @param {string[]} [field.options] - Choices for a select
+ * @param {Object<string, string>} [field.attributes={}] - Extra attributes
+ * @returns {HTMLElement}
+ * @private
+ */
+function createField(prefix, { name, type = 'text', label, required = false, hint, options, attributes = {} }) {
+  const id = `${prefix}-${name}`;
+  const isCheckbox = type === 'checkbox';
+  const group = createElement('div', isCheckbox ? 'form-group checkbox-group' : 'form-group');
+  const control = createControl(type, options);
+  const describedBy = [hint ? `${id}-hint` : '', `${id}-error`].filter(Boolean).join(' ');
+
+  control.id = id;
+  control.name = name;
+  control.setAttribute('aria-invalid', 'false');
+  control.setAttribute('aria-describedby', describedBy);
+  Object.entries(attributes).forEach(([attribute, value]) => control.setAttribute(attribute, value));
+
+  if (required) {
+    control.required = true;
+    control.setAttribute('aria-required', 'true');
+  }
+
+  const labelElement = createElement('label');
+  labelElement.htmlFor = id;
+  labelElement.appendChild(label);
+
+  if (required) {
+    const marker = createElement('span', '', ' *');
+    marker.setAttribute('aria-hidden', 'true');
+    labelElement.appendChild(marker);
+  }
+
+  group.append(...(isCheckbox ? [control, labelElement] : [labelElement, control]));
+
+  if (hint) {
+    const hintElement = createElement('span', 'form-hint');
+    hintElement.id = `${id}-hint`;
+    hintElement.appendChild(hint);
+    group.appendChild(hintElement);
+  }
+
+  const error = createElement('span', 'error-message');
+  error.id = `${id}-error`;
+  error.setAttribute('role', 'alert');
+  error.setAttribute('aria-live', 'polite');
+  group.appendChild(error);
+
+  return group;
+}
+
+/**
+ * Creates the control element for a field type
+ *
+ * @param {string} type - Input type, or select / textarea
+ * @param {string[]} [options] - Choices for a select
+ * @returns {HTMLElement}
+ * @private
+ */
+function createControl(type, options) {
+  if (type === 'textarea') {
+    const textarea = createElement('textarea');
+    textarea.rows = 3;
+    return textarea;
+  }
+
+  if (type === 'select') {
+    const select = createElement('select');
+    select.appendChild(new Option(t('events.rsvp.choose', 'Please choose'), ''));
+    options.forEach((option) => select.appendChild(new Option(option, option)));
+    return select;
+  }
+
+  const input = createElement('input');
+  input.type = type;
+  return input;
+}
+
+/**
+ * Builds the submit and cancel buttons
+ *
+ * @returns {HTMLElement}
+ * @private
+ */
+function createFormActions() {
+  const actions = createElement('div', 'form-actions');
+
+  const submit = createElement('button', 'btn btn-primary', t('events.rsvp.submit', 'Confirm registration'));
+  submit.type = 'submit';
+
+  const cancel = createElement('button', 'btn btn-secondary', t('events.rsvp.cancel', 'Cancel'));
+  cancel.type = 'button';
+  cancel.dataset.rsvpCancel = '';
+  cancel.dataset.i18n = 'events.rsvp.cancel';
+
+  actions.appendChild(submit);
+  actions.appendChild(cancel);
+
+  return actions;
+}
+
+/**
+ * Builds the (hidden) confirmation shown after registering
+ *
+ * @returns {HTMLElement}
+ * @private
+ */
+function createConfirmation() {
+  const confirmation = createElement('div', 'event-rsvp-confirmation');
+  confirmation.hidden = true;
+  confirmation.tabIndex = -1;
+  confirmation.setAttribute('role', 'status');
+
+  const message = createElement('p', 'event-rsvp-message');
+  message.dataset.rsvpMessage = '';
+
+  const reference = createElement('p', 'event-rsvp-reference');
+  reference.appendChild(labelText('events.rsvp.reference', 'Your reference'));
+  reference.appendChild(document.createTextNode(': '));
+  reference.appendChild(createElement('strong'));
+
+  const download = createElement('button', 'btn btn-outline btn-sm');
+  download.type = 'button';
+  download.dataset.rsvpDownload = '';
+  download.appendChild(labelText('events.rsvp.download', 'Download confirmation'));
+
+  confirmation.appendChild(message);
+  confirmation.appendChild(reference);
+  confirmation.appendChild(download);
+
+  return confirmation;
+}
+
+/**
+ * Handles registration form submission (delegated)
+ *
+ * @param {SubmitEvent} event - Submit event
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleSubmit(event) {
+  const form = event.target.closest?.('.event-rsvp-form');
+  const entry = form && rsvpState.entries.get(form.closest('[data-rsvp]').dataset.rsvp);
+
+  if (!entry) {
+    return;
+  }
+
+  event.preventDefault();
+
+  if (entry.isSubmitting) {
+    return;
+  }
+
+  const status = form.querySelector('.form-status');
+  status.replaceChildren();
+  status.style.display = 'none';
+
+  if (!(await entry.engine.validate())) {
+    showFormError(status, t('form.status.invalid', 'Please correct the errors in the form before submitting.'));
+    return;
+  }
+
+  await submitRegistration(entry, form, status);
+}
+
+/**
+ * Sends the registration and shows the outcome
+ * The idempotency key is kept until the backend accepts the registration,
+ * so trying again after a timeout cannot register the party twice
+ *
+ * @param {RsvpEntry} entry - Card state
+ * @param {HTMLFormElement} form - Registration form
+ * @param {HTMLElement} status - Form status container
+ * @returns {Promise<void>}
+ * @private
+ */
+async function submitRegistration(entry, form, status) {
+  const { backend, options } = rsvpState.selection;
+  const submitButton = form.querySelector('button[type="submit"]');
+
+  entry.idempotencyKey = entry.idempotencyKey || createIdempotencyKey();
+  const request = buildRequest(entry, entry.engine.getPayload());
+
+  entry.isSubmitting = true;
+  submitButton.disabled = true;
+  submitButton.setAttribute('aria-busy', 'true');
+
+  try {
+    const result = await withTimeout((signal) => backend.register(entry.target, request, { ...options, signal }));
+
+    entry.idempotencyKey = null;
+    entry.confirmation = { ...result, name: request.name };
+    showConfirmation(entry, form);
+    trackRegistration(entry.event.id, result.status);
+  } catch (error) {
+    // Cancelled by cleanup
+    if (!rsvpState.disposable) {
+      return;
+    }
+
+    console.warn(`Registration for "${entry.event.id}" failed:`, error.message);
+    showFormError(status, getErrorMessage(error));
+    trackRegistration(entry.event.id, 'error');
+  } finally {
+    entry.isSubmitting = false;
+    submitButton.disabled = false;
+    submitButton.setAttribute('aria-busy', 'false');
+  }
+
+  loadAvailability(entry);
+}
+
+/**
+ * Builds the backend request from the form payload
+ *
+ * @param {RsvpEntry} entry - Card state
+ * @param {Object} payload - Cleaned form values
+ * @returns {import('../utils/rsvp-backends.js').RegistrationRequest}
+ * @private
+ */
+function buildRequest(entry, payload) {
+  const answers = {};
+
+  entry.target.registration.questions.forEach((question) => {
+    const value = payload[`answer-${question.id}`];
+    answers[question.id] = question.type === 'checkbox' ? Boolean(value) : value || '';
+  });
+
+  return {
+    name: payload.name,
+    email: payload.email,
+    phone: payload.phone || '',
+    attendees: Number(payload.attendees),
+    answers,
+    idempotencyKey: entry.idempotencyKey
+  };
+}
+
+/**
+ * Maps a backend error to a message for the visitor
+ *
+ * @param {Error} error - Backend error
+ * @returns {string}
+ * @private
+ */
+function getErrorMessage(error) {
+  switch (error.code) {
+    case 'full':
+      return t('events.rsvp.errors.full', 'Sorry, the last places have just been taken.');
+    case 'closed':
+      return t('events.rsvp.errors.closed', 'Sorry, registration for this event has closed.');
+    case 'invalid':
+      return t('events.rsvp.errors.invalid', 'Please check your registration details and try again.');
+    default:
+      return t('events.rsvp.unavailable', 'Online registration is unavailable right now. Please try again later.');
+  }
+}
+
+/**
+ * Replaces the form with the confirmation
+ *
+ * @param {RsvpEntry} entry - Card state
+ * @param {HTMLFormElement} form - Registration form
+ * @private
+ */
+function showConfirmation(entry, form) {
+  const confirmation = entry.block.querySelector('.event-rsvp-confirmation');
+
+  confirmation.querySelector('[data-rsvp-message]').textContent = getConfirmationText(entry);
+  confirmation.querySelector('.event-rsvp-reference strong').textContent = entry.confirmation.reference;
+
+  form.reset();
+  clearAllErrors(form);
+  form.hidden = true;
+  confirmation.hidden = false;
+  confirmation.focus();
+}
+
+/**
+ * Builds the confirmation message
+ *
+ * @param {RsvpEntry} entry - Card state
+ * @returns {string}
+ * @private
+ */
+function getConfirmationText({ event, confirmation }) {
+  if (confirmation.status === 'waitlisted') {
+    return t(
+      'events.rsvp.waitlisted',
+      '{event} is fully booked, so you are number {position} on the waitlist. We will contact you if places become available.',
+      { event: event.title, position: confirmation.position }
+    );
+  }
+
+  return confirmation.attendees === 1
+    ? t('events.rsvp.confirmedOne', 'You are registered for {event}. We have saved 1 place for you.', { event: event.title })
+    : t(
+      'events.rsvp.confirmedMany',
+      'You are registered for {event}. We have saved {count} places for your party.',
+      { event: event.title, count: confirmation.attendees }
+    );
+}
+
+/**
+ * Downloads a plain-text confirmation of the last registration
+ *
+ * @param {RsvpEntry} entry - Card state
+ * @private
+ */
+function downloadConfirmation(entry) {
+  const { event, confirmation } = entry;
+
+  if (!confirmation) {
+    return;
+  }
+
+  const status = confirmation.status === 'waitlisted'
+    ? t('events.rsvp.statusWaitlisted', 'Waitlist, position {position}', { position: confirmation.position })
+    : t('events.rsvp.statusConfirmed', 'Confirmed');
+
+  const lines = [
+    RSVP_CONFIG.CHURCH_NAME,
+    t('events.rsvp.fileTitle', 'Event registration'),
+    '',
+    `${t('events.rsvp.fileEvent', 'Event')}: ${event.title}`,
+    `${t('events.rsvp.fileDate', 'Date')}: ${[formatEventDate(event.start), event.timeText].filter(Boolean).join(', ')}`,
+    `${t('events.rsvp.fileStatus', 'Status')}: ${status}`,
+    `${t('events.rsvp.attendees', 'Number of attendees')}: ${confirmation.attendees}`,
+    `${t('form.name', 'Full Name')}: ${confirmation.name}`,
+    `${t('events.rsvp.reference', 'Your reference')}: ${confirmation.reference}`,
+    ''
+  ];
+
+  downloadFile(`${event.id}-${confirmation.reference}.txt`, lines.join('\r\n'), RSVP_CONFIG.FILE_TYPE);
+}
+
+/**
+ * Formats an event date for the confirmation file
+ *
+ * @param {Date} date - Event start
+ * @returns {string} e.g. "20 March 2027"; the weekday is usually in the event's time text
+ * @private
+ */
+function formatEventDate(date) {
+  return new Intl.DateTimeFormat([`${getLocale()}-NG`, 'en-NG'], {
+    timeZone: RSVP_CONFIG.TIME_ZONE,
+    dateStyle: 'long'
+  }).format(date);
+}
+
+/**
+ * Updates the generated text after a language change
+ * Static labels carry data-i18n and are translated with the page
+ * @private
+ */
+function handleLocaleChanged() {
+  rsvpState.entries.forEach((entry) => {
+    renderAvailability(entry);
+
+    const confirmation = entry.block.querySelector('.event-rsvp-confirmation');
+
+    if (confirmation && !confirmation.hidden) {
+      confirmation.querySelector('[data-rsvp-message]').textContent = getConfirmationText(entry);
+    }
+  });
+}
+
+/**
+ * Creates a text span translated with the page
+ *
+ * @param {string} key - Translation key
+ * @param {string} fallback - English text
+ * @returns {HTMLElement}
+ * @private
+ */
+function labelText(key, fallback) {
+  const span = createElement('span', '', t(key, fallback));
+  span.dataset.i18n = key;
+  return span;
+}
+
+/**
+ * Creates an element with optional class names and text content
+ *
+ * @param {string} tagName - Element tag name
+ * @param {string} [className] - Space-separated class names
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement}
+ * @private
+ */
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+
+  if (className) {
+    element.className = className;
+  }
+
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+
+  return element;
+}
+
+/**
+ * Tracks registrations for analytics
+ *
+ * @param {string} eventId - Event id
+ * @param {string} status - confirmed, waitlisted or error
+ * @private
+ */
+function trackRegistration(eventId, status) {
+  try {
+    if (typeof window.gtag === 'function') {
+      window.gtag('event', 'event_registration', {
+        'event_category': 'Events',
+        'event_label': eventId,
+        value: status
+      });
+    }
+  } catch (error) {
+    console.warn('Analytics tracking failed:', error);
+  }
+}
+
+/**
+ * Cleanup function for event RSVP
+ * Cancels pending requests, removes listeners and the RSVP blocks
+ *
+ * @returns {void}
+ */
+export function cleanupEventRsvp() {
+  rsvpState.disposable?.destroy();
+}
+
+/**
+ * Cancels pending registrations and removes the RSVP blocks once the handle is destroyed
+ * @private
+ */
+function resetEventRsvp() {
+  rsvpState.disposable = null;
+
+  rsvpState.entries.forEach((entry) => {
+    entry.engine?.destroy();
+    entry.block.remove();
+  });
+
+  rsvpState.entries.clear();
+  rsvpState.selection = null;
+
+  console.log('Event RSVP cleaned up');
+}
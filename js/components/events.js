@@ -0,0 +1,446 @@
+/**
+ * Events Component Module
+ *
+ * Renders the Upcoming Events section from the local JSON feed. Past events
+ * are dropped based on their datetime attribute and the remainder are sorted
+ * chronologically. The static markup in index.html stays in place as the
+ * no-JS fallback and is only replaced once the feed loads successfully.
+ * The rendered events stay available to components that enhance the cards
+ * (e.g. event RSVP, which reads each event's registration settings).
+ *
+ * @module events
+ */
+
+import { t, getLocale, I18N_CHANGED_EVENT } from '../utils/i18n.js';
+import { createDisposable } from '../utils/disposable.js';
+
+/**
+ * Events feed configuration
+ * @private
+ */
+const EVENTS_CONFIG = Object.freeze({
+  // Resolved from this module so the localized pages (/yo/ etc.) load the same feed
+  DATA_URL: new URL('../../content/events.json', import.meta.url),
+  TIMEOUT: 8000,
+  TIME_ZONE: 'Africa/Lagos',
+  UTC_OFFSET: '+01:00',
+  RENDERED_EVENT: 'events:rendered'
+});
+
+/**
+ * Date-only datetime attribute pattern (YYYY-MM-DD)
+ * @private
+ */
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Local datetime attribute pattern without an offset (YYYY-MM-DDTHH:mm[:ss])
+ * @private
+ */
+const LOCAL_DATETIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Formatter returning calendar parts in the church's timezone
+ * @private
+ */
+const CALENDAR_FORMAT = new Intl.DateTimeFormat('en-US', {
+  timeZone: EVENTS_CONFIG.TIME_ZONE,
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric'
+});
+
+/**
+ * Events component state
+ * @private
+ */
+const eventsState = {
+  abortController: null,
+  rendered: [],
+  disposable: null
+};
+
+/**
+ * Normalized event entry
+ * @typedef {Object} ChurchEvent
+ * @property {string} id - Stable event identifier
+ * @property {string} title - Event title
+ * @property {string} description - Short description
+ * @property {string} datetime - Start date as used in the datetime attribute
+ * @property {string} endDatetime - Last day for multi-day events, empty otherwise
+ * @property {string} timeText - Human-readable time shown on the card
+ * @property {Date} start - Parsed start instant
+ * @property {Date} end - Instant after which the event counts as past
+ * @property {Object|null} registration - Raw RSVP settings from the feed, if the
+ *                                        event takes registrations (see event-rsvp.js)
+ */
+
+/**
+ * Initializes the events section from the JSON feed
+ * Keeps the static fallback cards if the feed cannot be loaded
+ *
+ * @returns {Promise<import('../utils/disposable.js').Disposable|null>} Handle that cancels the
+ *   feed request and removes the language listener when destroyed, or null if the
+ *   static cards were kept
+ */
+export async function initEvents() {
+  const container = document.querySelector('#events .events-list');
+
+  if (!container) {
+    console.warn('Events list not found on page');
+    return null;
+  }
+
+  cleanupEvents();
+
+  const disposable = createDisposable('events');
+  eventsState.disposable = disposable;
+  disposable.defer(resetEvents);
+
+  container.setAttribute('aria-busy', 'true');
+
+  try {
+    const events = await fetchEvents();
+    const upcoming = getUpcomingEvents(events);
+
+    renderEvents(container, upcoming);
+
+    // Month badges and card labels follow the page language
+    disposable.listen(document, I18N_CHANGED_EVENT, () => refreshCardText(container));
+
+    console.log(`Events rendered successfully (${upcoming.length} upcoming)`);
+    return disposable;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.warn('Events feed request was cancelled, keeping static events');
+    } else {
+      console.warn('Unable to load events feed, keeping static events:', error.message);
+    }
+
+    // The static cards have nothing to tear down
+    disposable.destroy();
+    return null;
+  } finally {
+    container.setAttribute('aria-busy', 'false');
+  }
+}
+
+/**
+ * Filters out past events and sorts the rest chronologically
+ *
+ * @param {ChurchEvent[]} events - Normalized events
+ * @param {Date} [now=new Date()] - Reference instant
+ * @returns {ChurchEvent[]} Upcoming events, soonest first
+ */
+export function getUpcomingEvents(events, now = new Date()) {
+  return events
+    .filter((event) => event.end.getTime() >= now.getTime())
+    .sort((a, b) => a.start.getTime() - b.start.getTime() || a.title.localeCompare(b.title));
+}
+
+/**
+ * Fetches and normalizes the events feed
+ *
+ * @returns {Promise<ChurchEvent[]>}
+ * @private
+ */
+async function fetchEvents() {
+  eventsState.abortController = new AbortController();
+  const timeoutId = setTimeout(() => {
+    eventsState.abortController.abort();
+  }, EVENTS_CONFIG.TIMEOUT);
+
+  try {
+    const response = await fetch(EVENTS_CONFIG.DATA_URL, {
+      headers: { 'Accept': 'application/json' },
+      signal: eventsState.abortController.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Events feed responded with status ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (!data || !Array.isArray(data.events)) {
+      throw new Error('Events feed is missing an "events" array');
+    }
+
+    return data.events
+      .map(normalizeEvent)
+      .filter(Boolean);
+  } finally {
+    clearTimeout(timeoutId);
+    eventsState.abortController = null;
+  }
+}
+
+/**
+ * Validates and normalizes a raw feed entry
+ *
+ * @param {Object} raw - Raw event from the feed
+ * @returns {ChurchEvent|null} Normalized event, or null if invalid
+ * @private
+ */
+function normalizeEvent(raw) {
+  const entry = raw || {};
+  const title = readText(entry, 'title');
+  const datetime = readText(entry, 'datetime');
+  const endDatetime = readText(entry, 'endDatetime');
+
+  const start = parseEventDate(datetime);
+  const end = parseEventDate((endDatetime || datetime).slice(0, 10), { endOfDay: true });
+
+  if (!title || !start || !end) {
+    console.warn('Skipping invalid event in feed:', raw);
+    return null;
+  }
+
+  return {
+    id: readText(entry, 'id') || title.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    title,
+    description: readText(entry, 'description'),
+    datetime,
+    endDatetime,
+    timeText: readText(entry, 'timeText'),
+    start,
+    end,
+    registration: entry.registration && typeof entry.registration === 'object' ? entry.registration : null
+  };
+}
+
+/**
+ * Reads a trimmed string property from a raw feed entry
+ *
+ * @param {Object} entry - Raw feed entry
+ * @param {string} key - Property name
+ * @returns {string}
+ * @private
+ */
+function readText(entry, key) {
+  return String(entry[key] || '').trim();
+}
+
+/**
+ * Parses a datetime attribute value in the church's timezone
+ *
+ * @param {string} value - YYYY-MM-DD, YYYY-MM-DDTHH:mm or full ISO string
+ * @param {Object} [options]
+ * @param {boolean} [options.endOfDay=false] - Resolve date-only values to the last second of the day
+ * @returns {Date|null} Parsed date, or null if invalid
+ * @private
+ */
+function parseEventDate(value, { endOfDay = false } = {}) {
+  let isoString = value;
+
+  if (DATE_ONLY_REGEX.test(value)) {
+    isoString = `${value}T${endOfDay ? '23:59:59' : '00:00:00'}${EVENTS_CONFIG.UTC_OFFSET}`;
+  } else if (LOCAL_DATETIME_REGEX.test(value)) {
+    isoString = `${value}${EVENTS_CONFIG.UTC_OFFSET}`;
+  }
+
+  const date = new Date(isoString);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Replaces the fallback cards with the rendered feed
+ *
+ * @param {HTMLElement} container - Events list container
+ * @param {ChurchEvent[]} events - Upcoming events
+ * @private
+ */
+function renderEvents(container, events) {
+  const fragment = document.createDocumentFragment();
+
+  if (events.length === 0) {
+    const empty = createElement(
+      'p',
+      'events-empty card-text',
+      t('events.empty', 'There are no upcoming events at the moment. Please check back soon.')
+    );
+    empty.dataset.i18n = 'events.empty';
+    fragment.appendChild(empty);
+  } else {
+    events.forEach((event) => {
+      fragment.appendChild(createEventCard(event));
+    });
+  }
+
+  container.replaceChildren(fragment);
+  eventsState.rendered = events;
+
+  // Lets other components (e.g. add-to-calendar) enhance the new cards
+  container.dispatchEvent(new CustomEvent(EVENTS_CONFIG.RENDERED_EVENT, {
+    bubbles: true,
+    detail: { count: events.length }
+  }));
+}
+
+/**
+ * Builds an event card matching the static markup in index.html
+ *
+ * @param {ChurchEvent} event - Event to render
+ * @returns {HTMLElement} Event card article
+ * @private
+ */
+function createEventCard(event) {
+  const startParts = getCalendarParts(event.start);
+
+  const card = createElement('article', 'event-card card');
+  card.setAttribute('aria-label', getEventLabel(event));
+  card.dataset.eventId = event.id;
+
+  if (event.endDatetime) {
+    card.dataset.endDatetime = event.endDatetime;
+  }
+
+  const date = createElement('time', 'event-date');
+  date.setAttribute('datetime', event.datetime);
+  date.appendChild(createElement('span', 'event-day', String(startParts.day).padStart(2, '0')));
+  date.appendChild(createElement('span', 'event-month', getDateFormat({ month: 'short' }).format(event.start)));
+
+  const details = createElement('div', 'event-details');
+  details.appendChild(createElement('h3', 'card-title', event.title));
+
+  if (event.description) {
+    details.appendChild(createElement('p', 'event-description card-text', event.description));
+  }
+
+  if (event.timeText) {
+    details.appendChild(createElement('p', 'event-time', event.timeText));
+  }
+
+  card.appendChild(date);
+  card.appendChild(details);
+
+  return card;
+}
+
+/**
+ * Builds the card aria-label in the page language, e.g.
+ * "Marriage Seminar, March 20" or "Youth Conference 2027, March 5 – 7"
+ *
+ * @param {ChurchEvent} event - Event to describe
+ * @returns {string}
+ * @private
+ */
+function getEventLabel(event) {
+  const format = getDateFormat({ month: 'long', day: 'numeric' });
+
+  // A range on a single day formats as that day
+  const date = event.endDatetime ? format.formatRange(event.start, event.end) : format.format(event.start);
+
+  return t('events.cardLabel', '{title}, {date}', { title: event.title, date });
+}
+
+/**
+ * Date formatter for the page language in the church's timezone
+ *
+ * @param {Intl.DateTimeFormatOptions} options - Fields to show
+ * @returns {Intl.DateTimeFormat}
+ * @private
+ */
+function getDateFormat(options) {
+  return new Intl.DateTimeFormat([`${getLocale()}-NG`, 'en-NG'], {
+    timeZone: EVENTS_CONFIG.TIME_ZONE,
+    ...options
+  });
+}
+
+/**
+ * Updates the month badges and labels of the rendered cards after a
+ * language change
+ *
+ * @param {HTMLElement} container - Events list container
+ * @private
+ */
+function refreshCardText(container) {
+  eventsState.rendered.forEach((event) => {
+    const card = container.querySelector(`.event-card[data-event-id="${CSS.escape(event.id)}"]`);
+
+    if (card) {
+      card.setAttribute('aria-label', getEventLabel(event));
+      card.querySelector('.event-month').textContent = getDateFormat({ month: 'short' }).format(event.start);
+    }
+  });
+}
+
+/**
+ * Gets year, month and day of a date in the church's timezone
+ *
+ * @param {Date} date - Date to split
+ * @returns {{year: number, month: number, day: number}}
+ * @private
+ */
+function getCalendarParts(date) {
+  const parts = {};
+
+  CALENDAR_FORMAT.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day)
+  };
+}
+
+/**
+ * Creates an element with optional class names and text content
+ *
+ * @param {string} tagName - Element tag name
+ * @param {string} [className] - Space-separated class names
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement}
+ * @private
+ */
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+
+  if (className) {
+    element.className = className;
+  }
+
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+
+  return element;
+}
+
+/**
+ * Gets the events currently rendered from the feed
+ * Empty while the static fallback cards are shown
+ *
+ * @returns {ChurchEvent[]}
+ */
+export function getRenderedEvents() {
+  return [...eventsState.rendered];
+}
+
+/**
+ * Cleanup function for events
+ * Cancels a pending feed request and removes the language listener
+ *
+ * @returns {void}
+ */
+export function cleanupEvents() {
+  eventsState.disposable?.destroy();
+}
+
+/**
+ * Cancels a pending feed request once the handle is destroyed
+ * @private
+ */
+function resetEvents() {
+  eventsState.disposable = null;
+
+  if (eventsState.abortController) {
+    eventsState.abortController.abort();
+    eventsState.abortController = null;
+  }
+
+  console.log('Events component cleaned up');
+}
@@ -0,0 +1,611 @@
+/**
+ * Giving Component Module
+ *
+ * Online giving for tithes and offerings. The giver picks a fund, a preset
+ * or custom amount in naira and, where the provider has a plan set up, a
+ * weekly or monthly gift; payment happens in the provider's own checkout
+ * window (see payment-providers.js). The bank transfer details are plain
+ * HTML, so they work without JavaScript and stay visible as the fallback;
+ * the online form is only shown when a provider is configured.
+ *
+ * @module giving
+ */
+
+import { createFormEngine, registerRule } from '../utils/form-engine.js';
+import { getSupportedFrequencies, resolvePaymentProvider, startCheckout } from '../utils/payment-providers.js';
+import { createReferenceCode } from '../utils/reference-code.js';
+import { clearAllErrors, showFormError } from '../utils/validation.js';
+import { getLocale, I18N_CHANGED_EVENT, t } from '../utils/i18n.js';
+import { createDisposable } from '../utils/disposable.js';
+
+/**
+ * Giving configuration
+ * @private
+ */
+const GIVING_CONFIG = Object.freeze({
+  CONTAINER_SELECTOR: '[data-giving]',
+  FORM_SELECTOR: '.giving-form',
+  REFERENCE_PREFIX: 'GV',
+  CUSTOM_AMOUNT: 'custom',
+  MIN_AMOUNT: 100,
+  MAX_AMOUNT: 10000000,
+  FREQUENCIES: Object.freeze(['once', 'weekly', 'monthly']),
+  COPIED_DURATION: 2000
+});
+
+/**
+ * Fund names as they appear in the provider's dashboard, which the church
+ * reads in English whatever language the giver chose
+ * @private
+ */
+const FUND_LABELS = Object.freeze({
+  tithe: 'Tithe',
+  offering: 'Offering',
+  'building-fund': 'Building Fund',
+  missions: 'Missions'
+});
+
+/**
+ * Component state
+ * @private
+ */
+const givingState = {
+  container: null,
+  form: null,
+  confirmation: null,
+  engine: null,
+  selection: null,
+  isSubmitting: false,
+  copiedTimer: null,
+  disposable: null
+};
+
+/**
+ * Initializes the giving section
+ * The bank transfer copy button is set up even when online giving is not
+ *
+ * @returns {import('../utils/disposable.js').Disposable|null} Handle that removes the
+ *   listeners when destroyed, or null if the giving section is not on the page
+ */
+export function initGiving() {
+  const container = document.querySelector(GIVING_CONFIG.CONTAINER_SELECTOR);
+
+  if (!container) {
+    console.warn('Giving section not found on page');
+    return null;
+  }
+
+  cleanupGiving();
+
+  givingState.disposable = createDisposable('giving');
+  givingState.disposable.defer(resetGiving);
+  givingState.container = container;
+  givingState.disposable.listen(container, 'click', handleContainerClick);
+  givingState.disposable.listen(document, I18N_CHANGED_EVENT, handleLocaleChanged);
+
+  const copyButton = container.querySelector('[data-giving-copy]');
+  if (copyButton) {
+    copyButton.hidden = !navigator.clipboard;
+  }
+
+  const form = container.querySelector(GIVING_CONFIG.FORM_SELECTOR);
+  givingState.selection = form ? resolvePaymentProvider(container) : null;
+
+  if (givingState.selection) {
+    setUpForm(form);
+  }
+
+  console.log(`Giving initialized successfully (${givingState.selection ? givingState.selection.name : 'bank transfer only'})`);
+  return givingState.disposable;
+}
+
+/**
+ * Shows and wires up the online giving form
+ *
+ * @param {HTMLFormElement} form - Giving form
+ * @private
+ */
+function setUpForm(form) {
+  registerRule('givingAmount', checkAmount);
+
+  givingState.form = form;
+  givingState.confirmation = givingState.container.querySelector('[data-giving-confirmation]');
+  givingState.engine = createFormEngine(form);
+  givingState.engine.attach();
+
+  givingState.disposable.listen(form, 'submit', handleSubmit);
+  givingState.disposable.listen(form, 'change', handleFormChange);
+  givingState.disposable.listen(form, 'input', updateSubmitText);
+
+  showSupportedFrequencies();
+  updateCustomAmount();
+  updateProviderNote();
+  updateSubmitText();
+  form.hidden = false;
+}
+
+/**
+ * Hides the frequencies the provider cannot take, and the whole choice
+ * when only one-off gifts are possible
+ *
+ * @private
+ */
+function showSupportedFrequencies() {
+  const group = givingState.form.querySelector('[data-giving-frequency]');
+  const supported = getSupportedFrequencies(givingState.selection, GIVING_CONFIG.FREQUENCIES);
+
+  if (!group) {
+    return;
+  }
+
+  group.querySelectorAll('input[name="frequency"]').forEach((input) => {
+    const option = input.closest('.giving-choice-option') || input;
+    const isSupported = supported.includes(input.value);
+
+    option.hidden = !isSupported;
+    input.disabled = !isSupported;
+  });
+
+  group.hidden = supported.length < 2;
+}
+
+/**
+ * Reads a naira amount typed by the giver
+ * Accepts thousands separators and a leading ₦ or NGN
+ *
+ * @param {string} value - Typed amount
+ * @returns {number|null} Whole naira, or null when not a whole number
+ * @private
+ */
+function parseAmount(value) {
+  const digits = String(value).replace(/^\s*(₦|NGN)/i, '').replace(/[\s,]/g, '');
+  return /^\d+$/.test(digits) ? Number(digits) : null;
+}
+
+/**
+ * Custom rule: the custom amount must be whole naira within the limits
+ *
+ * @param {string} value - Typed amount
+ * @returns {true|string}
+ * @private
+ */
+function checkAmount(value) {
+  const amount = parseAmount(value);
+
+  if (amount !== null && amount >= GIVING_CONFIG.MIN_AMOUNT && amount <= GIVING_CONFIG.MAX_AMOUNT) {
+    return true;
+  }
+
+  return t('give.customAmountInvalid', 'Please enter a whole naira amount from {min} to {max}', {
+    min: formatNaira(GIVING_CONFIG.MIN_AMOUNT),
+    max: formatNaira(GIVING_CONFIG.MAX_AMOUNT)
+  });
+}
+
+/**
+ * Formats an amount in naira, e.g. ₦5,000
+ *
+ * @param {number} amount - Whole naira
+ * @returns {string}
+ * @private
+ */
+function formatNaira(amount) {
+  return new Intl.NumberFormat([`${getLocale()}-NG`, 'en-NG'], {
+    style: 'currency',
+    currency: 'NGN',
+    currencyDisplay: 'narrowSymbol',
+    maximumFractionDigits: 0
+  }).format(amount);
+}
+
+/**
+ * Returns the chosen amount
+ *
+ * @returns {number|null} Whole naira, or null when none is chosen yet
+ * @private
+ */
+function getAmount() {
+  const { elements } = givingState.form;
+  const choice = elements.namedItem('amount').value;
+
+  if (choice === GIVING_CONFIG.CUSTOM_AMOUNT) {
+    return parseAmount(elements.namedItem('customAmount').value);
+  }
+
+  return choice ? Number(choice) : null;
+}
+
+/**
+ * Returns the chosen frequency, ignoring one the provider cannot take
+ *
+ * @returns {string}
+ * @private
+ */
+function getFrequency() {
+  const checked = givingState.form.querySelector('input[name="frequency"]:checked:not([disabled])');
+  return checked ? checked.value : 'once';
+}
+
+/**
+ * Keeps the custom amount field, error and button text in step with the form
+ *
+ * @param {Event} event - Change event
+ * @private
+ */
+function handleFormChange(event) {
+  if (event.target.name === 'amount') {
+    updateCustomAmount();
+
+    // The group's error is shown on its first option
+    const firstOption = givingState.form.querySelector('input[name="amount"]');
+    if (firstOption.getAttribute('aria-invalid') === 'true') {
+      givingState.engine.validateField(firstOption);
+    }
+  }
+
+  updateSubmitText();
+}
+
+/**
+ * Shows the custom amount field when "Other amount" is chosen
+ *
+ * @private
+ */
+function updateCustomAmount() {
+  const group = givingState.form.querySelector('[data-giving-custom]');
+  const isCustom = givingState.form.elements.namedItem('amount').value === GIVING_CONFIG.CUSTOM_AMOUNT;
+
+  if (group) {
+    group.hidden = !isCustom;
+  }
+}
+
+/**
+ * Shows the amount and frequency on the submit button, e.g. "Give ₦5,000 every month"
+ *
+ * @private
+ */
+function updateSubmitText() {
+  const text = givingState.form?.querySelector('[data-giving-submit-text]');
+
+  if (text && !givingState.isSubmitting) {
+    text.textContent = getSubmitText();
+  }
+}
+
+/**
+ * Returns the submit button text for the current choices
+ *
+ * @returns {string}
+ * @private
+ */
+function getSubmitText() {
+  const amount = getAmount();
+  const valid = amount !== null && amount >= GIVING_CONFIG.MIN_AMOUNT && amount <= GIVING_CONFIG.MAX_AMOUNT;
+
+  if (!valid) {
+    return t('give.submit', 'Give');
+  }
+
+  const messages = {
+    once: 'Give {amount}',
+    weekly: 'Give {amount} every week',
+    monthly: 'Give {amount} every month'
+  };
+  const frequency = getFrequency();
+
+  return t(`give.submitAmount.${frequency}`, messages[frequency], { amount: formatNaira(amount) });
+}
+
+/**
+ * Names the provider under the form
+ *
+ * @private
+ */
+function updateProviderNote() {
+  const note = givingState.form?.querySelector('[data-giving-provider]');
+
+  if (note) {
+    note.textContent = t(
+      'give.secureNote',
+      'Payments are processed securely by {provider}. Your card details are never shared with the church.',
+      { provider: givingState.selection.provider.label }
+    );
+  }
+}
+
+/**
+ * Re-renders generated text after the language changes
+ *
+ * @private
+ */
+function handleLocaleChanged() {
+  if (givingState.form) {
+    updateProviderNote();
+    updateSubmitText();
+  }
+}
+
+/**
+ * Handles the copy and restart buttons
+ *
+ * @param {MouseEvent} event - Click event
+ * @private
+ */
+function handleContainerClick(event) {
+  if (event.target.closest('[data-giving-copy]')) {
+    copyAccountNumber(event.target.closest('[data-giving-copy]'));
+  } else if (event.target.closest('[data-giving-restart]')) {
+    showForm();
+  }
+}
+
+/**
+ * Validates the gift and opens the provider's checkout
+ *
+ * @param {SubmitEvent} event - Submit event
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleSubmit(event) {
+  event.preventDefault();
+
+  if (givingState.isSubmitting) {
+    return;
+  }
+
+  const form = event.currentTarget;
+  const submitButton = form.querySelector('button[type="submit"]');
+  givingState.isSubmitting = true;
+
+  try {
+    if (!(await givingState.engine.validate())) {
+      showFormError(
+        getStatusContainer(form),
+        t('form.status.invalid', 'Please correct the errors in the form before submitting.')
+      );
+      return;
+    }
+
+    setLoadingState(submitButton, true);
+    getStatusContainer(form).innerHTML = '';
+
+    const payment = buildPayment();
+    const result = await startCheckout(givingState.selection, payment);
+
+    if (result.status === 'success') {
+      showConfirmation(payment, result);
+      trackGift('success', payment);
+    } else {
+      showFormError(getStatusContainer(form), t('give.cancelled', 'Payment cancelled. You have not been charged.'));
+      trackGift('cancelled', payment);
+    }
+  } catch (error) {
+    console.error('Giving checkout error:', error);
+    showFormError(
+      getStatusContainer(form),
+      t('give.unavailable', 'Online giving is not available right now. You can still give by bank transfer below.')
+    );
+  } finally {
+    givingState.isSubmitting = false;
+    setLoadingState(submitButton, false);
+  }
+}
+
+/**
+ * Builds the payment from the form
+ *
+ * @returns {import('../utils/payment-providers.js').Payment}
+ * @private
+ */
+function buildPayment() {
+  const data = givingState.engine.getPayload();
+  const fund = FUND_LABELS[data.fund] ? data.fund : 'offering';
+
+  return {
+    reference: createReferenceCode(GIVING_CONFIG.REFERENCE_PREFIX),
+    amount: getAmount(),
+    email: data.email,
+    name: data.name,
+    fund,
+    fundName: FUND_LABELS[fund],
+    frequency: getFrequency()
+  };
+}
+
+/**
+ * Returns the fund's name in the current language, from its label
+ *
+ * @param {string} fund - Fund key
+ * @returns {string}
+ * @private
+ */
+function getFundName(fund) {
+  const input = givingState.form.querySelector(`input[name="fund"][value="${fund}"]`);
+  const label = input?.labels?.[0];
+
+  return label ? label.textContent.trim() : FUND_LABELS[fund];
+}
+
+/**
+ * Replaces the form with the thank-you view
+ *
+ * @param {import('../utils/payment-providers.js').Payment} payment - Payment
+ * @param {import('../utils/payment-providers.js').PaymentResult} result - Checkout outcome
+ * @private
+ */
+function showConfirmation(payment, result) {
+  const { confirmation, form } = givingState;
+
+  if (!confirmation) {
+    return;
+  }
+
+  const messages = {
+    once: 'Your gift of {amount} ({fund}) was successful.',
+    weekly: 'Your weekly gift of {amount} ({fund}) has been set up.',
+    monthly: 'Your monthly gift of {amount} ({fund}) has been set up.'
+  };
+  const params = { amount: formatNaira(payment.amount), fund: getFundName(payment.fund), email: payment.email };
+
+  confirmation.querySelector('[data-giving-outcome]').textContent = [
+    t(`give.confirmation.${payment.frequency}`, messages[payment.frequency], params),
+    t('give.confirmation.receipt', 'A receipt will be emailed to {email}.', params)
+  ].join(' ');
+  confirmation.querySelector('[data-giving-reference]').textContent = result.reference;
+
+  form.reset();
+  clearAllErrors(form);
+  updateCustomAmount();
+  updateSubmitText();
+  form.hidden = true;
+  confirmation.hidden = false;
+  confirmation.focus();
+}
+
+/**
+ * Brings the form back for another gift
+ *
+ * @private
+ */
+function showForm() {
+  const { confirmation, form } = givingState;
+
+  confirmation.hidden = true;
+  form.hidden = false;
+  form.querySelector('input:checked, input')?.focus();
+}
+
+/**
+ * Copies the bank account number to the clipboard
+ *
+ * @param {HTMLButtonElement} button - Copy button
+ * @returns {Promise<void>}
+ * @private
+ */
+async function copyAccountNumber(button) {
+  const accountNumber = givingState.container.querySelector('[data-giving-account]').textContent.trim();
+
+  try {
+    await navigator.clipboard.writeText(accountNumber);
+  } catch (error) {
+    console.warn('Unable to copy account number:', error.message);
+    return;
+  }
+
+  // Cleaned up while copying
+  if (!givingState.disposable) {
+    return;
+  }
+
+  button.textContent = t('give.bank.copied', 'Copied');
+  givingState.disposable.clearTimeout(givingState.copiedTimer);
+  givingState.copiedTimer = givingState.disposable.setTimeout(() => {
+    button.textContent = t('give.bank.copy', 'Copy account number');
+  }, GIVING_CONFIG.COPIED_DURATION);
+}
+
+/**
+ * Sets loading state for the submit button
+ *
+ * @param {HTMLButtonElement} button - Submit button
+ * @param {boolean} isLoading - Loading state
+ * @private
+ */
+function setLoadingState(button, isLoading) {
+  if (!button) {
+    return;
+  }
+
+  const buttonText = button.querySelector('.button-text');
+
+  button.disabled = isLoading;
+  button.setAttribute('aria-busy', String(isLoading));
+  button.classList.toggle('loading', isLoading);
+
+  if (buttonText) {
+    buttonText.textContent = isLoading ? t('give.opening', 'Opening secure checkout...') : getSubmitText();
+  }
+}
+
+/**
+ * Gets (or creates) the status message container after the form
+ *
+ * @param {HTMLFormElement} form - Giving form
+ * @returns {HTMLElement}
+ * @private
+ */
+function getStatusContainer(form) {
+  let container = form.parentElement.querySelector('.form-status');
+
+  if (!container) {
+    container = document.createElement('div');
+    container.className = 'form-status';
+    container.setAttribute('role', 'status');
+    container.setAttribute('aria-live', 'polite');
+    container.setAttribute('aria-atomic', 'true');
+    form.after(container);
+  }
+
+  return container;
+}
+
+/**
+ * Tracks gifts for analytics
+ * Only the outcome, fund and frequency are sent, never the amount or giver
+ *
+ * @param {string} status - Checkout status
+ * @param {{fund: string, frequency: string}} payment - Payment
+ * @private
+ */
+function trackGift(status, payment) {
+  try {
+    if (typeof window.gtag === 'function') {
+      window.gtag('event', 'give', {
+        'event_category': 'Giving',
+        'event_label': `${status}:${payment.fund}:${payment.frequency}`
+      });
+    }
+  } catch (err) {
+    console.warn('Analytics tracking failed:', err);
+  }
+}
+
+/**
+ * Cleanup function for the giving section
+ * Removes event listeners; a checkout window that is already open is left
+ * to the provider
+ *
+ * @returns {void}
+ */
+export function cleanupGiving() {
+  // Listeners and the "Copied" timer
+  givingState.disposable?.destroy();
+}
+
+/**
+ * Resets the giving state once the handle is destroyed
+ * @private
+ */
+function resetGiving() {
+  givingState.disposable = null;
+
+  if (givingState.engine) {
+    givingState.engine.destroy();
+    givingState.engine = null;
+  }
+
+  givingState.copiedTimer = null;
+  givingState.container = null;
+  givingState.form = null;
+  givingState.confirmation = null;
+  givingState.selection = null;
+  givingState.isSubmitting = false;
+
+  console.log('Giving cleaned up');
+}
+
+export default {
+  initGiving,
+  cleanupGiving
+};
@@ -0,0 +1,279 @@
+/**
+ * Install Prompt Component Module
+ *
+ * Offers to add the site to the home screen on browsers that fire
+ * `beforeinstallprompt` (Chrome on Android and desktop). The browser's own
+ * prompt is held back and shown only when the visitor taps "Install".
+ * "No thanks" hides the banner for good; the choice is kept in localStorage.
+ *
+ * @module install-prompt
+ */
+
+import { createDisposable } from '../utils/disposable.js';
+
+/**
+ * Install prompt configuration
+ * @private
+ */
+const INSTALL_CONFIG = Object.freeze({
+  STORAGE_KEY: 'lfcc-install-prompt-dismissed',
+  SHOW_DELAY: 3000,
+  VISIBLE_CLASS: 'is-visible',
+  MESSAGE: 'Add Living Faith to your home screen for quick access to service times, even offline.'
+});
+
+/**
+ * Component state
+ * @private
+ */
+const installState = {
+  deferredPrompt: null,
+  banner: null,
+  showTimeoutId: null,
+  disposable: null
+};
+
+/**
+ * Initializes the install prompt
+ * Returns null when the app is already installed or the visitor
+ * has dismissed the prompt before
+ *
+ * @returns {import('../utils/disposable.js').Disposable|null} Handle that removes the
+ *   listeners and the banner when destroyed
+ */
+export function initInstallPrompt() {
+  if (isStandalone()) {
+    console.log('Running as installed app, install prompt not needed');
+    return null;
+  }
+
+  if (isDismissed()) {
+    console.log('Install prompt dismissed previously');
+    return null;
+  }
+
+  cleanupInstallPrompt();
+
+  installState.disposable = createDisposable('install-prompt');
+  installState.disposable.defer(resetInstallPrompt);
+  installState.disposable.listen(window, 'beforeinstallprompt', handleBeforeInstallPrompt);
+  installState.disposable.listen(window, 'appinstalled', handleAppInstalled);
+
+  console.log('Install prompt initialized successfully');
+  return installState.disposable;
+}
+
+/**
+ * Checks whether the page is running as an installed app
+ *
+ * @returns {boolean}
+ * @private
+ */
+function isStandalone() {
+  return window.matchMedia?.('(display-mode: standalone)').matches || window.navigator.standalone === true;
+}
+
+/**
+ * Reads the permanent dismissal flag
+ *
+ * @returns {boolean}
+ * @private
+ */
+function isDismissed() {
+  try {
+    return localStorage.getItem(INSTALL_CONFIG.STORAGE_KEY) === 'true';
+  } catch (_error) {
+    // Storage blocked (e.g. private mode): show the prompt, it just won't be remembered
+    return false;
+  }
+}
+
+/**
+ * Stores the permanent dismissal flag
+ * @private
+ */
+function rememberDismissal() {
+  try {
+    localStorage.setItem(INSTALL_CONFIG.STORAGE_KEY, 'true');
+  } catch (error) {
+    console.warn('Unable to remember install prompt dismissal:', error.message);
+  }
+}
+
+/**
+ * Holds back the browser prompt and schedules the banner
+ *
+ * @param {Event} event - beforeinstallprompt event
+ * @private
+ */
+function handleBeforeInstallPrompt(event) {
+  event.preventDefault();
+  installState.deferredPrompt = event;
+
+  if (installState.banner || installState.showTimeoutId) {
+    return;
+  }
+
+  // Give the visitor a moment with the page before asking
+  installState.showTimeoutId = installState.disposable.setTimeout(() => {
+    installState.showTimeoutId = null;
+    showBanner();
+  }, INSTALL_CONFIG.SHOW_DELAY);
+}
+
+/**
+ * Creates and shows the install banner
+ * @private
+ */
+function showBanner() {
+  const banner = document.createElement('div');
+  banner.className = 'install-prompt';
+  banner.setAttribute('role', 'region');
+  banner.setAttribute('aria-label', 'Install app');
+
+  const message = document.createElement('p');
+  message.className = 'install-prompt-text';
+  message.textContent = INSTALL_CONFIG.MESSAGE;
+
+  const actions = document.createElement('div');
+  actions.className = 'install-prompt-actions';
+
+  const installButton = createButton('Install', 'btn btn-primary btn-sm', handleInstallClick);
+  const dismissButton = createButton('No thanks', 'btn btn-outline btn-sm', handleDismissClick);
+
+  actions.appendChild(installButton);
+  actions.appendChild(dismissButton);
+  banner.appendChild(message);
+  banner.appendChild(actions);
+
+  document.body.appendChild(banner);
+  installState.banner = banner;
+
+  // Next frame so the slide-in transition runs
+  const frameId = requestAnimationFrame(() => banner.classList.add(INSTALL_CONFIG.VISIBLE_CLASS));
+  installState.disposable.defer(() => cancelAnimationFrame(frameId));
+}
+
+/**
+ * Creates a banner button
+ *
+ * @param {string} text - Button label
+ * @param {string} className - Button classes
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ * @private
+ */
+function createButton(text, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = text;
+  installState.disposable.listen(button, 'click', onClick);
+  return button;
+}
+
+/**
+ * Shows the browser's install prompt
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleInstallClick() {
+  const prompt = installState.deferredPrompt;
+  hideBanner();
+
+  if (!prompt) {
+    return;
+  }
+
+  // The saved event can only be used once
+  installState.deferredPrompt = null;
+
+  try {
+    await prompt.prompt();
+    const { outcome } = await prompt.userChoice;
+    trackInstallPrompt(outcome);
+  } catch (error) {
+    console.warn('Install prompt failed:', error.message);
+  }
+}
+
+/**
+ * Hides the banner for good
+ * @private
+ */
+function handleDismissClick() {
+  rememberDismissal();
+  installState.deferredPrompt = null;
+  hideBanner();
+  trackInstallPrompt('dismissed_permanently');
+}
+
+/**
+ * Cleans up once the app has been installed
+ * @private
+ */
+function handleAppInstalled() {
+  installState.deferredPrompt = null;
+  hideBanner();
+  trackInstallPrompt('installed');
+}
+
+/**
+ * Removes the banner
+ * @private
+ */
+function hideBanner() {
+  // During cleanup the handle has already cleared the timer
+  if (installState.showTimeoutId) {
+    installState.disposable?.clearTimeout(installState.showTimeoutId);
+    installState.showTimeoutId = null;
+  }
+
+  if (installState.banner) {
+    installState.banner.remove();
+    installState.banner = null;
+  }
+}
+
+/**
+ * Tracks install prompt outcomes for analytics
+ *
+ * @param {string} outcome - accepted, dismissed, dismissed_permanently or installed
+ * @private
+ */
+function trackInstallPrompt(outcome) {
+  try {
+    if (typeof window.gtag === 'function') {
+      window.gtag('event', 'install_prompt', {
+        'event_category': 'PWA',
+        'event_label': outcome
+      });
+    }
+  } catch (err) {
+    console.warn('Analytics tracking failed:', err);
+  }
+}
+
+/**
+ * Cleanup function for the install prompt
+ * Removes listeners and the banner
+ *
+ * @returns {void}
+ */
+export function cleanupInstallPrompt() {
+  installState.disposable?.destroy();
+}
+
+/**
+ * Removes the banner once the handle is destroyed
+ * @private
+ */
+function resetInstallPrompt() {
+  installState.disposable = null;
+
+  hideBanner();
+  installState.deferredPrompt = null;
+
+  console.log('Install prompt cleaned up');
+}
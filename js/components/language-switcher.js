@@ -0,0 +1,212 @@
+/**
+ * Language Switcher Component Module
+ *
+ * Turns the header's list of language links into a compact select. Choosing
+ * a language saves it and then either opens the pre-rendered page for that
+ * language (/yo/, /ig/, /ha/ in the built site) or, where none exists,
+ * translates the current page in place. Without JavaScript the plain links
+ * keep working.
+ *
+ * @module language-switcher
+ */
+
+import {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  I18N_CHANGED_EVENT,
+  getLocale,
+  storeLocale,
+  setLocale,
+  t
+} from '../utils/i18n.js';
+import { createDisposable } from '../utils/disposable.js';
+
+/**
+ * Switcher configuration
+ * @private
+ */
+const SWITCHER_CONFIG = Object.freeze({
+  CONTAINER_SELECTOR: '.language-switcher',
+  SELECT_ID: 'language-select',
+  // Site root, resolved from this module so it works from any page depth
+  SITE_ROOT_URL: new URL('../../', import.meta.url)
+});
+
+/**
+ * Component state
+ * @private
+ */
+const switcherState = {
+  container: null,
+  originalMarkup: '',
+  select: null,
+  label: null,
+  disposable: null
+};
+
+/**
+ * Initializes the language switcher
+ *
+ * @returns {import('../utils/disposable.js').Disposable|null} Handle that restores the
+ *   link list when destroyed, or null if the switcher is not on the page
+ */
+export function initLanguageSwitcher() {
+  const container = document.querySelector(SWITCHER_CONFIG.CONTAINER_SELECTOR);
+
+  if (!container) {
+    console.warn('Language switcher not found on page');
+    return null;
+  }
+
+  cleanupLanguageSwitcher();
+
+  switcherState.disposable = createDisposable('language-switcher');
+  switcherState.disposable.defer(resetLanguageSwitcher);
+  switcherState.container = container;
+  switcherState.originalMarkup = container.innerHTML;
+
+  renderSelect(container);
+  switcherState.disposable.listen(document, I18N_CHANGED_EVENT, handleLocaleChanged);
+
+  console.log('Language switcher initialized successfully');
+  return switcherState.disposable;
+}
+
+/**
+ * Replaces the link list with a labelled select
+ *
+ * @param {HTMLElement} container - Switcher container
+ * @private
+ */
+function renderSelect(container) {
+  const label = document.createElement('label');
+  label.className = 'sr-only';
+  label.htmlFor = SWITCHER_CONFIG.SELECT_ID;
+  label.textContent = t('common.language', 'Language');
+
+  const select = document.createElement('select');
+  select.id = SWITCHER_CONFIG.SELECT_ID;
+  select.className = 'language-select';
+
+  SUPPORTED_LOCALES.forEach((locale) => {
+    const option = document.createElement('option');
+    option.value = locale.code;
+    option.lang = locale.code;
+    option.textContent = locale.name;
+    option.selected = locale.code === getLocale();
+    select.appendChild(option);
+  });
+
+  switcherState.disposable.listen(select, 'change', handleSelectChange);
+
+  container.replaceChildren(label, select);
+  switcherState.select = select;
+  switcherState.label = label;
+}
+
+/**
+ * Saves the chosen language and shows the page in it
+ *
+ * @param {Event} event - Change event
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleSelectChange(event) {
+  const code = event.target.value;
+  const pageUrl = getLocalePageUrl(code);
+
+  storeLocale(code);
+  trackLanguageChange(code);
+
+  if (pageUrl && pageUrl.pathname !== window.location.pathname) {
+    window.location.assign(`${pageUrl.href}${window.location.hash}`);
+    return;
+  }
+
+  const switched = await setLocale(code);
+
+  // A later choice replaces this one; leave the select showing it
+  if (!switched && event.target.value === code) {
+    // Put the select back so it does not claim a language the page is not in
+    event.target.value = getLocale();
+  }
+}
+
+/**
+ * Returns the URL of the pre-rendered page for a locale
+ * Only the built site has these pages; it marks them with hreflang links
+ *
+ * @param {string} code - Locale code
+ * @returns {URL|null} Null when the locale has no page of its own
+ * @private
+ */
+function getLocalePageUrl(code) {
+  if (!document.querySelector(`link[rel="alternate"][hreflang="${code}"]`)) {
+    return null;
+  }
+
+  return new URL(code === DEFAULT_LOCALE ? './' : `${code}/`, SWITCHER_CONFIG.SITE_ROOT_URL);
+}
+
+/**
+ * Keeps the select and its label in step with the active locale
+ *
+ * @param {CustomEvent} event - i18n change event
+ * @private
+ */
+function handleLocaleChanged(event) {
+  if (switcherState.select) {
+    switcherState.select.value = event.detail.locale;
+  }
+
+  if (switcherState.label) {
+    switcherState.label.textContent = t('common.language', 'Language');
+  }
+}
+
+/**
+ * Tracks language changes for analytics
+ *
+ * @param {string} code - Chosen locale
+ * @private
+ */
+function trackLanguageChange(code) {
+  try {
+    if (typeof window.gtag === 'function') {
+      window.gtag('event', 'language_change', {
+        'event_category': 'i18n',
+        'event_label': code
+      });
+    }
+  } catch (err) {
+    console.warn('Analytics tracking failed:', err);
+  }
+}
+
+/**
+ * Cleanup function for the language switcher
+ * Restores the original link list
+ *
+ * @returns {void}
+ */
+export function cleanupLanguageSwitcher() {
+  switcherState.disposable?.destroy();
+}
+
+/**
+ * Puts the original link list back once the handle is destroyed
+ * @private
+ */
+function resetLanguageSwitcher() {
+  switcherState.disposable = null;
+
+  if (switcherState.container) {
+    switcherState.container.innerHTML = switcherState.originalMarkup;
+  }
+
+  switcherState.container = null;
+  switcherState.select = null;
+  switcherState.label = null;
+
+  console.log('Language switcher cleaned up');
+}
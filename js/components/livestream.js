@@ -0,0 +1,440 @@
+/**
+ * Livestream Component Module
+ *
+ * "Watch Online" status for services marked "livestream": true in
+ * content/services.json: "Live now" while one is running, "Starts in…"
+ * before the next one, and "Watch the replay" for a while after one ends
+ * (replayHours in content/livestream.json). Times come from the schedule
+ * engine, in the church's timezone.
+ *
+ * The player is a click-to-load facade: no third-party iframe (or its
+ * cookies and scripts) loads until the visitor presses play. The provider
+ * is chosen in content/livestream.json (see livestream-providers.js); without
+ * a usable provider the section keeps its static YouTube and Facebook links.
+ *
+ * @module livestream
+ */
+
+import {
+  loadServiceSchedule,
+  getNextOccurrence,
+  getPreviousOccurrence,
+  formatCountdown
+} from '../utils/schedule.js';
+import { resolveLivestreamProvider } from '../utils/livestream-providers.js';
+import { getLocale, I18N_CHANGED_EVENT, t } from '../utils/i18n.js';
+import { createDisposable } from '../utils/disposable.js';
+
+/**
+ * Livestream configuration
+ * @private
+ */
+const LIVESTREAM_CONFIG = Object.freeze({
+  // Resolved from this module so the localized pages (/yo/ etc.) load the same settings
+  DATA_URL: new URL('../../content/livestream.json', import.meta.url),
+  TIMEOUT: 8000,
+  UPDATE_INTERVAL: 30000,
+  TIME_ZONE: 'Africa/Lagos',
+  DEFAULT_REPLAY_HOURS: 24,
+  LIVE_CLASS: 'is-live'
+});
+
+/**
+ * Component state
+ * @private
+ */
+const livestreamState = {
+  container: null,
+  elements: {},
+  services: [],
+  timeZone: LIVESTREAM_CONFIG.TIME_ZONE,
+  replayHours: LIVESTREAM_CONFIG.DEFAULT_REPLAY_HOURS,
+  selection: null,
+  status: null,
+  playerLoaded: false,
+  disposable: null
+};
+
+/**
+ * Initializes the livestream status and player
+ * Keeps the static links if the schedule or settings cannot be loaded
+ *
+ * @returns {Promise<import('../utils/disposable.js').Disposable|null>} Handle that stops the
+ *   timer and removes the listeners when destroyed, or null if only the links are shown
+ */
+export async function initLivestream() {
+  const container = document.querySelector('[data-livestream]');
+
+  if (!container) {
+    console.warn('Livestream section not found on page');
+    return null;
+  }
+
+  cleanupLivestream();
+
+  const disposable = createDisposable('livestream');
+  livestreamState.disposable = disposable;
+  disposable.defer(resetLivestream);
+
+  let schedule;
+  let settings;
+
+  try {
+    [schedule, settings] = await Promise.all([loadServiceSchedule(), fetchLivestreamSettings()]);
+  } catch (error) {
+    console.warn('Unable to load livestream schedule or settings, keeping links:', error.message);
+    disposable.destroy();
+    return null;
+  }
+
+  // Cleaned up while the schedule and settings were loading
+  if (disposable.isDestroyed()) {
+    return null;
+  }
+
+  livestreamState.services = schedule.services.filter((service) => service.livestream === true);
+
+  if (livestreamState.services.length === 0) {
+    console.warn('No services are marked for livestream, keeping links');
+    disposable.destroy();
+    return null;
+  }
+
+  livestreamState.container = container;
+  livestreamState.timeZone = schedule.timeZone;
+  livestreamState.replayHours = Number(settings.replayHours) > 0
+    ? Number(settings.replayHours)
+    : LIVESTREAM_CONFIG.DEFAULT_REPLAY_HOURS;
+  livestreamState.selection = resolveLivestreamProvider(settings);
+  livestreamState.elements = {
+    panel: container.querySelector('[data-livestream-panel]'),
+    state: container.querySelector('[data-livestream-state]'),
+    detail: container.querySelector('[data-livestream-detail]'),
+    announce: container.querySelector('[data-livestream-announce]'),
+    player: container.querySelector('[data-livestream-player]'),
+    load: container.querySelector('[data-livestream-load]'),
+    note: container.querySelector('[data-livestream-note]'),
+    watch: container.querySelector('[data-livestream-watch]')
+  };
+
+  addListeners();
+  update();
+  livestreamState.elements.panel.hidden = false;
+
+  const providerName = livestreamState.selection ? livestreamState.selection.name : 'links only';
+  console.log(`Livestream initialized successfully (provider: ${providerName})`);
+  return disposable;
+}
+
+/**
+ * Fetches content/livestream.json
+ *
+ * @returns {Promise<Object>}
+ * @private
+ */
+async function fetchLivestreamSettings() {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), LIVESTREAM_CONFIG.TIMEOUT);
+
+  try {
+    const response = await fetch(LIVESTREAM_CONFIG.DATA_URL, {
+      headers: { 'Accept': 'application/json' },
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Livestream settings responded with status ${response.status}`);
+    }
+
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Adds listeners for the player facade, the timer and language changes
+ * @private
+ */
+function addListeners() {
+  const { disposable } = livestreamState;
+
+  disposable.listen(livestreamState.elements.load, 'click', loadPlayer);
+  disposable.listen(document, 'visibilitychange', handleVisibilityChange);
+  disposable.listen(document, I18N_CHANGED_EVENT, () => render(livestreamState.status));
+
+  disposable.setInterval(update, LIVESTREAM_CONFIG.UPDATE_INTERVAL);
+}
+
+/**
+ * Works out what can be watched at an instant
+ * A running service is live; one that ended within the replay window offers
+ * its replay; otherwise the next streamed service is upcoming
+ *
+ * @param {import('../utils/schedule.js').Service[]} services - Streamed services
+ * @param {Date} [now=new Date()] - Reference instant
+ * @param {{timeZone?: string, replayHours?: number}} [options] - Schedule timezone and replay window
+ * @returns {import('../utils/livestream-providers.js').LivestreamStatus}
+ */
+export function getLivestreamStatus(services, now = new Date(), options = {}) {
+  const timeZone = options.timeZone || LIVESTREAM_CONFIG.TIME_ZONE;
+  const replayHours = options.replayHours || LIVESTREAM_CONFIG.DEFAULT_REPLAY_HOURS;
+
+  const upcoming = services
+    .map((service) => getNextOccurrence(service, now, timeZone))
+    .filter(Boolean)
+    .sort((a, b) => a.start.getTime() - b.start.getTime());
+  const live = upcoming.find((occurrence) => occurrence.isLive);
+  const next = upcoming.find((occurrence) => !occurrence.isLive) || null;
+
+  if (live) {
+    return { state: 'live', occurrence: live, next };
+  }
+
+  const previous = services
+    .map((service) => getPreviousOccurrence(service, now, timeZone))
+    .filter(Boolean)
+    .sort((a, b) => b.end.getTime() - a.end.getTime())[0];
+
+  if (previous && now.getTime() - previous.end.getTime() < replayHours * 3600000) {
+    return { state: 'replay', occurrence: previous, next };
+  }
+
+  return next ? { state: 'upcoming', occurrence: next, next } : { state: 'offline', occurrence: null, next: null };
+}
+
+/**
+ * Recomputes the status and renders it, announcing state changes
+ * @private
+ */
+function update() {
+  const now = new Date();
+  const { selection } = livestreamState;
+  let status = getLivestreamStatus(livestreamState.services, now, {
+    timeZone: livestreamState.timeZone,
+    replayHours: livestreamState.replayHours
+  });
+
+  if (selection?.provider.adjustStatus) {
+    status = selection.provider.adjustStatus(status, selection.options, now);
+  }
+
+  const previousState = livestreamState.status ? livestreamState.status.state : null;
+  livestreamState.status = status;
+  render(status, now);
+
+  if (previousState && previousState !== status.state) {
+    livestreamState.elements.announce.textContent = getStateLabel(status, now);
+  }
+}
+
+/**
+ * Renders the headline, the details and the player facade
+ *
+ * @param {import('../utils/livestream-providers.js').LivestreamStatus} status - Current status
+ * @param {Date} [now=new Date()] - Reference instant
+ * @private
+ */
+function render(status, now = new Date()) {
+  const { container, elements } = livestreamState;
+
+  if (!container || !status) {
+    return;
+  }
+
+  container.dataset.livestreamState = status.state;
+  container.classList.toggle(LIVESTREAM_CONFIG.LIVE_CLASS, status.state === 'live');
+  elements.state.textContent = getStateLabel(status, now);
+  elements.detail.textContent = getDetail(status, now);
+
+  renderPlayer(status);
+}
+
+/**
+ * Headline for a status, e.g. "Live now" or "Starts in 2h 15m"
+ *
+ * @param {import('../utils/livestream-providers.js').LivestreamStatus} status - Current status
+ * @param {Date} now - Reference instant
+ * @returns {string}
+ * @private
+ */
+function getStateLabel(status, now) {
+  switch (status.state) {
+    case 'live':
+      return t('livestream.live', 'Live now');
+    case 'replay':
+      return t('livestream.replay', 'Watch the replay');
+    case 'upcoming':
+      return t('livestream.startsIn', 'Starts in {time}', {
+        time: formatCountdown(status.occurrence.start.getTime() - now.getTime())
+      });
+    default:
+      return t('livestream.offline', 'No live stream is scheduled');
+  }
+}
+
+/**
+ * Details line naming the service and when it is or was streamed
+ *
+ * @param {import('../utils/livestream-providers.js').LivestreamStatus} status - Current status
+ * @param {Date} now - Reference instant
+ * @returns {string}
+ * @private
+ */
+function getDetail(status, now) {
+  const { occurrence, next } = status;
+
+  if (!occurrence) {
+    return '';
+  }
+
+  const params = { service: occurrence.service.name, time: formatTime(occurrence.start) };
+  const templates = {
+    live: t('livestream.liveDetail', '{service} started at {time}', params),
+    upcoming: t('livestream.upcomingDetail', '{service}, {time}', params),
+    replay: t('livestream.replayDetail', '{service}, streamed {time}', params)
+  };
+
+  if (status.state === 'replay' && next) {
+    return `${templates.replay}. ${t('livestream.nextDetail', 'Next live stream starts in {time}', {
+      time: formatCountdown(next.start.getTime() - now.getTime())
+    })}`;
+  }
+
+  return templates[status.state] || '';
+}
+
+/**
+ * Formats a service time in the church's timezone, e.g. "Sunday 8:00 am"
+ *
+ * @param {Date} date - Start time
+ * @returns {string}
+ * @private
+ */
+function formatTime(date) {
+  return new Intl.DateTimeFormat([`${getLocale()}-NG`, 'en-NG'], {
+    weekday: 'long',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: livestreamState.timeZone
+  }).format(date);
+}
+
+/**
+ * Shows the play facade when the provider can embed the current state,
+ * or a link to watch on the provider's site when it cannot
+ * A player that is already loaded is left alone, so a change of state
+ * never interrupts someone watching
+ *
+ * @param {import('../utils/livestream-providers.js').LivestreamStatus} status - Current status
+ * @private
+ */
+function renderPlayer(status) {
+  const { elements, selection } = livestreamState;
+
+  if (livestreamState.playerLoaded) {
+    return;
+  }
+
+  const embed = selection ? selection.provider.getEmbed(selection.options, status.state) : null;
+  const watchable = Boolean(selection) && ['live', 'replay'].includes(status.state);
+
+  elements.player.hidden = !embed;
+  elements.load.textContent = status.state === 'live'
+    ? t('livestream.playLive', 'Play the live stream')
+    : t('livestream.playReplay', 'Play the replay');
+
+  if (selection) {
+    elements.note.textContent = t('livestream.loadNote', 'The player loads from {provider} when you press play.', {
+      provider: selection.provider.label
+    });
+    elements.watch.href = selection.provider.getWatchUrl(selection.options, status.state);
+    elements.watch.textContent = t('livestream.watchOn', 'Watch on {provider}', { provider: selection.provider.label });
+  }
+
+  elements.watch.hidden = !watchable || Boolean(embed);
+}
+
+/**
+ * Replaces the facade with the provider's player
+ * @private
+ */
+function loadPlayer() {
+  const { elements, selection, status } = livestreamState;
+  const embed = selection ? selection.provider.getEmbed(selection.options, status.state) : null;
+
+  if (!embed) {
+    return;
+  }
+
+  const iframe = document.createElement('iframe');
+  iframe.className = 'livestream-frame';
+  iframe.title = t('livestream.playerTitle', 'Live stream: {service}', {
+    service: status.occurrence ? status.occurrence.service.name : selection.provider.label
+  });
+  iframe.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+  iframe.allowFullscreen = true;
+  iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+
+  if (embed.srcdoc) {
+    iframe.srcdoc = embed.srcdoc;
+  } else {
+    iframe.src = embed.src;
+  }
+
+  livestreamState.playerLoaded = true;
+  elements.player.replaceChildren(iframe);
+  iframe.focus();
+
+  if (typeof window.gtag === 'function') {
+    window.gtag('event', 'livestream_play', {
+      'event_category': 'engagement',
+      'event_label': `${selection.name}:${status.state}`
+    });
+  }
+}
+
+/**
+ * Refreshes immediately when the page becomes visible again,
+ * since timers are throttled in background tabs
+ * @private
+ */
+function handleVisibilityChange() {
+  if (!document.hidden) {
+    update();
+  }
+}
+
+/**
+ * Cleanup function for the livestream
+ * Stops the timer and removes event listeners; a loaded player is left playing
+ *
+ * @returns {void}
+ */
+export function cleanupLivestream() {
+  // Stops the timer and removes the listeners
+  livestreamState.disposable?.destroy();
+}
+
+/**
+ * Forgets the schedule and elements once the handle is destroyed
+ * @private
+ */
+function resetLivestream() {
+  livestreamState.disposable = null;
+
+  livestreamState.container = null;
+  livestreamState.elements = {};
+  livestreamState.services = [];
+  livestreamState.selection = null;
+  livestreamState.status = null;
+  livestreamState.playerLoaded = false;
+
+  console.log('Livestream cleaned up');
+}
+
+export default {
+  initLivestream,
+  cleanupLivestream,
+  getLivestreamStatus
+};
@@ -0,0 +1,506 @@
+/**
+ * Prayer Request Component Module
+ *
+ * A dedicated prayer request form built on the same pipeline as the contact
+ * form: the form engine validates and builds the payload, and
+ * form-submission.js sends it with retries and the offline queue. The
+ * visitor picks who may see the request, and each choice goes to its own
+ * endpoint:
+ *
+ *   <form class="prayer-form"
+ *         action="…"                   pastors only (also the no-JS target)
+ *         data-route-team="…"          prayer team
+ *         data-route-wall="…">         prayer wall
+ *
+ * A route that is not configured falls back to the form action, so a
+ * request is only ever sent somewhere more private than chosen, never less.
+ * Sending anonymously disables the name and email fields so they are left
+ * out of the payload. After sending, a confirmation view shows a reference
+ * code the requester can quote later.
+ *
+ * @module prayer-request
+ */
+
+import { createFormEngine } from '../utils/form-engine.js';
+import { sendSubmission } from '../utils/form-submission.js';
+import { resolveTransport } from '../utils/form-transports.js';
+import { createIdempotencyKey } from '../utils/offline-queue.js';
+import { createReferenceCode } from '../utils/reference-code.js';
+import { clearAllErrors, showFormError } from '../utils/validation.js';
+import { t } from '../utils/i18n.js';
+import { createDisposable } from '../utils/disposable.js';
+
+/**
+ * Prayer request configuration
+ * @private
+ */
+const PRAYER_CONFIG = Object.freeze({
+  CONTAINER_SELECTOR: '[data-prayer-request]',
+  FORM_SELECTOR: '.prayer-form',
+  REFERENCE_PREFIX: 'PR',
+  COPIED_DURATION: 2000,
+  DEFAULT_VISIBILITY: 'pastors'
+});
+
+/**
+ * Visibility choices: the form attribute holding each route and the label
+ * used in the email subject the church receives
+ * @private
+ */
+const VISIBILITY_ROUTES = Object.freeze({
+  pastors: Object.freeze({ route: null, label: 'Pastors only' }),
+  team: Object.freeze({ route: 'routeTeam', label: 'Prayer team' }),
+  wall: Object.freeze({ route: 'routeWall', label: 'Prayer wall' })
+});
+
+/**
+ * Component state
+ * @private
+ */
+const prayerState = {
+  container: null,
+  form: null,
+  confirmation: null,
+  engine: null,
+  isSubmitting: false,
+  abortController: null,
+  copiedTimer: null,
+  disposable: null
+};
+
+/**
+ * Initializes the prayer request form
+ *
+ * @returns {import('../utils/disposable.js').Disposable|null} Handle that cancels a pending
+ *   request and removes the listeners when destroyed, or null if there is no form
+ */
+export function initPrayerRequest() {
+  const container = document.querySelector(PRAYER_CONFIG.CONTAINER_SELECTOR);
+  const form = container ? container.querySelector(PRAYER_CONFIG.FORM_SELECTOR) : null;
+
+  if (!form) {
+    console.warn('Prayer request form not found on page');
+    return null;
+  }
+
+  cleanupPrayerRequest();
+
+  prayerState.disposable = createDisposable('prayer-request');
+  prayerState.disposable.defer(resetPrayerRequest);
+  prayerState.container = container;
+  prayerState.form = form;
+  prayerState.confirmation = container.querySelector('[data-prayer-confirmation]');
+  prayerState.engine = createFormEngine(form);
+  prayerState.engine.attach();
+
+  prayerState.disposable.listen(form, 'submit', handleSubmit);
+  prayerState.disposable.listen(form, 'change', handleFormChange);
+  prayerState.disposable.listen(container, 'click', handleContainerClick);
+
+  updateIdentityFields();
+
+  console.log('Prayer request form initialized successfully');
+  return prayerState.disposable;
+}
+
+/**
+ * Reacts to the anonymous toggle
+ *
+ * @param {Event} event - Change event
+ * @private
+ */
+function handleFormChange(event) {
+  if (event.target.name === 'anonymous') {
+    updateIdentityFields();
+  }
+}
+
+/**
+ * Enables or disables the name and email fields to match the anonymous toggle
+ * Disabled fields are skipped by validation and left out of the payload
+ *
+ * @private
+ */
+function updateIdentityFields() {
+  const anonymous = prayerState.form.elements.namedItem('anonymous')?.checked || false;
+
+  prayerState.form.querySelectorAll('[data-prayer-identity]').forEach((group) => {
+    group.hidden = anonymous;
+
+    group.querySelectorAll('input').forEach((field) => {
+      field.disabled = anonymous;
+    });
+  });
+
+  if (anonymous) {
+    clearAllErrors(prayerState.form);
+  }
+}
+
+/**
+ * Handles the confirmation view's buttons
+ *
+ * @param {MouseEvent} event - Click event
+ * @private
+ */
+function handleContainerClick(event) {
+  if (event.target.closest('[data-prayer-copy]')) {
+    copyReference(event.target.closest('[data-prayer-copy]'));
+  } else if (event.target.closest('[data-prayer-restart]')) {
+    showForm();
+  }
+}
+
+/**
+ * Validates and sends the request
+ *
+ * @param {SubmitEvent} event - Submit event
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleSubmit(event) {
+  event.preventDefault();
+
+  if (prayerState.isSubmitting) {
+    return;
+  }
+
+  const form = event.currentTarget;
+  const submitButton = form.querySelector('button[type="submit"]');
+  prayerState.isSubmitting = true;
+
+  try {
+    if (!(await prayerState.engine.validate())) {
+      showFormError(
+        getStatusContainer(form),
+        t('form.status.invalid', 'Please correct the errors in the form before submitting.')
+      );
+      return;
+    }
+
+    setLoadingState(submitButton, true);
+
+    const visibility = getVisibility(form);
+    const reference = createReferenceCode(PRAYER_CONFIG.REFERENCE_PREFIX);
+    const result = await sendRequest(form, visibility, buildPayload(visibility, reference));
+
+    if (result.success) {
+      showConfirmation(reference, visibility, result);
+      trackPrayerRequest(result.queued ? 'queued' : 'success', visibility);
+    } else {
+      showFormError(getStatusContainer(form), result.error);
+      trackPrayerRequest('error', visibility);
+    }
+  } catch (error) {
+    // Cancelled by cleanupPrayerRequest(); the form is being torn down
+    if (error.name === 'AbortError') {
+      return;
+    }
+
+    console.error('Prayer request submission error:', error);
+    showFormError(
+      getStatusContainer(form),
+      t('form.status.unexpected', 'An unexpected error occurred. Please try again.')
+    );
+  } finally {
+    setLoadingState(submitButton, false);
+    prayerState.isSubmitting = false;
+  }
+}
+
+/**
+ * Returns the chosen visibility, defaulting to the most private
+ *
+ * @param {HTMLFormElement} form - Prayer form
+ * @returns {string} Key of VISIBILITY_ROUTES
+ * @private
+ */
+function getVisibility(form) {
+  const value = form.querySelector('input[name="visibility"]:checked')?.value;
+  return VISIBILITY_ROUTES[value] ? value : PRAYER_CONFIG.DEFAULT_VISIBILITY;
+}
+
+/**
+ * Builds the payload with the reference code and email metadata
+ *
+ * @param {string} visibility - Visibility key
+ * @param {string} reference - Reference code
+ * @returns {Object}
+ * @private
+ */
+function buildPayload(visibility, reference) {
+  const data = prayerState.engine.getPayload();
+  const { label } = VISIBILITY_ROUTES[visibility];
+
+  data.reference = reference;
+  data.visibility = visibility;
+  data.anonymous = data.anonymous === 'yes' ? 'yes' : 'no';
+  data._subject = `Prayer Request ${reference} (${label}): ${data.category || 'General'}`;
+  data._gotcha = ''; // Honeypot field for spam protection
+
+  if (data.email) {
+    data._replyto = data.email;
+  }
+
+  return data;
+}
+
+/**
+ * Picks the transport for the chosen visibility
+ * A route that is missing or still a placeholder falls back to the form's
+ * own (pastors only) settings rather than straight to mailto
+ *
+ * @param {HTMLFormElement} form - Prayer form
+ * @param {string} visibility - Visibility key
+ * @returns {{name: string, transport: Object, options: Object}|null}
+ * @private
+ */
+function selectTransport(form, visibility) {
+  const { route } = VISIBILITY_ROUTES[visibility];
+  const routed = route && form.dataset[route] ? resolveTransport(form, { endpoint: form.dataset[route] }) : null;
+
+  return routed && routed.name !== 'mailto' ? routed : resolveTransport(form);
+}
+
+/**
+ * Sends the payload to the endpoint for the chosen visibility
+ *
+ * @param {HTMLFormElement} form - Prayer form
+ * @param {string} visibility - Visibility key
+ * @param {Object} data - Payload
+ * @returns {Promise<{success: boolean, handoff?: boolean, queued?: boolean, error?: string}>}
+ * @private
+ */
+async function sendRequest(form, visibility, data) {
+  const selection = selectTransport(form, visibility);
+
+  prayerState.abortController = new AbortController();
+
+  try {
+    return await sendSubmission(selection, data, {
+      idempotencyKey: createIdempotencyKey(),
+      signal: prayerState.abortController.signal
+    });
+  } finally {
+    prayerState.abortController = null;
+  }
+}
+
+/**
+ * Replaces the form with the confirmation view
+ *
+ * @param {string} reference - Reference code
+ * @param {string} visibility - Visibility key
+ * @param {{handoff?: boolean, queued?: boolean}} result - Submission outcome
+ * @private
+ */
+function showConfirmation(reference, visibility, result) {
+  const { confirmation, form } = prayerState;
+
+  if (!confirmation) {
+    return;
+  }
+
+  confirmation.querySelector('[data-prayer-reference]').textContent = reference;
+  confirmation.querySelector('[data-prayer-outcome]').textContent = getOutcomeMessage(visibility, result);
+
+  const copyButton = confirmation.querySelector('[data-prayer-copy]');
+  if (copyButton) {
+    copyButton.hidden = !navigator.clipboard;
+  }
+
+  // A mailto handoff keeps the form filled in case the mail app did not open
+  if (!result.handoff) {
+    form.reset();
+    updateIdentityFields();
+  }
+
+  clearAllErrors(form);
+  form.hidden = true;
+  confirmation.hidden = false;
+  confirmation.focus();
+}
+
+/**
+ * Returns the confirmation text for an outcome
+ *
+ * @param {string} visibility - Visibility key
+ * @param {{handoff?: boolean, queued?: boolean}} result - Submission outcome
+ * @returns {string}
+ * @private
+ */
+function getOutcomeMessage(visibility, result) {
+  if (result.handoff) {
+    return t(
+      'prayer.confirmation.handoff',
+      'Your email app should now open with your request. Please press send there to reach us.'
+    );
+  }
+
+  if (result.queued) {
+    return t(
+      'prayer.confirmation.queued',
+      'You appear to be offline, so your request has been saved. It will be sent automatically when you are back online.'
+    );
+  }
+
+  const messages = {
+    pastors: 'Our pastors will pray for you. Your request stays with them in confidence.',
+    team: 'Our prayer team will be praying with you.',
+    wall: 'Your request may appear on the prayer wall so the church can pray with you.'
+  };
+
+  return t(`prayer.confirmation.${visibility}`, messages[visibility]);
+}
+
+/**
+ * Brings the form back for another request
+ *
+ * @private
+ */
+function showForm() {
+  const { confirmation, form } = prayerState;
+
+  confirmation.hidden = true;
+  form.hidden = false;
+  form.querySelector('input:not([disabled]), select, textarea')?.focus();
+}
+
+/**
+ * Copies the reference code to the clipboard
+ *
+ * @param {HTMLButtonElement} button - Copy button
+ * @returns {Promise<void>}
+ * @private
+ */
+async function copyReference(button) {
+  const reference = prayerState.confirmation.querySelector('[data-prayer-reference]').textContent;
+
+  try {
+    await navigator.clipboard.writeText(reference);
+  } catch (error) {
+    console.warn('Unable to copy reference code:', error.message);
+    return;
+  }
+
+  // Cleaned up while copying
+  if (!prayerState.disposable) {
+    return;
+  }
+
+  button.textContent = t('prayer.confirmation.copied', 'Copied');
+  prayerState.disposable.clearTimeout(prayerState.copiedTimer);
+  prayerState.copiedTimer = prayerState.disposable.setTimeout(() => {
+    button.textContent = t('prayer.confirmation.copy', 'Copy code');
+  }, PRAYER_CONFIG.COPIED_DURATION);
+}
+
+/**
+ * Sets loading state for the submit button
+ *
+ * @param {HTMLButtonElement} button - Submit button
+ * @param {boolean} isLoading - Loading state
+ * @private
+ */
+function setLoadingState(button, isLoading) {
+  if (!button) {
+    return;
+  }
+
+  const buttonText = button.querySelector('.button-text');
+
+  button.disabled = isLoading;
+  button.setAttribute('aria-busy', String(isLoading));
+  button.classList.toggle('loading', isLoading);
+
+  if (buttonText) {
+    buttonText.textContent = isLoading
+      ? t('form.sending', 'Sending...')
+      : t('prayer.submit', 'Send Prayer Request');
+  }
+}
+
+/**
+ * Gets (or creates) the status message container after the form
+ *
+ * @param {HTMLFormElement} form - Prayer form
+ * @returns {HTMLElement}
+ * @private
+ */
+function getStatusContainer(form) {
+  let container = form.parentElement.querySelector('.form-status');
+
+  if (!container) {
+    container = document.createElement('div');
+    container.className = 'form-status';
+    container.setAttribute('role', 'status');
+    container.setAttribute('aria-live', 'polite');
+    container.setAttribute('aria-atomic', 'true');
+    form.after(container);
+  }
+
+  return container;
+}
+
+/**
+ * Tracks prayer requests for analytics
+ * Only the outcome and visibility are sent, never the request itself
+ *
+ * @param {string} status - Submission status
+ * @param {string} visibility - Visibility key
+ * @private
+ */
+function trackPrayerRequest(status, visibility) {
+  try {
+    if (typeof window.gtag === 'function') {
+      window.gtag('event', 'prayer_request', {
+        'event_category': 'Prayer Request',
+        'event_label': `${status}:${visibility}`
+      });
+    }
+  } catch (err) {
+    console.warn('Analytics tracking failed:', err);
+  }
+}
+
+/**
+ * Cleanup function for the prayer request form
+ * Cancels a pending request and removes event listeners
+ *
+ * @returns {void}
+ */
+export function cleanupPrayerRequest() {
+  // Listeners and the "Copied" timer
+  prayerState.disposable?.destroy();
+}
+
+/**
+ * Cancels a pending request and resets the form state once the handle is destroyed
+ * @private
+ */
+function resetPrayerRequest() {
+  prayerState.disposable = null;
+
+  if (prayerState.abortController) {
+    prayerState.abortController.abort();
+    prayerState.abortController = null;
+  }
+
+  if (prayerState.engine) {
+    prayerState.engine.destroy();
+    prayerState.engine = null;
+  }
+
+  prayerState.copiedTimer = null;
+  prayerState.container = null;
+  prayerState.form = null;
+  prayerState.confirmation = null;
+  prayerState.isSubmitting = false;
+
+  console.log('Prayer request form cleaned up');
+}
+
+export default {
+  initPrayerRequest,
+  cleanupPrayerRequest
+};
@@ -0,0 +1,883 @@
+/**
+ * Sermons Component Module
+ *
+ * Sermon archive rendered from content/sermons.json, with full-text search,
+ * series/speaker/book filters and pagination. The current view lives in the
+ * URL hash so it can be bookmarked and shared:
+ *
+ *   #sermons?series=faith&speaker=pastor-john-adeyemi&book=hebrews&q=grace&page=2
+ *
+ * Filters use slugs of the names in the feed; books are the canonical names
+ * read from each sermon's scripture reference (see scripture.js). The static
+ * link to the YouTube channel stays as the no-JS fallback, and the archive
+ * only replaces it once the feed loads.
+ *
+ * @module sermons
+ */
+
+import { compareBooks, parseScriptureBooks } from '../utils/scripture.js';
+import { parseTimestamp } from '../utils/media-time.js';
+import { getLocale, I18N_CHANGED_EVENT, t } from '../utils/i18n.js';
+import { scrollToSection } from './navigation.js';
+import { createDisposable } from '../utils/disposable.js';
+
+/**
+ * Sermon archive configuration
+ * @private
+ */
+const SERMONS_CONFIG = Object.freeze({
+  // Resolved from this module so the localized pages (/yo/ etc.) load the same feed
+  DATA_URL: new URL('../../content/sermons.json', import.meta.url),
+  TIMEOUT: 8000,
+  TIME_ZONE: 'Africa/Lagos',
+  PAGE_SIZE: 6,
+  SEARCH_DELAY: 250,
+  HASH: '#sermons',
+  FILTERS: Object.freeze(['series', 'speaker', 'book']),
+  // Search matches in these fields rank higher
+  FIELD_WEIGHTS: Object.freeze({ title: 4, series: 3, speaker: 3, scripture: 3, notes: 1 })
+});
+
+/**
+ * Normalized sermon entry
+ * @typedef {Object} Sermon
+ * @property {string} id - Stable sermon identifier
+ * @property {string} title - Sermon title
+ * @property {string} speaker - Speaker, e.g. "Pastor John Adeyemi"
+ * @property {string} speakerId - Speaker slug used in the hash
+ * @property {string} series - Series name, empty for stand-alone sermons
+ * @property {string} seriesId - Series slug used in the hash
+ * @property {string} scripture - Scripture reference, e.g. "Hebrews 11:1-6"
+ * @property {string[]} books - Canonical books named in the reference
+ * @property {string} date - Preaching date (YYYY-MM-DD)
+ * @property {Date} preached - Parsed preaching date
+ * @property {string} audioUrl - Audio recording
+ * @property {string} videoUrl - Video recording, empty when there is none
+ * @property {string} notes - Sermon notes or summary
+ * @property {SermonChapter[]} chapters - Chapter marks in playback order, empty when there are none
+ * @property {Object<string, string>} searchFields - Lower-cased, accent-free fields for search
+ */
+
+/**
+ * Chapter mark in a sermon recording
+ * @typedef {Object} SermonChapter
+ * @property {number} start - Start time in seconds
+ * @property {string} title - Chapter title
+ */
+
+/**
+ * Archive view: search text, filter slugs and page number
+ * @typedef {Object} SermonQuery
+ * @property {string} q - Search text
+ * @property {string} series - Series slug
+ * @property {string} speaker - Speaker slug
+ * @property {string} book - Book slug
+ * @property {number} page - Page number, from 1
+ */
+
+/**
+ * Component state
+ * @private
+ */
+const sermonsState = {
+  container: null,
+  form: null,
+  list: null,
+  status: null,
+  pager: null,
+  sermons: [],
+  query: createEmptyQuery(),
+  abortController: null,
+  disposable: null,
+  searchTimer: null
+};
+
+/**
+ * Returns a query that shows every sermon
+ *
+ * @returns {SermonQuery}
+ * @private
+ */
+function createEmptyQuery() {
+  return { q: '', series: '', speaker: '', book: '', page: 1 };
+}
+
+/**
+ * Initializes the sermon archive from the JSON feed
+ * Keeps the static fallback link if the feed cannot be loaded
+ *
+ * @returns {Promise<import('../utils/disposable.js').Disposable|null>} Handle that cancels the
+ *   feed request and removes the listeners when destroyed, or null if the fallback
+ *   link was kept
+ */
+export async function initSermons() {
+  const container = document.querySelector('[data-sermons]');
+  const form = container ? container.querySelector('.sermon-filters') : null;
+
+  if (!form) {
+    console.warn('Sermon archive not found on page');
+    return null;
+  }
+
+  cleanupSermons();
+
+  const disposable = createDisposable('sermons');
+  sermonsState.disposable = disposable;
+  disposable.defer(resetSermons);
+
+  sermonsState.container = container;
+  sermonsState.form = form;
+  sermonsState.list = container.querySelector('[data-sermons-list]');
+  sermonsState.status = container.querySelector('[data-sermons-status]');
+  sermonsState.pager = container.querySelector('[data-sermons-pager]');
+  sermonsState.list.setAttribute('aria-busy', 'true');
+
+  try {
+    sermonsState.sermons = await fetchSermons();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.warn('Sermons feed request was cancelled, keeping fallback link');
+    } else {
+      console.warn('Unable to load sermons feed, keeping fallback link:', error.message);
+    }
+
+    // The fallback link has nothing to tear down
+    disposable.destroy();
+    return null;
+  } finally {
+    sermonsState.list?.setAttribute('aria-busy', 'false');
+  }
+
+  renderFilterOptions();
+  addListeners();
+
+  container.querySelector('[data-sermons-fallback]')?.setAttribute('hidden', '');
+  form.hidden = false;
+
+  const linked = parseSermonHash(window.location.hash);
+  applyQuery(linked || createEmptyQuery());
+
+  // The browser cannot scroll to "#sermons?…" itself, as no element has that id
+  if (linked && window.location.hash !== SERMONS_CONFIG.HASH) {
+    scrollToSection('sermons');
+  }
+
+  console.log(`Sermons rendered successfully (${sermonsState.sermons.length} sermons)`);
+  return disposable;
+}
+
+/**
+ * Fetches and normalizes the sermons feed, newest first
+ *
+ * @returns {Promise<Sermon[]>}
+ * @private
+ */
+async function fetchSermons() {
+  sermonsState.abortController = new AbortController();
+  const timeoutId = setTimeout(() => {
+    sermonsState.abortController.abort();
+  }, SERMONS_CONFIG.TIMEOUT);
+
+  try {
+    const response = await fetch(SERMONS_CONFIG.DATA_URL, {
+      headers: { 'Accept': 'application/json' },
+      signal: sermonsState.abortController.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Sermons feed responded with status ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (!data || !Array.isArray(data.sermons)) {
+      throw new Error('Sermons feed is missing a "sermons" array');
+    }
+
+    return data.sermons
+      .map(normalizeSermon)
+      .filter(Boolean)
+      .sort((a, b) => b.preached.getTime() - a.preached.getTime());
+  } finally {
+    clearTimeout(timeoutId);
+    sermonsState.abortController = null;
+  }
+}
+
+/**
+ * Validates and normalizes a raw feed entry
+ *
+ * @param {Object} raw - Raw sermon from the feed
+ * @returns {Sermon|null} Normalized sermon, or null if invalid
+ * @private
+ */
+function normalizeSermon(raw) {
+  const entry = raw || {};
+  const title = readText(entry, 'title');
+  const date = readText(entry, 'date');
+  const preached = new Date(`${date}T12:00:00+01:00`);
+  const audioUrl = readText(entry, 'audioUrl');
+
+  if (!title || !audioUrl || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(preached.getTime())) {
+    console.warn('Skipping invalid sermon in feed:', raw);
+    return null;
+  }
+
+  const sermon = {
+    id: readText(entry, 'id') || slugify(`${date}-${title}`),
+    title,
+    speaker: readText(entry, 'speaker'),
+    series: readText(entry, 'series'),
+    scripture: readText(entry, 'scripture'),
+    date,
+    preached,
+    audioUrl,
+    videoUrl: readText(entry, 'videoUrl'),
+    notes: readText(entry, 'notes'),
+    chapters: normalizeChapters(entry.chapters)
+  };
+
+  sermon.speakerId = slugify(sermon.speaker);
+  sermon.seriesId = slugify(sermon.series);
+  sermon.books = parseScriptureBooks(sermon.scripture);
+  sermon.searchFields = {};
+
+  Object.keys(SERMONS_CONFIG.FIELD_WEIGHTS).forEach((field) => {
+    sermon.searchFields[field] = normalizeText(sermon[field]);
+  });
+
+  return sermon;
+}
+
+/**
+ * Validates chapter marks, dropping any without a title or a readable start
+ *
+ * @param {Array<{start: string, title: string}>} [chapters] - Raw chapters from the feed
+ * @returns {SermonChapter[]} Chapters ordered by start time
+ * @private
+ */
+function normalizeChapters(chapters) {
+  if (!Array.isArray(chapters)) {
+    return [];
+  }
+
+  return chapters
+    .map((chapter) => ({ start: parseTimestamp(chapter?.start), title: readText(chapter || {}, 'title') }))
+    .filter((chapter) => chapter.start !== null && chapter.title)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Reads a trimmed string property from a raw feed entry
+ *
+ * @param {Object} entry - Raw feed entry
+ * @param {string} key - Property name
+ * @returns {string}
+ * @private
+ */
+function readText(entry, key) {
+  return String(entry[key] || '').trim();
+}
+
+/**
+ * Lower-cases text and strips accents, so "Ọlọ́run" matches "olorun"
+ *
+ * @param {string} value - Text
+ * @returns {string}
+ * @private
+ */
+function normalizeText(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Converts a name to the slug used in the hash, e.g. "1 Corinthians" to "1-corinthians"
+ *
+ * @param {string} value - Name
+ * @returns {string}
+ * @private
+ */
+function slugify(value) {
+  return normalizeText(value).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Filters sermons by a query and orders the result
+ * Every search word must appear somewhere in the sermon; with a search,
+ * sermons matching in the title, series, speaker or scripture come first,
+ * otherwise the newest sermons come first
+ *
+ * @param {Sermon[]} sermons - Normalized sermons, newest first
+ * @param {SermonQuery} query - Search and filters
+ * @returns {Sermon[]}
+ */
+export function filterSermons(sermons, query) {
+  const terms = normalizeText(query.q || '').split(/\s+/).filter(Boolean);
+
+  const matches = sermons
+    .filter((sermon) => (!query.series || sermon.seriesId === query.series) &&
+      (!query.speaker || sermon.speakerId === query.speaker) &&
+      (!query.book || sermon.books.some((book) => slugify(book) === query.book)))
+    .map((sermon) => ({ sermon, score: scoreSermon(sermon, terms) }))
+    .filter(({ score }) => score > 0);
+
+  if (terms.length > 0) {
+    matches.sort((a, b) => b.score - a.score || b.sermon.preached.getTime() - a.sermon.preached.getTime());
+  }
+
+  return matches.map(({ sermon }) => sermon);
+}
+
+/**
+ * Looks up a loaded sermon by id
+ *
+ * @param {string} id - Sermon id
+ * @returns {Sermon|null}
+ */
+export function getSermon(id) {
+  return sermonsState.sermons.find((sermon) => sermon.id === id) || null;
+}
+
+/**
+ * Scores a sermon against search words
+ *
+ * @param {Sermon} sermon - Sermon to score
+ * @param {string[]} terms - Normalized search words
+ * @returns {number} 0 when a word is missing; 1 when there are no words
+ * @private
+ */
+function scoreSermon(sermon, terms) {
+  let total = terms.length === 0 ? 1 : 0;
+
+  for (const term of terms) {
+    let termScore = 0;
+
+    Object.entries(SERMONS_CONFIG.FIELD_WEIGHTS).forEach(([field, weight]) => {
+      if (sermon.searchFields[field].includes(term)) {
+        termScore += weight;
+      }
+    });
+
+    if (termScore === 0) {
+      return 0;
+    }
+
+    total += termScore;
+  }
+
+  return total;
+}
+
+/**
+ * Reads a query from a "#sermons?…" hash
+ *
+ * @param {string} hash - Location hash
+ * @returns {SermonQuery|null} Null when the hash is not for the archive
+ * @private
+ */
+function parseSermonHash(hash) {
+  if (hash !== SERMONS_CONFIG.HASH && !hash.startsWith(`${SERMONS_CONFIG.HASH}?`)) {
+    return null;
+  }
+
+  const params = new URLSearchParams(hash.slice(SERMONS_CONFIG.HASH.length + 1));
+  const page = Number.parseInt(params.get('page'), 10);
+
+  return {
+    q: (params.get('q') || '').trim(),
+    series: params.get('series') || '',
+    speaker: params.get('speaker') || '',
+    book: params.get('book') || '',
+    page: page > 0 ? page : 1
+  };
+}
+
+/**
+ * Builds the hash for a query, leaving out empty values and page 1
+ *
+ * @param {SermonQuery} query - Query
+ * @returns {string}
+ * @private
+ */
+function buildSermonHash(query) {
+  const params = new URLSearchParams();
+
+  ['q', ...SERMONS_CONFIG.FILTERS].forEach((key) => {
+    if (query[key]) {
+      params.set(key, query[key]);
+    }
+  });
+
+  if (query.page > 1) {
+    params.set('page', String(query.page));
+  }
+
+  const search = params.toString();
+  return search ? `${SERMONS_CONFIG.HASH}?${search}` : SERMONS_CONFIG.HASH;
+}
+
+/**
+ * Fills the series, speaker and book selects from the feed
+ * Each keeps its first ("All …") option from the markup
+ *
+ * @private
+ */
+function renderFilterOptions() {
+  const { sermons, form } = sermonsState;
+  const options = {
+    series: collectOptions(sermons.map((sermon) => sermon.series)),
+    speaker: collectOptions(sermons.map((sermon) => sermon.speaker)),
+    book: collectOptions(sermons.flatMap((sermon) => sermon.books), compareBooks)
+  };
+
+  SERMONS_CONFIG.FILTERS.forEach((name) => {
+    const select = form.elements.namedItem(name);
+
+    if (!select) {
+      return;
+    }
+
+    Array.from(select.options).slice(1).forEach((option) => option.remove());
+    options[name].forEach((label) => select.add(new Option(label, slugify(label))));
+    select.closest('.form-group').hidden = options[name].length < 2;
+  });
+}
+
+/**
+ * Returns the distinct non-empty names, sorted
+ *
+ * @param {string[]} names - Names, with repeats
+ * @param {Function} [compare] - Sort order; alphabetical by default
+ * @returns {string[]}
+ * @private
+ */
+function collectOptions(names, compare = (a, b) => a.localeCompare(b)) {
+  return [...new Set(names.filter(Boolean))].sort(compare);
+}
+
+/**
+ * Adds listeners for the controls, archive links and hash changes
+ *
+ * @private
+ */
+function addListeners() {
+  const { disposable, form, container } = sermonsState;
+
+  disposable.listen(form, 'change', handleFilterChange);
+  disposable.listen(form, 'input', handleSearchInput);
+  disposable.listen(form, 'submit', handleSearchSubmit);
+  disposable.listen(form, 'reset', handleReset);
+  disposable.listen(container, 'click', handleArchiveLinkClick);
+  disposable.listen(window, 'hashchange', handleHashChange);
+  disposable.listen(document, I18N_CHANGED_EVENT, render);
+}
+
+/**
+ * Applies a series, speaker or book choice
+ *
+ * @param {Event} event - Change event
+ * @private
+ */
+function handleFilterChange(event) {
+  const { name, value } = event.target;
+
+  if (SERMONS_CONFIG.FILTERS.includes(name)) {
+    commitQuery({ ...sermonsState.query, [name]: value, page: 1 }, { push: true });
+  }
+}
+
+/**
+ * Searches as the visitor types, after a short pause
+ * Typing replaces the history entry rather than adding one per keystroke
+ *
+ * @param {InputEvent} event - Input event
+ * @private
+ */
+function handleSearchInput(event) {
+  if (event.target.name !== 'q') {
+    return;
+  }
+
+  sermonsState.disposable.clearTimeout(sermonsState.searchTimer);
+  sermonsState.searchTimer = sermonsState.disposable.setTimeout(() => {
+    commitQuery({ ...sermonsState.query, q: event.target.value.trim(), page: 1 }, { push: false });
+  }, SERMONS_CONFIG.SEARCH_DELAY);
+}
+
+/**
+ * Searches straight away when Enter is pressed
+ *
+ * @param {SubmitEvent} event - Submit event
+ * @private
+ */
+function handleSearchSubmit(event) {
+  event.preventDefault();
+  sermonsState.disposable.clearTimeout(sermonsState.searchTimer);
+
+  const q = sermonsState.form.elements.namedItem('q').value.trim();
+  commitQuery({ ...sermonsState.query, q, page: 1 }, { push: q !== sermonsState.query.q });
+}
+
+/**
+ * Clears the search and filters
+ *
+ * @param {Event} event - Reset event
+ * @private
+ */
+function handleReset(event) {
+  event.preventDefault();
+  sermonsState.disposable.clearTimeout(sermonsState.searchTimer);
+  commitQuery(createEmptyQuery(), { push: true });
+  sermonsState.form.elements.namedItem('q').focus();
+}
+
+/**
+ * Handles "#sermons?…" links inside the archive (series links, pager)
+ * without leaving the section, and moves focus to the results
+ *
+ * @param {MouseEvent} event - Click event
+ * @private
+ */
+function handleArchiveLinkClick(event) {
+  const link = event.target.closest(`a[href^="${SERMONS_CONFIG.HASH}"]`);
+  const query = link ? parseSermonHash(link.getAttribute('href')) : null;
+
+  if (!query || event.ctrlKey || event.metaKey || event.shiftKey) {
+    return;
+  }
+
+  event.preventDefault();
+  commitQuery(query, { push: true });
+  sermonsState.status.focus();
+}
+
+/**
+ * Follows the hash when it changes, e.g. with the back button or a shared link
+ *
+ * @private
+ */
+function handleHashChange() {
+  const query = parseSermonHash(window.location.hash);
+
+  if (query) {
+    applyQuery(query);
+  }
+}
+
+/**
+ * Records a query in the URL and shows it
+ *
+ * @param {SermonQuery} query - New query
+ * @param {{push: boolean}} options - Add a history entry (true) or replace the current one
+ * @private
+ */
+function commitQuery(query, { push }) {
+  const hash = buildSermonHash(query);
+
+  if (hash !== window.location.hash) {
+    window.history[push ? 'pushState' : 'replaceState'](null, '', hash);
+  }
+
+  applyQuery(query);
+}
+
+/**
+ * Shows a query: syncs the controls and renders the matching page
+ * Filter values the feed does not offer are dropped
+ *
+ * @param {SermonQuery} query - Query to show
+ * @private
+ */
+function applyQuery(query) {
+  const { form } = sermonsState;
+  const next = { ...createEmptyQuery(), ...query };
+
+  SERMONS_CONFIG.FILTERS.forEach((name) => {
+    const select = form.elements.namedItem(name);
+    select.value = next[name];
+    next[name] = select.value;
+  });
+
+  const search = form.elements.namedItem('q');
+  if (search.value.trim() !== next.q) {
+    search.value = next.q;
+  }
+
+  sermonsState.query = next;
+  render();
+}
+
+/**
+ * Renders the current page of results, the status line and the pager
+ *
+ * @private
+ */
+function render() {
+  const { query, list } = sermonsState;
+
+  if (!list) {
+    return;
+  }
+
+  const matches = filterSermons(sermonsState.sermons, query);
+  const pageCount = Math.max(1, Math.ceil(matches.length / SERMONS_CONFIG.PAGE_SIZE));
+  const page = Math.min(query.page, pageCount);
+  const start = (page - 1) * SERMONS_CONFIG.PAGE_SIZE;
+  const pageItems = matches.slice(start, start + SERMONS_CONFIG.PAGE_SIZE);
+  const fragment = document.createDocumentFragment();
+
+  pageItems.forEach((sermon) => fragment.appendChild(createSermonCard(sermon)));
+  list.replaceChildren(fragment);
+
+  renderStatus(matches.length, start, pageItems.length);
+  renderPager(page, pageCount);
+}
+
+/**
+ * Describes the results, e.g. "Showing 7–12 of 14 sermons"
+ *
+ * @param {number} total - Matching sermons
+ * @param {number} start - Index of the first sermon on the page
+ * @param {number} count - Sermons on the page
+ * @private
+ */
+function renderStatus(total, start, count) {
+  const { status } = sermonsState;
+
+  if (total === 0) {
+    status.textContent = t(
+      'sermons.empty',
+      'No sermons match your search. Try fewer words or clear the filters.'
+    );
+  } else if (total === 1) {
+    status.textContent = t('sermons.countOne', 'Showing 1 sermon');
+  } else {
+    status.textContent = t('sermons.count', 'Showing {from}–{to} of {total} sermons', {
+      from: start + 1,
+      to: start + count,
+      total
+    });
+  }
+}
+
+/**
+ * Renders previous/next links for the current page
+ * The links carry the full hash, so they also work opened in a new tab
+ *
+ * @param {number} page - Current page
+ * @param {number} pageCount - Number of pages
+ * @private
+ */
+function renderPager(page, pageCount) {
+  const { pager, query } = sermonsState;
+
+  if (!pager) {
+    return;
+  }
+
+  pager.hidden = pageCount < 2;
+  pager.replaceChildren();
+
+  if (pageCount < 2) {
+    return;
+  }
+
+  pager.appendChild(createPagerLink(
+    { ...query, page: page - 1 },
+    t('sermons.previous', 'Previous'),
+    page > 1
+  ));
+  pager.appendChild(createElement(
+    'span',
+    'sermons-pager-position',
+    t('sermons.page', 'Page {page} of {count}', { page, count: pageCount })
+  ));
+  pager.appendChild(createPagerLink(
+    { ...query, page: page + 1 },
+    t('sermons.next', 'Next'),
+    page < pageCount
+  ));
+}
+
+/**
+ * Creates a pager link, or a placeholder at either end
+ *
+ * @param {SermonQuery} query - Query for the target page
+ * @param {string} label - Link text
+ * @param {boolean} enabled - Whether the target page exists
+ * @returns {HTMLElement}
+ * @private
+ */
+function createPagerLink(query, label, enabled) {
+  if (!enabled) {
+    const placeholder = createElement('span', 'sermons-pager-link is-disabled', label);
+    placeholder.setAttribute('aria-hidden', 'true');
+    return placeholder;
+  }
+
+  const link = createElement('a', 'sermons-pager-link', label);
+  link.href = buildSermonHash(query);
+  return link;
+}
+
+/**
+ * Builds a sermon card
+ *
+ * @param {Sermon} sermon - Sermon to render
+ * @returns {HTMLElement} Sermon card article
+ * @private
+ */
+function createSermonCard(sermon) {
+  const card = createElement('article', 'sermon-card card');
+  const body = createElement('div', 'card-body');
+  const titleId = `sermon-${sermon.id}-title`;
+
+  card.setAttribute('aria-labelledby', titleId);
+  card.dataset.sermonId = sermon.id;
+
+  const title = createElement('h3', 'card-title', sermon.title);
+  title.id = titleId;
+  body.appendChild(title);
+
+  const meta = createElement('p', 'sermon-meta');
+  const date = createElement('time', '', formatDate(sermon.preached));
+  date.setAttribute('datetime', sermon.date);
+  if (sermon.speaker) {
+    meta.append(`${sermon.speaker} · `);
+  }
+  meta.appendChild(date);
+  body.appendChild(meta);
+
+  if (sermon.scripture) {
+    body.appendChild(createElement('p', 'sermon-scripture', sermon.scripture));
+  }
+
+  if (sermon.series) {
+    const series = createElement('a', 'sermon-series', t('sermons.seriesLink', 'Series: {series}', {
+      series: sermon.series
+    }));
+    series.href = buildSermonHash({ ...createEmptyQuery(), series: sermon.seriesId });
+    body.appendChild(series);
+  }
+
+  if (sermon.notes) {
+    const notes = createElement('details', 'sermon-notes');
+    notes.appendChild(createElement('summary', '', t('sermons.notes', 'Sermon notes')));
+    notes.appendChild(createElement('p', 'card-text', sermon.notes));
+    body.appendChild(notes);
+  }
+
+  card.appendChild(body);
+  card.appendChild(createSermonActions(sermon));
+
+  return card;
+}
+
+/**
+ * Builds the listen and watch links
+ *
+ * @param {Sermon} sermon - Sermon
+ * @returns {HTMLElement}
+ * @private
+ */
+function createSermonActions(sermon) {
+  const actions = createElement('div', 'sermon-actions card-footer');
+  const listen = createElement('a', 'btn btn-primary', t('sermons.listen', 'Listen'));
+
+  listen.href = sermon.audioUrl;
+  listen.dataset.sermonAudio = '';
+  listen.setAttribute('aria-label', t('sermons.listenTo', 'Listen to {title}', { title: sermon.title }));
+  actions.appendChild(listen);
+
+  if (sermon.videoUrl) {
+    const watch = createElement('a', 'btn btn-outline', t('sermons.watch', 'Watch'));
+    watch.href = sermon.videoUrl;
+    watch.target = '_blank';
+    watch.rel = 'noopener noreferrer';
+    watch.setAttribute('aria-label', t('sermons.watchTitle', 'Watch {title} (opens in a new tab)', {
+      title: sermon.title
+    }));
+    actions.appendChild(watch);
+  }
+
+  return actions;
+}
+
+/**
+ * Formats a preaching date in the current language
+ *
+ * @param {Date} date - Preaching date
+ * @returns {string}
+ * @private
+ */
+function formatDate(date) {
+  return new Intl.DateTimeFormat([`${getLocale()}-NG`, 'en-NG'], {
+    dateStyle: 'long',
+    timeZone: SERMONS_CONFIG.TIME_ZONE
+  }).format(date);
+}
+
+/**
+ * Creates an element with optional class names and text content
+ *
+ * @param {string} tagName - Element tag name
+ * @param {string} [className] - Space-separated class names
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement}
+ * @private
+ */
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+
+  if (className) {
+    element.className = className;
+  }
+
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+
+  return element;
+}
+
+/**
+ * Cleanup function for the sermon archive
+ * Cancels a pending feed request and removes event listeners
+ *
+ * @returns {void}
+ */
+export function cleanupSermons() {
+  // Listeners and the search delay
+  sermonsState.disposable?.destroy();
+}
+
+/**
+ * Cancels a pending feed request and forgets the archive once the handle is destroyed
+ * @private
+ */
+function resetSermons() {
+  sermonsState.disposable = null;
+
+  if (sermonsState.abortController) {
+    sermonsState.abortController.abort();
+    sermonsState.abortController = null;
+  }
+
+  sermonsState.searchTimer = null;
+  sermonsState.container = null;
+  sermonsState.form = null;
+  sermonsState.list = null;
+  sermonsState.status = null;
+  sermonsState.pager = null;
+  sermonsState.sermons = [];
+  sermonsState.query = createEmptyQuery();
+
+  console.log('Sermon archive cleaned up');
+}
+
+export default {
+  initSermons,
+  cleanupSermons,
+  filterSermons,
+  getSermon
+};
@@ -0,0 +1,198 @@
+/**
+ * Service Countdown Component Module
+ *
+ * Adds a live "Next service starts in 2h 15m" badge to the hero highlights,
+ * switching to a "Happening now" state while a service is running. Times are
+ * worked out by the schedule engine in the church's timezone.
+ *
+ * @module service-countdown
+ */
+
+import {
+  loadServiceSchedule,
+  getNextService,
+  formatCountdown
+} from '../utils/schedule.js';
+import { createDisposable } from '../utils/disposable.js';
+import { t, I18N_CHANGED_EVENT } from '../utils/i18n.js';
+
+/**
+ * Countdown configuration
+ * @private
+ */
+const COUNTDOWN_CONFIG = Object.freeze({
+  UPDATE_INTERVAL: 30000,
+  UPCOMING_ICON: '⏰',
+  LIVE_ICON: '🔴',
+  LIVE_CLASS: 'is-live'
+});
+
+/**
+ * Countdown component state
+ * @private
+ */
+const countdownState = {
+  schedule: null,
+  badge: null,
+  disposable: null
+};
+
+/**
+ * Initializes the next-service countdown badge
+ *
+ * @returns {Promise<import('../utils/disposable.js').Disposable|null>} Handle that stops the
+ *   timer and removes the badge when destroyed, or null if no badge was added
+ */
+export async function initServiceCountdown() {
+  const highlights = document.querySelector('.hero-highlights');
+
+  if (!highlights) {
+    console.warn('Hero highlights not found on page');
+    return null;
+  }
+
+  cleanupServiceCountdown();
+
+  const disposable = createDisposable('service-countdown');
+  countdownState.disposable = disposable;
+  disposable.defer(resetServiceCountdown);
+
+  try {
+    countdownState.schedule = await loadServiceSchedule();
+  } catch (error) {
+    console.warn('Unable to load service schedule for countdown:', error.message);
+    disposable.destroy();
+    return null;
+  }
+
+  // Cleaned up while the schedule was loading
+  if (disposable.isDestroyed()) {
+    return null;
+  }
+
+  if (countdownState.schedule.services.length === 0) {
+    console.warn('Service schedule is empty, countdown not shown');
+    disposable.destroy();
+    return null;
+  }
+
+  countdownState.badge = createBadge();
+  highlights.insertBefore(countdownState.badge, highlights.firstChild);
+
+  updateCountdown();
+
+  disposable.setInterval(updateCountdown, COUNTDOWN_CONFIG.UPDATE_INTERVAL);
+  disposable.listen(document, 'visibilitychange', handleVisibilityChange);
+  disposable.listen(document, I18N_CHANGED_EVENT, updateCountdown);
+
+  console.log('Service countdown initialized successfully');
+  return disposable;
+}
+
+/**
+ * Creates the countdown badge using the hero highlight markup
+ *
+ * @returns {HTMLElement}
+ * @private
+ */
+function createBadge() {
+  const badge = document.createElement('div');
+  badge.className = 'highlight-item service-countdown';
+  badge.setAttribute('role', 'timer');
+  badge.setAttribute('aria-atomic', 'true');
+
+  const icon = document.createElement('span');
+  icon.className = 'highlight-icon';
+  icon.setAttribute('aria-hidden', 'true');
+
+  const text = document.createElement('span');
+  text.className = 'highlight-text';
+
+  const name = document.createElement('span');
+  name.className = 'service-countdown-name';
+
+  badge.appendChild(icon);
+  badge.appendChild(text);
+  badge.appendChild(name);
+
+  return badge;
+}
+
+/**
+ * Refreshes the badge from the schedule
+ * @private
+ */
+function updateCountdown() {
+  const { badge, schedule } = countdownState;
+
+  if (!badge || !schedule) {
+    return;
+  }
+
+  const now = new Date();
+  const occurrence = getNextService(schedule, now);
+
+  if (!occurrence) {
+    badge.hidden = true;
+    return;
+  }
+
+  const icon = badge.querySelector('.highlight-icon');
+  const text = badge.querySelector('.highlight-text');
+  const name = badge.querySelector('.service-countdown-name');
+
+  badge.hidden = false;
+  badge.classList.toggle(COUNTDOWN_CONFIG.LIVE_CLASS, occurrence.isLive);
+  badge.dataset.serviceId = occurrence.service.id;
+
+  if (occurrence.isLive) {
+    icon.textContent = COUNTDOWN_CONFIG.LIVE_ICON;
+    text.textContent = t('hero.countdown.live', 'Happening now');
+  } else {
+    icon.textContent = COUNTDOWN_CONFIG.UPCOMING_ICON;
+    text.textContent = t('hero.countdown.next', 'Next service starts in {time}', {
+      time: formatCountdown(occurrence.start.getTime() - now.getTime())
+    });
+  }
+
+  name.textContent = occurrence.service.name;
+}
+
+/**
+ * Refreshes immediately when the page becomes visible again,
+ * since timers are throttled in background tabs
+ * @private
+ */
+function handleVisibilityChange() {
+  if (!document.hidden) {
+    updateCountdown();
+  }
+}
+
+/**
+ * Cleanup function for the countdown
+ * Stops the timer and removes the badge
+ *
+ * @returns {void}
+ */
+export function cleanupServiceCountdown() {
+  // Stops the timer and removes the visibility and language listeners
+  countdownState.disposable?.destroy();
+}
+
+/**
+ * Removes the badge once the handle is destroyed
+ * @private
+ */
+function resetServiceCountdown() {
+  countdownState.disposable = null;
+
+  if (countdownState.badge) {
+    countdownState.badge.remove();
+    countdownState.badge = null;
+  }
+
+  countdownState.schedule = null;
+
+  console.log('Service countdown cleaned up');
+}
@@ -0,0 +1,862 @@
+/**
+ * Plan Your Visit Wizard Component Module
+ *
+ * Turns the visit planner form into a four-step wizard for first-time
+ * visitors: service and date, party size and children's ages, accessibility
+ * needs, and contact details. Each step is validated by the form engine
+ * before moving on, and progress is kept in sessionStorage so a reload or a
+ * quick look at another section does not lose it.
+ *
+ * Service choices and dates come from content/services.json. The plan is
+ * sent to the contact form's backend (see form-transports.js) through the
+ * shared submission pipeline, tagged with the "First Time Visit" subject.
+ * Without JavaScript every step shows at once and the form posts normally.
+ *
+ * @module visit-wizard
+ */
+
+import { createFormEngine, registerRule } from '../utils/form-engine.js';
+import { sendSubmission } from '../utils/form-submission.js';
+import { resolveTransport } from '../utils/form-transports.js';
+import { createIdempotencyKey } from '../utils/offline-queue.js';
+import { loadServiceSchedule, getUpcomingOccurrences } from '../utils/schedule.js';
+import { clearAllErrors, readFormValues, showFormError } from '../utils/validation.js';
+import { getLocale, I18N_CHANGED_EVENT, t } from '../utils/i18n.js';
+import { createDisposable } from '../utils/disposable.js';
+
+/**
+ * Wizard configuration
+ * @private
+ */
+const VISIT_CONFIG = Object.freeze({
+  CONTAINER_SELECTOR: '[data-visit-wizard]',
+  FORM_SELECTOR: '.visit-form',
+  BACKEND_FORM_SELECTOR: '.contact-form',
+  STORAGE_KEY: 'lfcc-visit-plan',
+  DATE_CHOICES: 6,
+  SIGN_LANGUAGE_NOTICE_HOURS: 48,
+  CHILDRENS_CHURCH_MIN_AGE: 3,
+  CHILDRENS_CHURCH_MAX_AGE: 12,
+  MAX_CHILD_AGE: 17,
+  COMPLETE_CLASS: 'is-complete',
+  ENHANCED_CLASS: 'is-enhanced'
+});
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const CHILD_AGES_REGEX = /^\d{1,2}(\s*,\s*\d{1,2})*$/;
+
+/**
+ * Wizard state
+ * @private
+ */
+const visitState = {
+  container: null,
+  form: null,
+  engine: null,
+  steps: [],
+  currentStep: 0,
+  schedule: null,
+  isSubmitting: false,
+  disposable: null,
+  abortController: null
+};
+
+/**
+ * Initializes the visit wizard
+ *
+ * @returns {Promise<import('../utils/disposable.js').Disposable|null>} Handle that shows every
+ *   step again when destroyed, or null if there is no wizard
+ */
+export async function initVisitWizard() {
+  const container = document.querySelector(VISIT_CONFIG.CONTAINER_SELECTOR);
+  const form = container ? container.querySelector(VISIT_CONFIG.FORM_SELECTOR) : null;
+
+  if (!form) {
+    console.warn('Visit wizard form not found on page');
+    return null;
+  }
+
+  registerRule('childAges', checkChildAges);
+  registerRule('signLanguageNotice', checkSignLanguageNotice);
+
+  cleanupVisitWizard();
+
+  const disposable = createDisposable('visit-wizard');
+  visitState.disposable = disposable;
+  disposable.defer(resetVisitWizard);
+  visitState.container = container;
+  visitState.form = form;
+  visitState.steps = Array.from(form.querySelectorAll('[data-visit-step]'));
+  visitState.engine = createFormEngine(form);
+  visitState.engine.attach();
+
+  try {
+    visitState.schedule = await loadServiceSchedule();
+    renderServiceOptions();
+  } catch (error) {
+    // The static service list still works; visitors just cannot pick a date
+    console.warn('Unable to load service schedule for visit wizard:', error.message);
+  }
+
+  // Cleaned up while the schedule was loading
+  if (disposable.isDestroyed()) {
+    return null;
+  }
+
+  const savedStep = restoreProgress();
+
+  addListeners();
+  container.classList.add(VISIT_CONFIG.ENHANCED_CLASS);
+  container.querySelector('[data-visit-progress]').hidden = false;
+  updateChildren();
+  showStep(savedStep, false);
+
+  console.log('Visit wizard initialized successfully');
+  return disposable;
+}
+
+/**
+ * Adds the wizard's event listeners
+ * @private
+ */
+function addListeners() {
+  const { disposable } = visitState;
+
+  disposable.listen(visitState.form, 'submit', handleSubmit);
+  disposable.listen(visitState.form, 'change', handleChange);
+  disposable.listen(visitState.form, 'input', handleInput);
+  disposable.listen(visitState.container, 'click', handleClick);
+  disposable.listen(document, I18N_CHANGED_EVENT, handleLocaleChanged);
+}
+
+/**
+ * Parses a comma-separated list of ages
+ *
+ * @param {string} value - Ages as typed, e.g. "4, 9"
+ * @returns {number[]|null} Ages, or null when the list is malformed
+ * @private
+ */
+function parseAges(value) {
+  const text = String(value || '').trim();
+
+  if (!CHILD_AGES_REGEX.test(text)) {
+    return null;
+  }
+
+  return text.split(',').map((age) => Number(age.trim()));
+}
+
+/**
+ * Custom rule: children's ages must be a list of ages from 0 to 17
+ *
+ * @param {string} value - Field value
+ * @returns {true|string}
+ * @private
+ */
+function checkChildAges(value) {
+  const ages = parseAges(value);
+
+  if (ages && ages.every((age) => age <= VISIT_CONFIG.MAX_CHILD_AGE)) {
+    return true;
+  }
+
+  return t('visit.childAgesInvalid', 'Please enter each child’s age from 0 to 17, separated by commas');
+}
+
+/**
+ * Custom rule: sign language interpreters need 48 hours' notice
+ * Passes when no date was chosen, as the church can still arrange one later
+ *
+ * @param {string} _value - Checkbox value
+ * @param {{values: Object}} context - Form values
+ * @returns {true|string}
+ * @private
+ */
+function checkSignLanguageNotice(_value, { values }) {
+  const start = Date.parse(values.visitDate);
+
+  if (Number.isNaN(start) || start - Date.now() >= VISIT_CONFIG.SIGN_LANGUAGE_NOTICE_HOURS * MS_PER_HOUR) {
+    return true;
+  }
+
+  return t(
+    'visit.signLanguageNotice',
+    'Sign language interpretation needs 48 hours’ notice. Please choose a later date.'
+  );
+}
+
+/**
+ * Rebuilds the service choices from the schedule, keeping the selection
+ * @private
+ */
+function renderServiceOptions() {
+  const select = visitState.form.elements.namedItem('service');
+  const selected = select.value;
+
+  Array.from(select.options).slice(1).forEach((option) => option.remove());
+
+  visitState.schedule.services.forEach((service) => {
+    select.add(new Option(service.name, service.id));
+  });
+
+  select.value = selected;
+}
+
+/**
+ * Returns the loaded definition of a service
+ *
+ * @param {string} id - Service id
+ * @returns {Object|null}
+ * @private
+ */
+function findService(id) {
+  return visitState.schedule?.services.find((service) => service.id === id) || null;
+}
+
+/**
+ * Formats an occurrence start for the date choices and the confirmation
+ *
+ * @param {Date} date - Start instant
+ * @returns {string} e.g. "Sunday, 26 October, 8:00 am"
+ * @private
+ */
+function formatVisitDate(date) {
+  return new Intl.DateTimeFormat([`${getLocale()}-NG`, 'en-NG'], {
+    timeZone: visitState.schedule.timeZone,
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(date);
+}
+
+/**
+ * Fills the date choices with the chosen service's next occurrences
+ * The date field stays hidden and disabled until there is something to pick
+ *
+ * @param {string} [preferred] - Date (ISO string) to select if still offered
+ * @private
+ */
+function renderDateOptions(preferred) {
+  const select = visitState.form.elements.namedItem('visitDate');
+  const group = visitState.form.querySelector('[data-visit-date-group]');
+  const service = findService(visitState.form.elements.namedItem('service').value);
+  const now = new Date();
+  const occurrences = service
+    ? getUpcomingOccurrences(service, VISIT_CONFIG.DATE_CHOICES, now, visitState.schedule.timeZone)
+      .filter((occurrence) => occurrence.start > now)
+    : [];
+
+  Array.from(select.options).slice(1).forEach((option) => option.remove());
+
+  occurrences.forEach((occurrence) => {
+    select.add(new Option(formatVisitDate(occurrence.start), occurrence.start.toISOString()));
+  });
+
+  select.value = occurrences.some((occurrence) => occurrence.start.toISOString() === preferred) ? preferred : '';
+  select.disabled = occurrences.length === 0;
+  group.hidden = select.disabled;
+}
+
+/**
+ * Shows or hides the children's ages field to match the yes/no choice
+ * @private
+ */
+function updateChildren() {
+  const hasChildren = visitState.form.elements.namedItem('hasChildren').value === 'yes';
+
+  visitState.form.querySelector('[data-visit-children]').hidden = !hasChildren;
+  updateChildrensChurchNote();
+}
+
+/**
+ * Tells parents how many of their children can join children's church
+ * @private
+ */
+function updateChildrensChurchNote() {
+  const note = visitState.form.querySelector('[data-visit-childrens-church]');
+  const ages = parseAges(visitState.form.elements.namedItem('childAges').value);
+
+  if (!note) {
+    return;
+  }
+
+  if (!ages) {
+    note.textContent = '';
+    return;
+  }
+
+  const count = countChildrensChurchAges(ages);
+
+  note.textContent = count > 0
+    ? t(
+      'visit.childrensChurch',
+      "{count} of your children can join children's church (ages 3-12) during the Sunday Worship Service.",
+      { count }
+    )
+    : t(
+      'visit.childrensChurchNone',
+      "Children's church is for ages 3-12. Other children are welcome to stay with you in the service."
+    );
+}
+
+/**
+ * Counts the ages that fall within children's church
+ *
+ * @param {number[]} ages - Children's ages
+ * @returns {number}
+ * @private
+ */
+function countChildrensChurchAges(ages) {
+  const { CHILDRENS_CHURCH_MIN_AGE, CHILDRENS_CHURCH_MAX_AGE } = VISIT_CONFIG;
+  return ages.filter((age) => age >= CHILDRENS_CHURCH_MIN_AGE && age <= CHILDRENS_CHURCH_MAX_AGE).length;
+}
+
+/**
+ * Shows one step and updates the progress list and buttons
+ *
+ * @param {number} index - Step index
+ * @param {boolean} [moveFocus=true] - Focus the step's first field and announce it
+ * @private
+ */
+function showStep(index, moveFocus = true) {
+  const { container, steps } = visitState;
+  const step = Math.min(Math.max(index, 0), steps.length - 1);
+  const isLast = step === steps.length - 1;
+
+  visitState.currentStep = step;
+
+  steps.forEach((element, position) => {
+    element.hidden = position !== step;
+  });
+
+  container.querySelectorAll('[data-visit-progress] li').forEach((item, position) => {
+    item.classList.toggle(VISIT_CONFIG.COMPLETE_CLASS, position < step);
+
+    if (position === step) {
+      item.setAttribute('aria-current', 'step');
+    } else {
+      item.removeAttribute('aria-current');
+    }
+  });
+
+  container.querySelector('[data-visit-back]').hidden = step === 0;
+  container.querySelector('[data-visit-next]').hidden = isLast;
+  container.querySelector('[data-visit-submit]').hidden = !isLast;
+
+  if (moveFocus) {
+    announceStep();
+    steps[step].querySelector('input:not([disabled]), select:not([disabled]), textarea')?.focus();
+  }
+
+  saveProgress();
+}
+
+/**
+ * Announces the current step to screen readers
+ * @private
+ */
+function announceStep() {
+  const announcer = visitState.container.querySelector('[data-visit-announcer]');
+  const legend = visitState.steps[visitState.currentStep].querySelector('legend');
+
+  if (announcer) {
+    announcer.textContent = t('visit.stepStatus', 'Step {step} of {total}: {title}', {
+      step: visitState.currentStep + 1,
+      total: visitState.steps.length,
+      title: legend ? legend.textContent.trim() : ''
+    });
+  }
+}
+
+/**
+ * Validates the current step and moves to the next one
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+async function goToNextStep() {
+  if (await visitState.engine.validate(visitState.steps[visitState.currentStep])) {
+    showStep(visitState.currentStep + 1);
+  }
+}
+
+/**
+ * Finds the first step with an invalid field and shows it with the errors
+ *
+ * @returns {Promise<boolean>} True if every step is valid
+ * @private
+ */
+async function validateAllSteps() {
+  const { engine, steps } = visitState;
+
+  for (let index = 0; index < steps.length; index += 1) {
+    // Show the step first so the engine can focus the invalid field
+    const wasHidden = steps[index].hidden;
+    steps[index].hidden = false;
+
+    if (!(await engine.validate(steps[index]))) {
+      showStep(index, false);
+      await engine.validate(steps[index]);
+      return false;
+    }
+
+    steps[index].hidden = wasHidden;
+  }
+
+  return true;
+}
+
+/**
+ * Handles Back, Next and the confirmation's restart button
+ *
+ * @param {MouseEvent} event - Click event
+ * @private
+ */
+function handleClick(event) {
+  if (event.target.closest('[data-visit-next]')) {
+    goToNextStep();
+  } else if (event.target.closest('[data-visit-back]')) {
+    showStep(visitState.currentStep - 1);
+  } else if (event.target.closest('[data-visit-restart]')) {
+    restart();
+  }
+}
+
+/**
+ * Reacts to choices that change other fields
+ *
+ * @param {Event} event - Change event
+ * @private
+ */
+function handleChange(event) {
+  if (event.target.name === 'service') {
+    renderDateOptions();
+  } else if (event.target.name === 'hasChildren') {
+    updateChildren();
+  }
+
+  saveProgress();
+}
+
+/**
+ * Keeps the children's church note and saved progress up to date while typing
+ *
+ * @param {InputEvent} event - Input event
+ * @private
+ */
+function handleInput(event) {
+  if (event.target.name === 'childAges') {
+    updateChildrensChurchNote();
+  }
+
+  saveProgress();
+}
+
+/**
+ * Re-renders the text built in JavaScript in the new language
+ * @private
+ */
+function handleLocaleChanged() {
+  if (visitState.schedule) {
+    renderDateOptions(visitState.form.elements.namedItem('visitDate').value);
+  }
+
+  updateChildrensChurchNote();
+}
+
+/**
+ * Saves the current step and values for this browser tab
+ * @private
+ */
+function saveProgress() {
+  try {
+    sessionStorage.setItem(VISIT_CONFIG.STORAGE_KEY, JSON.stringify({
+      step: visitState.currentStep,
+      values: readFormValues(visitState.form)
+    }));
+  } catch (error) {
+    console.warn('Unable to save visit plan progress:', error.message);
+  }
+}
+
+/**
+ * Reads saved progress
+ *
+ * @returns {{step: number, values: Object}|null}
+ * @private
+ */
+function readProgress() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(VISIT_CONFIG.STORAGE_KEY));
+    return saved && typeof saved.values === 'object' ? saved : null;
+  } catch (_error) {
+    // Storage blocked or the entry is corrupt: start from the beginning
+    return null;
+  }
+}
+
+/**
+ * Removes saved progress
+ * @private
+ */
+function clearProgress() {
+  try {
+    sessionStorage.removeItem(VISIT_CONFIG.STORAGE_KEY);
+  } catch (error) {
+    console.warn('Unable to clear visit plan progress:', error.message);
+  }
+}
+
+/**
+ * Puts saved values back into the form
+ *
+ * @returns {number} Step to resume at
+ * @private
+ */
+function restoreProgress() {
+  const saved = readProgress();
+
+  if (!saved) {
+    return 0;
+  }
+
+  Object.entries(saved.values).forEach(([name, value]) => restoreValue(name, value));
+
+  if (visitState.schedule) {
+    renderDateOptions(saved.values.visitDate);
+  }
+
+  return Number(saved.step) || 0;
+}
+
+/**
+ * Sets one saved value on the matching field
+ *
+ * @param {string} name - Field name
+ * @param {string|string[]} value - Saved value
+ * @private
+ */
+function restoreValue(name, value) {
+  const control = visitState.form.elements.namedItem(name);
+
+  if (!control || name === 'visitDate') {
+    return;
+  }
+
+  if (control.type === 'checkbox') {
+    control.checked = [].concat(value).includes(control.value);
+  } else {
+    control.value = value;
+  }
+}
+
+/**
+ * Sends the plan once every step is valid
+ * Enter on an earlier step moves on instead of submitting
+ *
+ * @param {SubmitEvent} event - Submit event
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleSubmit(event) {
+  event.preventDefault();
+
+  if (visitState.currentStep < visitState.steps.length - 1) {
+    await goToNextStep();
+    return;
+  }
+
+  if (visitState.isSubmitting || !(await validateAllSteps())) {
+    return;
+  }
+
+  const { form } = visitState;
+  const submitButton = form.querySelector('[data-visit-submit]');
+  visitState.isSubmitting = true;
+  setLoadingState(submitButton, true);
+
+  try {
+    const data = buildPayload();
+    const result = await sendPlan(data);
+
+    if (result.success) {
+      showConfirmation(data, result);
+      trackVisitPlan(result.queued ? 'queued' : 'success', data.service);
+    } else {
+      showFormError(getStatusContainer(form), result.error);
+      trackVisitPlan('error', data.service);
+    }
+  } catch (error) {
+    // Cancelled by cleanupVisitWizard(); the form is being torn down
+    if (error.name === 'AbortError') {
+      return;
+    }
+
+    console.error('Visit plan submission error:', error);
+    showFormError(
+      getStatusContainer(form),
+      t('form.status.unexpected', 'An unexpected error occurred. Please try again.')
+    );
+  } finally {
+    setLoadingState(submitButton, false);
+    visitState.isSubmitting = false;
+  }
+}
+
+/**
+ * Builds the payload, adding readable service and date details for the
+ * welcome team
+ *
+ * @returns {Object}
+ * @private
+ */
+function buildPayload() {
+  const data = visitState.engine.getPayload();
+  const service = findService(data.service);
+  const serviceName = service ? service.name : data.service;
+  const dateLabel = visitState.schedule && data.visitDate ? formatVisitDate(new Date(data.visitDate)) : '';
+  const ages = parseAges(data.childAges);
+
+  data.subject = 'visit';
+  data.serviceName = serviceName;
+  data.visitDateLabel = dateLabel;
+  data._subject = `First Time Visit: ${serviceName}${dateLabel ? ` on ${dateLabel}` : ''}`;
+  data._replyto = data.email;
+  data._gotcha = ''; // Honeypot field for spam protection
+
+  if (ages) {
+    data.childrensChurch = String(countChildrensChurchAges(ages));
+  }
+
+  return data;
+}
+
+/**
+ * Sends the plan to the contact form's backend
+ *
+ * @param {Object} data - Payload
+ * @returns {Promise<{success: boolean, handoff?: boolean, queued?: boolean, error?: string}>}
+ * @private
+ */
+async function sendPlan(data) {
+  const backend = document.querySelector(VISIT_CONFIG.BACKEND_FORM_SELECTOR) || visitState.form;
+
+  visitState.abortController = new AbortController();
+
+  try {
+    return await sendSubmission(resolveTransport(backend), data, {
+      idempotencyKey: createIdempotencyKey(),
+      signal: visitState.abortController.signal
+    });
+  } finally {
+    visitState.abortController = null;
+  }
+}
+
+/**
+ * Replaces the form with the confirmation view
+ *
+ * @param {Object} data - Sent payload
+ * @param {{handoff?: boolean, queued?: boolean}} result - Submission outcome
+ * @private
+ */
+function showConfirmation(data, result) {
+  const { container, form } = visitState;
+  const confirmation = container.querySelector('[data-visit-confirmation]');
+
+  confirmation.querySelector('[data-visit-outcome]').textContent = getOutcomeMessage(data, result);
+
+  // A mailto handoff keeps the plan in case the mail app did not open
+  if (!result.handoff) {
+    form.reset();
+    clearProgress();
+  }
+
+  clearAllErrors(form);
+  form.hidden = true;
+  container.querySelector('[data-visit-progress]').hidden = true;
+  confirmation.hidden = false;
+  confirmation.focus();
+}
+
+/**
+ * Returns the confirmation text for an outcome
+ *
+ * @param {Object} data - Sent payload
+ * @param {{handoff?: boolean, queued?: boolean}} result - Submission outcome
+ * @returns {string}
+ * @private
+ */
+function getOutcomeMessage(data, result) {
+  if (result.handoff) {
+    return t(
+      'visit.confirmation.handoff',
+      'Your email app should now open with your visit plan. Please press send there so we know you are coming.'
+    );
+  }
+
+  if (result.queued) {
+    return t(
+      'visit.confirmation.queued',
+      'You appear to be offline, so your visit plan has been saved. ' +
+        'It will be sent automatically when you are back online.'
+    );
+  }
+
+  const params = { name: data.name, service: data.serviceName, date: data.visitDateLabel };
+
+  if (!data.visitDateLabel) {
+    return t(
+      'visit.confirmation.sentNoDate',
+      'Thank you, {name}. We look forward to welcoming you to {service}. ' +
+        'Someone from our welcome team will be in touch before then.',
+      params
+    );
+  }
+
+  return t(
+    'visit.confirmation.sent',
+    'Thank you, {name}. We look forward to welcoming you to {service} on {date}. ' +
+      'Someone from our welcome team will be in touch before then.',
+    params
+  );
+}
+
+/**
+ * Brings the wizard back for another plan
+ * @private
+ */
+function restart() {
+  const { container, form } = visitState;
+
+  container.querySelector('[data-visit-confirmation]').hidden = true;
+  container.querySelector('[data-visit-progress]').hidden = false;
+  form.hidden = false;
+
+  if (visitState.schedule) {
+    renderDateOptions();
+  }
+
+  updateChildren();
+  showStep(0);
+}
+
+/**
+ * Sets loading state for the submit button
+ *
+ * @param {HTMLButtonElement} button - Submit button
+ * @param {boolean} isLoading - Loading state
+ * @private
+ */
+function setLoadingState(button, isLoading) {
+  if (!button) {
+    return;
+  }
+
+  const buttonText = button.querySelector('.button-text');
+
+  button.disabled = isLoading;
+  button.setAttribute('aria-busy', String(isLoading));
+  button.classList.toggle('loading', isLoading);
+
+  if (buttonText) {
+    buttonText.textContent = isLoading
+      ? t('form.sending', 'Sending...')
+      : t('visit.submit', 'Send Visit Plan');
+  }
+}
+
+/**
+ * Gets (or creates) the status message container after the form
+ *
+ * @param {HTMLFormElement} form - Visit form
+ * @returns {HTMLElement}
+ * @private
+ */
+function getStatusContainer(form) {
+  let container = form.parentElement.querySelector('.form-status');
+
+  if (!container) {
+    container = document.createElement('div');
+    container.className = 'form-status';
+    container.setAttribute('role', 'status');
+    container.setAttribute('aria-live', 'polite');
+    container.setAttribute('aria-atomic', 'true');
+    form.after(container);
+  }
+
+  return container;
+}
+
+/**
+ * Tracks visit plans for analytics
+ *
+ * @param {string} status - Submission status
+ * @param {string} serviceId - Chosen service
+ * @private
+ */
+function trackVisitPlan(status, serviceId) {
+  try {
+    if (typeof window.gtag === 'function') {
+      window.gtag('event', 'visit_plan', {
+        'event_category': 'Plan Your Visit',
+        'event_label': `${status}:${serviceId}`
+      });
+    }
+  } catch (err) {
+    console.warn('Analytics tracking failed:', err);
+  }
+}
+
+/**
+ * Cleanup function for the visit wizard
+ * Cancels a pending submission, removes listeners and shows every step again
+ *
+ * @returns {void}
+ */
+export function cleanupVisitWizard() {
+  visitState.disposable?.destroy();
+}
+
+/**
+ * Cancels a pending submission and shows every step once the handle is destroyed
+ * @private
+ */
+function resetVisitWizard() {
+  visitState.disposable = null;
+
+  if (visitState.abortController) {
+    visitState.abortController.abort();
+    visitState.abortController = null;
+  }
+
+  if (visitState.engine) {
+    visitState.engine.destroy();
+    visitState.engine = null;
+  }
+
+  visitState.steps.forEach((step) => {
+    step.hidden = false;
+  });
+
+  if (visitState.container) {
+    visitState.container.classList.remove(VISIT_CONFIG.ENHANCED_CLASS);
+    visitState.container.querySelector('[data-visit-progress]').hidden = true;
+  }
+
+  visitState.container = null;
+  visitState.form = null;
+  visitState.steps = [];
+  visitState.currentStep = 0;
+  visitState.schedule = null;
+  visitState.isSubmitting = false;
+
+  console.log('Visit wizard cleaned up');
+}
+
+export default {
+  initVisitWizard,
+  cleanupVisitWizard
+};
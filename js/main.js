@@ -2,15 +2,34 @@
  * Main JavaScript Entry Point
  * 
  * Initializes all interactive features for the church landing page including
- * navigation, contact form, and lazy loading. Implements graceful degradation
- * for browsers without JavaScript support and comprehensive error handling.
+ * navigation, language switching, contact form, prayer requests, online giving, visit planner, events feed, event RSVP,
+ * sermon archive, sermon audio player, livestream, service countdown, church map,
+ * lazy loading
+ * and the offline service worker.
+ * Implements graceful degradation for browsers without JavaScript support and comprehensive error handling.
  * 
  * @module main
  */
 
 import { initializeNavigation, cleanupNavigation } from './components/navigation.js';
 import { initContactForm, cleanupContactForm } from './components/contact-form.js';
+import { initPrayerRequest, cleanupPrayerRequest } from './components/prayer-request.js';
+import { initGiving, cleanupGiving } from './components/giving.js';
+import { initVisitWizard, cleanupVisitWizard } from './components/visit-wizard.js';
+import { initEvents, cleanupEvents } from './components/events.js';
+import { initEventRsvp, cleanupEventRsvp } from './components/event-rsvp.js';
+import { initSermons, cleanupSermons } from './components/sermons.js';
+import { initAudioPlayer, cleanupAudioPlayer } from './components/audio-player.js';
+import { initServiceCountdown, cleanupServiceCountdown } from './components/service-countdown.js';
+import { initLivestream, cleanupLivestream } from './components/livestream.js';
+import { initAddToCalendar, cleanupAddToCalendar } from './components/add-to-calendar.js';
+import { initChurchMap, cleanupChurchMap } from './components/church-map.js';
+import { initInstallPrompt, cleanupInstallPrompt } from './components/install-prompt.js';
+import { initLanguageSwitcher, cleanupLanguageSwitcher } from './components/language-switcher.js';
+import { initI18n } from './utils/i18n.js';
 import { initLazyLoading } from './utils/lazy-loading.js';
+import { createDisposable, getListenerCount, getLiveOwners } from './utils/disposable.js';
+import { getViewportSubscriberCount } from './utils/viewport-scheduler.js';
 
 /**
  * Application state management
@@ -20,10 +39,26 @@ const AppState = {
   initialized: false,
   features: {
     navigation: false,
+    i18n: false,
     contactForm: false,
+    prayerRequest: false,
+    giving: false,
+    visitWizard: false,
+    events: false,
+    eventRsvp: false,
+    sermons: false,
+    audioPlayer: false,
+    serviceCountdown: false,
+    livestream: false,
+    addToCalendar: false,
+    churchMap: false,
+    installPrompt: false,
     lazyLoading: false
   },
+  handles: new Map(),
   lazyLoadInstance: null,
+  disposable: null,
+  serviceWorkerRegistration: null,
   startTime: null
 };
 
@@ -33,11 +68,63 @@ const AppState = {
  */
 const FeatureFlags = Object.freeze({
   NAVIGATION: true,
+  I18N: true,
   CONTACT_FORM: true,
+  PRAYER_REQUEST: true,
+  GIVING: true,
+  VISIT_WIZARD: true,
+  EVENTS: true,
+  EVENT_RSVP: true,
+  SERMONS: true,
+  AUDIO_PLAYER: true,
+  SERVICE_COUNTDOWN: true,
+  LIVESTREAM: true,
+  ADD_TO_CALENDAR: true,
+  CHURCH_MAP: true,
+  INSTALL_PROMPT: true,
   LAZY_LOADING: true,
+  SERVICE_WORKER: true,
   PERFORMANCE_MONITORING: true
 });
 
+/**
+ * Cleanup function for each feature that has one, run by cleanupApp() for
+ * features that returned no handle (still loading, or threw part way)
+ * Each is safe to call when its feature never started or only partly did
+ * @private
+ */
+const FEATURE_CLEANUPS = Object.freeze({
+  navigation: cleanupNavigation,
+  i18n: cleanupLanguageSwitcher,
+  contactForm: cleanupContactForm,
+  prayerRequest: cleanupPrayerRequest,
+  giving: cleanupGiving,
+  visitWizard: cleanupVisitWizard,
+  events: cleanupEvents,
+  eventRsvp: cleanupEventRsvp,
+  sermons: cleanupSermons,
+  audioPlayer: cleanupAudioPlayer,
+  serviceCountdown: cleanupServiceCountdown,
+  livestream: cleanupLivestream,
+  addToCalendar: cleanupAddToCalendar,
+  churchMap: cleanupChurchMap,
+  installPrompt: cleanupInstallPrompt
+});
+
+/**
+ * Service worker script, resolved from this module so pages in
+ * subfolders register the same root-scoped worker
+ * @private
+ */
+const SERVICE_WORKER_URL = new URL('../sw.js', import.meta.url);
+
+/**
+ * Classic build of the service worker (scripts/build.js), for browsers
+ * that cannot run module service workers
+ * @private
+ */
+const CLASSIC_SERVICE_WORKER_URL = new URL('../sw-classic.js', import.meta.url);
+
 /**
  * Logs structured messages with context
  * @param {string} level - Log level (info, warn, error)
@@ -118,11 +205,30 @@ function showCompatibilityWarning(support) {
   `;
 
   const closeButton = warningBanner.querySelector('.browser-warning__close');
-  closeButton.addEventListener('click', () => {
+  AppState.disposable.listen(closeButton, 'click', () => {
     warningBanner.remove();
   });
 
   document.body.insertBefore(warningBanner, document.body.firstChild);
+  AppState.disposable.defer(() => warningBanner.remove());
+}
+
+/**
+ * Keeps the handle a component's init returned, so cleanupApp() can destroy it
+ * A component that returns null is not on this page or has nothing to
+ * enhance; its wrapper still reports success
+ * @param {string} feature - Key in AppState.features
+ * @param {import('./utils/disposable.js').Disposable|null} handle - Handle from the component's init
+ * @returns {boolean} Whether the component is active
+ * @private
+ */
+function keepHandle(feature, handle) {
+  if (handle) {
+    AppState.handles.set(feature, handle);
+  }
+
+  AppState.features[feature] = Boolean(handle);
+  return AppState.features[feature];
 }
 
 /**
@@ -137,8 +243,7 @@ async function initNavigation() {
   }
 
   try {
-    initializeNavigation();
-    AppState.features.navigation = true;
+    keepHandle('navigation', initializeNavigation());
     log('info', 'Navigation initialized successfully');
     return true;
   } catch (error) {
@@ -150,6 +255,32 @@ async function initNavigation() {
   }
 }
 
+/**
+ * Initializes translations and the language switcher with error handling
+ * The page stays in the language it was served in if catalogs fail to load
+ * @returns {Promise<boolean>} Success status
+ * @private
+ */
+async function initLanguage() {
+  if (!FeatureFlags.I18N) {
+    log('info', 'i18n feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const locale = await initI18n();
+    keepHandle('i18n', initLanguageSwitcher());
+    log('info', 'i18n initialized successfully', { locale });
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize i18n', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
 /**
  * Initializes contact form component with error handling
  * @returns {Promise<boolean>} Success status
@@ -162,9 +293,8 @@ async function initForm() {
   }
 
   try {
-    initContactForm();
-    AppState.features.contactForm = true;
-    log('info', 'Contact form initialized successfully');
+    const active = keepHandle('contactForm', initContactForm());
+    log('info', 'Contact form initialized', { active });
     return true;
   } catch (error) {
     log('error', 'Failed to initialize contact form', {
@@ -175,6 +305,295 @@ async function initForm() {
   }
 }
 
+/**
+ * Initializes the prayer request form with error handling
+ * @returns {boolean} Success status
+ * @private
+ */
+function initPrayer() {
+  if (!FeatureFlags.PRAYER_REQUEST) {
+    log('info', 'Prayer request feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const active = keepHandle('prayerRequest', initPrayerRequest());
+    log('info', 'Prayer request form initialized', { active });
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize prayer request form', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Initializes online giving with error handling
+ * @returns {boolean} Success status
+ * @private
+ */
+function initGive() {
+  if (!FeatureFlags.GIVING) {
+    log('info', 'Giving feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const active = keepHandle('giving', initGiving());
+    log('info', 'Giving initialized', { active });
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize giving', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Initializes the Plan Your Visit wizard with error handling
+ * @returns {Promise<boolean>} Success status
+ * @private
+ */
+async function initVisit() {
+  if (!FeatureFlags.VISIT_WIZARD) {
+    log('info', 'Visit wizard feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const active = keepHandle('visitWizard', await initVisitWizard());
+    log('info', 'Visit wizard initialized', { active });
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize visit wizard', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Initializes the events feed with error handling
+ * The static event cards remain in place if the feed cannot be loaded
+ * @returns {Promise<boolean>} Success status
+ * @private
+ */
+async function initEventsFeed() {
+  if (!FeatureFlags.EVENTS) {
+    log('info', 'Events feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const rendered = keepHandle('events', await initEvents());
+    log('info', rendered ? 'Events feed initialized successfully' : 'Events feed unavailable, using static events');
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize events feed', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Initializes the next-service countdown with error handling
+ * @returns {Promise<boolean>} Success status
+ * @private
+ */
+async function initCountdown() {
+  if (!FeatureFlags.SERVICE_COUNTDOWN) {
+    log('info', 'Service countdown feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const shown = keepHandle('serviceCountdown', await initServiceCountdown());
+    log('info', shown ? 'Service countdown initialized successfully' : 'Service countdown unavailable');
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize service countdown', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Initializes the livestream status and player with error handling
+ * @returns {Promise<boolean>} Success status
+ * @private
+ */
+async function initWatchOnline() {
+  if (!FeatureFlags.LIVESTREAM) {
+    log('info', 'Livestream feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const shown = keepHandle('livestream', await initLivestream());
+    log('info', shown ? 'Livestream initialized successfully' : 'Livestream unavailable, showing links only');
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize livestream', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Initializes event registration with error handling
+ * @returns {boolean} Success status
+ * @private
+ */
+function initRsvp() {
+  if (!FeatureFlags.EVENT_RSVP) {
+    log('info', 'Event RSVP feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const active = keepHandle('eventRsvp', initEventRsvp());
+    log('info', 'Event RSVP initialized', { active });
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize event RSVP', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Initializes the sermon archive from the JSON feed with error handling
+ * @returns {Promise<boolean>} Success status
+ * @private
+ */
+async function initSermonArchive() {
+  if (!FeatureFlags.SERMONS) {
+    log('info', 'Sermons feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const rendered = keepHandle('sermons', await initSermons());
+    log('info', rendered ? 'Sermon archive initialized successfully' : 'Sermon archive unavailable');
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize sermon archive', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Initializes the sermon audio player with error handling
+ * @returns {boolean} Success status
+ * @private
+ */
+function initSermonPlayer() {
+  if (!FeatureFlags.AUDIO_PLAYER) {
+    log('info', 'Audio player feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const active = keepHandle('audioPlayer', initAudioPlayer());
+    log('info', 'Audio player initialized', { active });
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize audio player', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Initializes add-to-calendar buttons with error handling
+ * @returns {Promise<boolean>} Success status
+ * @private
+ */
+async function initCalendarButtons() {
+  if (!FeatureFlags.ADD_TO_CALENDAR) {
+    log('info', 'Add to calendar feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const active = keepHandle('addToCalendar', await initAddToCalendar());
+    log('info', 'Add to calendar initialized', { active });
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize add to calendar', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Initializes the church map with error handling
+ * @returns {Promise<boolean>} Success status
+ * @private
+ */
+async function initLocationMap() {
+  if (!FeatureFlags.CHURCH_MAP) {
+    log('info', 'Church map feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const ready = keepHandle('churchMap', await initChurchMap());
+    log('info', ready ? 'Church map initialized successfully' : 'Church map unavailable, showing static map only');
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize church map', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Initializes the add-to-home-screen prompt with error handling
+ * @returns {boolean} Success status
+ * @private
+ */
+function initInstall() {
+  if (!FeatureFlags.INSTALL_PROMPT) {
+    log('info', 'Install prompt feature disabled by flag');
+    return false;
+  }
+
+  try {
+    const listening = keepHandle('installPrompt', initInstallPrompt());
+    log('info', listening ? 'Install prompt initialized successfully' : 'Install prompt not needed');
+    return true;
+  } catch (error) {
+    log('error', 'Failed to initialize install prompt', {
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+}
+
 /**
  * Initializes lazy loading for images with error handling
  * @returns {Promise<boolean>} Success status
@@ -213,6 +632,54 @@ async function initImageLazyLoading() {
   }
 }
 
+/**
+ * Registers the offline service worker once the page has loaded,
+ * so it never competes with the first render for bandwidth
+ * Falls back to the classic worker where module workers are not supported
+ * @returns {Promise<boolean>} Success status
+ * @private
+ */
+async function registerServiceWorker() {
+  if (!FeatureFlags.SERVICE_WORKER) {
+    log('info', 'Service worker feature disabled by flag');
+    return false;
+  }
+
+  if (!('serviceWorker' in navigator)) {
+    log('info', 'Service workers not supported in this browser');
+    return false;
+  }
+
+  if (document.readyState !== 'complete') {
+    await new Promise((resolve) => window.addEventListener('load', resolve, { once: true }));
+  }
+
+  try {
+    AppState.serviceWorkerRegistration = await navigator.serviceWorker.register(SERVICE_WORKER_URL, {
+      type: 'module'
+    });
+  } catch (moduleError) {
+    log('info', 'Module service worker unavailable, trying the classic worker', {
+      error: moduleError.message
+    });
+
+    try {
+      AppState.serviceWorkerRegistration = await navigator.serviceWorker.register(CLASSIC_SERVICE_WORKER_URL);
+    } catch (error) {
+      // The classic worker only exists in the built dist/ folder
+      log('warn', 'Service worker registration failed', {
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  log('info', 'Service worker registered', {
+    scope: AppState.serviceWorkerRegistration.scope
+  });
+  return true;
+}
+
 /**
  * Adds no-js class removal for progressive enhancement
  * @private
@@ -234,8 +701,8 @@ function monitorPerformance() {
 
   try {
     if ('performance' in window && 'getEntriesByType' in performance) {
-      window.addEventListener('load', () => {
-        setTimeout(() => {
+      AppState.disposable.listen(window, 'load', () => {
+        AppState.disposable.setTimeout(() => {
           const perfData = performance.getEntriesByType('navigation')[0];
           
           if (perfData) {
@@ -258,7 +725,7 @@ function monitorPerformance() {
             }
           }
         }, 0);
-      });
+      }, { once: true });
     }
   } catch (error) {
     log('warn', 'Performance monitoring failed', {
@@ -272,7 +739,7 @@ function monitorPerformance() {
  * @private
  */
 function setupErrorHandlers() {
-  window.addEventListener('error', (event) => {
+  AppState.disposable.listen(window, 'error', (event) => {
     log('error', 'Uncaught error', {
       message: event.message,
       filename: event.filename,
@@ -282,7 +749,7 @@ function setupErrorHandlers() {
     });
   });
 
-  window.addEventListener('unhandledrejection', (event) => {
+  AppState.disposable.listen(window, 'unhandledrejection', (event) => {
     log('error', 'Unhandled promise rejection', {
       reason: event.reason,
       promise: event.promise
@@ -303,6 +770,9 @@ async function initializeApp() {
 
   AppState.startTime = performance.now();
 
+  // App-wide listeners and timers; feature components track their own
+  AppState.disposable = createDisposable('app');
+
   try {
     log('info', 'Starting application initialization');
 
@@ -319,7 +789,20 @@ async function initializeApp() {
     // Initialize features in parallel for better performance
     const results = await Promise.allSettled([
       initNavigation(),
+      initLanguage(),
       initForm(),
+      initPrayer(),
+      initGive(),
+      initVisit(),
+      initEventsFeed(),
+      initRsvp(),
+      initSermonArchive(),
+      initSermonPlayer(),
+      initCountdown(),
+      initWatchOnline(),
+      initCalendarButtons(),
+      initLocationMap(),
+      initInstall(),
       initImageLazyLoading()
     ]);
 
@@ -356,25 +839,73 @@ function cleanupApp() {
   try {
     log('info', 'Starting application cleanup');
 
-    if (AppState.features.navigation) {
-      cleanupNavigation();
-    }
+    // Destroying a handle undoes everything its component set up
+    AppState.handles.forEach((handle, feature) => {
+      try {
+        handle.destroy();
+      } catch (error) {
+        log('error', `Failed to clean up ${feature}`, {
+          error: error.message
+        });
+      }
+    });
 
-    if (AppState.features.contactForm) {
-      cleanupContactForm();
-    }
+    // Features still loading or that failed part way returned no handle but may hold listeners
+    Object.entries(FEATURE_CLEANUPS)
+      .filter(([feature]) => !AppState.handles.has(feature))
+      .forEach(([feature, cleanup]) => {
+        try {
+          cleanup();
+        } catch (error) {
+          log('error', `Failed to clean up ${feature}`, {
+            error: error.message
+          });
+        }
+      });
+
+    AppState.handles.clear();
 
     if (AppState.lazyLoadInstance) {
       AppState.lazyLoadInstance.destroy();
+      AppState.lazyLoadInstance = null;
+    }
+
+    if (AppState.disposable) {
+      AppState.disposable.destroy();
+      AppState.disposable = null;
     }
 
     AppState.initialized = false;
     AppState.features = {
       navigation: false,
+      i18n: false,
       contactForm: false,
+      prayerRequest: false,
+      giving: false,
+      visitWizard: false,
+      events: false,
+      eventRsvp: false,
+      sermons: false,
+      audioPlayer: false,
+      serviceCountdown: false,
+      livestream: false,
+      addToCalendar: false,
+      churchMap: false,
+      installPrompt: false,
       lazyLoading: false
     };
 
+    const listenerCount = getListenerCount();
+    const viewportSubscribers = getViewportSubscriberCount();
+
+    if (listenerCount > 0 || viewportSubscribers > 0) {
+      log('warn', 'Listeners left after cleanup', {
+        listeners: listenerCount,
+        viewportSubscribers,
+        owners: getLiveOwners()
+      });
+    }
+
     log('info', 'Application cleanup complete');
   } catch (error) {
     log('error', 'Error during cleanup', {
@@ -401,7 +932,7 @@ function handleVisibilityChange() {
  */
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
-    initializeApp().catch(error => {
+    initializeApp().then(registerServiceWorker).catch(error => {
       log('error', 'Failed to initialize application', {
         error: error.message,
         stack: error.stack
@@ -409,7 +940,7 @@ if (document.readyState === 'loading') {
     });
   });
 } else {
-  initializeApp().catch(error => {
+  initializeApp().then(registerServiceWorker).catch(error => {
     log('error', 'Failed to initialize application', {
       error: error.message,
       stack: error.stack
@@ -0,0 +1,215 @@
+/**
+ * Disposable Utility Module
+ *
+ * Tracks everything a component sets up that outlives its init call (event
+ * listeners, timers, observers and any other teardown) so one destroy() call
+ * undoes all of it, and the component can be initialized again afterwards.
+ *
+ *   const disposable = createDisposable('sermons');
+ *   disposable.listen(window, 'hashchange', handleHashChange);
+ *   disposable.setTimeout(refresh, 500);
+ *   disposable.observe(new ResizeObserver(measure)).observe(element);
+ *   disposable.defer(unsubscribeViewport);
+ *   …
+ *   disposable.destroy();
+ *
+ * Listeners are added with the handle's AbortSignal. getListenerCount()
+ * reports how many are still attached across all live handles, which should
+ * be zero once the application has been cleaned up.
+ *
+ * @module utils/disposable
+ */
+
+/**
+ * Live handles by their abort controller, for listener counts
+ * @private
+ */
+const liveDisposables = new Map();
+
+/**
+ * Disposable handle
+ * @typedef {Object} Disposable
+ * @property {string} owner - Name used in logs and counts
+ * @property {AbortSignal} signal - Aborted on destroy(); pass it to fetches and listeners added elsewhere
+ * @property {function(EventTarget, string, Function, Object=): void} listen - addEventListener, removed on destroy()
+ * @property {function(Function, number): number} setTimeout - Timer cleared on destroy()
+ * @property {function(number): void} clearTimeout - Clears a timer from setTimeout()
+ * @property {function(Function, number): number} setInterval - Interval cleared on destroy()
+ * @property {function(number): void} clearInterval - Clears an interval from setInterval()
+ * @property {function(Object): Object} observe - Disconnects an observer on destroy(); returns it
+ * @property {function(Function): void} defer - Runs a teardown callback on destroy()
+ * @property {function(): number} getListenerCount - Listeners still attached through this handle
+ * @property {function(): boolean} isDestroyed - Whether destroy() has run
+ * @property {function(): void} destroy - Undoes everything; safe to call more than once
+ */
+
+/**
+ * Creates a disposable handle
+ *
+ * @param {string} owner - Component or module name
+ * @returns {Disposable}
+ */
+export function createDisposable(owner) {
+  const controller = new AbortController();
+  const timeouts = new Set();
+  const intervals = new Set();
+  const observers = new Set();
+  const teardowns = [];
+  let listenerCount = 0;
+
+  const listen = (target, type, listener, options = {}) => {
+    if (controller.signal.aborted || !target) {
+      return;
+    }
+
+    const { once = false } = typeof options === 'boolean' ? {} : options;
+    const settings = typeof options === 'boolean'
+      ? { capture: options, signal: controller.signal }
+      : { ...options, signal: controller.signal };
+    let removed = false;
+    const release = () => {
+      if (!removed) {
+        removed = true;
+        listenerCount--;
+      }
+    };
+
+    // A once listener removes itself; keep the count in step with it
+    const handler = once
+      ? function handleOnce(...args) {
+        release();
+        return typeof listener === 'function' ? listener.apply(this, args) : listener.handleEvent(...args);
+      }
+      : listener;
+
+    target.addEventListener(type, handler, settings);
+    listenerCount++;
+    controller.signal.addEventListener('abort', release, { once: true });
+  };
+
+  const setTimer = (callback, delay) => {
+    if (controller.signal.aborted) {
+      return 0;
+    }
+
+    const id = setTimeout(() => {
+      timeouts.delete(id);
+      callback();
+    }, delay);
+    timeouts.add(id);
+    return id;
+  };
+
+  const clearTimer = (id) => {
+    clearTimeout(id);
+    timeouts.delete(id);
+  };
+
+  const setRepeating = (callback, delay) => {
+    if (controller.signal.aborted) {
+      return 0;
+    }
+
+    const id = setInterval(callback, delay);
+    intervals.add(id);
+    return id;
+  };
+
+  const clearRepeating = (id) => {
+    clearInterval(id);
+    intervals.delete(id);
+  };
+
+  const observe = (observer) => {
+    if (controller.signal.aborted) {
+      observer.disconnect();
+    } else {
+      observers.add(observer);
+    }
+    return observer;
+  };
+
+  const defer = (teardown) => {
+    if (controller.signal.aborted) {
+      teardown();
+    } else {
+      teardowns.push(teardown);
+    }
+  };
+
+  const destroy = () => {
+    if (controller.signal.aborted) {
+      return;
+    }
+
+    controller.abort();
+    timeouts.forEach((id) => clearTimeout(id));
+    intervals.forEach((id) => clearInterval(id));
+    observers.forEach((observer) => observer.disconnect());
+    timeouts.clear();
+    intervals.clear();
+    observers.clear();
+
+    // Last in, first out, like nested setup
+    teardowns.splice(0).reverse().forEach((teardown) => {
+      try {
+        teardown();
+      } catch (error) {
+        console.error(`Teardown failed for ${owner}:`, error);
+      }
+    });
+
+    liveDisposables.delete(controller);
+  };
+
+  const disposable = Object.freeze({
+    owner,
+    signal: controller.signal,
+    listen,
+    setTimeout: setTimer,
+    clearTimeout: clearTimer,
+    setInterval: setRepeating,
+    clearInterval: clearRepeating,
+    observe,
+    defer,
+    getListenerCount: () => listenerCount,
+    isDestroyed: () => controller.signal.aborted,
+    destroy
+  });
+
+  liveDisposables.set(controller, disposable);
+  return disposable;
+}
+
+/**
+ * Listeners still attached through live handles, optionally for one owner
+ *
+ * @param {string} [owner] - Only count this owner's handles
+ * @returns {number}
+ */
+export function getListenerCount(owner) {
+  let count = 0;
+
+  liveDisposables.forEach((disposable) => {
+    if (!owner || disposable.owner === owner) {
+      count += disposable.getListenerCount();
+    }
+  });
+
+  return count;
+}
+
+/**
+ * Owners of handles that have not been destroyed, for teardown checks
+ *
+ * @returns {string[]}
+ */
+export function getLiveOwners() {
+  return [...liveDisposables.values()].map((disposable) => disposable.owner);
+}
+
+export default {
+  createDisposable,
+  getListenerCount,
+  getLiveOwners
+};
@@ -0,0 +1,36 @@
+/**
+ * Download Utility Module
+ *
+ * Saves text generated in the browser (calendar files, confirmations)
+ * as a file through a temporary object URL.
+ *
+ * @module download
+ */
+
+/**
+ * Triggers a browser download of generated content
+ *
+ * @param {string} filename - Download filename
+ * @param {string} content - File content
+ * @param {string} type - MIME type, e.g. 'text/plain;charset=utf-8'
+ * @returns {void}
+ */
+export function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.hidden = true;
+
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export default {
+  downloadFile
+};
@@ -0,0 +1,416 @@
+/**
+ * Form Engine Utility Module
+ *
+ * Drives validation, error display and payload building for any form on
+ * the site. Each field's rules come from its attributes (data-validate,
+ * required, minlength, maxlength, min, max, pattern, data-depends-on,
+ * data-depends-value, data-rule, data-msg-*; see validation.js) and can be
+ * extended or overridden by a JSON schema, passed in or embedded in the page
+ * and named by data-schema on the form:
+ *
+ *   <form data-schema="visit-schema">…</form>
+ *   <script type="application/json" id="visit-schema">
+ *     { "fields": { "phone": { "required": true, "dependsOn": { "field": "contact", "value": "call" } } } }
+ *   </script>
+ *
+ * Custom rules, which may be async, are registered by name with
+ * registerRule() and referenced with data-rule or a schema "rule".
+ *
+ * @module form-engine
+ */
+
+import {
+  readFieldRules,
+  checkRules,
+  readFormValues,
+  getFieldValue,
+  isDependencyMet,
+  formatMessage,
+  showError,
+  clearError,
+  clearAllErrors,
+  sanitizeInput
+} from './validation.js';
+import { formatAsYouType, toE164 } from './phone.js';
+
+/**
+ * Engine configuration
+ * @private
+ */
+const ENGINE_CONFIG = Object.freeze({
+  FIELD_SELECTOR: 'input, select, textarea',
+  SKIPPED_TYPES: Object.freeze(['submit', 'reset', 'button', 'image', 'hidden'])
+});
+
+/**
+ * Schema entry for one field
+ * Any FieldRules property (validator, required, minLength, maxLength, min,
+ * max, pattern, scripts, dependsOn, messages) overrides the attributes
+ * @typedef {Object} FieldSchema
+ * @property {string} [rule] - Name of a registered custom rule
+ * @property {string} [transform] - Payload transform: "e164", or "none";
+ *                                  phone fields default to "e164"
+ */
+
+/**
+ * Form schema
+ * @typedef {Object} FormSchema
+ * @property {Object<string, FieldSchema>} fields - Field schemas by field name
+ */
+
+/**
+ * Custom rule
+ * Returns true when the value is valid, false to use the field's "invalid"
+ * message, or a message string
+ * @callback CustomRule
+ * @param {string} value - Trimmed field value
+ * @param {{field: HTMLElement, values: Object, rules: Object}} context - Field, form values and rules
+ * @returns {boolean|string|Promise<boolean|string>}
+ */
+
+/**
+ * Registered custom rules
+ * @type {Map<string, CustomRule>}
+ * @private
+ */
+const rules = new Map();
+
+/**
+ * Registers a custom rule, or replaces one
+ *
+ * @param {string} name - Name used in data-rule or a schema "rule"
+ * @param {CustomRule} rule - Rule implementation
+ * @returns {void}
+ */
+export function registerRule(name, rule) {
+  if (!name || typeof rule !== 'function') {
+    throw new TypeError('A rule needs a name and a function');
+  }
+
+  rules.set(name, rule);
+}
+
+/**
+ * Reads the JSON schema named by the form's data-schema attribute
+ *
+ * @param {HTMLFormElement} form - Form element
+ * @returns {FormSchema}
+ * @private
+ */
+function readSchema(form) {
+  const schemaId = form.dataset.schema;
+  const script = schemaId ? document.getElementById(schemaId) : null;
+
+  if (!script) {
+    if (schemaId) {
+      console.warn(`Form schema "${schemaId}" not found on page`);
+    }
+    return { fields: {} };
+  }
+
+  try {
+    return JSON.parse(script.textContent);
+  } catch (error) {
+    console.error(`Invalid form schema "${schemaId}":`, error.message);
+    return { fields: {} };
+  }
+}
+
+/**
+ * Runs a field's custom rule
+ * A missing or failing rule is logged and does not block the form
+ *
+ * @param {HTMLElement} field - Form field
+ * @param {Object} fieldRules - Field rules
+ * @param {Object} values - Form values
+ * @param {Object} options - Validation options
+ * @returns {Promise<ValidationResult>}
+ * @private
+ */
+async function runCustomRule(field, fieldRules, values, options) {
+  const rule = rules.get(fieldRules.rule);
+
+  if (!rule) {
+    console.warn(`Validation rule "${fieldRules.rule}" is not registered`);
+    return { valid: true, message: '' };
+  }
+
+  try {
+    const outcome = await rule(getFieldValue(field).trim(), { field, values, rules: fieldRules });
+
+    if (outcome === true) {
+      return { valid: true, message: '' };
+    }
+
+    const messages = { ...options.messages, ...fieldRules.messages };
+    return {
+      valid: false,
+      message: typeof outcome === 'string'
+        ? outcome
+        : formatMessage('invalid', { field: fieldRules.label }, { ...options, messages })
+    };
+  } catch (error) {
+    console.error(`Validation rule "${fieldRules.rule}" failed:`, error);
+    return { valid: true, message: '' };
+  }
+}
+
+/**
+ * Cleans a submitted value: NFC, trimmed, transformed and escaped
+ *
+ * @param {string|File} value - Raw value
+ * @param {Object|null} fieldRules - Rules of the field it came from
+ * @returns {string|File}
+ * @private
+ */
+function cleanValue(value, fieldRules) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const text = value.normalize('NFC').trim();
+  const transform = fieldRules?.transform || (fieldRules?.validator === 'phone' ? 'e164' : 'none');
+  const transformed = transform === 'e164' ? toE164(text) || text : text;
+
+  return sanitizeInput(transformed);
+}
+
+/**
+ * Formats phone numbers as they are typed, keeping the caret in place
+ * Deletions are left alone so backspacing over a space does what the
+ * visitor expects; the next keystroke tidies the spacing
+ *
+ * @param {InputEvent} event - Input event from a phone field
+ * @private
+ */
+function formatPhoneField(event) {
+  const field = event.target;
+
+  if (event.isComposing || String(event.inputType || '').startsWith('delete')) {
+    return;
+  }
+
+  const caret = field.selectionStart ?? field.value.length;
+  const formatted = formatAsYouType(field.value, caret);
+
+  if (formatted.value !== field.value) {
+    field.value = formatted.value;
+    field.setSelectionRange(formatted.caret, formatted.caret);
+  }
+}
+
+/**
+ * Form engine
+ * @typedef {Object} FormEngine
+ * @property {HTMLFormElement} form - The form
+ * @property {function(HTMLElement): Object} getRules - Merged rules for a field
+ * @property {function(HTMLElement): Promise<boolean>} validateField - Validates one field and shows feedback
+ * @property {function(ParentNode=): Promise<boolean>} validate - Validates every field (or those inside a part
+ *                                                          of the form) and focuses the first invalid one
+ * @property {function(): Object} getPayload - Cleaned values of the active fields
+ * @property {function(): void} attach - Adds real-time validation listeners
+ * @property {function(): void} destroy - Removes the listeners
+ */
+
+/**
+ * Creates a form engine
+ *
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object} [config={}] - Engine configuration
+ * @param {FormSchema} [config.schema] - Schema; defaults to the one named by data-schema
+ * @param {ValidationOptions} [config.options] - Locale and message overrides
+ * @returns {FormEngine|null} Null when no form is given
+ */
+export function createFormEngine(form, config = {}) {
+  if (!form) {
+    console.error('createFormEngine: form element is required');
+    return null;
+  }
+
+  const schema = config.schema || readSchema(form);
+  const options = config.options || {};
+  const pendingChecks = new WeakMap();
+  let listeners = null;
+
+  /**
+   * Returns the fields the engine validates
+   * @param {ParentNode} [scope=form] - Part of the form to look in
+   * @returns {HTMLElement[]}
+   */
+  function getFields(scope = form) {
+    return Array.from(scope.querySelectorAll(ENGINE_CONFIG.FIELD_SELECTOR))
+      .filter((field) => field.name && !field.disabled && !ENGINE_CONFIG.SKIPPED_TYPES.includes(field.type));
+  }
+
+  /**
+   * Merges a field's attribute rules with its schema entry
+   * @param {HTMLElement} field - Form field
+   * @returns {Object}
+   */
+  function getRules(field) {
+    const attributeRules = readFieldRules(field, options);
+    const fieldSchema = (schema.fields || {})[field.name] || {};
+
+    return {
+      ...attributeRules,
+      rule: field.dataset.rule || null,
+      transform: null,
+      ...fieldSchema,
+      messages: { ...attributeRules.messages, ...fieldSchema.messages }
+    };
+  }
+
+  /**
+   * Validates one field, including its custom rule, and shows the result
+   * Results of superseded async checks are discarded
+   * @param {HTMLElement} field - Form field
+   * @returns {Promise<boolean>}
+   */
+  async function validateField(field) {
+    const check = {};
+    const fieldRules = getRules(field);
+    const values = readFormValues(form);
+    let result = checkRules(getFieldValue(field), fieldRules, options, values);
+
+    pendingChecks.set(field, check);
+
+    if (result.valid && fieldRules.rule && getFieldValue(field).trim() &&
+      isDependencyMet(fieldRules.dependsOn, values)) {
+      result = await runCustomRule(field, fieldRules, values, options);
+    }
+
+    if (pendingChecks.get(field) === check) {
+      if (result.valid) {
+        clearError(field);
+      } else {
+        showError(field, result.message);
+      }
+    }
+
+    return result.valid;
+  }
+
+  /**
+   * Validates every field and focuses the first invalid one
+   * Given a scope, such as one step of a wizard, only the fields inside it
+   * are checked and only their errors are cleared
+   * @param {ParentNode} [scope=form] - Part of the form to validate
+   * @returns {Promise<boolean>}
+   */
+  async function validate(scope = form) {
+    const fields = getFields(scope);
+
+    if (scope === form) {
+      clearAllErrors(form);
+    } else {
+      fields.forEach((field) => clearError(field));
+    }
+
+    const results = await Promise.all(fields.map(validateField));
+    const firstInvalid = fields.find((field, index) => !results[index]);
+
+    if (firstInvalid) {
+      firstInvalid.focus();
+    }
+
+    return !firstInvalid;
+  }
+
+  /**
+   * Builds the submission payload
+   * Fields whose dependency is not met are left out
+   * @returns {Object}
+   */
+  function getPayload() {
+    const values = readFormValues(form);
+    const payload = {};
+
+    Object.entries(values).forEach(([name, value]) => {
+      // Radio and checkbox groups come back as a list; their rules are on each control
+      const control = form.elements.namedItem(name);
+      const field = control instanceof RadioNodeList ? control[0] : control;
+      const fieldRules = field instanceof HTMLElement ? getRules(field) : null;
+
+      if (fieldRules && !isDependencyMet(fieldRules.dependsOn, values)) {
+        return;
+      }
+
+      payload[name] = Array.isArray(value)
+        ? value.map((item) => cleanValue(item, fieldRules))
+        : cleanValue(value, fieldRules);
+    });
+
+    return payload;
+  }
+
+  /**
+   * Re-checks fields that depend on a changed field and are showing an error
+   * @param {string} name - Changed field name
+   */
+  function revalidateDependents(name) {
+    getFields()
+      .filter((field) => field.getAttribute('aria-invalid') === 'true' && getRules(field).dependsOn?.field === name)
+      .forEach(validateField);
+  }
+
+  /**
+   * Adds real-time validation listeners
+   */
+  function attach() {
+    destroy();
+    listeners = new AbortController();
+    const { signal } = listeners;
+
+    getFields().forEach((field) => {
+      // Validate on blur for better UX
+      field.addEventListener('blur', () => {
+        if (getFieldValue(field).trim() || field.hasAttribute('required')) {
+          validateField(field);
+        }
+      }, { signal });
+
+      // Clear errors on input
+      field.addEventListener('input', () => {
+        if (field.getAttribute('aria-invalid') === 'true') {
+          clearError(field);
+        }
+      }, { signal });
+
+      field.addEventListener('change', () => {
+        if (field.tagName === 'SELECT' || field.type === 'checkbox' || field.type === 'radio') {
+          validateField(field);
+        }
+        revalidateDependents(field.name);
+      }, { signal });
+
+      if (getRules(field).validator === 'phone') {
+        field.addEventListener('input', formatPhoneField, { signal });
+      }
+    });
+  }
+
+  /**
+   * Removes real-time validation listeners
+   */
+  function destroy() {
+    if (listeners) {
+      listeners.abort();
+      listeners = null;
+    }
+  }
+
+  return Object.freeze({
+    form,
+    getRules,
+    validateField,
+    validate,
+    getPayload,
+    attach,
+    destroy
+  });
+}
+
+export default {
+  registerRule,
+  createFormEngine
+};
@@ -0,0 +1,273 @@
+/**
+ * Form Submission Utility Module
+ *
+ * The send pipeline shared by the site's forms. Data goes through a
+ * transport resolved by form-transports.js with a timeout; network failures
+ * are retried, and when the connection is the problem the submission is
+ * saved to the offline queue instead. The outcome is returned as a plain
+ * result for the calling component to show.
+ *
+ * @module form-submission
+ */
+
+import {
+  isQueueSupported,
+  isTransientError,
+  enqueueSubmission,
+  requestBackgroundSync
+} from './offline-queue.js';
+import { t } from './i18n.js';
+
+/**
+ * Submission configuration
+ * @private
+ */
+const SUBMISSION_CONFIG = Object.freeze({
+  TIMEOUT: 10000,
+  MAX_RETRIES: 2,
+  RETRY_DELAY: 1000,
+  RETRYABLE_ERRORS: Object.freeze([
+    'Failed to fetch',
+    'NetworkError',
+    'Network request failed',
+    'ECONNREFUSED',
+    'ETIMEDOUT'
+  ])
+});
+
+/**
+ * Submission outcome
+ * @typedef {Object} SubmissionResult
+ * @property {boolean} success - Whether the data was sent, handed off or queued
+ * @property {boolean} [handoff] - Passed to another app (mailto) rather than delivered
+ * @property {boolean} [queued] - Saved to the offline queue
+ * @property {('offline'|'server')} [queueReason] - Why it was queued: the network
+ *   failed, or the server was briefly unavailable (5xx or 429)
+ * @property {string} [error] - User-facing error message when not successful
+ */
+
+/**
+ * Options for sendSubmission
+ * @typedef {Object} SubmissionOptions
+ * @property {string} idempotencyKey - Unique key, kept across retries and the queue
+ * @property {AbortSignal} [signal] - Cancels the submission (e.g. on cleanup); the
+ *                                   returned promise then rejects with the abort error
+ * @property {number} [timeout] - Per-attempt timeout in milliseconds
+ * @property {number} [maxRetries] - Retries after network failures
+ */
+
+/**
+ * Sends form data through a resolved transport
+ *
+ * @param {{name: string, transport: Object, options: Object}|null} selection - From resolveTransport()
+ * @param {Object} data - Payload
+ * @param {SubmissionOptions} options - Submission options
+ * @returns {Promise<SubmissionResult>}
+ */
+export function sendSubmission(selection, data, options) {
+  if (!selection) {
+    return Promise.resolve({
+      success: false,
+      error: t(
+        'form.status.notConfigured',
+        'This form is not set up to send messages yet. Please contact us by phone or email.'
+      )
+    });
+  }
+
+  // No point waiting for the request to fail when the browser knows it is offline
+  if (!navigator.onLine && canQueue(selection)) {
+    return queueSubmission(selection, data, options.idempotencyKey);
+  }
+
+  return attemptSend(selection, data, options, 0);
+}
+
+/**
+ * Makes one send attempt and decides what to do if it fails
+ *
+ * @param {{name: string, transport: Object, options: Object}} selection - Resolved transport
+ * @param {Object} data - Payload
+ * @param {SubmissionOptions} options - Submission options
+ * @param {number} attempt - Retries made so far
+ * @returns {Promise<SubmissionResult>}
+ * @private
+ */
+async function attemptSend(selection, data, options, attempt) {
+  const maxRetries = options.maxRetries ?? SUBMISSION_CONFIG.MAX_RETRIES;
+
+  try {
+    const result = await sendWithTimeout(selection, data, options);
+    return { success: true, handoff: Boolean(result?.handoff) };
+  } catch (error) {
+    // Cancelled by the caller (e.g. on cleanup): nothing to retry or queue
+    if (options.signal?.aborted) {
+      throw error;
+    }
+
+    if (isNetworkError(error) && attempt < maxRetries) {
+      console.warn(`Retrying form submission via ${selection.name} (attempt ${attempt + 1})...`);
+
+      await delay(SUBMISSION_CONFIG.RETRY_DELAY * (attempt + 1));
+      return attemptSend(selection, data, options, attempt + 1);
+    }
+
+    if (shouldQueue(selection, error)) {
+      // Only HTTP errors carry a status; network failures and timeouts do not
+      const reason = error.status ? 'server' : 'offline';
+      return queueSubmission(selection, data, options.idempotencyKey, reason);
+    }
+
+    if (error.name === 'AbortError') {
+      return {
+        success: false,
+        error: t('form.status.timeout', 'Request timed out. Please check your connection and try again.')
+      };
+    }
+
+    return {
+      success: false,
+      error: getErrorMessage(error)
+    };
+  }
+}
+
+/**
+ * Sends data through a transport, aborting after a timeout or when the
+ * caller's signal fires
+ *
+ * @param {{transport: Object, options: Object}} selection - Resolved transport
+ * @param {Object} data - Payload
+ * @param {SubmissionOptions} options - Submission options
+ * @returns {Promise<{handoff: boolean}>}
+ * @private
+ */
+async function sendWithTimeout(selection, data, options) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timeoutId = setTimeout(abort, options.timeout ?? SUBMISSION_CONFIG.TIMEOUT);
+
+  options.signal?.addEventListener('abort', abort);
+
+  // Aborted while waiting to retry
+  if (options.signal?.aborted) {
+    abort();
+  }
+
+  try {
+    return await selection.transport.send(data, {
+      ...selection.options,
+      idempotencyKey: options.idempotencyKey,
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timeoutId);
+    options.signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Checks whether a submission can wait in the offline queue
+ * mailto hands off to the mail app, which has its own outbox
+ *
+ * @param {{name: string}} selection - Resolved transport
+ * @returns {boolean}
+ * @private
+ */
+function canQueue(selection) {
+  return isQueueSupported() && selection.name !== 'mailto';
+}
+
+/**
+ * Checks whether a failed submission should go to the offline queue
+ *
+ * @param {{name: string}} selection - Resolved transport
+ * @param {Error} error - Send failure
+ * @returns {boolean}
+ * @private
+ */
+function shouldQueue(selection, error) {
+  return canQueue(selection) && (isNetworkError(error) || isTransientError(error));
+}
+
+/**
+ * Saves a submission to the offline queue
+ *
+ * @param {{name: string, options: Object}} selection - Resolved transport
+ * @param {Object} data - Payload
+ * @param {string} idempotencyKey - Unique key for this submission
+ * @param {('offline'|'server')} reason - Why the send failed
+ * @returns {Promise<SubmissionResult>}
+ * @private
+ */
+async function queueSubmission(selection, data, idempotencyKey, reason) {
+  try {
+    await enqueueSubmission({
+      id: idempotencyKey,
+      transport: selection.name,
+      options: selection.options,
+      data
+    });
+
+    await requestBackgroundSync();
+
+    return { success: true, queued: true, queueReason: reason };
+  } catch (error) {
+    console.error('Failed to queue form submission:', error);
+    return {
+      success: false,
+      error: t(
+        'form.status.queueFailed',
+        'Your message could not be sent or saved. Please try again when you are back online.'
+      )
+    };
+  }
+}
+
+/**
+ * Determines if a failure was the network rather than the server
+ *
+ * @param {Error} error - Error object
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  return SUBMISSION_CONFIG.RETRYABLE_ERRORS.some((message) => String(error?.message).includes(message));
+}
+
+/**
+ * Gets user-friendly error message
+ *
+ * @param {Error} error - Error object
+ * @returns {string}
+ * @private
+ */
+function getErrorMessage(error) {
+  if (error.message.includes('Failed to fetch')) {
+    return t(
+      'form.status.connectionFailed',
+      'Unable to connect to the server. Please check your internet connection and try again.'
+    );
+  }
+
+  if (error.message.includes('NetworkError')) {
+    return t('form.status.networkError', 'Network error occurred. Please check your connection and try again.');
+  }
+
+  return error.message || t('form.status.failed', 'An error occurred while submitting the form. Please try again.');
+}
+
+/**
+ * Delays execution
+ *
+ * @param {number} ms - Milliseconds to delay
+ * @returns {Promise<void>}
+ * @private
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export default {
+  sendSubmission,
+  isNetworkError
+};
@@ -0,0 +1,416 @@
+/**
+ * Form Transport Utilities Module
+ *
+ * Submission backends for the contact form. Each transport is an adapter
+ * with a `send(data, options)` method that resolves when the message has
+ * been handed off and throws an Error when it has not. The adapter is chosen
+ * from data-* attributes on the form so deployments can switch provider
+ * without editing JavaScript:
+ *
+ *   <form class="contact-form"
+ *         data-transport="netlify"          formspree | netlify | json | mailto
+ *         data-endpoint="/"                 defaults to the form action
+ *         data-mailto="info@example.org">   last-resort mail address
+ *
+ * @module form-transports
+ */
+
+/**
+ * Transport configuration
+ * @private
+ */
+const TRANSPORT_CONFIG = Object.freeze({
+  DEFAULT_TRANSPORT: 'formspree',
+  FALLBACK_TRANSPORT: 'mailto',
+  NETLIFY_DEFAULT_ENDPOINT: '/',
+  PLACEHOLDER_PATTERN: /YOUR_[A-Z_]*FORM_ID/,
+  MAILTO_FIELDS: Object.freeze(['name', 'email', 'phone', 'subject', 'message']),
+  IDEMPOTENCY_FIELD: '_idempotency_key',
+  IDEMPOTENCY_HEADER: 'Idempotency-Key'
+});
+
+/**
+ * Options passed to a transport's send method
+ * @typedef {Object} TransportOptions
+ * @property {string} [endpoint] - URL to submit to
+ * @property {string} [mailto] - Address used by the mailto transport
+ * @property {string} [formName] - Form name (required by Netlify Forms)
+ * @property {string} [idempotencyKey] - Unique submission key, sent by the HTTP
+ *                                       transports as a _idempotency_key field (and
+ *                                       as an Idempotency-Key header to same-origin
+ *                                       backends) so a retried submission is not
+ *                                       stored twice
+ * @property {AbortSignal} [signal] - Abort signal for the request
+ */
+
+/**
+ * Result of a successful submission
+ * @typedef {Object} TransportResult
+ * @property {boolean} handoff - True when the message was passed to another app
+ *                               (e.g. the mail client) rather than delivered
+ */
+
+/**
+ * Submission backend
+ * @typedef {Object} FormTransport
+ * @property {boolean} requiresEndpoint - Whether an endpoint URL must be configured
+ * @property {function(Object, TransportOptions): Promise<TransportResult>} send
+ */
+
+/**
+ * Creates an Error that carries the HTTP status, so callers can tell
+ * server outages (5xx) from rejected submissions (4xx)
+ *
+ * @param {Response} response - Failed response
+ * @param {string} message - Error message
+ * @returns {Error}
+ * @private
+ */
+function createHttpError(response, message) {
+  const error = new Error(message);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Reads an error message from a JSON error response
+ *
+ * @param {Response} response - Failed response
+ * @returns {Promise<string>}
+ * @private
+ */
+async function readErrorMessage(response) {
+  const body = await response.json().catch(() => ({}));
+  const firstError = Array.isArray(body.errors) ? body.errors[0] : null;
+
+  return firstError?.message ||
+    body.error ||
+    body.message ||
+    `Server responded with status ${response.status}`;
+}
+
+/**
+ * Adds the idempotency key to the submitted fields, for backends that
+ * cannot read request headers (e.g. Formspree, Netlify Forms)
+ *
+ * @param {Object} data - Form data
+ * @param {string} [idempotencyKey] - Unique submission key
+ * @returns {Object}
+ * @private
+ */
+function withIdempotencyField(data, idempotencyKey) {
+  return idempotencyKey ? { ...data, [TRANSPORT_CONFIG.IDEMPOTENCY_FIELD]: idempotencyKey } : data;
+}
+
+/**
+ * Url-encodes form data; array values (e.g. checkbox groups) become
+ * repeated fields, as a plain HTML form submits them
+ *
+ * @param {Object} data - Form data
+ * @returns {URLSearchParams}
+ * @private
+ */
+function toSearchParams(data) {
+  const params = new URLSearchParams();
+
+  Object.entries(data).forEach(([name, value]) => {
+    (Array.isArray(value) ? value : [value]).forEach((item) => params.append(name, item));
+  });
+
+  return params;
+}
+
+/**
+ * Request header carrying the idempotency key
+ * Only for same-origin backends: a custom header on a cross-origin request
+ * needs a CORS preflight the backend may not allow
+ *
+ * @param {string} [idempotencyKey] - Unique submission key
+ * @returns {Object}
+ * @private
+ */
+function idempotencyHeaders(idempotencyKey) {
+  return idempotencyKey ? { [TRANSPORT_CONFIG.IDEMPOTENCY_HEADER]: idempotencyKey } : {};
+}
+
+/**
+ * POSTs a JSON body and throws on a non-2xx response
+ *
+ * @param {string} endpoint - URL to submit to
+ * @param {Object} data - Form data
+ * @param {AbortSignal} [signal] - Abort signal
+ * @param {Object} [extraHeaders={}] - Additional request headers
+ * @returns {Promise<Response>}
+ * @private
+ */
+async function postJSON(endpoint, data, signal, extraHeaders = {}) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...extraHeaders
+    },
+    body: JSON.stringify(data),
+    signal
+  });
+
+  if (!response.ok) {
+    throw createHttpError(response, await readErrorMessage(response));
+  }
+
+  return response;
+}
+
+/**
+ * Formspree (https://formspree.io) - url-encoded POST to the form endpoint
+ * The endpoint is cross-origin, so only CORS-safelisted headers are sent
+ * and the request needs no preflight; the idempotency key goes in the body
+ * @type {FormTransport}
+ * @private
+ */
+const formspreeTransport = Object.freeze({
+  requiresEndpoint: true,
+
+  async send(data, { endpoint, signal, idempotencyKey }) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: toSearchParams(withIdempotencyField(data, idempotencyKey)).toString(),
+      signal
+    });
+
+    if (!response.ok) {
+      throw createHttpError(response, await readErrorMessage(response));
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!result.ok) {
+      throw new Error(result.error || 'Form submission failed');
+    }
+
+    return { handoff: false };
+  }
+});
+
+/**
+ * Netlify Forms - url-encoded POST including the form-name field
+ * @type {FormTransport}
+ * @private
+ */
+const netlifyTransport = Object.freeze({
+  requiresEndpoint: false,
+
+  async send(data, { endpoint, formName, signal, idempotencyKey }) {
+    const body = new URLSearchParams({ 'form-name': formName, ...withIdempotencyField(data, idempotencyKey) });
+
+    const response = await fetch(endpoint || TRANSPORT_CONFIG.NETLIFY_DEFAULT_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...idempotencyHeaders(idempotencyKey)
+      },
+      body: body.toString(),
+      signal
+    });
+
+    if (!response.ok) {
+      throw createHttpError(response, `Server responded with status ${response.status}`);
+    }
+
+    return { handoff: false };
+  }
+});
+
+/**
+ * Custom endpoint - plain JSON POST, any 2xx response counts as success
+ * @type {FormTransport}
+ * @private
+ */
+const jsonTransport = Object.freeze({
+  requiresEndpoint: true,
+
+  async send(data, { endpoint, signal, idempotencyKey }) {
+    await postJSON(
+      endpoint,
+      withIdempotencyField(data, idempotencyKey),
+      signal,
+      idempotencyHeaders(idempotencyKey)
+    );
+    return { handoff: false };
+  }
+});
+
+/**
+ * mailto: - opens the visitor's mail client with the message filled in
+ * Used as a last resort when no online backend is configured
+ * @type {FormTransport}
+ * @private
+ */
+const mailtoTransport = Object.freeze({
+  requiresEndpoint: false,
+
+  send(data, { mailto }) {
+    if (!mailto) {
+      return Promise.reject(new Error('No email address configured for this form.'));
+    }
+
+    window.location.href = buildMailtoUrl(mailto, data);
+    return Promise.resolve({ handoff: true });
+  }
+});
+
+/**
+ * Registered transports by name
+ * @type {Map<string, FormTransport>}
+ * @private
+ */
+const transports = new Map([
+  ['formspree', formspreeTransport],
+  ['netlify', netlifyTransport],
+  ['json', jsonTransport],
+  ['mailto', mailtoTransport]
+]);
+
+/**
+ * Registers an additional transport, or replaces a built-in one
+ *
+ * @param {string} name - Name used in data-transport
+ * @param {FormTransport} transport - Adapter implementation
+ * @returns {void}
+ */
+export function registerTransport(name, transport) {
+  if (!name || typeof transport?.send !== 'function') {
+    throw new TypeError('A transport needs a name and a send(data, options) method');
+  }
+
+  transports.set(name.toLowerCase(), transport);
+}
+
+/**
+ * Looks up a transport by name
+ *
+ * @param {string} name - Transport name
+ * @returns {FormTransport|null}
+ */
+export function getTransport(name) {
+  return transports.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * Builds a mailto: URL with subject and body
+ * The contact form's fields come first, then any others the form has;
+ * fields starting with "_" are backend metadata and are left out
+ *
+ * @param {string} address - Recipient address
+ * @param {Object} data - Form data
+ * @returns {string}
+ */
+export function buildMailtoUrl(address, data) {
+  const otherFields = Object.keys(data)
+    .filter((field) => !field.startsWith('_') && !TRANSPORT_CONFIG.MAILTO_FIELDS.includes(field));
+
+  const body = [...TRANSPORT_CONFIG.MAILTO_FIELDS, ...otherFields]
+    .filter((field) => data[field])
+    .map((field) => `${field.charAt(0).toUpperCase()}${field.slice(1)}: ${data[field]}`)
+    .join('\n');
+
+  const params = new URLSearchParams({
+    subject: data._subject || data.subject || 'Website enquiry',
+    body
+  });
+
+  // URLSearchParams encodes spaces as "+", which mail clients show literally
+  return `mailto:${address}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+/**
+ * Checks whether a transport has what it needs to send
+ *
+ * @param {FormTransport} transport - Transport to check
+ * @param {TransportOptions} options - Options read from the form
+ * @returns {boolean}
+ * @private
+ */
+function isConfigured(transport, options) {
+  if (transport === mailtoTransport) {
+    return Boolean(options.mailto);
+  }
+
+  if (!transport.requiresEndpoint) {
+    return true;
+  }
+
+  return Boolean(options.endpoint) && !TRANSPORT_CONFIG.PLACEHOLDER_PATTERN.test(options.endpoint);
+}
+
+/**
+ * Reads transport settings from a form's attributes
+ *
+ * @param {HTMLFormElement} form - Form element
+ * @returns {{transport: string, endpoint: string, mailto: string, formName: string}}
+ * @private
+ */
+function readTransportSettings(form) {
+  return {
+    transport: form.dataset.transport || TRANSPORT_CONFIG.DEFAULT_TRANSPORT,
+    endpoint: form.dataset.endpoint || form.getAttribute('action') || '',
+    mailto: form.dataset.mailto || '',
+    formName: form.getAttribute('name') || 'contact'
+  };
+}
+
+/**
+ * Picks the transport for a form from its data-* attributes
+ * Falls back to mailto when the chosen transport is unknown or not configured
+ *
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object} [overrides={}] - Settings that take precedence over the
+ *                                  attributes (transport, endpoint, mailto, formName),
+ *                                  e.g. to route one form to several endpoints
+ * @returns {{name: string, transport: FormTransport, options: TransportOptions}|null}
+ *          Null when no transport can be used
+ */
+export function resolveTransport(form, overrides = {}) {
+  const settings = readTransportSettings(form);
+
+  Object.keys(settings).forEach((key) => {
+    if (overrides[key]) {
+      settings[key] = overrides[key];
+    }
+  });
+
+  const requested = settings.transport.toLowerCase();
+  const options = {
+    endpoint: settings.endpoint,
+    mailto: settings.mailto,
+    formName: settings.formName
+  };
+
+  const transport = transports.get(requested);
+
+  if (transport && isConfigured(transport, options)) {
+    return { name: requested, transport, options };
+  }
+
+  console.warn(transport
+    ? `Form transport "${requested}" is not configured, falling back to ${TRANSPORT_CONFIG.FALLBACK_TRANSPORT}`
+    : `Unknown form transport "${requested}", falling back to ${TRANSPORT_CONFIG.FALLBACK_TRANSPORT}`);
+
+  if (isConfigured(mailtoTransport, options)) {
+    return { name: TRANSPORT_CONFIG.FALLBACK_TRANSPORT, transport: mailtoTransport, options };
+  }
+
+  return null;
+}
+
+export default {
+  registerTransport,
+  getTransport,
+  resolveTransport,
+  buildMailtoUrl
+};
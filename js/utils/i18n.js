@@ -0,0 +1,400 @@
+/**
+ * Internationalization Utility Module
+ *
+ * Loads per-locale message catalogs from content/locales/<code>.json and
+ * translates the page in place. Markup opts in with data attributes:
+ *
+ *   <h2 data-i18n="services.title">Our Services</h2>
+ *   <a data-i18n-attr="aria-label:nav.toggle;title:nav.toggle">…</a>
+ *
+ * The English text in the markup is the fallback, so a missing key or a
+ * catalog that fails to load never leaves an element empty. Scripts use
+ * t(key, fallback, params) the same way. Yoruba, Igbo and Hausa are also
+ * pre-rendered by scripts/build.js into /yo/, /ig/ and /ha/; the build reuses
+ * this module so both paths read the same catalogs.
+ *
+ * @module i18n
+ */
+
+/**
+ * i18n configuration
+ * @private
+ */
+const I18N_CONFIG = Object.freeze({
+  STORAGE_KEY: 'lfcc-locale',
+  CATALOG_BASE_URL: new URL('../../content/locales/', import.meta.url),
+  TIMEOUT: 8000,
+  CHANGED_EVENT: 'i18n:changed'
+});
+
+/**
+ * Supported locale
+ * @typedef {Object} LocaleDefinition
+ * @property {string} code - BCP 47 tag, also the html lang value and catalog name
+ * @property {string} name - Language name in that language, shown in the switcher
+ * @property {string} ogLocale - Open Graph locale
+ * @property {boolean} prerender - Whether the build writes a /<code>/ page
+ */
+
+/**
+ * Locales the site is translated into, default first
+ * @type {ReadonlyArray<LocaleDefinition>}
+ */
+export const SUPPORTED_LOCALES = Object.freeze([
+  Object.freeze({ code: 'en', name: 'English', ogLocale: 'en_NG', prerender: false }),
+  Object.freeze({ code: 'yo', name: 'Yorùbá', ogLocale: 'yo_NG', prerender: true }),
+  Object.freeze({ code: 'ig', name: 'Igbo', ogLocale: 'ig_NG', prerender: true }),
+  Object.freeze({ code: 'ha', name: 'Hausa', ogLocale: 'ha_NG', prerender: true }),
+  Object.freeze({ code: 'pcm', name: 'Naijá (Pidgin)', ogLocale: 'pcm_NG', prerender: false })
+]);
+
+/**
+ * Default locale, used by the unprefixed pages
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Event dispatched on document after the locale changes
+ * @type {string}
+ */
+export const I18N_CHANGED_EVENT = I18N_CONFIG.CHANGED_EVENT;
+
+/**
+ * Module state
+ * @private
+ */
+const i18nState = {
+  locale: DEFAULT_LOCALE,
+  catalog: null,
+  request: 0 // Latest setLocale() call; earlier ones drop their results
+};
+
+/**
+ * Catalog requests by locale, shared between callers
+ * @type {Map<string, Promise<Object>>}
+ * @private
+ */
+const catalogRequests = new Map();
+
+/**
+ * Catalogs that have finished loading, for synchronous lookups
+ * @type {Map<string, Object>}
+ * @private
+ */
+const loadedCatalogs = new Map();
+
+/**
+ * Maps a language tag to a supported locale code
+ * Region subtags are ignored, so "yo-NG" resolves to "yo"
+ *
+ * @param {string} tag - Language tag
+ * @returns {string|null} Supported locale code, or null
+ */
+export function resolveLocale(tag) {
+  if (!tag) {
+    return null;
+  }
+
+  const normalized = String(tag).toLowerCase();
+  const base = normalized.split('-')[0];
+
+  const match = SUPPORTED_LOCALES.find((locale) => locale.code === normalized) ||
+    SUPPORTED_LOCALES.find((locale) => locale.code === base);
+
+  return match ? match.code : null;
+}
+
+/**
+ * Returns the definition of a supported locale
+ *
+ * @param {string} code - Locale code
+ * @returns {LocaleDefinition|null}
+ */
+export function getLocaleDefinition(code) {
+  return SUPPORTED_LOCALES.find((locale) => locale.code === code) || null;
+}
+
+/**
+ * Returns the active locale code
+ *
+ * @returns {string}
+ */
+export function getLocale() {
+  return i18nState.locale;
+}
+
+/**
+ * Returns the locale the page was served in, read from <html lang>
+ *
+ * @returns {string}
+ */
+export function getPageLocale() {
+  return resolveLocale(document.documentElement.lang) || DEFAULT_LOCALE;
+}
+
+/**
+ * Reads the visitor's saved language choice
+ *
+ * @returns {string|null}
+ */
+export function getStoredLocale() {
+  try {
+    return resolveLocale(localStorage.getItem(I18N_CONFIG.STORAGE_KEY));
+  } catch (_error) {
+    // Storage blocked (e.g. private mode)
+    return null;
+  }
+}
+
+/**
+ * Saves the visitor's language choice
+ *
+ * @param {string} code - Locale code
+ * @returns {void}
+ */
+export function storeLocale(code) {
+  try {
+    localStorage.setItem(I18N_CONFIG.STORAGE_KEY, code);
+  } catch (error) {
+    console.warn('Unable to remember language choice:', error.message);
+  }
+}
+
+/**
+ * Loads a locale's message catalog
+ * Requests are shared, so repeated calls cost one fetch
+ *
+ * @param {string} code - Locale code
+ * @returns {Promise<Object>}
+ */
+export function loadCatalog(code) {
+  if (!catalogRequests.has(code)) {
+    const request = fetchCatalog(code)
+      .then((catalog) => {
+        loadedCatalogs.set(code, catalog);
+        return catalog;
+      })
+      .catch((error) => {
+        catalogRequests.delete(code);
+        throw error;
+      });
+
+    catalogRequests.set(code, request);
+  }
+
+  return catalogRequests.get(code);
+}
+
+/**
+ * Gets a locale's catalog if it has already been loaded
+ * Call loadCatalog() first to use a locale other than the active one
+ *
+ * @param {string} code - Locale code
+ * @returns {Object|null}
+ */
+export function getLoadedCatalog(code) {
+  return loadedCatalogs.get(code) || null;
+}
+
+/**
+ * Fetches a catalog file
+ *
+ * @param {string} code - Locale code
+ * @returns {Promise<Object>}
+ * @private
+ */
+async function fetchCatalog(code) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), I18N_CONFIG.TIMEOUT);
+
+  try {
+    const response = await fetch(new URL(`${code}.json`, I18N_CONFIG.CATALOG_BASE_URL), {
+      headers: { 'Accept': 'application/json' },
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Catalog "${code}" responded with status ${response.status}`);
+    }
+
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Looks up a dotted key such as "form.status.success" in a catalog
+ *
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Dotted message key
+ * @returns {string|undefined}
+ */
+export function lookup(catalog, key) {
+  const value = String(key)
+    .split('.')
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Replaces {name} placeholders with values from params
+ * Unknown placeholders are left as they are
+ *
+ * @param {string} template - Message with placeholders
+ * @param {Object} [params={}] - Placeholder values
+ * @returns {string}
+ */
+export function interpolate(template, params = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder)
+  );
+}
+
+/**
+ * Translates a message for the active locale
+ *
+ * @param {string} key - Dotted message key
+ * @param {string} fallback - English text, used when the key is missing
+ * @param {Object} [params={}] - Placeholder values
+ * @returns {string}
+ */
+export function t(key, fallback, params = {}) {
+  const message = (i18nState.catalog && lookup(i18nState.catalog, key)) ?? fallback ?? key;
+  return interpolate(message, params);
+}
+
+/**
+ * Applies the active catalog to data-i18n and data-i18n-attr elements
+ *
+ * @param {ParentNode} [root=document] - Subtree to translate
+ * @returns {void}
+ */
+export function translatePage(root = document) {
+  const { catalog } = i18nState;
+
+  if (!catalog) {
+    return;
+  }
+
+  root.querySelectorAll('[data-i18n]').forEach((element) => {
+    const message = lookup(catalog, element.dataset.i18n);
+
+    if (message !== undefined) {
+      element.textContent = message;
+    }
+  });
+
+  root.querySelectorAll('[data-i18n-attr]').forEach((element) => {
+    parseAttributeMap(element.dataset.i18nAttr).forEach(({ attribute, key }) => {
+      const message = lookup(catalog, key);
+
+      if (message !== undefined) {
+        element.setAttribute(attribute, message);
+      }
+    });
+  });
+}
+
+/**
+ * Parses a data-i18n-attr value ("aria-label:nav.toggle;title:nav.toggle")
+ *
+ * @param {string} value - Attribute map
+ * @returns {Array<{attribute: string, key: string}>}
+ */
+export function parseAttributeMap(value) {
+  return String(value || '')
+    .split(';')
+    .map((pair) => pair.split(':').map((part) => part.trim()))
+    .filter(([attribute, key]) => attribute && key)
+    .map(([attribute, key]) => ({ attribute, key }));
+}
+
+/**
+ * Switches the page to another locale without reloading
+ * Updates <html lang>, translates marked-up text and notifies listeners.
+ * When called again before a catalog arrives, only the latest call applies
+ *
+ * @param {string} code - Locale code
+ * @returns {Promise<boolean>} False if the locale is unsupported, its catalog failed to load,
+ *   or a later call replaced it
+ */
+export async function setLocale(code) {
+  const locale = resolveLocale(code);
+
+  if (!locale) {
+    console.warn(`Unsupported locale "${code}"`);
+    return false;
+  }
+
+  i18nState.request += 1;
+  const { request } = i18nState;
+  let catalog;
+
+  try {
+    catalog = await loadCatalog(locale);
+  } catch (error) {
+    console.error(`Failed to load "${locale}" translations:`, error.message);
+    return false;
+  }
+
+  if (request !== i18nState.request) {
+    return false;
+  }
+
+  i18nState.catalog = catalog;
+  i18nState.locale = locale;
+  document.documentElement.lang = locale;
+  translatePage();
+
+  document.dispatchEvent(new CustomEvent(I18N_CONFIG.CHANGED_EVENT, {
+    detail: { locale }
+  }));
+
+  return true;
+}
+
+/**
+ * Initializes translations for the page
+ * Pre-rendered pages (/yo/ etc.) stay in their own language; the default
+ * page switches to the visitor's saved choice if they made one
+ *
+ * @returns {Promise<string>} The active locale
+ */
+export async function initI18n() {
+  const pageLocale = getPageLocale();
+  const storedLocale = getStoredLocale();
+
+  const locale = pageLocale === DEFAULT_LOCALE && storedLocale ? storedLocale : pageLocale;
+  i18nState.locale = pageLocale;
+
+  // English needs no catalog: the markup and script fallbacks are English
+  if (locale !== DEFAULT_LOCALE) {
+    await setLocale(locale);
+  }
+
+  return i18nState.locale;
+}
+
+export default {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  I18N_CHANGED_EVENT,
+  resolveLocale,
+  getLocaleDefinition,
+  getLocale,
+  getPageLocale,
+  getStoredLocale,
+  storeLocale,
+  loadCatalog,
+  getLoadedCatalog,
+  lookup,
+  interpolate,
+  t,
+  translatePage,
+  parseAttributeMap,
+  setLocale,
+  initI18n
+};
@@ -0,0 +1,407 @@
+/**
+ * iCalendar Utility Module
+ *
+ * Builds RFC 5545 (.ics) calendars for recurring services and one-off events.
+ * Times are written as wall-clock times with a TZID and a matching VTIMEZONE,
+ * and recurring services carry an RRULE generated from the schedule rules.
+ * The module has no DOM dependencies so the build script can reuse it.
+ *
+ * @module js/utils/ical
+ */
+
+import { getNextOccurrence, getZonedParts } from './schedule.js';
+
+/**
+ * Calendar configuration
+ * @private
+ */
+const ICAL_CONFIG = Object.freeze({
+  PRODUCT_ID: '-//Living Faith Christian Center//Church Calendar//EN',
+  UID_DOMAIN: 'livingfaithcc.ng',
+  DEFAULT_TIME_ZONE: 'Africa/Lagos',
+  DEFAULT_EVENT_DURATION: 'PT2H',
+  MAX_LINE_OCTETS: 75
+});
+
+/**
+ * VTIMEZONE definitions for fixed-offset zones the church uses
+ * Zones without a definition are written in UTC instead
+ * @private
+ */
+const TIME_ZONE_DEFINITIONS = Object.freeze({
+  'Africa/Lagos': Object.freeze({ offset: '+0100', name: 'WAT' })
+});
+
+const DATE_ONLY_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const LOCAL_DATETIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::\d{2})?$/;
+
+/**
+ * Pads a number to two digits
+ * @param {number} value - Number to pad
+ * @returns {string}
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Escapes a TEXT property value (RFC 5545 section 3.3.11)
+ *
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets without splitting UTF-8 characters
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line using CRLF + space continuations
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const segments = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const charOctets = encoder.encode(char).length;
+    const limit = segments.length === 0 ? ICAL_CONFIG.MAX_LINE_OCTETS : ICAL_CONFIG.MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + charOctets > limit) {
+      segments.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+
+    current += char;
+    currentOctets += charOctets;
+  }
+
+  segments.push(current);
+  return segments.join('\r\n ');
+}
+
+/**
+ * Formats an instant as a UTC DATE-TIME (e.g. 20261025T070000Z)
+ *
+ * @param {Date} date - Instant
+ * @returns {string}
+ */
+function formatUtcDateTime(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Formats wall-clock parts as a local DATE-TIME (e.g. 20261025T080000)
+ *
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} parts - Wall-clock parts
+ * @returns {string}
+ */
+function formatLocalDateTime(parts) {
+  return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}00`;
+}
+
+/**
+ * Builds a DTSTART/DTEND property for an instant in a timezone
+ *
+ * @param {string} name - Property name (DTSTART or DTEND)
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string}
+ */
+function formatDateTimeProperty(name, date, timeZone) {
+  if (!TIME_ZONE_DEFINITIONS[timeZone]) {
+    return `${name}:${formatUtcDateTime(date)}`;
+  }
+
+  return `${name};TZID=${timeZone}:${formatLocalDateTime(getZonedParts(date, timeZone))}`;
+}
+
+/**
+ * Builds the VTIMEZONE component for a supported timezone
+ *
+ * @param {string} timeZone - IANA timezone
+ * @returns {string[]} Content lines, empty if the zone is written in UTC
+ */
+function buildTimeZone(timeZone) {
+  const definition = TIME_ZONE_DEFINITIONS[timeZone];
+
+  if (!definition) {
+    return [];
+  }
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    `X-LIC-LOCATION:${timeZone}`,
+    'BEGIN:STANDARD',
+    `TZOFFSETFROM:${definition.offset}`,
+    `TZOFFSETTO:${definition.offset}`,
+    `TZNAME:${definition.name}`,
+    'DTSTART:19700101T000000',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+}
+
+/**
+ * Converts a schedule recurrence rule to an RRULE value
+ *
+ * @param {import('./schedule.js').RecurrenceRule} rule - Normalized rule
+ * @returns {string} e.g. "FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1"
+ */
+export function toRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.byMonth.length > 0) {
+    parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  }
+
+  if (rule.byMonthDay.length > 0) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  }
+
+  if (rule.bySetPos.length > 0) {
+    parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Formats a schema.org PostalAddress as a single LOCATION line
+ *
+ * @param {Object} address - PostalAddress from the JSON-LD block
+ * @returns {string}
+ */
+export function formatPostalAddress(address) {
+  if (!address) {
+    return '';
+  }
+
+  return [
+    address.streetAddress,
+    address.addressLocality,
+    address.addressRegion,
+    address.postalCode,
+    address.addressCountry
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Builds the shared descriptive properties of a VEVENT
+ *
+ * @param {Object} details
+ * @param {string} details.uid - Unique identifier
+ * @param {string} details.summary - Title
+ * @param {string} [details.description] - Description
+ * @param {CalendarLocation} [details.location] - Venue
+ * @param {Date} details.now - DTSTAMP instant
+ * @returns {string[]}
+ */
+function buildEventProperties({ uid, summary, description, location, now }) {
+  const lines = [
+    `UID:${uid}@${ICAL_CONFIG.UID_DOMAIN}`,
+    `DTSTAMP:${formatUtcDateTime(now)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  if (location?.text) {
+    lines.push(`LOCATION:${escapeText(location.text)}`);
+  }
+
+  if (location?.latitude && location?.longitude) {
+    lines.push(`GEO:${Number(location.latitude)};${Number(location.longitude)}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Venue written into LOCATION and GEO
+ * @typedef {Object} CalendarLocation
+ * @property {string} text - Single-line venue and address
+ * @property {string|number} [latitude] - Latitude
+ * @property {string|number} [longitude] - Longitude
+ */
+
+/**
+ * Builds a recurring VEVENT for a service
+ * DTSTART is the next occurrence so the series starts from today
+ *
+ * @param {import('./schedule.js').Service} service - Normalized service
+ * @param {Object} [options]
+ * @param {string} [options.timeZone=Africa/Lagos] - Schedule timezone
+ * @param {CalendarLocation} [options.location] - Venue
+ * @param {Date} [options.now=new Date()] - Reference instant
+ * @returns {string[]} Content lines, empty if the service never occurs
+ */
+export function buildServiceEvent(service, options = {}) {
+  const { timeZone = ICAL_CONFIG.DEFAULT_TIME_ZONE, location, now = new Date() } = options;
+  const occurrence = getNextOccurrence(service, now, timeZone);
+
+  if (!occurrence) {
+    return [];
+  }
+
+  return [
+    'BEGIN:VEVENT',
+    ...buildEventProperties({
+      uid: `service-${service.id}`,
+      summary: service.name,
+      description: service.description,
+      location,
+      now
+    }),
+    formatDateTimeProperty('DTSTART', occurrence.start, timeZone),
+    formatDateTimeProperty('DTEND', occurrence.end, timeZone),
+    `RRULE:${toRRule(service.recurrence)}`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Builds DTSTART/DTEND lines for a feed event's datetime attribute values
+ * Date-only values become all-day events
+ *
+ * @param {string} datetime - Start (YYYY-MM-DD or YYYY-MM-DDTHH:mm)
+ * @param {string} [endDatetime] - Optional end
+ * @param {string} timeZone - IANA timezone of local times
+ * @returns {string[]|null} Content lines, or null if unparseable
+ */
+function buildEventTiming(datetime, endDatetime, timeZone) {
+  const dateOnly = DATE_ONLY_REGEX.exec(datetime);
+
+  if (dateOnly) {
+    const lastDay = DATE_ONLY_REGEX.exec(String(endDatetime || '').slice(0, 10)) || dateOnly;
+    const dayAfter = new Date(Date.UTC(Number(lastDay[1]), Number(lastDay[2]) - 1, Number(lastDay[3]) + 1));
+
+    return [
+      `DTSTART;VALUE=DATE:${dateOnly[1]}${dateOnly[2]}${dateOnly[3]}`,
+      `DTEND;VALUE=DATE:${dayAfter.getUTCFullYear()}${pad(dayAfter.getUTCMonth() + 1)}${pad(dayAfter.getUTCDate())}`
+    ];
+  }
+
+  const startMatch = LOCAL_DATETIME_REGEX.exec(datetime);
+
+  if (!startMatch) {
+    return null;
+  }
+
+  const toParts = (match) => ({
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3]),
+    hour: Number(match[4]),
+    minute: Number(match[5])
+  });
+
+  const tzid = TIME_ZONE_DEFINITIONS[timeZone] ? `;TZID=${timeZone}` : '';
+  const endMatch = LOCAL_DATETIME_REGEX.exec(String(endDatetime || ''));
+  const lines = [`DTSTART${tzid}:${formatLocalDateTime(toParts(startMatch))}`];
+
+  if (endMatch) {
+    lines.push(`DTEND${tzid}:${formatLocalDateTime(toParts(endMatch))}`);
+  } else {
+    lines.push(`DURATION:${ICAL_CONFIG.DEFAULT_EVENT_DURATION}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Builds a VEVENT for a one-off event from the events feed
+ *
+ * @param {Object} event - Feed event
+ * @param {string} event.id - Stable identifier
+ * @param {string} event.title - Title
+ * @param {string} [event.description] - Description
+ * @param {string} event.datetime - Start, as used in the datetime attribute
+ * @param {string} [event.endDatetime] - Optional end
+ * @param {Object} [options]
+ * @param {string} [options.timeZone=Africa/Lagos] - Timezone of local times
+ * @param {CalendarLocation} [options.location] - Venue
+ * @param {Date} [options.now=new Date()] - DTSTAMP instant
+ * @returns {string[]} Content lines, empty if the dates are invalid
+ */
+export function buildFeedEvent(event, options = {}) {
+  const { timeZone = ICAL_CONFIG.DEFAULT_TIME_ZONE, location, now = new Date() } = options;
+  const timing = buildEventTiming(String(event.datetime || ''), event.endDatetime, timeZone);
+
+  if (!timing) {
+    return [];
+  }
+
+  return [
+    'BEGIN:VEVENT',
+    ...buildEventProperties({
+      uid: `event-${event.id}`,
+      summary: event.title,
+      description: event.description,
+      location,
+      now
+    }),
+    ...timing,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Wraps VEVENTs in a VCALENDAR with the matching VTIMEZONE
+ *
+ * @param {string[][]} events - VEVENT content lines
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar display name (X-WR-CALNAME)
+ * @param {string} [options.timeZone=Africa/Lagos] - Timezone used by the events
+ * @returns {string} Complete .ics document with CRLF line endings
+ */
+export function buildCalendar(events, options = {}) {
+  const { name, timeZone = ICAL_CONFIG.DEFAULT_TIME_ZONE } = options;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICAL_CONFIG.PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  if (TIME_ZONE_DEFINITIONS[timeZone]) {
+    lines.push(`X-WR-TIMEZONE:${timeZone}`);
+  }
+
+  lines.push(...buildTimeZone(timeZone));
+  events.forEach((event) => lines.push(...event));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+export default {
+  buildCalendar,
+  buildServiceEvent,
+  buildFeedEvent,
+  formatPostalAddress,
+  toRRule,
+  escapeText
+};
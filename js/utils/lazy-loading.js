@@ -8,6 +8,8 @@
  * @module js/utils/lazy-loading
  */
 
+import { subscribeViewport } from './viewport-scheduler.js';
+
 /**
  * Configuration for lazy loading behavior
  * @typedef {Object} LazyLoadConfig
@@ -214,50 +216,75 @@ function handleIntersection(entries, observer, config) {
 
 /**
  * Fallback loading for browsers without Intersection Observer
+ * Positions are read and loads started in the shared viewport frame, so
+ * this adds no scroll or resize listeners of its own; the subscription ends
+ * once every image has loaded or failed
  * @param {HTMLImageElement[]} images - Array of image elements
  * @param {LazyLoadConfig} config - Configuration object
+ * @returns {Function} Stops watching the viewport
  */
 function fallbackLoad(images, config) {
   log('info', 'Using fallback loading method', { imageCount: images.length });
 
-  const loadVisibleImages = () => {
-    images.forEach((img) => {
-      if (img.classList.contains(config.loadedClass) || img.classList.contains(config.errorClass)) {
-        return;
+  let unsubscribe = null;
+
+  const isSettled = (img) =>
+    !img.dataset.src || img.classList.contains(config.loadedClass) || img.classList.contains(config.errorClass);
+
+  const stop = () => {
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  };
+
+  const stopWhenSettled = () => {
+    if (images.every(isSettled)) {
+      stop();
+      log('info', 'Fallback loading finished', { imageCount: images.length });
+    }
+  };
+
+  // Images already downloading are left to finish
+  const findVisibleImages = () =>
+    images.filter((img) => {
+      if (isSettled(img) || img.classList.contains(config.loadingClass)) {
+        return false;
       }
 
       const rect = img.getBoundingClientRect();
-      const isVisible =
+      return (
         rect.top < window.innerHeight + 50 &&
         rect.bottom > -50 &&
         rect.left < window.innerWidth + 50 &&
-        rect.right > -50;
-
-      if (isVisible) {
-        const src = img.dataset.src;
-        if (src) {
-          img.classList.add(config.loadingClass);
-          loadImageWithRetry(img, src, config).catch((error) => {
-            log('error', 'Fallback load failed', {
-              src,
-              error: error.message,
-            });
+        rect.right > -50
+      );
+    });
+
+  const loadImages = (visibleImages) => {
+    visibleImages.forEach((img) => {
+      const src = img.dataset.src;
+      img.classList.add(config.loadingClass);
+      loadImageWithRetry(img, src, config)
+        .catch((error) => {
+          log('error', 'Fallback load failed', {
+            src,
+            error: error.message,
           });
-        }
-      }
+        })
+        .finally(stopWhenSettled);
     });
   };
 
-  loadVisibleImages();
+  unsubscribe = subscribeViewport({
+    read: findVisibleImages,
+    write: loadImages
+  });
 
-  let scrollTimeout;
-  const handleScroll = () => {
-    clearTimeout(scrollTimeout);
-    scrollTimeout = setTimeout(loadVisibleImages, 100);
-  };
+  loadImages(findVisibleImages());
+  stopWhenSettled();
 
-  window.addEventListener('scroll', handleScroll, { passive: true });
-  window.addEventListener('resize', handleScroll, { passive: true });
+  return stop;
 }
 
 /**
@@ -333,10 +360,11 @@ export function initLazyLoading(selector = '[data-src]', userConfig = {}) {
       },
     };
   } else {
-    fallbackLoad(images.filter((img) => img instanceof HTMLImageElement), config);
+    const unsubscribe = fallbackLoad(images.filter((img) => img instanceof HTMLImageElement), config);
 
     return {
       destroy: () => {
+        unsubscribe();
         log('info', 'Fallback lazy loading destroyed');
       },
     };
@@ -0,0 +1,288 @@
+/**
+ * Livestream Provider Utilities Module
+ *
+ * Adapters for the sites that carry the church's live stream. Each provider
+ * says where the stream can be watched and, when it can be embedded, which
+ * player to load. The provider is picked in content/livestream.json, so it
+ * can be switched without editing JavaScript:
+ *
+ *   {
+ *     "provider": "youtube",                     youtube | facebook | stub
+ *     "providers": {
+ *       "youtube": { "channelId": "UC…", "channelUrl": "…", "replayPlaylistId": "PL…" },
+ *       "facebook": { "pageUrl": "…", "liveVideoUrl": "…", "replayVideoUrl": "…" },
+ *       "stub": { "state": "auto" }
+ *     }
+ *   }
+ *
+ * The stub provider plays nothing from the network and can force any state
+ * (live, upcoming, replay, offline), so every state can be checked offline.
+ * The state can also be forced with ?livestream=<state> in the page URL
+ * while the stub is selected.
+ *
+ * @module livestream-providers
+ */
+
+/**
+ * Provider configuration
+ * @private
+ */
+const PROVIDER_CONFIG = Object.freeze({
+  DEFAULT_PROVIDER: 'youtube',
+  PLACEHOLDER_PATTERN: /YOUR_[A-Z_]*/,
+  YOUTUBE_EMBED_URL: 'https://www.youtube-nocookie.com/embed/',
+  FACEBOOK_EMBED_URL: 'https://www.facebook.com/plugins/video.php',
+  STUB_STATES: Object.freeze(['live', 'upcoming', 'replay', 'offline']),
+  STUB_QUERY_PARAM: 'livestream',
+  STUB_SERVICE_NAME: 'Test service'
+});
+
+/**
+ * Player to embed
+ * @typedef {Object} LivestreamEmbed
+ * @property {string} [src] - Player URL
+ * @property {string} [srcdoc] - Inline player document (stub only)
+ */
+
+/**
+ * Live stream state worked out from the schedule
+ * @typedef {Object} LivestreamStatus
+ * @property {'live'|'upcoming'|'replay'|'offline'} state - What can be watched now
+ * @property {import('./schedule.js').Occurrence|null} occurrence - Service streaming now,
+ *           next to stream (upcoming) or last streamed (replay)
+ * @property {import('./schedule.js').Occurrence|null} next - Next service to be streamed
+ */
+
+/**
+ * Livestream adapter
+ * @typedef {Object} LivestreamProvider
+ * @property {string} label - Site name shown to visitors, e.g. "YouTube"
+ * @property {function(Object): boolean} isConfigured - Whether the options identify a stream
+ * @property {function(Object, string): (LivestreamEmbed|null)} getEmbed - Player for the live
+ *           or replay state, or null when the stream can only be linked to
+ * @property {function(Object, string): string} getWatchUrl - Page to watch on the provider's site
+ * @property {function(LivestreamStatus, Object, Date): LivestreamStatus} [adjustStatus] - Replaces
+ *           the status worked out from the schedule
+ */
+
+/**
+ * Checks that an option is set and is not a placeholder
+ *
+ * @param {string} value - Option value
+ * @returns {boolean}
+ * @private
+ */
+function hasValue(value) {
+  return Boolean(value) && !PROVIDER_CONFIG.PLACEHOLDER_PATTERN.test(value);
+}
+
+/**
+ * YouTube - the channel's current live stream, and a playlist of past streams for replays
+ * Uses the privacy-enhanced (nocookie) player
+ * @type {LivestreamProvider}
+ * @private
+ */
+const youtubeProvider = Object.freeze({
+  label: 'YouTube',
+
+  isConfigured(options) {
+    return hasValue(options.channelId);
+  },
+
+  getEmbed(options, state) {
+    if (state === 'live') {
+      const params = new URLSearchParams({ channel: options.channelId, autoplay: '1' });
+      return { src: `${PROVIDER_CONFIG.YOUTUBE_EMBED_URL}live_stream?${params}` };
+    }
+
+    if (state === 'replay' && hasValue(options.replayPlaylistId)) {
+      const params = new URLSearchParams({ list: options.replayPlaylistId, autoplay: '1' });
+      return { src: `${PROVIDER_CONFIG.YOUTUBE_EMBED_URL}videoseries?${params}` };
+    }
+
+    return null;
+  },
+
+  getWatchUrl(options, state) {
+    const channelUrl = options.channelUrl || `https://www.youtube.com/channel/${options.channelId}`;
+    return state === 'replay' ? `${channelUrl}/streams` : `${channelUrl}/live`;
+  }
+});
+
+/**
+ * Facebook - a live or recorded video on the church's page
+ * Facebook only embeds a specific video, so the live player is offered when
+ * liveVideoUrl is set for the broadcast; otherwise visitors are linked to the page
+ * @type {LivestreamProvider}
+ * @private
+ */
+const facebookProvider = Object.freeze({
+  label: 'Facebook',
+
+  isConfigured(options) {
+    return hasValue(options.pageUrl);
+  },
+
+  getEmbed(options, state) {
+    const videoUrl = state === 'live' ? options.liveVideoUrl : options.replayVideoUrl;
+
+    if (!['live', 'replay'].includes(state) || !hasValue(videoUrl)) {
+      return null;
+    }
+
+    const params = new URLSearchParams({ href: videoUrl, 'show_text': 'false', autoplay: 'true' });
+    return { src: `${PROVIDER_CONFIG.FACEBOOK_EMBED_URL}?${params}` };
+  },
+
+  getWatchUrl(options, state) {
+    return state === 'replay' ? `${options.pageUrl}/videos` : `${options.pageUrl}/live`;
+  }
+});
+
+/**
+ * Builds a made-up occurrence for the stub, relative to now
+ *
+ * @param {Date} now - Reference instant
+ * @param {number} startMinutes - Minutes from now to the start (negative for the past)
+ * @param {boolean} isLive - Whether it is running
+ * @returns {import('./schedule.js').Occurrence}
+ * @private
+ */
+function createStubOccurrence(now, startMinutes, isLive) {
+  const start = new Date(now.getTime() + startMinutes * 60000);
+
+  return {
+    service: { id: 'stub-service', name: PROVIDER_CONFIG.STUB_SERVICE_NAME },
+    start,
+    end: new Date(start.getTime() + 120 * 60000),
+    isLive
+  };
+}
+
+/**
+ * Reads the state forced by ?livestream=<state>, or the stub's configured state
+ *
+ * @param {Object} options - Stub options
+ * @returns {string} A stub state, or "auto" to follow the schedule
+ * @private
+ */
+function getStubState(options) {
+  const forced = new URLSearchParams(window.location.search).get(PROVIDER_CONFIG.STUB_QUERY_PARAM);
+  const state = forced || options.state || 'auto';
+
+  return PROVIDER_CONFIG.STUB_STATES.includes(state) ? state : 'auto';
+}
+
+/**
+ * Test provider for development - plays an inline placeholder and needs no network
+ * @type {LivestreamProvider}
+ * @private
+ */
+const stubProvider = Object.freeze({
+  label: 'Test stream',
+
+  isConfigured() {
+    return true;
+  },
+
+  getEmbed(options, state) {
+    if (!['live', 'replay'].includes(state)) {
+      return null;
+    }
+
+    return {
+      srcdoc: '<!DOCTYPE html><title>Test stream</title>' +
+        '<body style="display:grid;place-items:center;margin:0;height:100vh;background:#111;color:#fff;' +
+        `font:1.25rem sans-serif">Test stream: ${state}</body>`
+    };
+  },
+
+  getWatchUrl() {
+    return '#livestream';
+  },
+
+  adjustStatus(status, options, now) {
+    const state = getStubState(options);
+
+    if (state === 'auto') {
+      return status;
+    }
+
+    const upcoming = createStubOccurrence(now, 135, false);
+    const occurrences = {
+      live: { occurrence: createStubOccurrence(now, -30, true), next: null },
+      upcoming: { occurrence: upcoming, next: upcoming },
+      replay: { occurrence: createStubOccurrence(now, -240, false), next: createStubOccurrence(now, 10080, false) },
+      offline: { occurrence: null, next: null }
+    };
+
+    return { state, ...occurrences[state] };
+  }
+});
+
+/**
+ * Registered providers by name
+ * @type {Map<string, LivestreamProvider>}
+ * @private
+ */
+const providers = new Map([
+  ['youtube', youtubeProvider],
+  ['facebook', facebookProvider],
+  ['stub', stubProvider]
+]);
+
+/**
+ * Registers an additional provider, or replaces a built-in one
+ *
+ * @param {string} name - Name used in livestream.json
+ * @param {LivestreamProvider} provider - Adapter implementation
+ * @returns {void}
+ */
+export function registerLivestreamProvider(name, provider) {
+  if (!name || typeof provider?.getEmbed !== 'function' || typeof provider?.getWatchUrl !== 'function') {
+    throw new TypeError('A livestream provider needs a name, getEmbed() and getWatchUrl()');
+  }
+
+  providers.set(name.toLowerCase(), provider);
+}
+
+/**
+ * Looks up a provider by name
+ *
+ * @param {string} name - Provider name
+ * @returns {LivestreamProvider|null}
+ */
+export function getLivestreamProvider(name) {
+  return providers.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * Picks the provider named in the livestream settings
+ *
+ * @param {Object} settings - Contents of content/livestream.json
+ * @returns {{name: string, provider: LivestreamProvider, options: Object}|null}
+ *          Null when the provider is unknown or not set up (links only)
+ */
+export function resolveLivestreamProvider(settings) {
+  const name = String(settings?.provider || PROVIDER_CONFIG.DEFAULT_PROVIDER).toLowerCase();
+  const options = settings?.providers?.[name] || {};
+  const provider = providers.get(name);
+
+  if (!provider) {
+    console.warn(`Unknown livestream provider "${name}", showing links only`);
+    return null;
+  }
+
+  if (provider.isConfigured && !provider.isConfigured(options)) {
+    console.warn(`Livestream provider "${name}" is not configured, showing links only`);
+    return null;
+  }
+
+  return { name, provider, options };
+}
+
+export default {
+  registerLivestreamProvider,
+  getLivestreamProvider,
+  resolveLivestreamProvider
+};
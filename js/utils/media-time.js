@@ -0,0 +1,83 @@
+/**
+ * Media Time Utilities Module
+ *
+ * Reads and writes playback times in the "m:ss" / "h:mm:ss" form used for
+ * chapter marks in content files and for the audio player's clock.
+ *
+ * @module media-time
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * "h:mm:ss", or "m:ss" where minutes may run past 59 ("75:00")
+ * @private
+ */
+const TIMESTAMP_PATTERN = /^(?:(\d+):([0-5]\d)|(\d+)):([0-5]\d)$/;
+
+/**
+ * Reads a timestamp as seconds
+ *
+ * @param {string|number} value - Timestamp, e.g. "12:30" or "1:05:00", or seconds
+ * @returns {number|null} Seconds, or null when the value is not a timestamp
+ */
+export function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+
+  const match = TIMESTAMP_PATTERN.exec(String(value || '').trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const [, hours = 0, minutes, longMinutes, seconds] = match;
+  return Number(hours) * 3600 + Number(minutes ?? longMinutes) * 60 + Number(seconds);
+}
+
+/**
+ * Formats seconds as "m:ss", or "h:mm:ss" from an hour up
+ *
+ * @param {number} value - Seconds
+ * @returns {string}
+ */
+export function formatTimestamp(value) {
+  const total = Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Describes a duration in words for screen readers, e.g. "1 hour 5 minutes 30 seconds"
+ *
+ * @param {number} value - Seconds
+ * @returns {string}
+ */
+export function describeTimestamp(value) {
+  const total = Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+  const parts = [
+    ['hours', Math.floor(total / 3600), '{count} hours', '{count} hour'],
+    ['minutes', Math.floor((total % 3600) / 60), '{count} minutes', '{count} minute'],
+    ['seconds', total % 60, '{count} seconds', '{count} second']
+  ];
+
+  const words = parts
+    .filter(([unit, count]) => count > 0 || (unit === 'seconds' && total === 0))
+    .map(([unit, count, many, one]) => (count === 1
+      ? t(`player.${unit}One`, one, { count })
+      : t(`player.${unit}`, many, { count })));
+
+  return words.join(' ');
+}
+
+export default {
+  parseTimestamp,
+  formatTimestamp,
+  describeTimestamp
+};
@@ -0,0 +1,400 @@
+/**
+ * Offline Queue Utilities Module
+ *
+ * Keeps contact form submissions that could not be sent (offline, timeouts,
+ * dropped connections) in IndexedDB and sends them again later, either when
+ * the page sees the `online` event or from the service worker's background
+ * sync. Works in both window and service worker scope, so it never touches
+ * the DOM.
+ *
+ * Every submission carries an idempotency key that doubles as its IndexedDB
+ * key. Saving the same submission twice overwrites the entry, and an entry
+ * is claimed inside a transaction before it is sent so the page and the
+ * service worker never send the same message at the same time.
+ *
+ * @module offline-queue
+ */
+
+import { getTransport } from './form-transports.js';
+
+/**
+ * Queue configuration
+ * @private
+ */
+const QUEUE_CONFIG = Object.freeze({
+  DB_NAME: 'lfcc-offline',
+  DB_VERSION: 1,
+  STORE_NAME: 'submissions',
+  SYNC_TAG: 'contact-form-queue',
+  SEND_TIMEOUT: 15000,
+  CLAIM_TIMEOUT: 60000
+});
+
+/**
+ * Background sync tag registered for queued submissions
+ * @type {string}
+ */
+export const QUEUE_SYNC_TAG = QUEUE_CONFIG.SYNC_TAG;
+
+/**
+ * Stored submission
+ * @typedef {Object} QueuedSubmission
+ * @property {string} id - Idempotency key
+ * @property {string} transport - Transport name (see form-transports.js)
+ * @property {Object} options - Transport options without the abort signal
+ * @property {Object} data - Sanitized form data
+ * @property {number} createdAt - When the submission was queued (ms)
+ * @property {number} attempts - Send attempts so far
+ * @property {number|null} claimedAt - Set while a context is sending it
+ * @property {boolean} rejected - Server refused it, so it is not retried
+ * @property {string} [lastError] - Last failure message
+ */
+
+/**
+ * Result of flushing the queue
+ * @typedef {Object} FlushResult
+ * @property {number} sent - Submissions delivered
+ * @property {number} rejected - Submissions refused by the server
+ * @property {number} remaining - Submissions still waiting
+ */
+
+/**
+ * Cached database connection
+ * @type {Promise<IDBDatabase>|null}
+ * @private
+ */
+let databasePromise = null;
+
+/**
+ * In-flight flush, shared so overlapping triggers do not run twice
+ * @type {Promise<FlushResult>|null}
+ * @private
+ */
+let flushPromise = null;
+
+/**
+ * Checks whether submissions can be queued in this browser
+ *
+ * @returns {boolean}
+ */
+export function isQueueSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Creates a unique idempotency key for a submission
+ *
+ * @returns {string}
+ */
+export function createIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Opens (and upgrades) the queue database
+ *
+ * @returns {Promise<IDBDatabase>}
+ * @private
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(QUEUE_CONFIG.DB_NAME, QUEUE_CONFIG.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(QUEUE_CONFIG.STORE_NAME)) {
+          db.createObjectStore(QUEUE_CONFIG.STORE_NAME, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Runs an operation in a single transaction and resolves when it commits
+ *
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore, function(*): void): void} operation -
+ *        Receives the store and a setter for the resolved value
+ * @returns {Promise<*>}
+ * @private
+ */
+async function runTransaction(mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(QUEUE_CONFIG.STORE_NAME, mode);
+    let result;
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Queue transaction aborted'));
+
+    operation(transaction.objectStore(QUEUE_CONFIG.STORE_NAME), (value) => {
+      result = value;
+    });
+  });
+}
+
+/**
+ * Saves a submission for later delivery
+ * Saving the same idempotency key again replaces the earlier entry
+ *
+ * @param {Object} submission
+ * @param {string} submission.id - Idempotency key
+ * @param {string} submission.transport - Transport name
+ * @param {Object} submission.options - Transport options
+ * @param {Object} submission.data - Form data
+ * @returns {Promise<void>}
+ */
+export async function enqueueSubmission({ id, transport, options, data }) {
+  // AbortSignals cannot be stored in IndexedDB
+  const { signal: _signal, ...storableOptions } = options || {};
+
+  await runTransaction('readwrite', (store) => {
+    store.put({
+      id,
+      transport,
+      options: storableOptions,
+      data,
+      createdAt: Date.now(),
+      attempts: 0,
+      claimedAt: null,
+      rejected: false
+    });
+  });
+}
+
+/**
+ * Lists every stored submission, including rejected ones
+ *
+ * @returns {Promise<QueuedSubmission[]>}
+ */
+export function getQueuedSubmissions() {
+  if (!isQueueSupported()) {
+    return Promise.resolve([]);
+  }
+
+  return runTransaction('readonly', (store, setResult) => {
+    const request = store.getAll();
+    request.onsuccess = () => setResult(request.result || []);
+  });
+}
+
+/**
+ * Removes a submission from the queue
+ *
+ * @param {string} id - Idempotency key
+ * @returns {Promise<void>}
+ */
+export async function removeSubmission(id) {
+  await runTransaction('readwrite', (store) => {
+    store.delete(id);
+  });
+}
+
+/**
+ * Claims a submission so no other context sends it at the same time
+ *
+ * @param {string} id - Idempotency key
+ * @param {number} now - Current time (ms)
+ * @returns {Promise<QueuedSubmission|null>} Null if gone, rejected or already claimed
+ * @private
+ */
+function claimSubmission(id, now) {
+  return runTransaction('readwrite', (store, setResult) => {
+    const request = store.get(id);
+
+    request.onsuccess = () => {
+      const entry = request.result;
+      const claimedElsewhere = entry?.claimedAt && now - entry.claimedAt < QUEUE_CONFIG.CLAIM_TIMEOUT;
+
+      if (!entry || entry.rejected || claimedElsewhere) {
+        setResult(null);
+        return;
+      }
+
+      entry.claimedAt = now;
+      entry.attempts += 1;
+      store.put(entry);
+      setResult(entry);
+    };
+  });
+}
+
+/**
+ * Releases a claim after a failed attempt
+ *
+ * @param {string} id - Idempotency key
+ * @param {Error} error - Failure
+ * @param {boolean} rejected - Stop retrying this submission
+ * @returns {Promise<void>}
+ * @private
+ */
+async function releaseSubmission(id, error, rejected) {
+  await runTransaction('readwrite', (store) => {
+    const request = store.get(id);
+
+    request.onsuccess = () => {
+      const entry = request.result;
+
+      if (entry) {
+        store.put({ ...entry, claimedAt: null, rejected, lastError: error.message });
+      }
+    };
+  });
+}
+
+/**
+ * Checks whether a failure is worth retrying later
+ * Network failures, timeouts, rate limits and server outages are;
+ * a server refusing the data (other 4xx) is not
+ *
+ * @param {Error} error - Send failure
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (error.name === 'TypeError' || error.name === 'AbortError') {
+    return true;
+  }
+
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Sends one stored submission through its transport
+ *
+ * @param {QueuedSubmission} entry - Claimed submission
+ * @returns {Promise<void>}
+ * @private
+ */
+async function sendSubmission(entry) {
+  const transport = getTransport(entry.transport);
+
+  if (!transport) {
+    throw new Error(`Unknown form transport "${entry.transport}"`);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), QUEUE_CONFIG.SEND_TIMEOUT);
+
+  try {
+    await transport.send(entry.data, {
+      ...entry.options,
+      idempotencyKey: entry.id,
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Sends every queued submission once
+ *
+ * @returns {Promise<FlushResult>}
+ * @private
+ */
+async function processQueue() {
+  const result = { sent: 0, rejected: 0, remaining: 0 };
+  const entries = await getQueuedSubmissions();
+
+  for (const { id } of entries) {
+    const entry = await claimSubmission(id, Date.now());
+
+    if (!entry) {
+      continue;
+    }
+
+    try {
+      await sendSubmission(entry);
+      await removeSubmission(id);
+      result.sent++;
+    } catch (error) {
+      const rejected = !isTransientError(error);
+      await releaseSubmission(id, error, rejected);
+
+      if (rejected) {
+        result.rejected++;
+        console.error(`Queued submission ${id} was rejected:`, error.message);
+      } else {
+        result.remaining++;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Tries to send everything in the queue
+ * Calls made while a flush is running share its result
+ *
+ * @returns {Promise<FlushResult>}
+ */
+export function flushQueue() {
+  if (!isQueueSupported()) {
+    return Promise.resolve({ sent: 0, rejected: 0, remaining: 0 });
+  }
+
+  if (!flushPromise) {
+    flushPromise = processQueue().finally(() => {
+      flushPromise = null;
+    });
+  }
+
+  return flushPromise;
+}
+
+/**
+ * Asks the service worker to flush the queue when connectivity returns
+ * Resolves false where background sync is unavailable; the page then
+ * relies on the `online` event instead
+ *
+ * @returns {Promise<boolean>} True if a sync was registered
+ */
+export async function requestBackgroundSync() {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker?.controller) {
+    return false;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+
+    if (!registration.sync) {
+      return false;
+    }
+
+    await registration.sync.register(QUEUE_CONFIG.SYNC_TAG);
+    return true;
+  } catch (error) {
+    console.warn('Background sync registration failed:', error.message);
+    return false;
+  }
+}
+
+export default {
+  QUEUE_SYNC_TAG,
+  isQueueSupported,
+  createIdempotencyKey,
+  enqueueSubmission,
+  getQueuedSubmissions,
+  removeSubmission,
+  flushQueue,
+  isTransientError,
+  requestBackgroundSync
+};
@@ -0,0 +1,375 @@
+/**
+ * Payment Provider Utilities Module
+ *
+ * Checkout adapters for online giving. Each provider opens its own secure
+ * payment window (card details never touch this site) and resolves with the
+ * outcome. The provider is chosen from data-* attributes on the giving
+ * container so deployments can switch without editing JavaScript:
+ *
+ *   <div data-giving
+ *        data-payment-provider="paystack"        paystack | flutterwave | mock
+ *        data-public-key="pk_live_…"             the provider's public key
+ *        data-payment-plan-monthly="PLN_…">      plan code for monthly gifts
+ *
+ * Recurring gifts subscribe the giver to the plan set up in the provider's
+ * dashboard for that frequency; frequencies without a plan are not offered.
+ * The browser only reports what the checkout window said, so gifts should be
+ * reconciled from the provider's dashboard or webhooks, not from this page.
+ *
+ * @module payment-providers
+ */
+
+/**
+ * Payment configuration
+ * @private
+ */
+const PAYMENT_CONFIG = Object.freeze({
+  DEFAULT_PROVIDER: 'paystack',
+  CURRENCY: 'NGN',
+  PLACEHOLDER_PATTERN: /YOUR_[A-Z_]*KEY/,
+  PLAN_ATTRIBUTE: /^paymentPlan([A-Z][a-z]+)$/,
+  SCRIPT_TIMEOUT: 15000,
+  MOCK_DELAY: 300,
+  // The mock provider takes no money, so it only runs on a dev machine
+  MOCK_HOSTS: Object.freeze(['localhost', '127.0.0.1', '[::1]', ''])
+});
+
+/**
+ * A gift to be paid
+ * @typedef {Object} Payment
+ * @property {string} reference - Unique reference, also sent to the provider
+ * @property {number} amount - Amount in naira (whole naira)
+ * @property {string} email - Giver's email (receipts are sent here)
+ * @property {string} name - Giver's name
+ * @property {string} [phone] - Giver's phone (E.164)
+ * @property {string} fund - Fund key, e.g. "building-fund"
+ * @property {string} fundName - Fund name for the provider's dashboard, e.g. "Building Fund"
+ * @property {string} frequency - once, weekly or monthly
+ * @property {string} [plan] - Provider plan code for recurring gifts
+ */
+
+/**
+ * Outcome of a checkout
+ * @typedef {Object} PaymentResult
+ * @property {'success'|'cancelled'} status - What the checkout window reported
+ * @property {string} reference - Payment reference
+ * @property {string} [transactionId] - Provider's transaction id
+ */
+
+/**
+ * Checkout adapter
+ * @typedef {Object} PaymentProvider
+ * @property {string} label - Provider name shown to the giver
+ * @property {boolean} requiresKey - Whether a public key must be configured
+ * @property {string|null} scriptUrl - Inline checkout script, loaded on first use
+ * @property {boolean} requiresPlan - Whether recurring gifts need a plan code
+ * @property {function(Payment, {publicKey: string}): Promise<PaymentResult>} checkout
+ */
+
+/**
+ * Script loads in progress or done, by URL
+ * @type {Map<string, Promise<void>>}
+ * @private
+ */
+const scriptLoads = new Map();
+
+/**
+ * Loads a provider's checkout script once
+ *
+ * @param {string} url - Script URL
+ * @returns {Promise<void>}
+ * @private
+ */
+function loadScript(url) {
+  if (scriptLoads.has(url)) {
+    return scriptLoads.get(url);
+  }
+
+  const load = new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    const timeoutId = setTimeout(() => fail(new Error(`Timed out loading ${url}`)), PAYMENT_CONFIG.SCRIPT_TIMEOUT);
+
+    function fail(error) {
+      clearTimeout(timeoutId);
+      script.remove();
+      scriptLoads.delete(url);
+      reject(error);
+    }
+
+    script.src = url;
+    script.async = true;
+    script.onload = () => {
+      clearTimeout(timeoutId);
+      resolve();
+    };
+    script.onerror = () => fail(new Error(`Unable to load ${url}`));
+
+    document.head.appendChild(script);
+  });
+
+  scriptLoads.set(url, load);
+  return load;
+}
+
+/**
+ * Paystack (https://paystack.com) - inline popup
+ * Amounts are sent in kobo
+ * @type {PaymentProvider}
+ * @private
+ */
+const paystackProvider = Object.freeze({
+  label: 'Paystack',
+  requiresKey: true,
+  scriptUrl: 'https://js.paystack.co/v1/inline.js',
+  requiresPlan: true,
+
+  checkout(payment, { publicKey }) {
+    return new Promise((resolve) => {
+      const handler = window.PaystackPop.setup({
+        key: publicKey,
+        email: payment.email,
+        amount: payment.amount * 100,
+        currency: PAYMENT_CONFIG.CURRENCY,
+        ref: payment.reference,
+        plan: payment.plan || undefined,
+        metadata: {
+          fund: payment.fund,
+          frequency: payment.frequency,
+          'custom_fields': [
+            { 'display_name': 'Fund', 'variable_name': 'fund', value: payment.fundName },
+            { 'display_name': 'Name', 'variable_name': 'name', value: payment.name }
+          ]
+        },
+        callback: (response) => resolve({
+          status: 'success',
+          reference: response.reference,
+          transactionId: String(response.transaction || '')
+        }),
+        onClose: () => resolve({ status: 'cancelled', reference: payment.reference })
+      });
+
+      handler.openIframe();
+    });
+  }
+});
+
+/**
+ * Flutterwave (https://flutterwave.com) - inline modal (v3)
+ * @type {PaymentProvider}
+ * @private
+ */
+const flutterwaveProvider = Object.freeze({
+  label: 'Flutterwave',
+  requiresKey: true,
+  scriptUrl: 'https://checkout.flutterwave.com/v3.js',
+  requiresPlan: true,
+
+  checkout(payment, { publicKey }) {
+    return new Promise((resolve) => {
+      let settled = false;
+      const settle = (result) => {
+        if (!settled) {
+          settled = true;
+          resolve(result);
+        }
+      };
+
+      const modal = window.FlutterwaveCheckout({
+        'public_key': publicKey,
+        'tx_ref': payment.reference,
+        amount: payment.amount,
+        currency: PAYMENT_CONFIG.CURRENCY,
+        'payment_options': 'card, banktransfer, ussd',
+        'payment_plan': payment.plan || undefined,
+        customer: {
+          email: payment.email,
+          name: payment.name,
+          'phone_number': payment.phone || undefined
+        },
+        meta: { fund: payment.fund, frequency: payment.frequency },
+        customizations: { title: 'Living Faith Christian Center' },
+        callback: (response) => {
+          const paid = ['successful', 'completed'].includes(response.status);
+
+          settle(paid
+            ? { status: 'success', reference: payment.reference, transactionId: String(response.transaction_id || '') }
+            : { status: 'cancelled', reference: payment.reference });
+          modal?.close?.();
+        },
+        onclose: () => settle({ status: 'cancelled', reference: payment.reference })
+      });
+    });
+  }
+});
+
+/**
+ * Test provider for development - always succeeds and takes no money
+ * @type {PaymentProvider}
+ * @private
+ */
+const mockProvider = Object.freeze({
+  label: 'Test checkout',
+  requiresKey: false,
+  scriptUrl: null,
+  requiresPlan: false,
+
+  checkout(payment) {
+    console.warn('Mock payment provider: no money was taken', payment);
+
+    return new Promise((resolve) => {
+      setTimeout(() => resolve({
+        status: 'success',
+        reference: payment.reference,
+        transactionId: `mock-${Date.now()}`
+      }), PAYMENT_CONFIG.MOCK_DELAY);
+    });
+  }
+});
+
+/**
+ * Registered providers by name
+ * @type {Map<string, PaymentProvider>}
+ * @private
+ */
+const providers = new Map([
+  ['paystack', paystackProvider],
+  ['flutterwave', flutterwaveProvider],
+  ['mock', mockProvider]
+]);
+
+/**
+ * Registers an additional provider, or replaces a built-in one
+ *
+ * @param {string} name - Name used in data-payment-provider
+ * @param {PaymentProvider} provider - Adapter implementation
+ * @returns {void}
+ */
+export function registerPaymentProvider(name, provider) {
+  if (!name || typeof provider?.checkout !== 'function') {
+    throw new TypeError('A payment provider needs a name and a checkout(payment, options) method');
+  }
+
+  providers.set(name.toLowerCase(), provider);
+}
+
+/**
+ * Looks up a provider by name
+ *
+ * @param {string} name - Provider name
+ * @returns {PaymentProvider|null}
+ */
+export function getPaymentProvider(name) {
+  return providers.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * Checks whether a provider has what it needs to take payments
+ *
+ * @param {PaymentProvider} provider - Provider to check
+ * @param {{publicKey: string}} options - Options read from the page
+ * @returns {boolean}
+ * @private
+ */
+function isConfigured(provider, options) {
+  if (provider === mockProvider) {
+    return PAYMENT_CONFIG.MOCK_HOSTS.includes(window.location.hostname);
+  }
+
+  if (!provider.requiresKey) {
+    return true;
+  }
+
+  return Boolean(options.publicKey) && !PAYMENT_CONFIG.PLACEHOLDER_PATTERN.test(options.publicKey);
+}
+
+/**
+ * Reads the recurring plan codes from data-payment-plan-* attributes
+ * Empty attributes are left out, so that frequency is not offered
+ *
+ * @param {HTMLElement} element - Element carrying the attributes
+ * @returns {Object<string, string>} Plan codes by frequency, e.g. { monthly: "PLN_…" }
+ * @private
+ */
+function readPlans(element) {
+  const plans = {};
+
+  Object.entries(element.dataset).forEach(([key, value]) => {
+    const match = PAYMENT_CONFIG.PLAN_ATTRIBUTE.exec(key);
+
+    if (match && value.trim()) {
+      plans[match[1].toLowerCase()] = value.trim();
+    }
+  });
+
+  return plans;
+}
+
+/**
+ * Picks the payment provider from an element's data-* attributes
+ *
+ * @param {HTMLElement} element - Element carrying data-payment-provider etc.
+ * @returns {{name: string, provider: PaymentProvider, options: {publicKey: string, plans: Object}}|null}
+ *          Null when online giving cannot be offered (bank transfer only)
+ */
+export function resolvePaymentProvider(element) {
+  const name = (element.dataset.paymentProvider || PAYMENT_CONFIG.DEFAULT_PROVIDER).toLowerCase();
+  const options = {
+    publicKey: element.dataset.publicKey || '',
+    plans: readPlans(element)
+  };
+  const provider = providers.get(name);
+
+  if (!provider) {
+    console.warn(`Unknown payment provider "${name}", showing bank transfer only`);
+    return null;
+  }
+
+  if (!isConfigured(provider, options)) {
+    console.warn(`Payment provider "${name}" is not configured, showing bank transfer only`);
+    return null;
+  }
+
+  return { name, provider, options };
+}
+
+/**
+ * Lists the gift frequencies a provider can take
+ *
+ * @param {{provider: PaymentProvider, options: {plans: Object}}} selection - Resolved provider
+ * @param {string[]} frequencies - Frequencies offered on the page
+ * @returns {string[]}
+ */
+export function getSupportedFrequencies(selection, frequencies) {
+  return frequencies.filter((frequency) =>
+    frequency === 'once' || !selection.provider.requiresPlan || Boolean(selection.options.plans[frequency])
+  );
+}
+
+/**
+ * Opens the provider's checkout for a payment
+ * Loads the provider's script on first use
+ *
+ * @param {{provider: PaymentProvider, options: Object}} selection - Resolved provider
+ * @param {Payment} payment - Payment details
+ * @returns {Promise<PaymentResult>}
+ */
+export async function startCheckout(selection, payment) {
+  const { provider, options } = selection;
+
+  if (provider.scriptUrl) {
+    await loadScript(provider.scriptUrl);
+  }
+
+  return provider.checkout(
+    { ...payment, plan: payment.frequency === 'once' ? undefined : options.plans[payment.frequency] },
+    options
+  );
+}
+
+export default {
+  registerPaymentProvider,
+  getPaymentProvider,
+  resolvePaymentProvider,
+  getSupportedFrequencies,
+  startCheckout
+};
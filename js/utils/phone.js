@@ -0,0 +1,335 @@
+/**
+ * Phone Number Utility Module
+ *
+ * Parses the ways Nigerians write phone numbers (0803 123 4567,
+ * +234 803 123 4567, 2348031234567, 00234…) and normalizes them to E.164
+ * (+2348031234567). Mobile numbers are matched to their network (MTN, Glo,
+ * Airtel, 9mobile) by prefix. Numbers with another country code are accepted
+ * when they have a plausible E.164 length. Also formats numbers as they are
+ * typed while keeping the caret on the same digit.
+ *
+ * @module phone
+ */
+
+/**
+ * Phone configuration
+ * @private
+ */
+const PHONE_CONFIG = Object.freeze({
+  NIGERIA_CALLING_CODE: '234',
+  NATIONAL_PREFIX: '0',
+  INTERNATIONAL_PREFIX: '00',
+  MOBILE_LENGTH: 10,
+  // Landlines: area code (1-2 digits) plus subscriber number
+  LANDLINE_MIN_LENGTH: 8,
+  LANDLINE_MAX_LENGTH: 9,
+  // E.164 limits for other countries, counting the country code
+  INTERNATIONAL_MIN_LENGTH: 7,
+  INTERNATIONAL_MAX_LENGTH: 15,
+  // Digit groups for display: 0803 123 4567 and +234 803 123 4567
+  NATIONAL_GROUPS: Object.freeze([4, 3, 4]),
+  INTERNATIONAL_GROUPS: Object.freeze([3, 3, 4])
+});
+
+/**
+ * Mobile prefixes by network, as national significant numbers (no leading 0)
+ * Longer prefixes win, so 70 25 is MTN even though 702 is not
+ * Source: NCC numbering plan; ported numbers keep their original prefix
+ * @private
+ */
+const NETWORK_PREFIXES = Object.freeze({
+  'MTN': Object.freeze([
+    '703', '704', '706', '803', '806', '810', '813', '814', '816', '903', '906', '913', '916', '7025', '7026'
+  ]),
+  'Glo': Object.freeze(['705', '805', '807', '811', '815', '905', '915']),
+  'Airtel': Object.freeze(['701', '708', '802', '808', '812', '901', '902', '904', '907', '911', '912']),
+  '9mobile': Object.freeze(['809', '817', '818', '908', '909'])
+});
+
+const ALLOWED_CHARACTERS_REGEX = /^\+?[\d\s().-]+$/;
+const MOBILE_REGEX = /^[789][01]/;
+const LANDLINE_REGEX = /^[1-9]/;
+const SIGNIFICANT_CHARACTER_REGEX = /[\d+]/;
+
+/**
+ * Parsed phone number
+ * @typedef {Object} ParsedPhoneNumber
+ * @property {boolean} valid - Whether the number is dialable as written
+ * @property {string} e164 - E.164 form such as "+2348031234567" (empty when invalid)
+ * @property {string|null} countryCode - "234" for Nigerian numbers, null otherwise
+ * @property {string} nationalNumber - Digits after the country code (Nigeria) or after "+" (elsewhere)
+ * @property {boolean} mobile - Whether this is a Nigerian mobile number
+ * @property {string|null} network - Mobile network for Nigerian mobiles, if the prefix is known
+ */
+
+/**
+ * Returns an invalid parse result
+ * @returns {ParsedPhoneNumber}
+ * @private
+ */
+function invalidNumber() {
+  return {
+    valid: false,
+    e164: '',
+    countryCode: null,
+    nationalNumber: '',
+    mobile: false,
+    network: null
+  };
+}
+
+/**
+ * Splits typed input into a country code and the remaining digits
+ * Input without a country code is taken to be Nigerian
+ *
+ * @param {string} raw - Trimmed input
+ * @returns {{international: boolean, digits: string}} Digits after "+"/"00", or national digits
+ * @private
+ */
+function splitInput(raw) {
+  const digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+')) {
+    return { international: true, digits };
+  }
+
+  if (digits.startsWith(PHONE_CONFIG.INTERNATIONAL_PREFIX)) {
+    return { international: true, digits: digits.slice(PHONE_CONFIG.INTERNATIONAL_PREFIX.length) };
+  }
+
+  // 2348031234567: the country code typed without "+"
+  const { NIGERIA_CALLING_CODE, LANDLINE_MIN_LENGTH } = PHONE_CONFIG;
+  if (digits.startsWith(NIGERIA_CALLING_CODE) && digits.length >= NIGERIA_CALLING_CODE.length + LANDLINE_MIN_LENGTH) {
+    return { international: true, digits };
+  }
+
+  return { international: false, digits };
+}
+
+/**
+ * Validates a Nigerian national significant number (no leading 0)
+ *
+ * @param {string} nationalNumber - Digits after 0 or +234
+ * @returns {ParsedPhoneNumber}
+ * @private
+ */
+function parseNigerianNumber(nationalNumber) {
+  const mobile = MOBILE_REGEX.test(nationalNumber);
+  const valid = mobile
+    ? nationalNumber.length === PHONE_CONFIG.MOBILE_LENGTH
+    : LANDLINE_REGEX.test(nationalNumber) &&
+      nationalNumber.length >= PHONE_CONFIG.LANDLINE_MIN_LENGTH &&
+      nationalNumber.length <= PHONE_CONFIG.LANDLINE_MAX_LENGTH;
+
+  if (!valid) {
+    return invalidNumber();
+  }
+
+  return {
+    valid: true,
+    e164: `+${PHONE_CONFIG.NIGERIA_CALLING_CODE}${nationalNumber}`,
+    countryCode: PHONE_CONFIG.NIGERIA_CALLING_CODE,
+    nationalNumber,
+    mobile,
+    network: mobile ? findNetwork(nationalNumber) : null
+  };
+}
+
+/**
+ * Validates a number with a country code other than Nigeria's
+ * Only the E.164 length rules are checked
+ *
+ * @param {string} digits - Digits after "+"
+ * @returns {ParsedPhoneNumber}
+ * @private
+ */
+function parseInternationalNumber(digits) {
+  const valid = LANDLINE_REGEX.test(digits) &&
+    digits.length >= PHONE_CONFIG.INTERNATIONAL_MIN_LENGTH &&
+    digits.length <= PHONE_CONFIG.INTERNATIONAL_MAX_LENGTH;
+
+  if (!valid) {
+    return invalidNumber();
+  }
+
+  return {
+    valid: true,
+    e164: `+${digits}`,
+    countryCode: null,
+    nationalNumber: digits,
+    mobile: false,
+    network: null
+  };
+}
+
+/**
+ * Returns the network a Nigerian mobile number was issued to
+ *
+ * @param {string} nationalNumber - Digits after 0 or +234
+ * @returns {string|null} Network name, or null for unknown prefixes
+ * @private
+ */
+function findNetwork(nationalNumber) {
+  let match = null;
+
+  Object.entries(NETWORK_PREFIXES).forEach(([network, prefixes]) => {
+    prefixes.forEach((prefix) => {
+      if (nationalNumber.startsWith(prefix) && (!match || prefix.length > match.prefix.length)) {
+        match = { network, prefix };
+      }
+    });
+  });
+
+  return match ? match.network : null;
+}
+
+/**
+ * Parses a phone number as typed
+ *
+ * @param {string} input - Phone number in any common format
+ * @returns {ParsedPhoneNumber}
+ */
+export function parsePhoneNumber(input) {
+  const raw = String(input || '').trim();
+
+  if (!ALLOWED_CHARACTERS_REGEX.test(raw)) {
+    return invalidNumber();
+  }
+
+  const { international, digits } = splitInput(raw);
+  const { NIGERIA_CALLING_CODE, NATIONAL_PREFIX } = PHONE_CONFIG;
+
+  if (international && !digits.startsWith(NIGERIA_CALLING_CODE)) {
+    return parseInternationalNumber(digits);
+  }
+
+  // People often keep the trunk 0 after the country code: +234 0803…
+  const national = international ? digits.slice(NIGERIA_CALLING_CODE.length) : digits;
+  return parseNigerianNumber(national.startsWith(NATIONAL_PREFIX) ? national.slice(1) : national);
+}
+
+/**
+ * Normalizes a phone number to E.164
+ *
+ * @param {string} input - Phone number in any common format
+ * @returns {string|null} E.164 number, or null if the input is not a valid number
+ */
+export function toE164(input) {
+  return parsePhoneNumber(input).e164 || null;
+}
+
+/**
+ * Returns the mobile network for a Nigerian number
+ *
+ * @param {string} input - Phone number in any common format
+ * @returns {string|null} "MTN", "Glo", "Airtel", "9mobile", or null
+ */
+export function getNetwork(input) {
+  return parsePhoneNumber(input).network;
+}
+
+/**
+ * Splits digits into space-separated groups
+ * Digits past the last group stay attached to it
+ *
+ * @param {string} digits - Digits to group
+ * @param {ReadonlyArray<number>} sizes - Group sizes
+ * @returns {string}
+ * @private
+ */
+function groupDigits(digits, sizes) {
+  const groups = [];
+  let offset = 0;
+
+  sizes.forEach((size, index) => {
+    const end = index === sizes.length - 1 ? digits.length : offset + size;
+    const group = digits.slice(offset, end);
+
+    if (group) {
+      groups.push(group);
+    }
+
+    offset = end;
+  });
+
+  return groups.join(' ');
+}
+
+/**
+ * Formats a partly typed Nigerian mobile number
+ * Anything else is returned unchanged, so foreign numbers keep the
+ * spacing the visitor chose
+ *
+ * @param {string} value - Current input value
+ * @returns {string} Formatted value
+ */
+export function formatPhoneNumber(value) {
+  const text = String(value || '');
+  const compact = text.trim().replace(/(?!^\+)[^\d]/g, '');
+  const internationalPrefix = `+${PHONE_CONFIG.NIGERIA_CALLING_CODE}`;
+
+  if (!/^\+?\d*$/.test(compact)) {
+    return text;
+  }
+
+  if (compact.startsWith(internationalPrefix) && /^[789]/.test(compact.slice(internationalPrefix.length))) {
+    const digits = compact.slice(internationalPrefix.length);
+    return `${internationalPrefix} ${groupDigits(digits, PHONE_CONFIG.INTERNATIONAL_GROUPS)}`;
+  }
+
+  if (/^0[789]/.test(compact)) {
+    return groupDigits(compact, PHONE_CONFIG.NATIONAL_GROUPS);
+  }
+
+  return text;
+}
+
+/**
+ * Counts digits and "+" signs in a string
+ *
+ * @param {string} text - Text to count in
+ * @returns {number}
+ * @private
+ */
+function countSignificant(text) {
+  return Array.from(text).filter((character) => SIGNIFICANT_CHARACTER_REGEX.test(character)).length;
+}
+
+/**
+ * Formats input as the visitor types and works out where the caret belongs
+ * The caret stays after the same digit it followed before formatting, so
+ * inserted or removed spaces never make it jump
+ *
+ * @param {string} value - Current input value
+ * @param {number} [caret=value.length] - Caret position in value
+ * @returns {{value: string, caret: number}} Formatted value and caret position
+ */
+export function formatAsYouType(value, caret = String(value || '').length) {
+  const text = String(value || '');
+  const formatted = formatPhoneNumber(text);
+
+  if (formatted === text) {
+    return { value: text, caret };
+  }
+
+  const significantBefore = countSignificant(text.slice(0, caret));
+  let position = 0;
+  let seen = 0;
+
+  while (position < formatted.length && seen < significantBefore) {
+    if (SIGNIFICANT_CHARACTER_REGEX.test(formatted[position])) {
+      seen += 1;
+    }
+    position += 1;
+  }
+
+  return { value: formatted, caret: position };
+}
+
+export default {
+  parsePhoneNumber,
+  toE164,
+  getNetwork,
+  formatPhoneNumber,
+  formatAsYouType
+};
@@ -0,0 +1,39 @@
+/**
+ * Reference Code Utility Module
+ *
+ * Short, readable codes (e.g. PR-7KQM-3XHT) that visitors can quote on the
+ * phone or in an email. The alphabet leaves out characters that are easy to
+ * confuse when read aloud or written down (0/O, 1/I/L, U/V).
+ *
+ * @module reference-code
+ */
+
+/**
+ * Reference code configuration
+ * @private
+ */
+const REFERENCE_CONFIG = Object.freeze({
+  ALPHABET: '23456789ABCDEFGHJKMNPQRSTVWXYZ',
+  LENGTH: 8
+});
+
+/**
+ * Creates a random reference code in two groups after the prefix
+ *
+ * @param {string} prefix - Code prefix, e.g. 'PR'
+ * @returns {string}
+ */
+export function createReferenceCode(prefix) {
+  const { ALPHABET, LENGTH } = REFERENCE_CONFIG;
+  const values = new Uint32Array(LENGTH);
+  crypto.getRandomValues(values);
+
+  const characters = Array.from(values, (value) => ALPHABET[value % ALPHABET.length]);
+  const half = LENGTH / 2;
+
+  return `${prefix}-${characters.slice(0, half).join('')}-${characters.slice(half).join('')}`;
+}
+
+export default {
+  createReferenceCode
+};
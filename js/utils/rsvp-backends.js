@@ -0,0 +1,473 @@
+/**
+ * RSVP Backend Utilities Module
+ *
+ * Registration backends for event RSVPs. Each backend is an adapter with
+ * `getAvailability(event, options)` and `register(event, request, options)`
+ * methods; the backend, not the page, decides how many places are left.
+ * The adapter is chosen from data-* attributes on the events section:
+ *
+ *   <section id="events"
+ *            data-rsvp-backend="json"              json | mock
+ *            data-rsvp-endpoint="/api/rsvp">       base URL for the json backend
+ *
+ * The json backend talks to a small REST API:
+ *
+ *   GET  {endpoint}/events/{id}                  -> Availability
+ *   POST {endpoint}/events/{id}/registrations    -> RegistrationResult
+ *
+ * scripts/rsvp-mock-server.js serves that API from a local JSON file, and
+ * the mock backend keeps registrations in localStorage, so the flow can be
+ * developed offline. The capacity rules below are shared by both.
+ *
+ * @module rsvp-backends
+ */
+
+import { createReferenceCode } from './reference-code.js';
+
+/**
+ * RSVP backend configuration
+ * @private
+ */
+const RSVP_CONFIG = Object.freeze({
+  DEFAULT_BACKEND: 'json',
+  PLACEHOLDER_PATTERN: /YOUR_[A-Z_]*ENDPOINT/,
+  REFERENCE_PREFIX: 'EV',
+  DEFAULT_MAX_PARTY_SIZE: 10,
+  QUESTION_TYPES: Object.freeze(['text', 'textarea', 'select', 'checkbox']),
+  MOCK_STORAGE_KEY: 'lfcc-rsvp-mock',
+  // The mock backend stores nothing server-side, so it only runs on a dev machine
+  MOCK_HOSTS: Object.freeze(['localhost', '127.0.0.1', '[::1]', ''])
+});
+
+/**
+ * Custom question asked on an event's registration form
+ * @typedef {Object} RsvpQuestion
+ * @property {string} id - Key used in the answers object
+ * @property {string} label - Question shown to the visitor
+ * @property {'text'|'textarea'|'select'|'checkbox'} type - Input type
+ * @property {string[]} options - Choices for select questions
+ * @property {boolean} required - Whether an answer is required
+ */
+
+/**
+ * Normalized registration settings of an event
+ * @typedef {Object} RegistrationSettings
+ * @property {number} capacity - Places available (counted in attendees)
+ * @property {number} maxPartySize - Most attendees one registration may include
+ * @property {boolean} waitlist - Whether a waitlist opens once the event is full
+ * @property {Date|null} closes - When registration closes, if it does early
+ * @property {RsvpQuestion[]} questions - Event-specific questions
+ */
+
+/**
+ * Places left for an event
+ * @typedef {Object} Availability
+ * @property {number} capacity - Total places
+ * @property {number} remaining - Places not yet taken
+ * @property {boolean} waitlist - Whether full events take waitlist registrations
+ * @property {number} waitlisted - Registrations currently on the waitlist
+ * @property {boolean} closed - Whether registration has closed
+ */
+
+/**
+ * Registration sent to a backend
+ * @typedef {Object} RegistrationRequest
+ * @property {string} name - Contact name
+ * @property {string} email - Contact email
+ * @property {string} [phone] - Contact phone (E.164)
+ * @property {number} attendees - Number of people in the party
+ * @property {Object<string, string|boolean>} answers - Answers by question id
+ * @property {string} idempotencyKey - Unique key, so a retried request registers once
+ */
+
+/**
+ * Outcome of a registration
+ * @typedef {Object} RegistrationResult
+ * @property {'confirmed'|'waitlisted'} status - Whether a place was reserved
+ * @property {string} reference - Reference code to quote to the church
+ * @property {number} attendees - Number of people registered
+ * @property {number} [position] - Place in the waitlist
+ */
+
+/**
+ * Registration backend
+ * @typedef {Object} RsvpBackend
+ * @property {boolean} requiresEndpoint - Whether an endpoint URL must be configured
+ * @property {function(Object, Object): Promise<Availability>} getAvailability
+ * @property {function(Object, RegistrationRequest, Object): Promise<RegistrationResult>} register
+ */
+
+/**
+ * Creates an Error with a machine-readable code
+ * Codes: closed, full, invalid, unavailable
+ *
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+export function createRsvpError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Validates and normalizes the registration object of an events.json entry
+ *
+ * @param {Object|null} raw - Raw registration settings
+ * @returns {RegistrationSettings|null} Null when the event takes no registrations
+ */
+export function normalizeRegistration(raw) {
+  const capacity = Number(raw?.capacity);
+
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    return null;
+  }
+
+  const maxPartySize = Number(raw.maxPartySize);
+  const closes = raw.closes ? new Date(raw.closes) : null;
+
+  return {
+    capacity,
+    maxPartySize: Number.isInteger(maxPartySize) && maxPartySize > 0
+      ? Math.min(maxPartySize, capacity)
+      : Math.min(RSVP_CONFIG.DEFAULT_MAX_PARTY_SIZE, capacity),
+    waitlist: raw.waitlist !== false,
+    closes: closes && !Number.isNaN(closes.getTime()) ? closes : null,
+    questions: (Array.isArray(raw.questions) ? raw.questions : [])
+      .map(normalizeQuestion)
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Validates and normalizes a custom question
+ *
+ * @param {Object} raw - Raw question
+ * @returns {RsvpQuestion|null}
+ * @private
+ */
+function normalizeQuestion(raw) {
+  const id = String(raw?.id || '').trim();
+  const label = String(raw?.label || '').trim();
+  const type = RSVP_CONFIG.QUESTION_TYPES.includes(raw?.type) ? raw.type : 'text';
+  const options = Array.isArray(raw?.options) ? raw.options.map((option) => String(option).trim()) : [];
+
+  if (!/^[a-z][a-z0-9-]*$/i.test(id) || !label || (type === 'select' && options.length === 0)) {
+    console.warn('Skipping invalid registration question:', raw);
+    return null;
+  }
+
+  return { id, label, type, options, required: raw.required === true };
+}
+
+/**
+ * Works out the places left from the registrations made so far
+ *
+ * @param {RegistrationSettings} settings - Event registration settings
+ * @param {Object[]} registrations - Stored registrations ({status, attendees})
+ * @param {Date} [now=new Date()] - Reference instant
+ * @returns {Availability}
+ */
+export function summarizeAvailability(settings, registrations, now = new Date()) {
+  const taken = registrations
+    .filter((entry) => entry.status === 'confirmed')
+    .reduce((total, entry) => total + entry.attendees, 0);
+
+  return {
+    capacity: settings.capacity,
+    remaining: Math.max(settings.capacity - taken, 0),
+    waitlist: settings.waitlist,
+    waitlisted: registrations.filter((entry) => entry.status === 'waitlisted').length,
+    closed: Boolean(settings.closes && settings.closes.getTime() <= now.getTime())
+  };
+}
+
+/**
+ * Applies the capacity rules to a registration request
+ * A party that does not fit goes on the waitlist as a whole, so a group is
+ * never split between confirmed and waitlisted places. A request with a key
+ * seen before returns the earlier registration instead of adding another.
+ *
+ * @param {RegistrationSettings} settings - Event registration settings
+ * @param {Object[]} registrations - Stored registrations
+ * @param {RegistrationRequest} request - Incoming request
+ * @param {Date} [now=new Date()] - Reference instant
+ * @returns {{entry: Object, created: boolean}} The registration to store
+ * @throws {Error} With code closed, full or invalid
+ */
+export function decideRegistration(settings, registrations, request, now = new Date()) {
+  const existing = registrations.find((entry) => entry.key === request.idempotencyKey);
+
+  if (existing) {
+    return { entry: existing, created: false };
+  }
+
+  const attendees = Number(request.attendees);
+
+  if (!Number.isInteger(attendees) || attendees < 1 || attendees > settings.maxPartySize) {
+    throw createRsvpError('invalid', `Attendees must be between 1 and ${settings.maxPartySize}`);
+  }
+
+  const availability = summarizeAvailability(settings, registrations, now);
+
+  if (availability.closed) {
+    throw createRsvpError('closed', 'Registration for this event has closed');
+  }
+
+  if (attendees > availability.remaining && !settings.waitlist) {
+    throw createRsvpError('full', 'This event is fully booked');
+  }
+
+  return {
+    entry: {
+      key: request.idempotencyKey,
+      reference: createReferenceCode(RSVP_CONFIG.REFERENCE_PREFIX),
+      status: attendees <= availability.remaining ? 'confirmed' : 'waitlisted',
+      attendees,
+      createdAt: now.toISOString()
+    },
+    created: true
+  };
+}
+
+/**
+ * Builds the result returned for a stored registration
+ *
+ * @param {Object} entry - Stored registration
+ * @param {Object[]} registrations - All registrations for the event, including entry
+ * @returns {RegistrationResult}
+ */
+export function describeRegistration(entry, registrations) {
+  const result = {
+    status: entry.status,
+    reference: entry.reference,
+    attendees: entry.attendees
+  };
+
+  if (entry.status === 'waitlisted') {
+    result.position = registrations
+      .filter((other) => other.status === 'waitlisted')
+      .indexOf(entry) + 1;
+  }
+
+  return result;
+}
+
+/**
+ * Creates an Error from a failed API response
+ * The body is expected to look like {code, error}
+ *
+ * @param {Response} response - Failed response
+ * @returns {Promise<Error>}
+ * @private
+ */
+async function readResponseError(response) {
+  const body = await response.json().catch(() => ({}));
+  const error = createRsvpError(
+    body.code || (response.status >= 500 ? 'unavailable' : 'invalid'),
+    body.error || `Server responded with status ${response.status}`
+  );
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Builds the API URL for an event
+ *
+ * @param {string} endpoint - API base URL
+ * @param {string} eventId - Event id
+ * @param {string} [path=''] - Sub-resource path
+ * @returns {string}
+ * @private
+ */
+function getEventUrl(endpoint, eventId, path = '') {
+  return `${endpoint.replace(/\/+$/, '')}/events/${encodeURIComponent(eventId)}${path}`;
+}
+
+/**
+ * Custom endpoint - the REST API described at the top of this module
+ * Sends an Idempotency-Key header so a retried registration is stored once
+ * @type {RsvpBackend}
+ * @private
+ */
+const jsonBackend = Object.freeze({
+  requiresEndpoint: true,
+
+  async getAvailability(event, { endpoint, signal }) {
+    const response = await fetch(getEventUrl(endpoint, event.id), {
+      headers: { 'Accept': 'application/json' },
+      signal
+    });
+
+    if (!response.ok) {
+      throw await readResponseError(response);
+    }
+
+    return response.json();
+  },
+
+  async register(event, request, { endpoint, signal }) {
+    const { idempotencyKey, ...body } = request;
+
+    const response = await fetch(getEventUrl(endpoint, event.id, '/registrations'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Idempotency-Key': idempotencyKey
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await readResponseError(response);
+    }
+
+    return response.json();
+  }
+});
+
+/**
+ * Reads the mock backend's registrations, keyed by event id
+ *
+ * @returns {Object<string, Object[]>}
+ * @private
+ */
+function readMockStore() {
+  try {
+    return JSON.parse(localStorage.getItem(RSVP_CONFIG.MOCK_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Browser-only backend for development
+ * Keeps registration counts (never names or contact details) in localStorage
+ * @type {RsvpBackend}
+ * @private
+ */
+const mockBackend = Object.freeze({
+  requiresEndpoint: false,
+
+  getAvailability(event) {
+    const registrations = readMockStore()[event.id] || [];
+    return Promise.resolve(summarizeAvailability(event.registration, registrations));
+  },
+
+  register(event, request) {
+    const store = readMockStore();
+    const registrations = store[event.id] || [];
+
+    try {
+      const { entry, created } = decideRegistration(event.registration, registrations, request);
+
+      if (created) {
+        registrations.push(entry);
+        store[event.id] = registrations;
+        localStorage.setItem(RSVP_CONFIG.MOCK_STORAGE_KEY, JSON.stringify(store));
+      }
+
+      return Promise.resolve(describeRegistration(entry, registrations));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+});
+
+/**
+ * Registered backends by name
+ * @type {Map<string, RsvpBackend>}
+ * @private
+ */
+const backends = new Map([
+  ['json', jsonBackend],
+  ['mock', mockBackend]
+]);
+
+/**
+ * Registers an additional backend, or replaces a built-in one
+ *
+ * @param {string} name - Name used in data-rsvp-backend
+ * @param {RsvpBackend} backend - Adapter implementation
+ * @returns {void}
+ */
+export function registerRsvpBackend(name, backend) {
+  if (!name || typeof backend?.getAvailability !== 'function' || typeof backend?.register !== 'function') {
+    throw new TypeError('An RSVP backend needs a name and getAvailability() and register() methods');
+  }
+
+  backends.set(name.toLowerCase(), backend);
+}
+
+/**
+ * Looks up a backend by name
+ *
+ * @param {string} name - Backend name
+ * @returns {RsvpBackend|null}
+ */
+export function getRsvpBackend(name) {
+  return backends.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * Checks whether a backend has what it needs to run
+ *
+ * @param {RsvpBackend} backend - Backend to check
+ * @param {{endpoint: string}} options - Options read from the page
+ * @returns {boolean}
+ * @private
+ */
+function isConfigured(backend, options) {
+  if (backend === mockBackend) {
+    return RSVP_CONFIG.MOCK_HOSTS.includes(window.location.hostname);
+  }
+
+  if (!backend.requiresEndpoint) {
+    return true;
+  }
+
+  return Boolean(options.endpoint) && !RSVP_CONFIG.PLACEHOLDER_PATTERN.test(options.endpoint);
+}
+
+/**
+ * Picks the RSVP backend from an element's data-* attributes
+ *
+ * @param {HTMLElement} element - Element carrying data-rsvp-backend / data-rsvp-endpoint
+ * @returns {{name: string, backend: RsvpBackend, options: {endpoint: string}}|null}
+ *          Null when registrations cannot be taken
+ */
+export function resolveRsvpBackend(element) {
+  const name = (element.dataset.rsvpBackend || RSVP_CONFIG.DEFAULT_BACKEND).toLowerCase();
+  const options = { endpoint: element.dataset.rsvpEndpoint || '' };
+  const backend = backends.get(name);
+
+  if (!backend) {
+    console.warn(`Unknown RSVP backend "${name}", registrations disabled`);
+    return null;
+  }
+
+  if (!isConfigured(backend, options)) {
+    console.warn(`RSVP backend "${name}" is not configured, registrations disabled`);
+    return null;
+  }
+
+  if (backend === mockBackend) {
+    console.warn('Using the mock RSVP backend: registrations are only stored in this browser');
+  }
+
+  return { name, backend, options };
+}
+
+export default {
+  createRsvpError,
+  normalizeRegistration,
+  summarizeAvailability,
+  decideRegistration,
+  describeRegistration,
+  registerRsvpBackend,
+  getRsvpBackend,
+  resolveRsvpBackend
+};
@@ -0,0 +1,548 @@
+/**
+ * Service Schedule Utility Module
+ *
+ * Recurrence engine for the church's services. Rules use iCalendar naming
+ * (freq, byDay, bySetPos, byMonth, byMonthDay) and wall-clock times in the
+ * schedule's IANA timezone, so "first Sunday" or "last Friday" resolve to the
+ * correct instant regardless of the visitor's own timezone.
+ *
+ * @module js/utils/schedule
+ */
+
+/**
+ * Schedule configuration
+ * @private
+ */
+const SCHEDULE_CONFIG = Object.freeze({
+  // Resolved from this module so the localized pages (/yo/ etc.) load the same feed
+  DATA_URL: new URL('../../content/services.json', import.meta.url),
+  DEFAULT_TIME_ZONE: 'Africa/Lagos',
+  TIMEOUT: 8000,
+  SEARCH_DAYS: 400
+});
+
+/**
+ * Weekday codes indexed by Date#getUTCDay()
+ * @type {ReadonlyArray<string>}
+ */
+export const WEEKDAY_CODES = Object.freeze(['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']);
+
+/**
+ * Supported recurrence frequencies
+ * @private
+ */
+const FREQUENCIES = Object.freeze(['WEEKLY', 'MONTHLY', 'YEARLY']);
+
+/**
+ * Wall-clock time pattern (HH:mm, 24-hour)
+ * @private
+ */
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+/**
+ * Cached Intl formatters keyed by timezone
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const formatterCache = new Map();
+
+/**
+ * Cached schedule request shared by all consumers
+ * @type {Promise<ServiceSchedule>|null}
+ */
+let schedulePromise = null;
+
+/**
+ * Recurrence rule
+ * @typedef {Object} RecurrenceRule
+ * @property {'WEEKLY'|'MONTHLY'|'YEARLY'} freq - Recurrence frequency
+ * @property {string[]} [byDay] - Weekday codes (SU, MO, ...)
+ * @property {number[]} [bySetPos] - Nth weekday of the month (1 = first, -1 = last)
+ * @property {number[]} [byMonth] - Months (1-12), yearly rules only
+ * @property {number[]} [byMonthDay] - Days of the month (1-31)
+ */
+
+/**
+ * Recurring service definition
+ * @typedef {Object} Service
+ * @property {string} id - Stable service identifier
+ * @property {string} name - Display name
+ * @property {string} [description] - Short description
+ * @property {RecurrenceRule} recurrence - When the service repeats
+ * @property {string} startTime - Start time (HH:mm) in the schedule timezone
+ * @property {string} endTime - End time (HH:mm); earlier than startTime means it ends the next day
+ */
+
+/**
+ * Loaded schedule
+ * @typedef {Object} ServiceSchedule
+ * @property {string} timeZone - IANA timezone of all wall-clock times
+ * @property {Service[]} services - Valid services
+ */
+
+/**
+ * Concrete occurrence of a service
+ * @typedef {Object} Occurrence
+ * @property {Service} service - Service definition
+ * @property {Date} start - Start instant
+ * @property {Date} end - End instant
+ * @property {boolean} isLive - Whether the reference instant falls inside the occurrence
+ */
+
+/**
+ * Gets a cached formatter returning numeric date parts in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Splits an instant into wall-clock parts in a timezone
+ *
+ * @param {Date} date - Instant to split
+ * @param {string} [timeZone=Africa/Lagos] - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: string}}
+ */
+export function getZonedParts(date, timeZone = SCHEDULE_CONFIG.DEFAULT_TIME_ZONE) {
+  const parts = {};
+
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: WEEKDAY_CODES[new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()]
+  };
+}
+
+/**
+ * Gets a timezone's UTC offset at a given instant
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return asUtc - (Math.floor(date.getTime() / 1000) * 1000);
+}
+
+/**
+ * Converts a wall-clock time in a timezone to an instant
+ *
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number}} wallTime - Local time
+ * @param {string} [timeZone=Africa/Lagos] - IANA timezone
+ * @returns {Date}
+ */
+export function zonedTimeToDate(wallTime, timeZone = SCHEDULE_CONFIG.DEFAULT_TIME_ZONE) {
+  const { year, month, day, hour = 0, minute = 0 } = wallTime;
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Re-check the offset at the corrected instant to handle DST transitions
+  const firstOffset = getTimeZoneOffset(new Date(guess), timeZone);
+  const secondOffset = getTimeZoneOffset(new Date(guess - firstOffset), timeZone);
+
+  return new Date(guess - secondOffset);
+}
+
+/**
+ * Parses a HH:mm wall-clock time
+ *
+ * @param {string} value - Time string
+ * @returns {{hour: number, minute: number}|null}
+ */
+function parseTime(value) {
+  const match = TIME_REGEX.exec(String(value || ''));
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
+
+/**
+ * Normalizes a list-valued rule part into an array
+ *
+ * @param {*} value - Single value or array
+ * @returns {Array}
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validates and normalizes a recurrence rule
+ *
+ * @param {Object} rule - Raw rule
+ * @returns {RecurrenceRule|null} Normalized rule, or null if unsupported
+ */
+export function normalizeRule(rule) {
+  const freq = String(rule?.freq || '').toUpperCase();
+
+  if (!FREQUENCIES.includes(freq)) {
+    return null;
+  }
+
+  const normalized = {
+    freq,
+    byDay: toList(rule.byDay).map((code) => String(code).toUpperCase()),
+    bySetPos: toList(rule.bySetPos).map(Number),
+    byMonth: toList(rule.byMonth).map(Number),
+    byMonthDay: toList(rule.byMonthDay).map(Number)
+  };
+
+  if (normalized.byDay.some((code) => !WEEKDAY_CODES.includes(code))) {
+    return null;
+  }
+
+  if (freq === 'WEEKLY' && normalized.byDay.length === 0) {
+    return null;
+  }
+
+  if (freq !== 'WEEKLY' && normalized.byDay.length === 0 && normalized.byMonthDay.length === 0) {
+    return null;
+  }
+
+  return normalized;
+}
+
+/**
+ * Checks whether a calendar day matches the monthly part of a rule
+ *
+ * @param {RecurrenceRule} rule - Normalized rule
+ * @param {number} year - Calendar year
+ * @param {number} month - Calendar month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean}
+ */
+function matchesDayOfMonth(rule, year, month, day) {
+  if (rule.byMonthDay.length > 0 && !rule.byMonthDay.includes(day)) {
+    return false;
+  }
+
+  if (rule.byDay.length === 0) {
+    return true;
+  }
+
+  const weekday = WEEKDAY_CODES[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+
+  if (!rule.byDay.includes(weekday)) {
+    return false;
+  }
+
+  if (rule.bySetPos.length === 0) {
+    return true;
+  }
+
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const position = Math.ceil(day / 7);
+  const positionFromEnd = -Math.ceil((daysInMonth - day + 1) / 7);
+
+  return rule.bySetPos.includes(position) || rule.bySetPos.includes(positionFromEnd);
+}
+
+/**
+ * Checks whether a calendar day matches a recurrence rule
+ *
+ * @param {RecurrenceRule} rule - Normalized rule
+ * @param {number} year - Calendar year
+ * @param {number} month - Calendar month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean}
+ */
+export function matchesRule(rule, year, month, day) {
+  switch (rule.freq) {
+    case 'WEEKLY':
+      return rule.byDay.includes(WEEKDAY_CODES[new Date(Date.UTC(year, month - 1, day)).getUTCDay()]);
+
+    case 'MONTHLY':
+      return matchesDayOfMonth(rule, year, month, day);
+
+    case 'YEARLY':
+      return (rule.byMonth.length === 0 || rule.byMonth.includes(month)) &&
+        matchesDayOfMonth(rule, year, month, day);
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validates and normalizes a service definition
+ *
+ * @param {Object} raw - Raw service from the schedule feed
+ * @returns {Service|null} Normalized service, or null if invalid
+ */
+export function normalizeService(raw) {
+  const recurrence = normalizeRule(raw?.recurrence);
+
+  if (!raw?.id || !raw?.name || !recurrence || !parseTime(raw.startTime) || !parseTime(raw.endTime)) {
+    console.warn('[Schedule] Skipping invalid service definition', raw);
+    return null;
+  }
+
+  return { ...raw, recurrence };
+}
+
+/**
+ * Builds the occurrence of a service starting on a calendar day
+ *
+ * @param {Service} service - Normalized service
+ * @param {{year: number, month: number, day: number}} date - Calendar day
+ * @param {string} timeZone - Schedule timezone
+ * @returns {{start: Date, end: Date}}
+ */
+function buildOccurrence(service, date, timeZone) {
+  const startTime = parseTime(service.startTime);
+  const endTime = parseTime(service.endTime);
+
+  const start = zonedTimeToDate({ ...date, ...startTime }, timeZone);
+  let endDay = date;
+
+  // End times at or before the start time roll over to the next day
+  if (endTime.hour * 60 + endTime.minute <= startTime.hour * 60 + startTime.minute) {
+    const next = new Date(Date.UTC(date.year, date.month - 1, date.day + 1));
+    endDay = { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+  }
+
+  const end = zonedTimeToDate({ ...endDay, ...endTime }, timeZone);
+
+  return { start, end };
+}
+
+/**
+ * Finds the current or next occurrence of a service
+ * Returns the running occurrence if the reference instant falls inside one
+ *
+ * @param {Service} service - Normalized service
+ * @param {Date} [now=new Date()] - Reference instant
+ * @param {string} [timeZone=Africa/Lagos] - Schedule timezone
+ * @returns {Occurrence|null} Occurrence, or null if none within the search window
+ */
+export function getNextOccurrence(service, now = new Date(), timeZone = SCHEDULE_CONFIG.DEFAULT_TIME_ZONE) {
+  const today = getZonedParts(now, timeZone);
+
+  // Start one day back so overnight services that began yesterday are found
+  for (let offset = -1; offset <= SCHEDULE_CONFIG.SEARCH_DAYS; offset++) {
+    const cursor = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const date = {
+      year: cursor.getUTCFullYear(),
+      month: cursor.getUTCMonth() + 1,
+      day: cursor.getUTCDate()
+    };
+
+    if (matchesRule(service.recurrence, date.year, date.month, date.day)) {
+      const { start, end } = buildOccurrence(service, date, timeZone);
+
+      if (end.getTime() > now.getTime()) {
+        return {
+          service,
+          start,
+          end,
+          isLive: start.getTime() <= now.getTime()
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the most recent occurrence of a service that has already ended
+ *
+ * @param {Service} service - Normalized service
+ * @param {Date} [now=new Date()] - Reference instant
+ * @param {string} [timeZone=Africa/Lagos] - Schedule timezone
+ * @returns {Occurrence|null} Occurrence, or null if none within the search window
+ */
+export function getPreviousOccurrence(service, now = new Date(), timeZone = SCHEDULE_CONFIG.DEFAULT_TIME_ZONE) {
+  const today = getZonedParts(now, timeZone);
+
+  for (let offset = 0; offset >= -SCHEDULE_CONFIG.SEARCH_DAYS; offset--) {
+    const cursor = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const date = {
+      year: cursor.getUTCFullYear(),
+      month: cursor.getUTCMonth() + 1,
+      day: cursor.getUTCDate()
+    };
+
+    if (matchesRule(service.recurrence, date.year, date.month, date.day)) {
+      const { start, end } = buildOccurrence(service, date, timeZone);
+
+      if (end.getTime() <= now.getTime()) {
+        return { service, start, end, isLive: false };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lists upcoming occurrences of a service
+ *
+ * @param {Service} service - Normalized service
+ * @param {number} count - Number of occurrences to return
+ * @param {Date} [from=new Date()] - Reference instant
+ * @param {string} [timeZone=Africa/Lagos] - Schedule timezone
+ * @returns {Occurrence[]}
+ */
+export function getUpcomingOccurrences(
+  service,
+  count,
+  from = new Date(),
+  timeZone = SCHEDULE_CONFIG.DEFAULT_TIME_ZONE
+) {
+  const occurrences = [];
+  let cursor = from;
+
+  while (occurrences.length < count) {
+    const occurrence = getNextOccurrence(service, cursor, timeZone);
+
+    if (!occurrence) {
+      break;
+    }
+
+    occurrences.push(occurrence);
+    cursor = new Date(occurrence.end.getTime() + MS_PER_MINUTE);
+  }
+
+  return occurrences;
+}
+
+/**
+ * Finds the service that is running now or starts soonest
+ * Running services take precedence over upcoming ones
+ *
+ * @param {ServiceSchedule} schedule - Loaded schedule
+ * @param {Date} [now=new Date()] - Reference instant
+ * @returns {Occurrence|null}
+ */
+export function getNextService(schedule, now = new Date()) {
+  const occurrences = schedule.services
+    .map((service) => getNextOccurrence(service, now, schedule.timeZone))
+    .filter(Boolean);
+
+  if (occurrences.length === 0) {
+    return null;
+  }
+
+  const live = occurrences.filter((occurrence) => occurrence.isLive);
+  const candidates = live.length > 0 ? live : occurrences;
+
+  return candidates.reduce((soonest, occurrence) => {
+    return occurrence.start.getTime() < soonest.start.getTime() ? occurrence : soonest;
+  });
+}
+
+/**
+ * Formats a duration as a compact countdown, e.g. "2h 15m" or "3d 4h"
+ *
+ * @param {number} milliseconds - Duration
+ * @returns {string}
+ */
+export function formatCountdown(milliseconds) {
+  const totalMinutes = Math.max(0, Math.ceil(milliseconds / MS_PER_MINUTE));
+  const days = Math.floor(totalMinutes / (MS_PER_DAY / MS_PER_MINUTE));
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) {
+    return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  }
+
+  if (hours > 0) {
+    return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  }
+
+  return `${Math.max(minutes, 1)}m`;
+}
+
+/**
+ * Loads the service schedule feed
+ * The request is shared, so several components can call this cheaply
+ *
+ * @returns {Promise<ServiceSchedule>}
+ */
+export function loadServiceSchedule() {
+  if (!schedulePromise) {
+    schedulePromise = fetchServiceSchedule().catch((error) => {
+      schedulePromise = null;
+      throw error;
+    });
+  }
+
+  return schedulePromise;
+}
+
+/**
+ * Fetches and validates the schedule feed
+ *
+ * @returns {Promise<ServiceSchedule>}
+ * @private
+ */
+async function fetchServiceSchedule() {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), SCHEDULE_CONFIG.TIMEOUT);
+
+  try {
+    const response = await fetch(SCHEDULE_CONFIG.DATA_URL, {
+      headers: { 'Accept': 'application/json' },
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Service schedule responded with status ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (!data || !Array.isArray(data.services)) {
+      throw new Error('Service schedule is missing a "services" array');
+    }
+
+    return {
+      timeZone: data.timeZone || SCHEDULE_CONFIG.DEFAULT_TIME_ZONE,
+      services: data.services.map(normalizeService).filter(Boolean)
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+export default {
+  loadServiceSchedule,
+  getNextOccurrence,
+  getPreviousOccurrence,
+  getUpcomingOccurrences,
+  getNextService,
+  formatCountdown,
+  zonedTimeToDate,
+  getZonedParts
+};
@@ -0,0 +1,168 @@
+/**
+ * Scripture Utilities Module
+ *
+ * Reads the books of the Bible named in a scripture reference such as
+ * "Hebrews 11:1-6; Romans 10:17" or "1 Cor 13", so content can be grouped
+ * and filtered by book. Books are returned under their canonical names and
+ * can be sorted in canonical (Genesis to Revelation) order.
+ *
+ * @module scripture
+ */
+
+/**
+ * The 66 books of the Protestant canon, in order
+ */
+export const BIBLE_BOOKS = Object.freeze([
+  'Genesis', 'Exodus', 'Leviticus', 'Numbers', 'Deuteronomy', 'Joshua', 'Judges', 'Ruth',
+  '1 Samuel', '2 Samuel', '1 Kings', '2 Kings', '1 Chronicles', '2 Chronicles', 'Ezra', 'Nehemiah',
+  'Esther', 'Job', 'Psalms', 'Proverbs', 'Ecclesiastes', 'Song of Solomon', 'Isaiah', 'Jeremiah',
+  'Lamentations', 'Ezekiel', 'Daniel', 'Hosea', 'Joel', 'Amos', 'Obadiah', 'Jonah', 'Micah', 'Nahum',
+  'Habakkuk', 'Zephaniah', 'Haggai', 'Zechariah', 'Malachi',
+  'Matthew', 'Mark', 'Luke', 'John', 'Acts', 'Romans', '1 Corinthians', '2 Corinthians', 'Galatians',
+  'Ephesians', 'Philippians', 'Colossians', '1 Thessalonians', '2 Thessalonians', '1 Timothy',
+  '2 Timothy', 'Titus', 'Philemon', 'Hebrews', 'James', '1 Peter', '2 Peter', '1 John', '2 John',
+  '3 John', 'Jude', 'Revelation'
+]);
+
+/**
+ * Other names and common abbreviations, by canonical name
+ * Numbered books also match "I"/"II"/"III" and "First"/"Second"/"Third"
+ * @private
+ */
+const BOOK_ALIASES = Object.freeze({
+  Genesis: ['Gen'],
+  Exodus: ['Exod', 'Ex'],
+  Leviticus: ['Lev'],
+  Numbers: ['Num'],
+  Deuteronomy: ['Deut'],
+  Joshua: ['Josh'],
+  Judges: ['Judg'],
+  Psalms: ['Psalm', 'Ps', 'Psa'],
+  Proverbs: ['Prov'],
+  Ecclesiastes: ['Eccl', 'Eccles'],
+  'Song of Solomon': ['Song of Songs', 'Song', 'Songs'],
+  Isaiah: ['Isa'],
+  Jeremiah: ['Jer'],
+  Lamentations: ['Lam'],
+  Ezekiel: ['Ezek'],
+  Daniel: ['Dan'],
+  Matthew: ['Matt', 'Mt'],
+  Mark: ['Mk'],
+  Luke: ['Lk'],
+  John: ['Jn'],
+  Romans: ['Rom'],
+  Corinthians: ['Cor'],
+  Galatians: ['Gal'],
+  Ephesians: ['Eph'],
+  Philippians: ['Phil'],
+  Colossians: ['Col'],
+  Thessalonians: ['Thess'],
+  Timothy: ['Tim'],
+  Hebrews: ['Heb'],
+  James: ['Jas'],
+  Peter: ['Pet'],
+  Revelation: ['Revelations', 'Rev']
+});
+
+/**
+ * Ordinal prefixes for numbered books
+ * @private
+ */
+const NUMBER_WORDS = Object.freeze({ i: '1', ii: '2', iii: '3', first: '1', second: '2', third: '3' });
+
+/**
+ * Book name at the start of a reference, e.g. "1 Cor" in "1 Cor 13:4-7"
+ * @private
+ */
+const BOOK_PATTERN = /^\s*((?:[1-3]|i{1,3}|first|second|third)?\s*[a-z]+(?:\s+of\s+[a-z]+)?)\.?\s*\d/i;
+
+/**
+ * Lookup from lower-case name or alias to canonical name
+ * @type {Map<string, string>}
+ * @private
+ */
+const bookLookup = buildLookup();
+
+/**
+ * Builds the name lookup, expanding aliases of numbered books
+ * ("Cor" becomes "1 cor" and "2 cor")
+ *
+ * @returns {Map<string, string>}
+ * @private
+ */
+function buildLookup() {
+  const lookup = new Map();
+
+  BIBLE_BOOKS.forEach((book) => {
+    const match = /^([1-3]) (.+)$/.exec(book);
+    const baseName = match ? match[2] : book;
+    const names = [baseName, ...(BOOK_ALIASES[baseName] || [])];
+
+    names.forEach((name) => {
+      lookup.set(match ? `${match[1]} ${name}`.toLowerCase() : name.toLowerCase(), book);
+    });
+  });
+
+  return lookup;
+}
+
+/**
+ * Finds the canonical name for a book name or abbreviation
+ *
+ * @param {string} name - Book name, e.g. "1 Cor", "II Timothy" or "Psalm"
+ * @returns {string|null} Canonical name, or null when not a book of the Bible
+ */
+export function normalizeBookName(name) {
+  const words = String(name).trim().replace(/\.$/, '').toLowerCase().split(/\s+/);
+  const prefix = NUMBER_WORDS[words[0]] || (/^[1-3]$/.test(words[0]) ? words[0] : null);
+
+  // "1Cor" is written without a space
+  if (!prefix && /^[1-3][a-z]/.test(words[0])) {
+    words.splice(0, 1, words[0][0], words[0].slice(1));
+    return normalizeBookName(words.join(' '));
+  }
+
+  const key = prefix ? `${prefix} ${words.slice(1).join(' ')}` : words.join(' ');
+  return bookLookup.get(key) || null;
+}
+
+/**
+ * Lists the books named in a scripture reference
+ * Parts separated by ";" or "," that start with a chapter number belong to
+ * the previous book ("Hebrews 11:1; 12:2" names Hebrews once)
+ *
+ * @param {string} reference - Scripture reference
+ * @returns {string[]} Canonical book names in the order they appear
+ */
+export function parseScriptureBooks(reference) {
+  const books = [];
+
+  String(reference || '').split(/[;,]/).forEach((part) => {
+    const match = BOOK_PATTERN.exec(part);
+    const book = match ? normalizeBookName(match[1]) : null;
+
+    if (book && !books.includes(book)) {
+      books.push(book);
+    }
+  });
+
+  return books;
+}
+
+/**
+ * Compares two canonical book names in Bible order, for Array#sort
+ *
+ * @param {string} a - Canonical book name
+ * @param {string} b - Canonical book name
+ * @returns {number}
+ */
+export function compareBooks(a, b) {
+  return BIBLE_BOOKS.indexOf(a) - BIBLE_BOOKS.indexOf(b);
+}
+
+export default {
+  BIBLE_BOOKS,
+  normalizeBookName,
+  parseScriptureBooks,
+  compareBooks
+};
@@ -4,9 +4,22 @@
  * Provides comprehensive form validation functions with real-time feedback
  * for email, phone, required fields, and message length validation.
  * 
+ * Messages come from the "validation" section of the active locale's
+ * catalog (see i18n.js), falling back to English. Every validator also
+ * takes an options object with a locale and/or its own message catalog,
+ * so other forms can reuse the rules with different wording.
+ *
+ * validateField() reads a field's rules from its attributes (data-validate,
+ * required, minlength, maxlength, min, max, pattern, data-depends-on,
+ * data-msg-*) via readFieldRules() and checks them with checkRules().
+ * form-engine.js builds on the same two functions for whole forms.
+ *
  * @module validation
  */
 
+import { getLocale, getLoadedCatalog, interpolate, lookup, resolveLocale, t } from './i18n.js';
+import { parsePhoneNumber } from './phone.js';
+
 /**
  * Validation result object structure
  * @typedef {Object} ValidationResult
@@ -14,6 +27,16 @@
  * @property {string} message - User-friendly error message if invalid
  */
 
+/**
+ * Validation options
+ * @typedef {Object} ValidationOptions
+ * @property {string} [locale] - Locale for messages and case mapping; defaults to the active page locale
+ * @property {Object<string, string>} [messages] - Messages keyed like the "validation" section of a
+ *   locale catalog. Missing keys fall back to the catalog for locale, then English. A locale other than
+ *   the active one needs its catalog loaded first (loadCatalog() in i18n.js)
+ * @property {string[]} [scripts] - Unicode scripts names may use (defaults to NAME_SCRIPTS)
+ */
+
 /**
  * Email validation regex pattern
  * Validates standard email format with proper domain structure
@@ -22,18 +45,26 @@
 const EMAIL_REGEX = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
 
 /**
- * Phone validation regex pattern
- * Supports international formats with optional country codes
+ * Scripts names may be written in, as Unicode Script property values
+ * Latin covers English, Yoruba, Igbo and Hausa (Boko) spellings, including
+ * letters such as ẹ, ọ, ṣ, ị, ụ, ṅ, ɓ, ɗ and ƙ. Add 'Arabic' for Ajami.
  * @private
  */
-const PHONE_REGEX = /^[+]?[(]?[0-9]{1,4}[)]?[-\s.]?[(]?[0-9]{1,4}[)]?[-\s.]?[0-9]{1,9}$/;
+const NAME_SCRIPTS = Object.freeze(['Latin']);
 
 /**
- * Name validation regex pattern
- * Allows letters, spaces, hyphens, and apostrophes
+ * Characters allowed between the letters of a name: whitespace, straight and
+ * curly apostrophes, the Hausa glottal mark (ʼ), hyphens and initials' dots
  * @private
  */
-const NAME_REGEX = /^[A-Za-z\s'-]+$/;
+const NAME_PUNCTUATION = "\\s'\u2019\u02BC.\\-";
+
+/**
+ * Compiled name patterns by script list
+ * @type {Map<string, RegExp>}
+ * @private
+ */
+const namePatterns = new Map();
 
 /**
  * Validation constraints
@@ -45,23 +76,87 @@ const CONSTRAINTS = Object.freeze({
   MESSAGE_MIN_LENGTH: 10,
   MESSAGE_MAX_LENGTH: 1000,
   PHONE_MIN_LENGTH: 7,
-  PHONE_MAX_LENGTH: 20
+  PHONE_MAX_LENGTH: 20,
+  EMAIL_MAX_LENGTH: 254
 });
 
+/**
+ * English validation messages
+ * Keys match the "validation" section of content/locales/<code>.json;
+ * placeholders are filled from CONSTRAINTS and the value being checked
+ * @private
+ */
+const DEFAULT_MESSAGES = Object.freeze({
+  field: 'This field',
+  required: '{field} is required',
+  emailRequired: 'Email address is required',
+  emailInvalid: 'Please enter a valid email address (e.g., name@example.com)',
+  emailTooLong: 'Email address is too long',
+  phoneRequired: 'Phone number is required',
+  phoneTooShort: 'Phone number is too short',
+  phoneTooLong: 'Phone number is too long',
+  phoneInvalid: 'Please enter a valid phone number (e.g., +234 801 234 5678)',
+  nameRequired: 'Name is required',
+  nameTooShort: 'Name must be at least {min} characters',
+  nameTooLong: 'Name must not exceed {max} characters',
+  nameInvalid: 'Name can only contain letters, spaces, hyphens, and apostrophes',
+  messageRequired: 'Message is required',
+  messageTooShort: 'Message must be at least {min} characters ({remaining} more needed)',
+  messageTooLong: 'Message must not exceed {max} characters ({excess} too many)',
+  selectRequired: 'Please select a {field}',
+  tooShort: '{field} must be at least {min} characters',
+  tooLong: '{field} must not exceed {max} characters',
+  patternMismatch: '{field} is not in the expected format',
+  rangeUnderflow: '{field} must be at least {min}',
+  rangeOverflow: '{field} must not be more than {max}',
+  invalid: '{field} is not valid'
+});
+
+/**
+ * Builds a validation message for the requested locale
+ * Order: options.messages, then the catalog for options.locale (the active
+ * one by default), then English
+ *
+ * @param {string} key - Message key
+ * @param {Object} [params={}] - Placeholder values
+ * @param {ValidationOptions} [options={}] - Locale and message overrides
+ * @returns {string} Message with placeholders filled in
+ */
+export function formatMessage(key, params = {}, options = {}) {
+  const custom = options.messages ? options.messages[key] : undefined;
+
+  if (typeof custom === 'string') {
+    return interpolate(custom, params);
+  }
+
+  const locale = options.locale ? resolveLocale(options.locale) : getLocale();
+
+  if (locale === getLocale()) {
+    return t(`validation.${key}`, DEFAULT_MESSAGES[key], params);
+  }
+
+  // English when the locale is unsupported or its catalog is not loaded yet
+  const catalog = locale ? getLoadedCatalog(locale) : null;
+  const message = catalog ? lookup(catalog, `validation.${key}`) : undefined;
+
+  return interpolate(message ?? DEFAULT_MESSAGES[key], params);
+}
+
 /**
  * Validates required field is not empty
  * 
  * @param {string} value - Field value to validate
  * @param {string} fieldName - Human-readable field name for error messages
+ * @param {ValidationOptions} [options={}] - Locale and message overrides
  * @returns {ValidationResult} Validation result with status and message
  */
-export function validateRequired(value, fieldName) {
+export function validateRequired(value, fieldName, options = {}) {
   const trimmedValue = String(value || '').trim();
   
   if (!trimmedValue) {
     return {
       valid: false,
-      message: `${fieldName} is required`
+      message: formatMessage('required', { field: fieldName }, options)
     };
   }
   
@@ -75,29 +170,30 @@ export function validateRequired(value, fieldName) {
  * Validates email address format
  * 
  * @param {string} email - Email address to validate
+ * @param {ValidationOptions} [options={}] - Locale and message overrides
  * @returns {ValidationResult} Validation result with status and message
  */
-export function validateEmail(email) {
+export function validateEmail(email, options = {}) {
   const trimmedEmail = String(email || '').trim();
   
   if (!trimmedEmail) {
     return {
       valid: false,
-      message: 'Email address is required'
+      message: formatMessage('emailRequired', {}, options)
     };
   }
   
   if (!EMAIL_REGEX.test(trimmedEmail)) {
     return {
       valid: false,
-      message: 'Please enter a valid email address (e.g., name@example.com)'
+      message: formatMessage('emailInvalid', {}, options)
     };
   }
   
-  if (trimmedEmail.length > 254) {
+  if (trimmedEmail.length > CONSTRAINTS.EMAIL_MAX_LENGTH) {
     return {
       valid: false,
-      message: 'Email address is too long'
+      message: formatMessage('emailTooLong', { max: CONSTRAINTS.EMAIL_MAX_LENGTH }, options)
     };
   }
   
@@ -109,20 +205,22 @@ export function validateEmail(email) {
 
 /**
  * Validates phone number format
- * Supports international formats with optional country codes
+ * Accepts Nigerian numbers with or without +234 and other numbers with
+ * a country code (see phone.js)
  * 
  * @param {string} phone - Phone number to validate
  * @param {boolean} required - Whether phone is required field
+ * @param {ValidationOptions} [options={}] - Locale and message overrides
  * @returns {ValidationResult} Validation result with status and message
  */
-export function validatePhone(phone, required = false) {
+export function validatePhone(phone, required = false, options = {}) {
   const trimmedPhone = String(phone || '').trim();
   
   if (!trimmedPhone) {
     if (required) {
       return {
         valid: false,
-        message: 'Phone number is required'
+        message: formatMessage('phoneRequired', {}, options)
       };
     }
     return {
@@ -134,21 +232,21 @@ export function validatePhone(phone, required = false) {
   if (trimmedPhone.length < CONSTRAINTS.PHONE_MIN_LENGTH) {
     return {
       valid: false,
-      message: 'Phone number is too short'
+      message: formatMessage('phoneTooShort', { min: CONSTRAINTS.PHONE_MIN_LENGTH }, options)
     };
   }
   
   if (trimmedPhone.length > CONSTRAINTS.PHONE_MAX_LENGTH) {
     return {
       valid: false,
-      message: 'Phone number is too long'
+      message: formatMessage('phoneTooLong', { max: CONSTRAINTS.PHONE_MAX_LENGTH }, options)
     };
   }
   
-  if (!PHONE_REGEX.test(trimmedPhone)) {
+  if (!parsePhoneNumber(trimmedPhone).valid) {
     return {
       valid: false,
-      message: 'Please enter a valid phone number (e.g., +234 801 234 5678)'
+      message: formatMessage('phoneInvalid', {}, options)
     };
   }
   
@@ -158,40 +256,81 @@ export function validatePhone(phone, required = false) {
   };
 }
 
+/**
+ * Returns the pattern for names written in the given scripts
+ * Combining marks are allowed whatever the script, so decomposed tone marks
+ * (e.g. the acute on "ọ́", which has no precomposed form) still match.
+ *
+ * @param {string[]} scripts - Unicode Script property values
+ * @returns {RegExp} Pattern requiring at least one letter
+ * @private
+ */
+function getNamePattern(scripts) {
+  const cacheKey = scripts.join(',');
+
+  if (!namePatterns.has(cacheKey)) {
+    const letters = scripts.map((script) => `\\p{Script=${script}}`).join('');
+
+    try {
+      namePatterns.set(cacheKey, new RegExp(`^(?=.*\\p{L})[${letters}\\p{M}${NAME_PUNCTUATION}]+$`, 'u'));
+    } catch (error) {
+      console.error(`Invalid name scripts "${cacheKey}", using ${NAME_SCRIPTS.join(', ')}:`, error.message);
+      return getNamePattern(NAME_SCRIPTS);
+    }
+  }
+
+  return namePatterns.get(cacheKey);
+}
+
+/**
+ * Normalizes a name to NFC and trims it
+ * Keyboards differ in whether they send "é" as one code point or two; NFC
+ * makes both the same, so lengths and stored values are consistent.
+ *
+ * @param {string} name - Name as typed
+ * @returns {string} Normalized name
+ */
+export function normalizeName(name) {
+  return String(name || '').normalize('NFC').trim();
+}
+
 /**
  * Validates name field (full name, first name, etc.)
+ * Accepts letters from the configured scripts with their diacritics, plus
+ * spaces, hyphens, apostrophes and dots, e.g. "Ọlọ́runfẹ́mi" or "O. J. Okafor".
  * 
  * @param {string} name - Name to validate
+ * @param {ValidationOptions} [options={}] - Locale, message and script overrides
  * @returns {ValidationResult} Validation result with status and message
  */
-export function validateName(name) {
-  const trimmedName = String(name || '').trim();
+export function validateName(name, options = {}) {
+  const trimmedName = normalizeName(name);
   
   if (!trimmedName) {
     return {
       valid: false,
-      message: 'Name is required'
+      message: formatMessage('nameRequired', {}, options)
     };
   }
   
   if (trimmedName.length < CONSTRAINTS.NAME_MIN_LENGTH) {
     return {
       valid: false,
-      message: `Name must be at least ${CONSTRAINTS.NAME_MIN_LENGTH} characters`
+      message: formatMessage('nameTooShort', { min: CONSTRAINTS.NAME_MIN_LENGTH }, options)
     };
   }
   
   if (trimmedName.length > CONSTRAINTS.NAME_MAX_LENGTH) {
     return {
       valid: false,
-      message: `Name must not exceed ${CONSTRAINTS.NAME_MAX_LENGTH} characters`
+      message: formatMessage('nameTooLong', { max: CONSTRAINTS.NAME_MAX_LENGTH }, options)
     };
   }
   
-  if (!NAME_REGEX.test(trimmedName)) {
+  if (!getNamePattern(options.scripts || NAME_SCRIPTS).test(trimmedName)) {
     return {
       valid: false,
-      message: 'Name can only contain letters, spaces, hyphens, and apostrophes'
+      message: formatMessage('nameInvalid', {}, options)
     };
   }
   
@@ -205,15 +344,16 @@ export function validateName(name) {
  * Validates message/textarea length
  * 
  * @param {string} message - Message text to validate
+ * @param {ValidationOptions} [options={}] - Locale and message overrides
  * @returns {ValidationResult} Validation result with status and message
  */
-export function validateMessage(message) {
+export function validateMessage(message, options = {}) {
   const trimmedMessage = String(message || '').trim();
   
   if (!trimmedMessage) {
     return {
       valid: false,
-      message: 'Message is required'
+      message: formatMessage('messageRequired', {}, options)
     };
   }
   
@@ -221,7 +361,7 @@ export function validateMessage(message) {
     const remaining = CONSTRAINTS.MESSAGE_MIN_LENGTH - trimmedMessage.length;
     return {
       valid: false,
-      message: `Message must be at least ${CONSTRAINTS.MESSAGE_MIN_LENGTH} characters (${remaining} more needed)`
+      message: formatMessage('messageTooShort', { min: CONSTRAINTS.MESSAGE_MIN_LENGTH, remaining }, options)
     };
   }
   
@@ -229,7 +369,7 @@ export function validateMessage(message) {
     const excess = trimmedMessage.length - CONSTRAINTS.MESSAGE_MAX_LENGTH;
     return {
       valid: false,
-      message: `Message must not exceed ${CONSTRAINTS.MESSAGE_MAX_LENGTH} characters (${excess} too many)`
+      message: formatMessage('messageTooLong', { max: CONSTRAINTS.MESSAGE_MAX_LENGTH, excess }, options)
     };
   }
   
@@ -244,15 +384,18 @@ export function validateMessage(message) {
  * 
  * @param {string} value - Selected value to validate
  * @param {string} fieldName - Human-readable field name for error messages
+ * @param {ValidationOptions} [options={}] - Locale and message overrides
  * @returns {ValidationResult} Validation result with status and message
  */
-export function validateSelect(value, fieldName) {
+export function validateSelect(value, fieldName, options = {}) {
   const trimmedValue = String(value || '').trim();
   
   if (!trimmedValue || trimmedValue === '') {
     return {
       valid: false,
-      message: `Please select a ${fieldName.toLowerCase()}`
+      message: formatMessage('selectRequired', {
+        field: fieldName.toLocaleLowerCase(options.locale || getLocale())
+      }, options)
     };
   }
   
@@ -262,6 +405,22 @@ export function validateSelect(value, fieldName) {
   };
 }
 
+/**
+ * Finds the element that shows a field's error message
+ * aria-describedby may list hints as well, so the .error-message one is used
+ *
+ * @param {HTMLElement} field - Form field element
+ * @returns {HTMLElement|null}
+ * @private
+ */
+function getErrorElement(field) {
+  return (field.getAttribute('aria-describedby') || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((id) => document.getElementById(id))
+    .find((element) => element && element.classList.contains('error-message')) || null;
+}
+
 /**
  * Displays validation error message for a field
  * 
@@ -274,8 +433,7 @@ export function showError(field, message) {
     return;
   }
   
-  const errorId = field.getAttribute('aria-describedby');
-  const errorElement = errorId ? document.getElementById(errorId) : null;
+  const errorElement = getErrorElement(field);
   
   field.setAttribute('aria-invalid', 'true');
   field.classList.add('error');
@@ -297,8 +455,7 @@ export function clearError(field) {
     return;
   }
   
-  const errorId = field.getAttribute('aria-describedby');
-  const errorElement = errorId ? document.getElementById(errorId) : null;
+  const errorElement = getErrorElement(field);
   
   field.setAttribute('aria-invalid', 'false');
   field.classList.remove('error');
@@ -324,83 +481,353 @@ export function clearAllErrors(form) {
   fields.forEach(field => clearError(field));
 }
 
+/**
+ * Returns the visible name of a field for use in messages
+ * Prefers the translatable part of the label, so the required marker is left out
+ *
+ * @param {HTMLElement} field - Form field element
+ * @param {ValidationOptions} options - Locale and message overrides
+ * @returns {string} Field name
+ * @private
+ */
+function getFieldLabel(field, options) {
+  const label = field.labels ? field.labels[0] : null;
+
+  if (!label) {
+    return formatMessage('field', {}, options);
+  }
+
+  const text = label.querySelector('[data-i18n]') || label;
+  return text.textContent.trim() || formatMessage('field', {}, options);
+}
+
+/**
+ * Field rules, read from attributes and optionally extended by a form schema
+ * @typedef {Object} FieldRules
+ * @property {string} name - Field name
+ * @property {string} label - Field name as shown in messages
+ * @property {string|null} validator - Key of FIELD_VALIDATORS ("name", "email", "phone", "message", "select")
+ * @property {boolean} required - Whether a value is required
+ * @property {number|null} minLength - Minimum length in characters
+ * @property {number|null} maxLength - Maximum length in characters
+ * @property {number|null} min - Minimum numeric value
+ * @property {number|null} max - Maximum numeric value
+ * @property {string|null} pattern - Pattern in HTML pattern attribute syntax
+ * @property {string[]|null} scripts - Scripts allowed in names (name validator)
+ * @property {{field: string, value: (string|undefined)}|null} dependsOn - Only check this field when
+ *   another field is filled in, or has the given value
+ * @property {Object<string, string>} messages - Message overrides for this field
+ */
+
+/**
+ * Named validators a field can opt into with data-validate
+ * @private
+ */
+const FIELD_VALIDATORS = Object.freeze({
+  name: (value, rules, options) => validateName(value, { ...options, scripts: rules.scripts || options.scripts }),
+  email: (value, rules, options) => validateEmail(value, options),
+  phone: (value, rules, options) => validatePhone(value, rules.required, options),
+  message: (value, rules, options) => validateMessage(value, options),
+  select: (value, rules, options) => validateSelect(value, rules.label, options)
+});
+
+/**
+ * Validators implied by the field type when data-validate names none
+ * @private
+ */
+const TYPE_VALIDATORS = Object.freeze({
+  'email': 'email',
+  'tel': 'phone',
+  'select-one': 'select'
+});
+
+/**
+ * Length, pattern and range checks, in the order they are reported
+ * @private
+ */
+const CONSTRAINT_CHECKS = Object.freeze([
+  {
+    key: 'tooShort',
+    fails: (text, rules) => rules.minLength !== null && text.length < rules.minLength,
+    params: (rules) => ({ min: rules.minLength })
+  },
+  {
+    key: 'tooLong',
+    fails: (text, rules) => rules.maxLength !== null && text.length > rules.maxLength,
+    params: (rules) => ({ max: rules.maxLength })
+  },
+  {
+    key: 'patternMismatch',
+    fails: (text, rules) => Boolean(rules.pattern) && !matchesPattern(text, rules.pattern),
+    params: () => ({})
+  },
+  {
+    key: 'rangeUnderflow',
+    fails: (text, rules) => rules.min !== null && Number(text) < rules.min,
+    params: (rules) => ({ min: rules.min })
+  },
+  {
+    key: 'rangeOverflow',
+    fails: (text, rules) => rules.max !== null && Number(text) > rules.max,
+    params: (rules) => ({ max: rules.max })
+  }
+]);
+
+/**
+ * Compiled pattern attributes
+ * @type {Map<string, RegExp|null>}
+ * @private
+ */
+const fieldPatterns = new Map();
+
+/**
+ * Tests a value against an HTML pattern attribute
+ * Like the browser, the pattern must match the whole value; an invalid
+ * pattern is reported once and then ignored
+ *
+ * @param {string} text - Value to test
+ * @param {string} pattern - Pattern attribute value
+ * @returns {boolean}
+ * @private
+ */
+function matchesPattern(text, pattern) {
+  if (!fieldPatterns.has(pattern)) {
+    try {
+      fieldPatterns.set(pattern, new RegExp(`^(?:${pattern})$`, 'u'));
+    } catch (error) {
+      console.warn(`Ignoring invalid pattern "${pattern}":`, error.message);
+      fieldPatterns.set(pattern, null);
+    }
+  }
+
+  const regex = fieldPatterns.get(pattern);
+  return regex ? regex.test(text) : true;
+}
+
+/**
+ * Reads a numeric attribute
+ *
+ * @param {string|null} value - Attribute value
+ * @returns {number|null} Number, or null when absent or not a number
+ * @private
+ */
+function readNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Collects data-msg-* attributes as message overrides
+ * data-msg-required="…" overrides "required", data-msg-name-too-short="…"
+ * overrides "nameTooShort"
+ *
+ * @param {DOMStringMap} dataset - Field dataset
+ * @returns {Object<string, string>}
+ * @private
+ */
+function readMessageAttributes(dataset) {
+  return Object.keys(dataset)
+    .filter((key) => /^msg[A-Z]/.test(key))
+    .reduce((messages, key) => {
+      messages[key.charAt(3).toLowerCase() + key.slice(4)] = dataset[key];
+      return messages;
+    }, {});
+}
+
+/**
+ * Reads a field's validation rules from its attributes
+ *
+ * @param {HTMLElement} field - Form field
+ * @param {ValidationOptions} [options={}] - Locale and message overrides (used for the label fallback)
+ * @returns {FieldRules}
+ */
+export function readFieldRules(field, options = {}) {
+  const { dataset } = field;
+
+  return {
+    name: field.name,
+    label: getFieldLabel(field, options),
+    validator: FIELD_VALIDATORS[dataset.validate] ? dataset.validate : TYPE_VALIDATORS[field.type] || null,
+    required: field.hasAttribute('required'),
+    minLength: readNumber(field.getAttribute('minlength')),
+    maxLength: readNumber(field.getAttribute('maxlength')),
+    min: readNumber(field.getAttribute('min')),
+    max: readNumber(field.getAttribute('max')),
+    pattern: field.getAttribute('pattern'),
+    scripts: dataset.nameScripts ? dataset.nameScripts.split(/\s+/).filter(Boolean) : null,
+    dependsOn: dataset.dependsOn ? { field: dataset.dependsOn, value: dataset.dependsValue } : null,
+    messages: readMessageAttributes(dataset)
+  };
+}
+
+/**
+ * Returns a field's current value
+ * Unchecked checkboxes count as empty; a radio button reports its group's
+ * checked value, so a required group passes whichever option is chosen
+ *
+ * @param {HTMLElement} field - Form field
+ * @returns {string}
+ */
+export function getFieldValue(field) {
+  if (field.type === 'radio' && field.form) {
+    const checked = Array.from(field.form.elements)
+      .find((element) => element.type === 'radio' && element.name === field.name && element.checked);
+    return checked ? checked.value : '';
+  }
+
+  if (field.type === 'checkbox' || field.type === 'radio') {
+    return field.checked ? field.value : '';
+  }
+
+  return field.value;
+}
+
+/**
+ * Reads a form's current values by field name
+ * Names that appear more than once (checkbox groups) map to arrays
+ *
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Object<string, string|string[]>}
+ */
+export function readFormValues(form) {
+  const values = {};
+
+  new FormData(form).forEach((value, key) => {
+    values[key] = key in values ? [].concat(values[key], value) : value;
+  });
+
+  return values;
+}
+
+/**
+ * Whether a field's dependency is met, so the field should be checked
+ *
+ * @param {{field: string, value: (string|undefined)}|null} dependsOn - Dependency
+ * @param {Object} values - Form values by name
+ * @returns {boolean}
+ */
+export function isDependencyMet(dependsOn, values) {
+  if (!dependsOn) {
+    return true;
+  }
+
+  const current = [].concat(values[dependsOn.field] ?? []).map((value) => String(value).trim());
+
+  if (dependsOn.value === undefined) {
+    return current.some(Boolean);
+  }
+
+  return current.includes(String(dependsOn.value));
+}
+
+/**
+ * Merges a field's own messages over the caller's options
+ *
+ * @param {FieldRules} rules - Field rules
+ * @param {ValidationOptions} options - Caller's options
+ * @returns {ValidationOptions}
+ * @private
+ */
+function getFieldOptions(rules, options) {
+  if (!rules.messages || !Object.keys(rules.messages).length) {
+    return options;
+  }
+
+  return { ...options, messages: { ...options.messages, ...rules.messages } };
+}
+
+/**
+ * Checks length, pattern and range constraints
+ *
+ * @param {string} text - Trimmed value
+ * @param {FieldRules} rules - Field rules
+ * @param {ValidationOptions} options - Locale and message overrides
+ * @returns {ValidationResult}
+ * @private
+ */
+function checkConstraints(text, rules, options) {
+  const failed = CONSTRAINT_CHECKS.find((check) => check.fails(text, rules));
+
+  if (failed) {
+    return {
+      valid: false,
+      message: formatMessage(failed.key, { field: rules.label, ...failed.params(rules) }, options)
+    };
+  }
+
+  return { valid: true, message: '' };
+}
+
+/**
+ * Checks a value against field rules
+ * Empty optional fields pass; otherwise the named validator runs first,
+ * then the length, pattern and range constraints
+ *
+ * @param {string} value - Value to check
+ * @param {FieldRules} rules - Field rules
+ * @param {ValidationOptions} [options={}] - Locale and message overrides
+ * @param {Object} [values={}] - All form values, for dependencies
+ * @returns {ValidationResult} Validation result with status and message
+ */
+export function checkRules(value, rules, options = {}, values = {}) {
+  if (!isDependencyMet(rules.dependsOn, values)) {
+    return { valid: true, message: '' };
+  }
+
+  const fieldOptions = getFieldOptions(rules, options);
+  const text = String(value ?? '').trim();
+  const validator = rules.validator ? FIELD_VALIDATORS[rules.validator] : null;
+
+  if (!text) {
+    if (!rules.required) {
+      return { valid: true, message: '' };
+    }
+
+    return validator ? validator(text, rules, fieldOptions) : validateRequired(text, rules.label, fieldOptions);
+  }
+
+  const result = validator ? validator(text, rules, fieldOptions) : { valid: true, message: '' };
+
+  return result.valid ? checkConstraints(text, rules, fieldOptions) : result;
+}
+
 /**
  * Validates a single form field and displays feedback
  * 
  * @param {HTMLElement} field - Form field element to validate
+ * @param {ValidationOptions} [options={}] - Locale and message overrides
  * @returns {boolean} True if field is valid, false otherwise
  */
-export function validateField(field) {
+export function validateField(field, options = {}) {
   if (!field) {
     console.error('validateField: field element is required');
     return false;
   }
-  
-  const fieldType = field.type;
-  const fieldName = field.name;
-  const fieldValue = field.value;
-  const isRequired = field.hasAttribute('required');
-  
-  let result;
-  
-  switch (fieldType) {
-    case 'email':
-      result = validateEmail(fieldValue);
-      break;
-      
-    case 'tel':
-      result = validatePhone(fieldValue, isRequired);
-      break;
-      
-    case 'text':
-      if (fieldName === 'name') {
-        result = validateName(fieldValue);
-      } else if (isRequired) {
-        const label = field.labels?.[0]?.textContent || 'This field';
-        result = validateRequired(fieldValue, label);
-      } else {
-        result = { valid: true, message: '' };
-      }
-      break;
-      
-    case 'select-one':
-      if (isRequired) {
-        const label = field.labels?.[0]?.textContent || 'This field';
-        result = validateSelect(fieldValue, label);
-      } else {
-        result = { valid: true, message: '' };
-      }
-      break;
-      
-    case 'textarea':
-      result = validateMessage(fieldValue);
-      break;
-      
-    default:
-      if (isRequired) {
-        const label = field.labels?.[0]?.textContent || 'This field';
-        result = validateRequired(fieldValue, label);
-      } else {
-        result = { valid: true, message: '' };
-      }
-  }
-  
+
+  const values = field.form ? readFormValues(field.form) : {};
+  const result = checkRules(getFieldValue(field), readFieldRules(field, options), options, values);
+
   if (result.valid) {
     clearError(field);
     return true;
-  } else {
-    showError(field, result.message);
-    return false;
   }
+
+  showError(field, result.message);
+  return false;
 }
 
 /**
  * Validates entire form and displays all errors
  * 
  * @param {HTMLFormElement} form - Form element to validate
+ * @param {ValidationOptions} [options={}] - Locale and message overrides
  * @returns {boolean} True if form is valid, false otherwise
  */
-export function validateForm(form) {
+export function validateForm(form, options = {}) {
   if (!form) {
     console.error('validateForm: form element is required');
     return false;
@@ -413,7 +840,7 @@ export function validateForm(form) {
   let firstInvalidField = null;
   
   fields.forEach(field => {
-    const fieldValid = validateField(field);
+    const fieldValid = validateField(field, options);
     if (!fieldValid) {
       isValid = false;
       if (!firstInvalidField) {
@@ -0,0 +1,262 @@
+/**
+ * Viewport Scheduler Utility Module
+ *
+ * One passive scroll listener and one resize listener for the whole page,
+ * shared by every module that reacts to the viewport. After the viewport
+ * moves, subscribers run once in the next animation frame: every subscriber's
+ * read (layout measurements) runs before any subscriber's write (style
+ * changes), so the browser lays the page out at most once per frame.
+ *
+ *   const unsubscribe = subscribeViewport({
+ *     read: (viewport) => section.getBoundingClientRect().top,
+ *     write: (top, viewport) => { bar.style.transform = `scaleX(${…})`; },
+ *     settle: (viewport) => { … },        once the viewport has been still for a moment
+ *     events: ['scroll']                  default: scroll and resize
+ *   });
+ *
+ * The window listeners are added with the first subscriber and removed with
+ * the last, so nothing is left behind once every module has unsubscribed.
+ *
+ * @module viewport-scheduler
+ */
+
+/**
+ * Scheduler configuration
+ * @private
+ */
+const SCHEDULER_CONFIG = Object.freeze({
+  EVENTS: Object.freeze(['scroll', 'resize']),
+  // Reason given for frames asked for with requestViewportUpdate()
+  UPDATE_EVENT: 'update',
+  SETTLE_DELAY: 100
+});
+
+/**
+ * Viewport at the start of a frame
+ * @typedef {Object} ViewportSnapshot
+ * @property {number} scrollY - Vertical scroll position
+ * @property {number} width - Viewport width
+ * @property {number} height - Viewport height
+ * @property {Set<string>} events - What happened since the last call: scroll, resize and/or update
+ */
+
+/**
+ * Viewport subscriber
+ * @typedef {Object} ViewportSubscriber
+ * @property {function(ViewportSnapshot): *} [read] - Measures layout; must not change styles
+ * @property {function(*, ViewportSnapshot): void} [write] - Applies what read() returned
+ * @property {function(ViewportSnapshot): void} [settle] - Runs once the viewport has stopped moving
+ * @property {string[]} [events] - Viewport events to run for (scroll, resize); defaults to both
+ */
+
+/**
+ * Scheduler state
+ * @private
+ */
+const schedulerState = {
+  subscribers: new Set(),
+  frameEvents: new Set(),
+  settleEvents: new Set(),
+  frameId: null,
+  settleTimeoutId: null,
+  controller: null
+};
+
+/**
+ * Subscribes to viewport changes
+ *
+ * @param {ViewportSubscriber} subscriber - Callbacks and the events they run for
+ * @returns {function(): void} Unsubscribes; safe to call more than once
+ */
+export function subscribeViewport(subscriber) {
+  if (!subscriber || !['read', 'write', 'settle'].some((name) => typeof subscriber[name] === 'function')) {
+    throw new TypeError('A viewport subscriber needs read(), write() or settle()');
+  }
+
+  const entry = {
+    read: subscriber.read || null,
+    write: subscriber.write || null,
+    settle: subscriber.settle || null,
+    events: new Set(subscriber.events || SCHEDULER_CONFIG.EVENTS)
+  };
+
+  schedulerState.subscribers.add(entry);
+
+  if (!schedulerState.controller) {
+    addListeners();
+  }
+
+  return () => {
+    if (schedulerState.subscribers.delete(entry) && schedulerState.subscribers.size === 0) {
+      removeListeners();
+    }
+  };
+}
+
+/**
+ * Runs every subscriber's read and write in the next frame, without a
+ * viewport event, e.g. after content has loaded and moved the layout
+ *
+ * @returns {void}
+ */
+export function requestViewportUpdate() {
+  if (schedulerState.subscribers.size > 0) {
+    schedulerState.frameEvents.add(SCHEDULER_CONFIG.UPDATE_EVENT);
+    scheduleFrame();
+  }
+}
+
+/**
+ * Number of current subscribers, for diagnostics and teardown checks
+ *
+ * @returns {number}
+ */
+export function getViewportSubscriberCount() {
+  return schedulerState.subscribers.size;
+}
+
+/**
+ * Adds the shared window listeners
+ * @private
+ */
+function addListeners() {
+  schedulerState.controller = new AbortController();
+  const { signal } = schedulerState.controller;
+
+  SCHEDULER_CONFIG.EVENTS.forEach((type) => {
+    window.addEventListener(type, handleViewportEvent, { passive: true, signal });
+  });
+}
+
+/**
+ * Removes the window listeners and drops any pending frame or settle timer
+ * @private
+ */
+function removeListeners() {
+  schedulerState.controller?.abort();
+  schedulerState.controller = null;
+
+  if (schedulerState.frameId) {
+    window.cancelAnimationFrame(schedulerState.frameId);
+    schedulerState.frameId = null;
+  }
+
+  clearTimeout(schedulerState.settleTimeoutId);
+  schedulerState.settleTimeoutId = null;
+  schedulerState.frameEvents.clear();
+  schedulerState.settleEvents.clear();
+}
+
+/**
+ * Records a scroll or resize and schedules the frame and the settle callback
+ *
+ * @param {Event} event - Scroll or resize event
+ * @private
+ */
+function handleViewportEvent(event) {
+  schedulerState.frameEvents.add(event.type);
+  schedulerState.settleEvents.add(event.type);
+  scheduleFrame();
+
+  clearTimeout(schedulerState.settleTimeoutId);
+  schedulerState.settleTimeoutId = setTimeout(runSettle, SCHEDULER_CONFIG.SETTLE_DELAY);
+}
+
+/**
+ * Requests an animation frame unless one is already pending
+ * @private
+ */
+function scheduleFrame() {
+  if (!schedulerState.frameId) {
+    schedulerState.frameId = window.requestAnimationFrame(runFrame);
+  }
+}
+
+/**
+ * Takes a snapshot of the viewport
+ *
+ * @param {Set<string>} events - Events since the last run
+ * @returns {ViewportSnapshot}
+ * @private
+ */
+function createSnapshot(events) {
+  return {
+    scrollY: window.pageYOffset,
+    width: window.innerWidth,
+    height: window.innerHeight,
+    events
+  };
+}
+
+/**
+ * Whether a subscriber runs for a set of events
+ *
+ * @param {Object} entry - Subscriber entry
+ * @param {Set<string>} events - Events since the last run
+ * @returns {boolean}
+ * @private
+ */
+function isInterested(entry, events) {
+  return events.has(SCHEDULER_CONFIG.UPDATE_EVENT) || [...entry.events].some((type) => events.has(type));
+}
+
+/**
+ * Calls a subscriber callback, logging its errors so other subscribers still run
+ *
+ * @param {Function} callback - Subscriber callback
+ * @param {...*} args - Arguments
+ * @returns {*} The callback's result, or undefined if it threw
+ * @private
+ */
+function invoke(callback, ...args) {
+  try {
+    return callback(...args);
+  } catch (error) {
+    console.error('Viewport subscriber failed:', error);
+    return undefined;
+  }
+}
+
+/**
+ * Runs all reads, then all writes, for the subscribers interested in this frame
+ * @private
+ */
+function runFrame() {
+  schedulerState.frameId = null;
+
+  const events = new Set(schedulerState.frameEvents);
+  schedulerState.frameEvents.clear();
+
+  const viewport = createSnapshot(events);
+  const entries = [...schedulerState.subscribers].filter((entry) => isInterested(entry, events));
+  const measurements = entries.map((entry) => (entry.read ? invoke(entry.read, viewport) : undefined));
+
+  entries.forEach((entry, index) => {
+    if (entry.write) {
+      invoke(entry.write, measurements[index], viewport);
+    }
+  });
+}
+
+/**
+ * Calls settle() on interested subscribers once the viewport is still
+ * @private
+ */
+function runSettle() {
+  schedulerState.settleTimeoutId = null;
+
+  const events = new Set(schedulerState.settleEvents);
+  schedulerState.settleEvents.clear();
+
+  const viewport = createSnapshot(events);
+
+  [...schedulerState.subscribers]
+    .filter((entry) => entry.settle && isInterested(entry, events))
+    .forEach((entry) => invoke(entry.settle, viewport));
+}
+
+export default {
+  subscribeViewport,
+  requestViewportUpdate,
+  getViewportSubscriberCount
+};
@@ -0,0 +1,17 @@
+/**
+ * Precache manifest for the unbuilt source tree
+ *
+ * scripts/build.js replaces this file in dist/ with one that lists every
+ * page, stylesheet and script with a content hash. This fallback lets sw.js
+ * install when the source tree is served directly (npm start): it precaches
+ * only the offline page, so pages still fall back to it offline, and the
+ * files you are editing are never served from the precache.
+ */
+
+export const PRECACHE_VERSION = 'source';
+export const PRECACHE_MANIFEST = [
+  {
+    url: 'offline.html',
+    revision: null
+  }
+];
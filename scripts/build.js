@@ -8,7 +8,10 @@
  * - CSS optimization and critical CSS extraction
  * - Image optimization and responsive image generation
  * - JavaScript minification
+ * - Content data (JSON feeds) copying
+ * - Static map image from the JSON-LD coordinates
  * - HTML optimization
+ * - Localized pages (Yoruba, Igbo, Hausa) with hreflang links
  * - Performance budget validation
  * - Build artifact verification
  * 
@@ -17,15 +20,25 @@
  * @dependencies: ["scripts/optimize-css.js", "scripts/optimize-images.js"]
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const { execSync } = require('child_process');
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { execSync } from 'node:child_process';
+import crypto from 'node:crypto';
+import { createRequire } from 'node:module';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { getAppIconDescriptors } from './optimize-images.js';
+
+const SCRIPT_PATH = fileURLToPath(import.meta.url);
+const SCRIPT_DIR = path.dirname(SCRIPT_PATH);
+
+// Optional native dependencies (sharp) are loaded on demand
+const require = createRequire(import.meta.url);
 
 // Build configuration
 const CONFIG = Object.freeze({
-  ROOT_DIR: path.join(__dirname, '..'),
-  DIST_DIR: path.join(__dirname, '..', 'dist'),
-  SCRIPTS_DIR: path.join(__dirname),
+  ROOT_DIR: path.join(SCRIPT_DIR, '..'),
+  DIST_DIR: path.join(SCRIPT_DIR, '..', 'dist'),
+  SCRIPTS_DIR: path.join(SCRIPT_DIR),
   
   // Performance budgets (bytes)
   BUDGETS: Object.freeze({
@@ -36,13 +49,50 @@ const CONFIG = Object.freeze({
     TOTAL: 500 * 1024       // 500KB total
   }),
   
+  // Web app manifest
+  MANIFEST: Object.freeze({
+    SHORT_NAME: 'Living Faith',
+    START_URL: './?source=pwa',
+    LANG: 'en-NG',
+    THEME_COLOR_VAR: '--color-primary-700',
+    BACKGROUND_COLOR_VAR: '--color-background',
+    FALLBACK_THEME_COLOR: '#1a472a',
+    FALLBACK_BACKGROUND_COLOR: '#ffffff'
+  }),
+  
+  // Static map for the Contact section (tile source and size come from content/map.json)
+  STATIC_MAP: Object.freeze({
+    OUTPUT_DIR: 'images',
+    BASENAME: 'map-static',
+    TILE_SIZE: 256,
+    TIMEOUT: 10000,
+    USER_AGENT: 'LivingFaithChurchSite/1.0 (static map build)',
+    PIN_COLOR: '#1a472a',
+    BACKGROUND: '#e8efe9',
+    GRID_COLOR: '#d3ddd5',
+    WEBP_QUALITY: 80
+  }),
+  
+  // Service worker; the classic bundle is for browsers without module workers
+  SERVICE_WORKER: Object.freeze({
+    SOURCE: 'sw.js',
+    MANIFEST: 'precache-manifest.js',
+    CLASSIC_OUTPUT: 'sw-classic.js'
+  }),
+  
   // Build steps
   STEPS: Object.freeze([
     'clean',
     'optimize-css',
     'optimize-images',
+    'generate-manifest',
     'minify-js',
+    'copy-content',
+    'generate-calendar',
+    'generate-static-map',
     'optimize-html',
+    'localize-html',
+    'generate-service-worker',
     'validate-budget',
     'generate-report'
   ])
@@ -230,7 +280,17 @@ async function minifyJavaScript() {
  * @param {string} dir - Directory to search
  * @returns {Promise<string[]>}
  */
-async function findJavaScriptFiles(dir) {
+function findJavaScriptFiles(dir) {
+  return findFiles(dir, '.js');
+}
+
+/**
+ * Finds all files with an extension in directory recursively
+ * @param {string} dir - Directory to search
+ * @param {string} extension - File extension, e.g. '.json'
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+async function findFiles(dir, extension) {
   const files = [];
   
   async function traverse(currentDir) {
@@ -241,7 +301,7 @@ async function findJavaScriptFiles(dir) {
       
       if (entry.isDirectory()) {
         await traverse(fullPath);
-      } else if (entry.isFile() && entry.name.endsWith('.js')) {
+      } else if (entry.isFile() && entry.name.endsWith(extension)) {
         files.push(fullPath);
       }
     }
@@ -267,7 +327,9 @@ async function minifyJSFile(inputPath, outputPath) {
     
     // Remove comments
     minified = minified.replace(/\/\*[\s\S]*?\*\//g, '');
-    minified = minified.replace(/\/\/.*/g, '');
+    // Line comments must start a line or follow whitespace, so URLs
+    // ('https://') and strings like '-//Church Calendar//EN' survive
+    minified = minified.replace(/(^|\s)\/\/.*$/gm, '$1');
     
     // Remove unnecessary whitespace
     minified = minified.replace(/\s+/g, ' ');
@@ -292,6 +354,468 @@ async function minifyJSFile(inputPath, outputPath) {
   }
 }
 
+/**
+ * Generates dist/manifest.webmanifest so the site can be installed
+ * Name and description come from the JSON-LD block, colors from
+ * styles/variables.css and icons from scripts/optimize-images.js
+ * @returns {Promise<{ok: boolean, value?: object, error?: Error}>}
+ */
+async function generateWebManifest() {
+  Logger.step('Generating web app manifest');
+  
+  try {
+    const data = (await readStructuredData()) || {};
+    const colors = await readThemeColors();
+    const icons = await copyAppIcons();
+    
+    if (icons.length === 0) {
+      Logger.warn('No app icons found - add images/church-logo.png so the site can be installed');
+    }
+    
+    const manifest = {
+      id: './',
+      name: data.name || CONFIG.MANIFEST.SHORT_NAME,
+      short_name: CONFIG.MANIFEST.SHORT_NAME,
+      description: data.description || '',
+      lang: CONFIG.MANIFEST.LANG,
+      dir: 'ltr',
+      start_url: CONFIG.MANIFEST.START_URL,
+      scope: './',
+      display: 'standalone',
+      theme_color: colors.theme,
+      background_color: colors.background,
+      categories: ['lifestyle', 'social'],
+      icons
+    };
+    
+    await fs.writeFile(
+      path.join(CONFIG.DIST_DIR, 'manifest.webmanifest'),
+      JSON.stringify(manifest, null, 2),
+      'utf-8'
+    );
+    
+    Logger.success(`Generated manifest.webmanifest with ${icons.length} icons`);
+    
+    return Result.ok({ files: ['manifest.webmanifest'], icons: icons.length });
+  } catch (error) {
+    Logger.error('Manifest generation failed', error.message);
+    return Result.err(error);
+  }
+}
+
+/**
+ * Reads the light-theme brand colors from styles/variables.css
+ * @returns {Promise<{theme: string, background: string}>} Hex colors
+ */
+async function readThemeColors() {
+  const css = await fs.readFile(path.join(CONFIG.ROOT_DIR, 'styles', 'variables.css'), 'utf-8');
+  
+  // First declaration wins: the :root (light) values precede the dark overrides
+  const readVariable = (name) => {
+    const match = css.match(new RegExp(`${name}:\\s*([^;]+);`));
+    return match ? cssColorToHex(match[1].trim()) : null;
+  };
+  
+  return {
+    theme: readVariable(CONFIG.MANIFEST.THEME_COLOR_VAR) || CONFIG.MANIFEST.FALLBACK_THEME_COLOR,
+    background: readVariable(CONFIG.MANIFEST.BACKGROUND_COLOR_VAR) || CONFIG.MANIFEST.FALLBACK_BACKGROUND_COLOR
+  };
+}
+
+/**
+ * Converts a hex or hsl() CSS color to #rrggbb
+ * @param {string} value - CSS color value
+ * @returns {string|null} Hex color, or null if the format is not supported
+ */
+function cssColorToHex(value) {
+  if (/^#[0-9a-f]{6}$/i.test(value)) {
+    return value.toLowerCase();
+  }
+  
+  const match = value.match(/^hsl\(\s*([\d.]+)(?:deg)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%\s*\)$/i);
+  
+  if (!match) {
+    return null;
+  }
+  
+  const hue = Number(match[1]);
+  const saturation = Number(match[2]) / 100;
+  const lightness = Number(match[3]) / 100;
+  
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    const a = saturation * Math.min(lightness, 1 - lightness);
+    const component = lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(component * 255).toString(16).padStart(2, '0');
+  };
+  
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+/**
+ * Copies generated app icons into dist and returns their manifest entries
+ * @returns {Promise<object[]>} Icons that exist on disk
+ */
+async function copyAppIcons() {
+  const icons = [];
+  const extraFiles = ['images/icons/apple-touch-icon.png'];
+  
+  for (const icon of getAppIconDescriptors()) {
+    if (await copyIfExists(icon.src)) {
+      icons.push(icon);
+    }
+  }
+  
+  for (const file of extraFiles) {
+    await copyIfExists(file);
+  }
+  
+  return icons;
+}
+
+/**
+ * Copies a file from the project root into dist, keeping its relative path
+ * @param {string} relativePath - Path relative to the project root
+ * @returns {Promise<boolean>} True if the file existed and was copied
+ */
+async function copyIfExists(relativePath) {
+  const source = path.join(CONFIG.ROOT_DIR, relativePath);
+  const target = path.join(CONFIG.DIST_DIR, relativePath);
+  
+  try {
+    await fs.access(source);
+  } catch (_error) {
+    return false;
+  }
+  
+  await ensureDirectory(path.dirname(target));
+  await fs.copyFile(source, target);
+  return true;
+}
+
+/**
+ * Copies JSON content feeds (e.g. content/events.json) and the
+ * translation catalogs in content/locales/ to dist
+ * @returns {Promise<{ok: boolean, value?: object, error?: Error}>}
+ */
+async function copyContentData() {
+  Logger.step('Copying content data');
+  
+  try {
+    const contentDir = path.join(CONFIG.ROOT_DIR, 'content');
+    const distContentDir = path.join(CONFIG.DIST_DIR, 'content');
+    
+    await ensureDirectory(distContentDir);
+    
+    const jsonFiles = (await findFiles(contentDir, '.json'))
+      .map(file => path.relative(contentDir, file).split(path.sep).join('/'));
+    
+    for (const file of jsonFiles) {
+      const content = await fs.readFile(path.join(contentDir, file), 'utf-8');
+      const outputPath = path.join(distContentDir, file);
+      
+      // Validate and compact the feed so broken JSON fails the build
+      const minified = JSON.stringify(JSON.parse(content));
+      await ensureDirectory(path.dirname(outputPath));
+      await fs.writeFile(outputPath, minified, 'utf-8');
+      
+      Logger.info(`Copied: content/${file}`);
+    }
+    
+    Logger.success(`Copied ${jsonFiles.length} content data files`);
+    
+    return Result.ok({ files: jsonFiles });
+  } catch (error) {
+    Logger.error('Content data copy failed', error.message);
+    return Result.err(error);
+  }
+}
+
+/**
+ * Generates dist/calendar.ics from the service schedule and events feed
+ * Reuses the browser calendar modules so both outputs stay identical
+ * @returns {Promise<{ok: boolean, value?: object, error?: Error}>}
+ */
+async function generateCalendarFeed() {
+  Logger.step('Generating calendar feed');
+  
+  try {
+    const jsDir = path.join(CONFIG.ROOT_DIR, 'js', 'utils');
+    const ical = await import(pathToFileURL(path.join(jsDir, 'ical.js')).href);
+    const { normalizeService } = await import(pathToFileURL(path.join(jsDir, 'schedule.js')).href);
+    
+    const contentDir = path.join(CONFIG.ROOT_DIR, 'content');
+    const schedule = JSON.parse(await fs.readFile(path.join(contentDir, 'services.json'), 'utf-8'));
+    const feed = JSON.parse(await fs.readFile(path.join(contentDir, 'events.json'), 'utf-8'));
+    
+    const timeZone = schedule.timeZone || 'Africa/Lagos';
+    const location = await readChurchLocation(ical.formatPostalAddress);
+    
+    const services = schedule.services
+      .map(normalizeService)
+      .filter(Boolean)
+      .map(service => ical.buildServiceEvent(service, { timeZone, location }));
+    
+    const events = feed.events
+      .map(event => ical.buildFeedEvent(event, { timeZone, location }));
+    
+    const vevents = [...services, ...events].filter(lines => lines.length > 0);
+    const calendar = ical.buildCalendar(vevents, {
+      name: 'Living Faith Christian Center',
+      timeZone
+    });
+    
+    await fs.writeFile(path.join(CONFIG.DIST_DIR, 'calendar.ics'), calendar, 'utf-8');
+    
+    Logger.success(`Generated calendar.ics with ${vevents.length} entries`);
+    
+    return Result.ok({ files: ['calendar.ics'], entries: vevents.length });
+  } catch (error) {
+    Logger.error('Calendar feed generation failed', error.message);
+    return Result.err(error);
+  }
+}
+
+/**
+ * Reads the JSON-LD structured data block from index.html
+ * @returns {Promise<object|null>} Parsed data, or null if the page has none
+ */
+async function readStructuredData() {
+  const html = await fs.readFile(path.join(CONFIG.ROOT_DIR, 'index.html'), 'utf-8');
+  const match = html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/);
+  
+  return match ? JSON.parse(match[1]) : null;
+}
+
+/**
+ * Reads the church venue from the JSON-LD block in index.html
+ * @param {Function} formatPostalAddress - Address formatter from ical.js
+ * @returns {Promise<object|null>}
+ */
+async function readChurchLocation(formatPostalAddress) {
+  const data = await readStructuredData();
+  
+  if (!data) {
+    Logger.warn('No structured data found, calendar entries will have no location');
+    return null;
+  }
+  
+  return {
+    text: [data.name, formatPostalAddress(data.address)].filter(Boolean).join(', '),
+    latitude: data.geo && data.geo.latitude,
+    longitude: data.geo && data.geo.longitude
+  };
+}
+
+/**
+ * Generates the static map shown in the Contact section before the
+ * interactive map is opened, centred on the JSON-LD geo coordinates
+ * Always writes a lightweight SVG (also used with prefers-reduced-data);
+ * the WebP is composed from map tiles, or from the SVG when tiles cannot be fetched
+ * @returns {Promise<{ok: boolean, value?: object, error?: Error}>}
+ */
+async function generateStaticMap() {
+  Logger.step('Generating static map');
+  
+  try {
+    const data = await readStructuredData();
+    const settings = JSON.parse(await fs.readFile(path.join(CONFIG.ROOT_DIR, 'content', 'map.json'), 'utf-8'));
+    const latitude = Number(data && data.geo && data.geo.latitude);
+    const longitude = Number(data && data.geo && data.geo.longitude);
+    
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      Logger.warn('No geo coordinates in structured data, skipping static map');
+      return Result.ok({ files: [] });
+    }
+    
+    const { OUTPUT_DIR, BASENAME } = CONFIG.STATIC_MAP;
+    const outputDir = path.join(CONFIG.DIST_DIR, OUTPUT_DIR);
+    const size = {
+      width: Number(settings.staticMap && settings.staticMap.width) || 640,
+      height: Number(settings.staticMap && settings.staticMap.height) || 360
+    };
+    const svg = buildSchematicMapSvg({
+      name: data.name,
+      street: data.address && data.address.streetAddress
+    }, size);
+    const files = [`${OUTPUT_DIR}/${BASENAME}.svg`];
+    
+    await ensureDirectory(outputDir);
+    await fs.writeFile(path.join(outputDir, `${BASENAME}.svg`), svg, 'utf-8');
+    
+    let sharp;
+    try {
+      sharp = require('sharp');
+    } catch (_error) {
+      Logger.warn('Sharp not available, only the SVG map was generated');
+      return Result.ok({ files });
+    }
+    
+    let image;
+    try {
+      image = await renderTileMap(sharp, { latitude, longitude }, settings, size);
+    } catch (error) {
+      Logger.warn(`Map tiles unavailable (${error.message}), using the SVG map for the image`);
+      image = await sharp(Buffer.from(svg)).webp({ quality: CONFIG.STATIC_MAP.WEBP_QUALITY }).toBuffer();
+    }
+    
+    await fs.writeFile(path.join(outputDir, `${BASENAME}.webp`), image);
+    files.push(`${OUTPUT_DIR}/${BASENAME}.webp`);
+    
+    Logger.success(`Generated static map for ${latitude}, ${longitude}`);
+    
+    return Result.ok({ files });
+  } catch (error) {
+    Logger.error('Static map generation failed', error.message);
+    return Result.err(error);
+  }
+}
+
+/**
+ * Projects coordinates to Web Mercator pixels at a zoom level
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} zoom - Zoom level
+ * @returns {{x: number, y: number}}
+ */
+function projectToPixels(latitude, longitude, zoom) {
+  const worldSize = CONFIG.STATIC_MAP.TILE_SIZE * 2 ** zoom;
+  const radians = latitude * Math.PI / 180;
+  
+  return {
+    x: (longitude + 180) / 360 * worldSize,
+    y: (1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * worldSize
+  };
+}
+
+/**
+ * Downloads one map tile
+ * @param {string} template - Tile URL template with {z}, {x} and {y}
+ * @param {{z: number, x: number, y: number}} tile - Tile address
+ * @returns {Promise<Buffer>}
+ */
+async function fetchMapTile(template, tile) {
+  const url = template
+    .replace('{s}', 'a')
+    .replace('{r}', '')
+    .replace('{z}', tile.z)
+    .replace('{x}', tile.x)
+    .replace('{y}', tile.y);
+  
+  const response = await fetch(url, {
+    headers: { 'User-Agent': CONFIG.STATIC_MAP.USER_AGENT },
+    signal: AbortSignal.timeout(CONFIG.STATIC_MAP.TIMEOUT)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`tile ${tile.z}/${tile.x}/${tile.y} responded with status ${response.status}`);
+  }
+  
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Stitches the tiles around a point into a WebP with a pin at the centre
+ * @param {Function} sharp - Sharp module
+ * @param {{latitude: number, longitude: number}} geo - Map centre
+ * @param {object} settings - Contents of content/map.json
+ * @param {{width: number, height: number}} size - Image size in pixels
+ * @returns {Promise<Buffer>}
+ */
+async function renderTileMap(sharp, geo, settings, size) {
+  const { TILE_SIZE, BACKGROUND, WEBP_QUALITY } = CONFIG.STATIC_MAP;
+  const zoom = Number(settings.staticMap && settings.staticMap.zoom) || Number(settings.zoom) || 16;
+  const centre = projectToPixels(geo.latitude, geo.longitude, zoom);
+  const left = Math.round(centre.x - size.width / 2);
+  const top = Math.round(centre.y - size.height / 2);
+  
+  const firstX = Math.floor(left / TILE_SIZE);
+  const firstY = Math.floor(top / TILE_SIZE);
+  const lastX = Math.floor((left + size.width - 1) / TILE_SIZE);
+  const lastY = Math.floor((top + size.height - 1) / TILE_SIZE);
+  
+  const tiles = [];
+  for (let y = firstY; y <= lastY; y++) {
+    for (let x = firstX; x <= lastX; x++) {
+      // Fetched one at a time to stay within tile servers' usage policies
+      const input = await fetchMapTile(settings.tiles.url, { z: zoom, x, y });
+      tiles.push({ input, left: (x - firstX) * TILE_SIZE, top: (y - firstY) * TILE_SIZE });
+    }
+  }
+  
+  const mosaic = await sharp({
+    create: {
+      width: (lastX - firstX + 1) * TILE_SIZE,
+      height: (lastY - firstY + 1) * TILE_SIZE,
+      channels: 3,
+      background: BACKGROUND
+    }
+  })
+    .composite(tiles)
+    .png()
+    .toBuffer();
+  
+  const cropped = await sharp(mosaic)
+    .extract({ left: left - firstX * TILE_SIZE, top: top - firstY * TILE_SIZE, ...size })
+    .toBuffer();
+  
+  return sharp(cropped)
+    .composite([{
+      input: Buffer.from(buildMapPinSvg()),
+      left: Math.round(size.width / 2 - 16),
+      top: Math.round(size.height / 2 - 44)
+    }])
+    .webp({ quality: WEBP_QUALITY })
+    .toBuffer();
+}
+
+/**
+ * Map pin, 32x44 with its tip at the bottom centre
+ * @returns {string} SVG markup
+ */
+function buildMapPinSvg() {
+  return '<svg xmlns="http://www.w3.org/2000/svg" width="32" height="44" viewBox="0 0 32 44">' +
+    `<path d="M16 43C16 43 2 26 2 16a14 14 0 0 1 28 0c0 10-14 27-14 27z" fill="${CONFIG.STATIC_MAP.PIN_COLOR}" ` +
+    'stroke="#ffffff" stroke-width="2"/><circle cx="16" cy="16" r="5" fill="#ffffff"/></svg>';
+}
+
+/**
+ * Escapes text for use in SVG markup
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Builds a plain map with a grid, the pin and the venue name; it needs no
+ * tiles, so it is small enough for visitors who ask to save data
+ * @param {{name?: string, street?: string}} venue - Label text
+ * @param {{width: number, height: number}} size - Image size in pixels
+ * @returns {string} SVG markup
+ */
+function buildSchematicMapSvg(venue, size) {
+  const { BACKGROUND, GRID_COLOR, PIN_COLOR } = CONFIG.STATIC_MAP;
+  const { width, height } = size;
+  const labels = [venue.name, venue.street].filter(Boolean);
+  const pin = buildMapPinSvg().replace('<svg ', `<svg x="${width / 2 - 16}" y="${height / 2 - 44}" `);
+  const text = labels.map((label, index) => `<text x="${width / 2}" y="${height / 2 + 28 + index * 22}" ` +
+    `font-size="${index === 0 ? 18 : 15}"${index === 0 ? ' font-weight="bold"' : ''}>${escapeXml(label)}</text>`);
+  
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    '<defs><pattern id="grid" width="40" height="40" patternUnits="userSpaceOnUse">',
+    `<path d="M40 0H0V40" fill="none" stroke="${GRID_COLOR}" stroke-width="2"/></pattern></defs>`,
+    `<rect width="100%" height="100%" fill="${BACKGROUND}"/>`,
+    '<rect width="100%" height="100%" fill="url(#grid)"/>',
+    pin,
+    `<g font-family="sans-serif" text-anchor="middle" fill="${PIN_COLOR}">${text.join('')}</g>`,
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
 /**
  * Optimizes HTML files
  * @returns {Promise<{ok: boolean, value?: object, error?: Error}>}
@@ -300,7 +824,7 @@ async function optimizeHTML() {
   Logger.step('Optimizing HTML');
   
   try {
-    const htmlFiles = ['index.html'];
+    const htmlFiles = ['index.html', 'offline.html'];
     const results = [];
     
     for (const file of htmlFiles) {
@@ -381,6 +905,294 @@ async function optimizeHTMLFile(inputPath, outputPath) {
   }
 }
 
+/**
+ * Writes pre-rendered pages for every locale marked `prerender` in
+ * js/utils/i18n.js (dist/yo/index.html etc.) and links all language
+ * versions to each other with hreflang alternates
+ * Text comes from content/locales/<code>.json via the same data-i18n
+ * attributes the browser uses, so no-JS visitors and crawlers get it too
+ * @returns {Promise<{ok: boolean, value?: object, error?: Error}>}
+ */
+async function generateLocalizedPages() {
+  Logger.step('Generating localized pages');
+  
+  try {
+    const i18n = await import(pathToFileURL(path.join(CONFIG.ROOT_DIR, 'js', 'utils', 'i18n.js')).href);
+    const source = await fs.readFile(path.join(CONFIG.ROOT_DIR, 'index.html'), 'utf-8');
+    const data = (await readStructuredData()) || {};
+    const siteUrl = String(data.url || '').replace(/\/$/, '');
+    
+    const locales = i18n.SUPPORTED_LOCALES.filter(locale => locale.prerender);
+    const pages = [i18n.DEFAULT_LOCALE, ...locales.map(locale => locale.code)];
+    const alternates = buildAlternateLinks(pages, i18n.DEFAULT_LOCALE, siteUrl);
+    
+    // The default page is already in dist; it only needs the alternates
+    const indexPath = path.join(CONFIG.DIST_DIR, 'index.html');
+    const index = await fs.readFile(indexPath, 'utf-8');
+    await fs.writeFile(indexPath, index.replace('</head>', `${alternates}</head>`), 'utf-8');
+    
+    const files = [];
+    
+    for (const locale of locales) {
+      const catalogPath = path.join(CONFIG.ROOT_DIR, 'content', 'locales', `${locale.code}.json`);
+      const catalog = JSON.parse(await fs.readFile(catalogPath, 'utf-8'));
+      const pageUrl = `${siteUrl}/${locale.code}/`;
+      
+      let html = translateHTML(source, catalog, i18n);
+      html = html
+        .replace(/<html lang="[^"]*"/, `<html lang="${locale.code}"`)
+        .replace(/(<link rel="canonical" href=")[^"]*"/, `$1${pageUrl}"`)
+        .replace(/(<meta property="og:url" content=")[^"]*"/, `$1${pageUrl}"`)
+        .replace(/(<meta property="og:locale" content=")[^"]*"/, `$1${locale.ogLocale}"`)
+        .replace('</head>', `${alternates}</head>`);
+      html = relocateRelativeUrls(html, '../');
+      
+      const file = `${locale.code}/index.html`;
+      const outputPath = path.join(CONFIG.DIST_DIR, file);
+      
+      await ensureDirectory(path.dirname(outputPath));
+      await fs.writeFile(outputPath, html, 'utf-8');
+      
+      const result = await optimizeHTMLFile(outputPath, outputPath);
+      if (!result.ok) {
+        throw result.error;
+      }
+      
+      files.push(file);
+      Logger.info(`Generated: ${file}`);
+    }
+    
+    Logger.success(`Generated ${files.length} localized pages`);
+    
+    return Result.ok({ files });
+  } catch (error) {
+    Logger.error('Localized page generation failed', error.message);
+    return Result.err(error);
+  }
+}
+
+/**
+ * Builds the hreflang alternate links shared by every language version
+ * @param {string[]} codes - Locales that have a page, default first
+ * @param {string} defaultLocale - Locale served at the site root
+ * @param {string} siteUrl - Absolute site URL without trailing slash
+ * @returns {string} Link elements
+ */
+function buildAlternateLinks(codes, defaultLocale, siteUrl) {
+  const urlFor = (code) => (code === defaultLocale ? `${siteUrl}/` : `${siteUrl}/${code}/`);
+  
+  return [
+    ...codes.map(code => `<link rel="alternate" hreflang="${code}" href="${urlFor(code)}">`),
+    `<link rel="alternate" hreflang="x-default" href="${urlFor(defaultLocale)}">`
+  ].join('');
+}
+
+/**
+ * Applies a message catalog to data-i18n and data-i18n-attr markup
+ * Elements whose key is missing keep their English text
+ * @param {string} html - Source HTML
+ * @param {object} catalog - Message catalog
+ * @param {object} i18n - The js/utils/i18n.js module (lookup, parseAttributeMap)
+ * @returns {string} Translated HTML
+ */
+function translateHTML(html, catalog, i18n) {
+  const translatedText = html.replace(
+    /<([a-z][a-z0-9]*)((?:\s[^>]*?)?\sdata-i18n="([^"]+)"[^>]*)>[\s\S]*?<\/\1>/g,
+    (element, tag, attributes, key) => {
+      const message = i18n.lookup(catalog, key);
+      return message === undefined ? element : `<${tag}${attributes}>${escapeHTML(message)}</${tag}>`;
+    }
+  );
+  
+  return translatedText.replace(/<[a-z][^>]*\sdata-i18n-attr="([^"]+)"[^>]*>/g, (tag, map) =>
+    i18n.parseAttributeMap(map).reduce((result, { attribute, key }) => {
+      const message = i18n.lookup(catalog, key);
+      return message === undefined
+        ? result
+        : result.replace(new RegExp(`(\\s${attribute}=")[^"]*"`), (match, prefix) => `${prefix}${escapeHTML(message)}"`);
+    }, tag)
+  );
+}
+
+/**
+ * Prefixes relative href/src/srcset URLs so a copy of a root page works from a subfolder
+ * Fragment links, absolute paths and URLs with a scheme are left alone; only the
+ * first candidate of a srcset is prefixed, so relative srcsets should have one
+ * @param {string} html - Page HTML
+ * @param {string} prefix - Path back to the site root, e.g. '../'
+ * @returns {string}
+ */
+function relocateRelativeUrls(html, prefix) {
+  return html.replace(
+    /(\s(?:href|src|srcset)=")(?!#|\/|[a-z][a-z0-9+.-]*:)(?:\.\/)?([^"]*)"/gi,
+    (match, attribute, url) => `${attribute}${prefix}${url}"`
+  );
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Turns one ES module of the service worker into a function-scoped block
+ * Handles the forms the worker's modules use: named imports, `export
+ * function`/`export const` and a trailing `export default {...}` object,
+ * which is dropped
+ * @param {string} source - Module source
+ * @param {string} file - Module path relative to the site root
+ * @param {Function} resolveImport - Maps an import specifier to a module path
+ * @returns {{body: string, imports: string[]}} Block source and the modules it needs
+ */
+function toClassicModule(source, file, resolveImport) {
+  const imports = [];
+  const exported = [];
+  
+  const body = source
+    .replace(/^export default \{[\s\S]*?^\};?[ \t]*$/m, '')
+    .replace(/^import\s*\{([^}]*)\}\s*from\s*'([^']+)';?[ \t]*$/gm, (_match, names, specifier) => {
+      const dependency = resolveImport(file, specifier);
+      imports.push(dependency);
+      return `const {${names.replace(/\s+as\s+/g, ': ')}} = modules['${dependency}'];`;
+    })
+    .replace(/^export ((?:async )?function\*?|const|let) ([\w$]+)/gm, (_match, keyword, name) => {
+      exported.push(name);
+      return `${keyword} ${name}`;
+    });
+  
+  if (/^\s*(import|export)\b/m.test(body)) {
+    throw new Error(`Unsupported import or export in ${file}`);
+  }
+  
+  const block = [
+    `// ${file}`,
+    `modules['${file}'] = (() => {`,
+    body.trim(),
+    exported.length > 0 ? `return { ${exported.join(', ')} };` : 'return {};',
+    '})();'
+  ].join('\n');
+  
+  return { body: block, imports };
+}
+
+/**
+ * Bundles sw.js and the modules it imports into one classic script, for
+ * browsers that cannot register module service workers
+ * @returns {Promise<string>} Classic worker source
+ */
+async function bundleClassicWorker() {
+  const { SOURCE, MANIFEST } = CONFIG.SERVICE_WORKER;
+  const blocks = new Map();
+  
+  const resolveImport = (file, specifier) =>
+    path.posix.normalize(path.posix.join(path.posix.dirname(file), specifier));
+  
+  // Dependencies first, so each block can read the modules it imports
+  const add = async (file) => {
+    if (blocks.has(file)) {
+      return;
+    }
+    
+    blocks.set(file, null);
+    
+    // The manifest is the one generated for this build, the rest is source
+    const directory = file === MANIFEST ? CONFIG.DIST_DIR : CONFIG.ROOT_DIR;
+    const source = await fs.readFile(path.join(directory, file), 'utf-8');
+    const { body, imports } = toClassicModule(source, file, resolveImport);
+    
+    for (const dependency of imports) {
+      await add(dependency);
+    }
+    
+    blocks.delete(file);
+    blocks.set(file, body);
+  };
+  
+  await add(SOURCE);
+  
+  return [
+    `// Generated by scripts/build.js from ${SOURCE} - do not edit`,
+    '(() => {',
+    '\'use strict\';',
+    '',
+    'const modules = {};',
+    '',
+    [...blocks.values()].join('\n\n'),
+    '})();',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generates the service worker precache manifest and copies sw.js to dist,
+ * along with a classic bundle of it for browsers without module workers
+ * Each entry carries a content hash; the manifest version is a hash of all
+ * entries, so any changed file gives the worker a new precache on deploy
+ * @returns {Promise<{ok: boolean, value?: object, error?: Error}>}
+ */
+async function generateServiceWorker() {
+  Logger.step('Generating service worker');
+  
+  try {
+    const i18n = await import(pathToFileURL(path.join(CONFIG.ROOT_DIR, 'js', 'utils', 'i18n.js')).href);
+    const localizedPages = i18n.SUPPORTED_LOCALES
+      .filter(locale => locale.prerender)
+      .map(locale => `${locale.code}/index.html`);
+    const shellFiles = ['index.html', 'offline.html', 'manifest.webmanifest', ...localizedPages];
+    const styleFiles = (await fs.readdir(path.join(CONFIG.DIST_DIR, 'styles')))
+      .filter(file => file.endsWith('.css'))
+      .map(file => `styles/${file}`);
+    const scriptFiles = (await findJavaScriptFiles(path.join(CONFIG.DIST_DIR, 'js')))
+      .map(file => path.relative(CONFIG.DIST_DIR, file).split(path.sep).join('/'));
+    
+    const manifest = [];
+    
+    for (const url of [...shellFiles, ...styleFiles, ...scriptFiles].sort()) {
+      const content = await fs.readFile(path.join(CONFIG.DIST_DIR, url));
+      manifest.push({ url, revision: hashContent(content) });
+    }
+    
+    const version = hashContent(manifest.map(entry => `${entry.url}@${entry.revision}`).join('\n'));
+    
+    const manifestSource = [
+      '// Generated by scripts/build.js - do not edit',
+      `export const PRECACHE_VERSION = '${version}';`,
+      `export const PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};`,
+      ''
+    ].join('\n');
+    
+    const { SOURCE, MANIFEST, CLASSIC_OUTPUT } = CONFIG.SERVICE_WORKER;
+    
+    await fs.writeFile(path.join(CONFIG.DIST_DIR, MANIFEST), manifestSource, 'utf-8');
+    await fs.copyFile(path.join(CONFIG.ROOT_DIR, SOURCE), path.join(CONFIG.DIST_DIR, SOURCE));
+    await fs.writeFile(path.join(CONFIG.DIST_DIR, CLASSIC_OUTPUT), await bundleClassicWorker(), 'utf-8');
+    
+    Logger.success(`Precache manifest ${version} lists ${manifest.length} files`);
+    
+    return Result.ok({ files: [SOURCE, MANIFEST, CLASSIC_OUTPUT], version, entries: manifest.length });
+  } catch (error) {
+    Logger.error('Service worker generation failed', error.message);
+    return Result.err(error);
+  }
+}
+
+/**
+ * Creates a short content hash for cache busting
+ * @param {string|Buffer} content - File content
+ * @returns {string} First 10 hex characters of the SHA-256 digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+}
+
 /**
  * Validates performance budget
  * @returns {Promise<{ok: boolean, value?: object, error?: Error}>}
@@ -578,7 +1390,15 @@ async function build() {
     }
     buildResults.steps.images = { success: true };
     
-    // Step 4: Minify JavaScript
+    // Step 4: Generate web app manifest (uses the icons from step 3)
+    const manifestResult = await generateWebManifest();
+    if (!manifestResult.ok) {
+      throw manifestResult.error;
+    }
+    buildResults.steps.manifest = { success: true, icons: manifestResult.value.icons };
+    buildResults.totalFiles += manifestResult.value.files.length;
+    
+    // Step 5: Minify JavaScript
     const jsResult = await minifyJavaScript();
     if (!jsResult.ok) {
       throw jsResult.error;
@@ -586,7 +1406,31 @@ async function build() {
     buildResults.steps.js = { success: true, files: jsResult.value.files };
     buildResults.totalFiles += jsResult.value.files.length;
     
-    // Step 5: Optimize HTML
+    // Step 6: Copy content data
+    const contentResult = await copyContentData();
+    if (!contentResult.ok) {
+      throw contentResult.error;
+    }
+    buildResults.steps.content = { success: true, files: contentResult.value.files };
+    buildResults.totalFiles += contentResult.value.files.length;
+    
+    // Step 7: Generate calendar feed
+    const calendarResult = await generateCalendarFeed();
+    if (!calendarResult.ok) {
+      throw calendarResult.error;
+    }
+    buildResults.steps.calendar = { success: true, entries: calendarResult.value.entries };
+    buildResults.totalFiles += calendarResult.value.files.length;
+    
+    // Step 8: Generate static map
+    const mapResult = await generateStaticMap();
+    if (!mapResult.ok) {
+      throw mapResult.error;
+    }
+    buildResults.steps.map = { success: true, files: mapResult.value.files };
+    buildResults.totalFiles += mapResult.value.files.length;
+    
+    // Step 9: Optimize HTML
     const htmlResult = await optimizeHTML();
     if (!htmlResult.ok) {
       throw htmlResult.error;
@@ -594,7 +1438,23 @@ async function build() {
     buildResults.steps.html = { success: true, files: htmlResult.value.files };
     buildResults.totalFiles += htmlResult.value.files.length;
     
-    // Step 6: Validate Budget
+    // Step 10: Generate localized pages (after the default page is in dist)
+    const localizeResult = await generateLocalizedPages();
+    if (!localizeResult.ok) {
+      throw localizeResult.error;
+    }
+    buildResults.steps.localize = { success: true, files: localizeResult.value.files };
+    buildResults.totalFiles += localizeResult.value.files.length;
+    
+    // Step 11: Generate service worker (after all precached files exist)
+    const swResult = await generateServiceWorker();
+    if (!swResult.ok) {
+      throw swResult.error;
+    }
+    buildResults.steps.serviceWorker = { success: true, version: swResult.value.version };
+    buildResults.totalFiles += swResult.value.files.length;
+    
+    // Step 12: Validate Budget
     const budgetResult = await validatePerformanceBudget();
     if (!budgetResult.ok) {
       throw budgetResult.error;
@@ -607,7 +1467,7 @@ async function build() {
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     buildResults.duration = `${duration}s`;
     
-    // Step 7: Generate Report
+    // Step 13: Generate Report
     const reportResult = await generateBuildReport(buildResults);
     if (!reportResult.ok) {
       throw reportResult.error;
@@ -647,19 +1507,26 @@ async function build() {
 }
 
 // Execute if run directly
-if (require.main === module) {
+if (process.argv[1] && path.resolve(process.argv[1]) === SCRIPT_PATH) {
   build().catch(error => {
     Logger.error('Unhandled error:', error);
     process.exit(1);
   });
 }
 
-module.exports = {
+export {
   build,
   cleanDistDirectory,
   runCSSOptimization,
   runImageOptimization,
+  generateWebManifest,
   minifyJavaScript,
+  copyContentData,
+  generateCalendarFeed,
+  generateStaticMap,
   optimizeHTML,
+  generateLocalizedPages,
+  generateServiceWorker,
+  bundleClassicWorker,
   validatePerformanceBudget
 };
\ No newline at end of file
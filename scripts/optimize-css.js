@@ -13,16 +13,20 @@
  * @dependencies: ["fs", "path", "postcss", "cssnano", "critical"]
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const { promisify } = require('util');
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT_PATH = fileURLToPath(import.meta.url);
+const SCRIPT_DIR = path.dirname(SCRIPT_PATH);
 
 // Script configuration
 const CONFIG = Object.freeze({
-  STYLES_DIR: path.join(__dirname, '..', 'styles'),
-  OUTPUT_DIR: path.join(__dirname, '..', 'dist', 'styles'),
-  INDEX_HTML: path.join(__dirname, '..', 'index.html'),
-  CRITICAL_OUTPUT: path.join(__dirname, '..', 'dist', 'critical.css'),
+  STYLES_DIR: path.join(SCRIPT_DIR, '..', 'styles'),
+  OUTPUT_DIR: path.join(SCRIPT_DIR, '..', 'dist', 'styles'),
+  INDEX_HTML: path.join(SCRIPT_DIR, '..', 'index.html'),
+  CRITICAL_OUTPUT: path.join(SCRIPT_DIR, '..', 'dist', 'critical.css'),
   VIEWPORT: {
     width: 375,
     height: 667
@@ -422,14 +426,14 @@ async function optimizeCSS() {
 }
 
 // Execute if run directly
-if (require.main === module) {
+if (process.argv[1] && path.resolve(process.argv[1]) === SCRIPT_PATH) {
   optimizeCSS().catch(error => {
     Logger.error('Unhandled error:', error);
     process.exit(1);
   });
 }
 
-module.exports = {
+export {
   optimizeCSS,
   minifyCSS,
   extractCriticalCSS,
@@ -8,21 +8,29 @@
  * - Generating responsive image sizes
  * - Compressing JPEG/PNG files
  * - Processing Unsplash images with proper attribution
+ * - Generating PWA home screen icons from the church logo
  * 
  * @generated-from: task-id:TASK-005 file:scripts/optimize-images.js
  * @modifies: images directory
  * @dependencies: ["sharp", "fs", "path"]
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const { createWriteStream, existsSync } = require('fs');
-const https = require('https');
+import { promises as fs, createWriteStream, existsSync } from 'node:fs';
+import path from 'node:path';
+import https from 'node:https';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT_PATH = fileURLToPath(import.meta.url);
+const SCRIPT_DIR = path.dirname(SCRIPT_PATH);
+
+// Optional native dependencies (sharp) are loaded on demand
+const require = createRequire(import.meta.url);
 
 // Configuration
 const CONFIG = Object.freeze({
-  INPUT_DIR: path.join(__dirname, '..', 'images', 'source'),
-  OUTPUT_DIR: path.join(__dirname, '..', 'images', 'optimized'),
+  INPUT_DIR: path.join(SCRIPT_DIR, '..', 'images', 'source'),
+  OUTPUT_DIR: path.join(SCRIPT_DIR, '..', 'images', 'optimized'),
   SIZES: Object.freeze({
     SMALL: 640,
     MEDIUM: 1024,
@@ -34,6 +42,17 @@ const CONFIG = Object.freeze({
     JPEG: 87,
     PNG: 90
   }),
+  ICONS: Object.freeze({
+    SOURCE: path.join(SCRIPT_DIR, '..', 'images', 'church-logo.png'),
+    OUTPUT_DIR: path.join(SCRIPT_DIR, '..', 'images', 'icons'),
+    PUBLIC_PATH: 'images/icons',
+    SIZES: Object.freeze([48, 72, 96, 128, 144, 152, 192, 256, 384, 512]),
+    MASKABLE_SIZES: Object.freeze([192, 512]),
+    // Maskable icons keep the logo inside the central 80% safe zone
+    MASKABLE_SAFE_ZONE: 0.8,
+    APPLE_TOUCH_SIZE: 180,
+    DEFAULT_BACKGROUND: '#ffffff'
+  }),
   MAX_FILE_SIZE: Object.freeze({
     HERO: 200 * 1024,      // 200KB for WebP
     SECTION: 150 * 1024,   // 150KB for WebP
@@ -328,6 +347,95 @@ async function optimizeWithSharp() {
   return results;
 }
 
+// Describe the icons generateAppIcons() writes, for the web app manifest
+function getAppIconDescriptors() {
+  const { PUBLIC_PATH, SIZES, MASKABLE_SIZES } = CONFIG.ICONS;
+  
+  const standard = SIZES.map(size => ({
+    src: `${PUBLIC_PATH}/icon-${size}.png`,
+    sizes: `${size}x${size}`,
+    type: 'image/png',
+    purpose: 'any'
+  }));
+  
+  const maskable = MASKABLE_SIZES.map(size => ({
+    src: `${PUBLIC_PATH}/icon-maskable-${size}.png`,
+    sizes: `${size}x${size}`,
+    type: 'image/png',
+    purpose: 'maskable'
+  }));
+  
+  return [...standard, ...maskable];
+}
+
+// Generate home screen icons from the church logo
+async function generateAppIcons(options = {}) {
+  const {
+    outputDir = CONFIG.ICONS.OUTPUT_DIR,
+    background = CONFIG.ICONS.DEFAULT_BACKGROUND
+  } = options;
+  
+  if (!existsSync(CONFIG.ICONS.SOURCE)) {
+    log(LOG_LEVELS.WARN, `Logo not found at ${CONFIG.ICONS.SOURCE} - skipping app icons`);
+    return { generated: 0, icons: [] };
+  }
+  
+  if (!checkSharpAvailability()) {
+    log(LOG_LEVELS.WARN, 'Sharp not available - skipping app icons');
+    return { generated: 0, icons: [] };
+  }
+  
+  const sharp = require('sharp');
+  
+  log(LOG_LEVELS.INFO, 'Generating app icons...');
+  await ensureDirectory(outputDir);
+  
+  // Standard icons: logo scaled to fit, transparent padding
+  for (const size of CONFIG.ICONS.SIZES) {
+    await sharp(CONFIG.ICONS.SOURCE)
+      .resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png({ quality: CONFIG.QUALITY.PNG })
+      .toFile(path.join(outputDir, `icon-${size}.png`));
+  }
+  
+  // Maskable icons: logo inside the safe zone on a solid background
+  for (const size of CONFIG.ICONS.MASKABLE_SIZES) {
+    await renderPaddedIcon(sharp, size, background, path.join(outputDir, `icon-maskable-${size}.png`));
+  }
+  
+  // iOS ignores the manifest and uses apple-touch-icon, which must be opaque
+  await renderPaddedIcon(
+    sharp,
+    CONFIG.ICONS.APPLE_TOUCH_SIZE,
+    background,
+    path.join(outputDir, 'apple-touch-icon.png')
+  );
+  
+  const icons = getAppIconDescriptors();
+  log(LOG_LEVELS.SUCCESS, `Generated ${icons.length + 1} app icons`);
+  
+  return { generated: icons.length + 1, icons };
+}
+
+// Render the logo centred in the safe zone of an opaque square icon
+async function renderPaddedIcon(sharp, size, background, outputPath) {
+  const logoSize = Math.round(size * CONFIG.ICONS.MASKABLE_SAFE_ZONE);
+  const padding = Math.floor((size - logoSize) / 2);
+  
+  await sharp(CONFIG.ICONS.SOURCE)
+    .resize(logoSize, logoSize, { fit: 'contain', background })
+    .flatten({ background })
+    .extend({
+      top: padding,
+      bottom: size - logoSize - padding,
+      left: padding,
+      right: size - logoSize - padding,
+      background
+    })
+    .png({ quality: CONFIG.QUALITY.PNG })
+    .toFile(outputPath);
+}
+
 // Fallback optimization without Sharp
 async function optimizeWithoutSharp() {
   log(LOG_LEVELS.WARN, 'Sharp not available - using fallback optimization');
@@ -370,7 +478,7 @@ function formatBytes(bytes) {
 
 // Generate optimization report
 async function generateReport(downloadResults, optimizationResults) {
-  const reportPath = path.join(__dirname, '..', 'images', 'optimization-report.json');
+  const reportPath = path.join(SCRIPT_DIR, '..', 'images', 'optimization-report.json');
   
   const report = {
     timestamp: new Date().toISOString(),
@@ -416,7 +524,13 @@ async function main() {
       );
     }
     
-    // Step 3: Generate report
+    // Step 3: Generate app icons
+    const iconResults = await withErrorHandling(
+      () => generateAppIcons(),
+      'Failed to generate app icons'
+    );
+    
+    // Step 4: Generate report
     await withErrorHandling(
       () => generateReport(downloadResults, optimizationResults),
       'Failed to generate report'
@@ -429,6 +543,7 @@ async function main() {
       downloaded: downloadResults.downloaded,
       skipped: downloadResults.skipped,
       optimized: optimizationResults.processed,
+      icons: iconResults.generated,
       failed: downloadResults.failed + optimizationResults.failed
     });
     
@@ -444,14 +559,16 @@ async function main() {
 }
 
 // Execute if run directly
-if (require.main === module) {
+if (process.argv[1] && path.resolve(process.argv[1]) === SCRIPT_PATH) {
   main();
 }
 
-module.exports = {
+export {
   processUnsplashImages,
   optimizeWithSharp,
   optimizeWithoutSharp,
+  generateAppIcons,
+  getAppIconDescriptors,
   downloadImage,
   ensureDirectory
 };
\ No newline at end of file
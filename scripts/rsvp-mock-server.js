@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * RSVP Mock Server
+ * Nigerian Church Landing Page - Local event registration backend
+ *
+ * Serves the API the "json" RSVP backend talks to (js/utils/rsvp-backends.js)
+ * so event registration can be developed and tested offline:
+ *
+ *   GET  /api/rsvp/events/:id                 places left
+ *   POST /api/rsvp/events/:id/registrations   register (Idempotency-Key header)
+ *
+ * Capacity, waitlist and questions are read from content/events.json on
+ * every request, so edits apply without a restart. Registrations are kept
+ * in a JSON file; delete it to start again. The capacity rules are the ones
+ * the site uses, imported from rsvp-backends.js.
+ *
+ * Usage: npm run rsvp:mock
+ * Environment: PORT (default 8787), RSVP_DATA_FILE (default .rsvp-mock.json)
+ */
+
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as rsvp from '../js/utils/rsvp-backends.js';
+
+const SCRIPT_PATH = fileURLToPath(import.meta.url);
+const ROOT_DIR = path.join(path.dirname(SCRIPT_PATH), '..');
+
+// Server configuration
+const CONFIG = Object.freeze({
+  PORT: Number(process.env.PORT) || 8787,
+  DATA_FILE: path.resolve(process.env.RSVP_DATA_FILE || path.join(ROOT_DIR, '.rsvp-mock.json')),
+  EVENTS_FILE: path.join(ROOT_DIR, 'content', 'events.json'),
+  ROUTE: /^\/api\/rsvp\/events\/([^/]+)(\/registrations)?\/?$/,
+  MAX_BODY_BYTES: 16 * 1024,
+  STATUS_BY_CODE: Object.freeze({ invalid: 400, full: 409, closed: 409 })
+});
+
+// CORS headers, so the site can be served from another port (npm start)
+const CORS_HEADERS = Object.freeze({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept, Idempotency-Key'
+});
+
+// Writes run one at a time so two registrations cannot take the same place
+let writeQueue = Promise.resolve();
+
+/**
+ * Runs a task after the previous one has finished
+ * @param {Function} task - Async task
+ * @returns {Promise<*>}
+ */
+function serialize(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJSON(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends an error in the {code, error} shape the json backend reads
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code (invalid, full, closed, unavailable)
+ * @param {string} message - Error message
+ */
+function sendError(res, status, code, message) {
+  sendJSON(res, status, { code, error: message });
+}
+
+/**
+ * Reads an event's registration settings from the events feed
+ * @param {string} eventId - Event id
+ * @returns {Promise<Object|null>} Null when the event does not take registrations
+ */
+async function readSettings(eventId) {
+  const feed = JSON.parse(await fs.readFile(CONFIG.EVENTS_FILE, 'utf-8'));
+  const event = (feed.events || []).find(entry => entry.id === eventId);
+
+  return event ? rsvp.normalizeRegistration(event.registration) : null;
+}
+
+/**
+ * Reads stored registrations, keyed by event id
+ * @returns {Promise<Object<string, Object[]>>}
+ */
+async function readStore() {
+  try {
+    return JSON.parse(await fs.readFile(CONFIG.DATA_FILE, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+/**
+ * Creates an Error answered with 400 invalid
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function createBadRequest(message) {
+  const error = new Error(message);
+  error.code = 'invalid';
+  return error;
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > CONFIG.MAX_BODY_BYTES) {
+        reject(createBadRequest('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8') || '{}'));
+      } catch (error) {
+        reject(createBadRequest('Request body is not valid JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Handles a registration
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} eventId - Event id
+ * @param {Object} settings - Registration settings
+ */
+async function handleRegister(req, res, eventId, settings) {
+  const key = req.headers['idempotency-key'];
+  const body = await readBody(req);
+
+  if (!key || !String(body.name || '').trim() || !String(body.email || '').includes('@')) {
+    sendError(res, 400, 'invalid', 'A name, email address and Idempotency-Key header are required');
+    return;
+  }
+
+  const outcome = await serialize(async () => {
+    const store = await readStore();
+    const registrations = store[eventId] || [];
+    const { entry, created } = rsvp.decideRegistration(settings, registrations, {
+      ...body,
+      idempotencyKey: key
+    });
+
+    if (created) {
+      // Contact details are kept here as a real backend would; the file is git-ignored
+      Object.assign(entry, {
+        name: body.name,
+        email: body.email,
+        phone: body.phone || '',
+        answers: body.answers || {}
+      });
+      registrations.push(entry);
+      store[eventId] = registrations;
+      await fs.writeFile(CONFIG.DATA_FILE, JSON.stringify(store, null, 2) + '\n');
+    }
+
+    return { created, result: rsvp.describeRegistration(entry, registrations) };
+  });
+
+  console.log(`${eventId}: ${outcome.result.reference} ${outcome.result.status}${outcome.created ? '' : ' (repeat)'}`);
+  sendJSON(res, outcome.created ? 201 : 200, outcome.result);
+}
+
+/**
+ * Routes a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const match = CONFIG.ROUTE.exec(new URL(req.url, 'http://localhost').pathname);
+
+  if (!match) {
+    sendError(res, 404, 'invalid', 'Not found');
+    return;
+  }
+
+  const eventId = decodeURIComponent(match[1]);
+  const settings = await readSettings(eventId);
+
+  if (!settings) {
+    sendError(res, 404, 'invalid', `Event "${eventId}" does not take registrations`);
+    return;
+  }
+
+  if (!match[2] && req.method === 'GET') {
+    const store = await readStore();
+    sendJSON(res, 200, rsvp.summarizeAvailability(settings, store[eventId] || []));
+    return;
+  }
+
+  if (match[2] && req.method === 'POST') {
+    await handleRegister(req, res, eventId, settings);
+    return;
+  }
+
+  sendError(res, 405, 'invalid', 'Method not allowed');
+}
+
+/**
+ * Starts the server
+ * @returns {http.Server}
+ */
+export function start() {
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      if (error.code && CONFIG.STATUS_BY_CODE[error.code]) {
+        sendError(res, CONFIG.STATUS_BY_CODE[error.code], error.code, error.message);
+        return;
+      }
+
+      console.error('Request failed:', error);
+      sendError(res, 500, 'unavailable', error.message);
+    });
+  });
+
+  server.listen(CONFIG.PORT, () => {
+    console.log(`RSVP mock server on http://localhost:${CONFIG.PORT}/api/rsvp`);
+    console.log(`Registrations are stored in ${path.relative(ROOT_DIR, CONFIG.DATA_FILE)}`);
+  });
+
+  return server;
+}
+
+// Execute if run directly
+if (process.argv[1] && path.resolve(process.argv[1]) === SCRIPT_PATH) {
+  start();
+}
@@ -0,0 +1,277 @@
+/**
+ * Service Worker
+ *
+ * Offline support for the church site:
+ * - Precaches the HTML shell, stylesheets and JavaScript modules listed in
+ *   precache-manifest.js, which scripts/build.js generates with a content
+ *   hash per file. Any changed file changes the manifest, so the browser
+ *   installs a fresh worker and old precaches are dropped on activate.
+ * - Serves images with stale-while-revalidate from a runtime cache.
+ * - Fetches content/*.json network-first so feeds stay fresh but still
+ *   work offline.
+ * - Falls back to offline.html for pages that are not cached.
+ * - Flushes the contact form offline queue on background sync.
+ *
+ * Registered as a module worker from js/main.js. Browsers that cannot run
+ * module service workers (e.g. Firefox for Android, Safari before 15) get
+ * sw-classic.js instead, a classic bundle of this file and its imports made
+ * by scripts/build.js. In the unbuilt source tree the root
+ * precache-manifest.js stands in for the generated one and precaches only
+ * the offline page.
+ */
+
+import { PRECACHE_VERSION, PRECACHE_MANIFEST } from './precache-manifest.js';
+import { flushQueue, QUEUE_SYNC_TAG } from './js/utils/offline-queue.js';
+
+/**
+ * Service worker configuration
+ * @private
+ */
+const SW_CONFIG = Object.freeze({
+  CACHE_PREFIX: 'lfcc-',
+  PRECACHE_NAME: `lfcc-precache-${PRECACHE_VERSION}`,
+  IMAGE_CACHE: 'lfcc-images',
+  CONTENT_CACHE: 'lfcc-content',
+  MAX_IMAGE_ENTRIES: 60,
+  SHELL_PAGE: 'index.html',
+  OFFLINE_PAGE: 'offline.html',
+  IMAGE_PATH: '/images/',
+  CONTENT_PATH: '/content/'
+});
+
+/**
+ * Runtime caches kept across deploys
+ * @private
+ */
+const RUNTIME_CACHES = Object.freeze([SW_CONFIG.IMAGE_CACHE, SW_CONFIG.CONTENT_CACHE]);
+
+/**
+ * Absolute URLs of every precached file
+ * @private
+ */
+const PRECACHE_URLS = new Set(
+  PRECACHE_MANIFEST.map((entry) => new URL(entry.url, self.registration.scope).href)
+);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(removeOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (request.destination === 'image' || url.pathname.includes(SW_CONFIG.IMAGE_PATH)) {
+    event.respondWith(staleWhileRevalidate(event, request));
+  } else if (url.pathname.includes(SW_CONFIG.CONTENT_PATH) && url.pathname.endsWith('.json')) {
+    event.respondWith(networkFirst(request, SW_CONFIG.CONTENT_CACHE));
+  } else if (PRECACHE_URLS.has(stripSearch(url))) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === QUEUE_SYNC_TAG) {
+    event.waitUntil(syncQueuedSubmissions());
+  }
+});
+
+/**
+ * Downloads every file in the manifest, bypassing the HTTP cache
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+async function precache() {
+  const cache = await caches.open(SW_CONFIG.PRECACHE_NAME);
+  const requests = [...PRECACHE_URLS].map((url) => new Request(url, { cache: 'reload' }));
+
+  await cache.addAll(requests);
+}
+
+/**
+ * Deletes precaches from earlier deploys
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+async function removeOldCaches() {
+  const names = await caches.keys();
+
+  const stale = names.filter((name) =>
+    name.startsWith(SW_CONFIG.CACHE_PREFIX) &&
+    name !== SW_CONFIG.PRECACHE_NAME &&
+    !RUNTIME_CACHES.includes(name)
+  );
+
+  await Promise.all(stale.map((name) => caches.delete(name)));
+}
+
+/**
+ * Network first for pages, then the cached shell, then the offline page
+ *
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ * @private
+ */
+async function handleNavigation(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const url = new URL(request.url);
+
+    if (url.pathname.endsWith('/')) {
+      url.pathname += SW_CONFIG.SHELL_PAGE;
+    }
+
+    const cached = await caches.match(stripSearch(url), { cacheName: SW_CONFIG.PRECACHE_NAME });
+
+    if (cached) {
+      return cached;
+    }
+
+    const offline = await caches.match(
+      new URL(SW_CONFIG.OFFLINE_PAGE, self.registration.scope).href,
+      { cacheName: SW_CONFIG.PRECACHE_NAME }
+    );
+
+    return offline || Response.error();
+  }
+}
+
+/**
+ * Serves a precached file, falling back to the network
+ *
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>}
+ * @private
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(stripSearch(new URL(request.url)), {
+    cacheName: SW_CONFIG.PRECACHE_NAME
+  });
+
+  return cached || fetch(request);
+}
+
+/**
+ * Answers from the image cache straight away and refreshes it in the background
+ *
+ * @param {FetchEvent} event - Fetch event, kept alive until the refresh finishes
+ * @param {Request} request - Image request
+ * @returns {Promise<Response>}
+ * @private
+ */
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(SW_CONFIG.IMAGE_CACHE);
+  const cached = await cache.match(request);
+
+  const refresh = fetch(request)
+    .then(async (response) => {
+      if (response.ok) {
+        await cache.put(request, response.clone());
+        await trimCache(cache, SW_CONFIG.MAX_IMAGE_ENTRIES);
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  event.waitUntil(refresh);
+
+  if (cached) {
+    return cached;
+  }
+
+  return (await refresh) || Response.error();
+}
+
+/**
+ * Tries the network and keeps a copy, serving the copy when offline
+ *
+ * @param {Request} request - Request to fetch
+ * @param {string} cacheName - Runtime cache to use
+ * @returns {Promise<Response>}
+ * @private
+ */
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+
+    if (cached) {
+      return cached;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Drops the oldest entries once a cache grows past its limit
+ *
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ * @returns {Promise<void>}
+ * @private
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  const excess = keys.slice(0, Math.max(0, keys.length - maxEntries));
+
+  await Promise.all(excess.map((key) => cache.delete(key)));
+}
+
+/**
+ * Sends queued contact form submissions and tells open pages about it
+ * Rejects while messages are still waiting so the browser retries the sync
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+async function syncQueuedSubmissions() {
+  const result = await flushQueue();
+
+  if (result.sent > 0 || result.rejected > 0) {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach((client) => client.postMessage({ type: 'queue-flushed', ...result }));
+  }
+
+  if (result.remaining > 0) {
+    throw new Error(`${result.remaining} queued submissions still waiting`);
+  }
+}
+
+/**
+ * Returns a URL without its query string or hash
+ *
+ * @param {URL} url - URL to normalize
+ * @returns {string}
+ * @private
+ */
+function stripSearch(url) {
+  return `${url.origin}${url.pathname}`;
+}
@@ -0,0 +1,71 @@
+/**
+ * Form Engine Tests
+ *
+ * getPayload() for radio groups: form.elements.namedItem() returns a
+ * RadioNodeList for a group, and its rules (data-depends-on, schema
+ * transforms) must still apply.
+ *
+ * Run with: npm run test:unit
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+/**
+ * Browser globals the engine and validation use directly
+ */
+const GLOBALS = Object.freeze(['window', 'document', 'HTMLElement', 'RadioNodeList', 'FormData']);
+
+/**
+ * Contact preference, then a callback number offered only when "call" is picked
+ */
+const FORM_HTML = `
+  <form>
+    <input type="radio" name="contact" value="email" checked>
+    <input type="radio" name="contact" value="call">
+    <input type="radio" name="callback" value="0803 123 4567" data-depends-on="contact" data-depends-value="call" checked>
+    <input type="radio" name="callback" value="0805 765 4321" data-depends-on="contact" data-depends-value="call">
+  </form>`;
+
+/**
+ * Transforms the callback numbers to E.164
+ */
+const SCHEMA = Object.freeze({ fields: { callback: { transform: 'e164' } } });
+
+describe('getPayload', () => {
+  let dom;
+  let createFormEngine;
+
+  before(async () => {
+    dom = new JSDOM(FORM_HTML);
+    GLOBALS.forEach((name) => {
+      Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+    });
+
+    ({ createFormEngine } = await import('../js/utils/form-engine.js'));
+  });
+
+  after(() => dom.window.close());
+
+  /**
+   * Picks a contact preference and returns the payload
+   *
+   * @param {string} contact - "email" or "call"
+   * @returns {Object}
+   */
+  const payloadFor = (contact) => {
+    const form = dom.window.document.querySelector('form');
+    form.querySelector(`[name="contact"][value="${contact}"]`).checked = true;
+
+    return createFormEngine(form, { schema: SCHEMA }).getPayload();
+  };
+
+  it('leaves out a radio group whose dependency is not met', () => {
+    assert.deepEqual(payloadFor('email'), { contact: 'email' });
+  });
+
+  it('sends a radio group whose dependency is met, with its transform', () => {
+    assert.deepEqual(payloadFor('call'), { contact: 'call', callback: '+2348031234567' });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Form Transport Tests
+ *
+ * Formspree is cross-origin, so its requests must only use CORS-safelisted
+ * headers: anything else triggers a preflight Formspree does not allow, and
+ * the browser rejects the submission. Same-origin transports keep the
+ * Idempotency-Key header.
+ *
+ * Run with: npm run test:unit
+ */
+
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getTransport } from '../js/utils/form-transports.js';
+
+/**
+ * Request headers a cross-origin request may send without a preflight
+ */
+const SAFELISTED_HEADERS = Object.freeze(['accept', 'accept-language', 'content-language', 'content-type']);
+
+/**
+ * Content types a cross-origin request may send without a preflight
+ */
+const SAFELISTED_CONTENT_TYPES = Object.freeze([
+  'application/x-www-form-urlencoded',
+  'multipart/form-data',
+  'text/plain'
+]);
+
+/**
+ * Replaces fetch with one that records the request and answers with `body`
+ *
+ * @param {Object} body - JSON response body
+ * @returns {Array<{url: string, init: RequestInit}>} Recorded requests
+ */
+function recordRequests(body) {
+  const requests = [];
+
+  mock.method(globalThis, 'fetch', (url, init) => {
+    requests.push({ url: String(url), init });
+    return Promise.resolve(new Response(JSON.stringify(body), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  });
+
+  return requests;
+}
+
+describe('formspree transport', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('sends only CORS-safelisted headers', async () => {
+    const requests = recordRequests({ ok: true });
+
+    await getTransport('formspree').send(
+      { name: 'Adéyẹmí', email: 'ade@example.org', message: 'Hello' },
+      { endpoint: 'https://formspree.io/f/abc123', idempotencyKey: 'key-1' }
+    );
+
+    const headers = new Headers(requests[0].init.headers);
+    const contentType = headers.get('Content-Type').split(';')[0].trim();
+
+    [...headers.keys()].forEach((name) => {
+      assert.ok(SAFELISTED_HEADERS.includes(name), `"${name}" is not a safelisted header`);
+    });
+    assert.ok(SAFELISTED_CONTENT_TYPES.includes(contentType), `"${contentType}" is not a safelisted content type`);
+  });
+
+  it('sends the idempotency key in the body', async () => {
+    const requests = recordRequests({ ok: true });
+
+    await getTransport('formspree').send(
+      { name: 'Ngozi', interests: ['choir', 'ushering'] },
+      { endpoint: 'https://formspree.io/f/abc123', idempotencyKey: 'key-2' }
+    );
+
+    const body = new URLSearchParams(requests[0].init.body);
+
+    assert.equal(body.get('_idempotency_key'), 'key-2');
+    assert.equal(body.get('name'), 'Ngozi');
+    assert.deepEqual(body.getAll('interests'), ['choir', 'ushering']);
+  });
+});
+
+describe('json transport', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('sends the idempotency key as a header and in the body', async () => {
+    const requests = recordRequests({});
+
+    await getTransport('json').send({ name: 'Musa' }, { endpoint: '/api/contact', idempotencyKey: 'key-3' });
+
+    assert.equal(new Headers(requests[0].init.headers).get('Idempotency-Key'), 'key-3');
+    assert.equal(JSON.parse(requests[0].init.body)._idempotency_key, 'key-3');
+  });
+});
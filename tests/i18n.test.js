@@ -0,0 +1,82 @@
+/**
+ * i18n Tests
+ *
+ * setLocale() called again before the first catalog arrives: only the latest
+ * call may change the page, whichever catalog comes back first.
+ *
+ * Run with: npm run test:unit
+ */
+
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+/**
+ * Browser globals the module uses directly
+ */
+const GLOBALS = Object.freeze(['window', 'document', 'CustomEvent', 'Node', 'NodeFilter', 'HTMLElement']);
+
+/**
+ * Catalogs served to the page, by locale
+ */
+const CATALOGS = Object.freeze({
+  yo: { nav: { home: 'Ilé' } },
+  ig: { nav: { home: 'Ụlọ' } }
+});
+
+describe('setLocale', () => {
+  let dom;
+  let i18n;
+  const pending = new Map();
+
+  before(async () => {
+    dom = new JSDOM('<!DOCTYPE html><html lang="en"><body><h2 data-i18n="nav.home">Home</h2></body></html>');
+    GLOBALS.forEach((name) => {
+      Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+    });
+
+    // Each catalog is answered only when the test calls respond(code)
+    mock.method(globalThis, 'fetch', (url) => new Promise((resolve) => {
+      const code = String(url).match(/([a-z]+)\.json$/)[1];
+      pending.set(code, () => resolve(new Response(JSON.stringify(CATALOGS[code]), { status: 200 })));
+    }));
+
+    i18n = await import('../js/utils/i18n.js');
+  });
+
+  after(() => {
+    mock.restoreAll();
+    dom.window.close();
+  });
+
+  /**
+   * Answers a catalog request and lets the awaiting code run
+   *
+   * @param {string} code - Locale code
+   * @returns {Promise<void>}
+   */
+  const respond = async (code) => {
+    pending.get(code)();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  };
+
+  it('keeps the latest locale when an earlier catalog arrives last', async () => {
+    const { document } = dom.window;
+    const changes = [];
+    document.addEventListener(i18n.I18N_CHANGED_EVENT, (event) => changes.push(event.detail.locale));
+
+    const first = i18n.setLocale('yo');
+    const second = i18n.setLocale('ig');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    await respond('ig');
+    await respond('yo');
+
+    assert.equal(await first, false);
+    assert.equal(await second, true);
+    assert.equal(i18n.getLocale(), 'ig');
+    assert.equal(document.documentElement.lang, 'ig');
+    assert.equal(document.querySelector('h2').textContent, 'Ụlọ');
+    assert.deepEqual(changes, ['ig']);
+  });
+});
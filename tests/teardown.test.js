@@ -0,0 +1,209 @@
+/**
+ * Teardown Tests
+ *
+ * Loads index.html in jsdom, lets js/main.js initialize the page, then runs
+ * cleanupApp → initializeApp → cleanupApp and checks that every cleanup
+ * leaves no listeners behind. Listeners are counted by wrapping
+ * EventTarget.prototype.addEventListener/removeEventListener, so one added
+ * outside a disposable handle is caught too; the utility's own count only
+ * covers handles that are still live.
+ *
+ * Run with: npm run test:unit
+ */
+
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+/**
+ * Repository root, served to the page's fetches
+ */
+const ROOT = new URL('../', import.meta.url);
+
+/**
+ * Page address; https so storage and URL handling behave as on the live site
+ */
+const PAGE_URL = 'https://example.org/';
+
+/**
+ * Browser globals the scripts use directly rather than through window; abort
+ * signals must be the page's own for its addEventListener to accept them
+ */
+const GLOBALS = Object.freeze([
+  'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+  'Node', 'NodeFilter', 'Element', 'HTMLElement', 'HTMLFormElement', 'HTMLImageElement',
+  'HTMLMediaElement', 'HTMLAudioElement', 'Event', 'CustomEvent', 'MouseEvent', 'KeyboardEvent',
+  'FocusEvent', 'InputEvent', 'FormData', 'Option', 'DOMParser', 'CSS', 'AbortController',
+  'AbortSignal', 'matchMedia', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'
+]);
+
+/**
+ * Listeners main.js adds for the life of the page, to run cleanupApp() on unload
+ */
+const PAGE_LISTENERS = Object.freeze(['document:visibilitychange', 'window:beforeunload']);
+
+/**
+ * Listeners currently attached anywhere in the page
+ */
+const attached = new Set();
+
+/**
+ * Wraps addEventListener/removeEventListener to keep `attached` up to date,
+ * including listeners removed by { once } or by aborting their { signal }
+ *
+ * @param {Function} EventTargetClass - The window's EventTarget
+ */
+function trackListeners(EventTargetClass) {
+  const { addEventListener, removeEventListener } = EventTargetClass.prototype;
+  const matches = (entry, target, type, listener, capture) => entry.target === target &&
+    entry.type === type && entry.listener === listener && entry.capture === capture;
+
+  EventTargetClass.prototype.addEventListener = function trackedAdd(type, listener, options) {
+    const settings = typeof options === 'object' && options !== null ? options : { capture: Boolean(options) };
+    const capture = Boolean(settings.capture);
+    const isDuplicate = [...attached].some((entry) => matches(entry, this, type, listener, capture));
+
+    if (listener && !settings.signal?.aborted && !isDuplicate) {
+      const entry = { target: this, type, listener, capture };
+      const release = () => attached.delete(entry);
+      attached.add(entry);
+
+      // Untracked, so the bookkeeping does not count itself
+      if (settings.signal) {
+        addEventListener.call(settings.signal, 'abort', release, { once: true });
+      }
+      if (settings.once) {
+        addEventListener.call(this, type, release, { once: true, capture, signal: settings.signal });
+      }
+    }
+
+    return addEventListener.call(this, type, listener, options);
+  };
+
+  EventTargetClass.prototype.removeEventListener = function trackedRemove(type, listener, options) {
+    const capture = typeof options === 'object' && options !== null ? Boolean(options.capture) : Boolean(options);
+
+    attached.forEach((entry) => {
+      if (matches(entry, this, type, listener, capture)) {
+        attached.delete(entry);
+      }
+    });
+
+    return removeEventListener.call(this, type, listener, options);
+  };
+}
+
+/**
+ * Describes the listeners still attached, e.g. "window:scroll"
+ *
+ * @param {Window} window - jsdom window
+ * @returns {string[]}
+ */
+function describeListeners(window) {
+  return [...attached].map(({ target, type }) => {
+    if (target === window) {
+      return `window:${type}`;
+    }
+    if (target === window.document) {
+      return `document:${type}`;
+    }
+    return `${target.constructor.name}:${type}`;
+  }).sort();
+}
+
+/**
+ * Serves files from the repository, like `npm start` would; URLs the scripts
+ * build from import.meta.url are file: URLs here and are read as they are
+ *
+ * @param {string|URL|Request} resource - Requested URL
+ * @returns {Promise<Response>}
+ */
+async function fetchFromTree(resource) {
+  const url = new URL(resource.url || String(resource), PAGE_URL);
+  const file = url.protocol === 'file:' ? url : new URL(`.${url.pathname}`, ROOT);
+
+  try {
+    const body = await readFile(file, 'utf8');
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } });
+  } catch {
+    return new Response('Not found', { status: 404 });
+  }
+}
+
+/**
+ * Resolves once the app has finished its first initialization
+ *
+ * @param {Object} AppState - State exported by main.js
+ * @returns {Promise<void>}
+ */
+async function waitForInitialized(AppState) {
+  const deadline = Date.now() + 5000;
+
+  while (!AppState.initialized) {
+    if (Date.now() > deadline) {
+      throw new Error('initializeApp() did not finish within 5 seconds');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe('initializeApp and cleanupApp', () => {
+  let dom;
+  let app;
+  let disposables;
+  let scheduler;
+
+  before(async () => {
+    const html = await readFile(new URL('index.html', ROOT), 'utf8');
+    dom = new JSDOM(html, { url: PAGE_URL, pretendToBeVisual: true });
+
+    const { window } = dom;
+    trackListeners(window.EventTarget);
+    window.scrollTo = () => undefined;
+    window.fetch = fetchFromTree;
+
+    GLOBALS.forEach((name) => {
+      Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+    globalThis.fetch = fetchFromTree;
+
+    // The components log every step; keep the test output readable
+    ['log', 'info', 'warn'].forEach((method) => mock.method(console, method, () => undefined));
+
+    // Importing main.js initializes the page, as the script tag does
+    app = await import('../js/main.js');
+    disposables = await import('../js/utils/disposable.js');
+    scheduler = await import('../js/utils/viewport-scheduler.js');
+    await waitForInitialized(app.AppState);
+  });
+
+  after(() => {
+    mock.restoreAll();
+    dom.window.close();
+  });
+
+  /**
+   * Runs cleanupApp() and checks nothing but the page-lifetime listeners is left
+   */
+  const assertCleanTeardown = () => {
+    assert.ok(app.AppState.handles.size > 0, 'components returned their handles');
+    assert.ok(attached.size > PAGE_LISTENERS.length, 'the page added listeners');
+
+    app.cleanupApp();
+
+    assert.deepEqual(describeListeners(dom.window), [...PAGE_LISTENERS]);
+    assert.equal(disposables.getListenerCount(), 0);
+    assert.deepEqual(disposables.getLiveOwners(), []);
+    assert.equal(scheduler.getViewportSubscriberCount(), 0);
+    assert.equal(app.AppState.handles.size, 0);
+  };
+
+  it('removes every listener on cleanup', assertCleanTeardown);
+
+  it('removes every listener on cleanup after initializing again', async () => {
+    await app.initializeApp();
+
+    assertCleanTeardown();
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Validation Tests
+ *
+ * Name corpus for validateName(): Nigerian names with tone marks and
+ * hooked letters must pass however they are normalized, and names outside
+ * the configured scripts must fail unless the form allows those scripts.
+ *
+ * Run with: npm run test:unit
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateName } from '../js/utils/validation.js';
+
+/**
+ * Names that must be accepted with the default options
+ */
+const VALID_NAMES = Object.freeze([
+  ['Yoruba tone marks', 'Adéyẹmí'],
+  ['Yoruba tone marks (NFC)', 'Ọlọ́runfẹ́mi'.normalize('NFC')],
+  ['Yoruba tone marks (NFD)', 'Ọlọ́runfẹ́mi'.normalize('NFD')],
+  ['Igbo dotted vowels', 'Chukwuemeka Nnaẹmẹka'],
+  ['initials with full stops', 'O. J. Okafor'],
+  ['Hausa hooked letters', 'Ɗanjuma Ƙasimu'],
+  ['modifier letter apostrophe', 'Aʼisha']
+]);
+
+/**
+ * Names that must be rejected with the default options
+ */
+const INVALID_NAMES = Object.freeze([
+  ['punctuation only', '...'],
+  ['digits', 'A1'],
+  ['Cyrillic script', 'Иван Петров'],
+  ['Arabic script', 'محمد علي']
+]);
+
+describe('validateName', () => {
+  VALID_NAMES.forEach(([description, name]) => {
+    it(`accepts ${description}: ${name}`, () => {
+      assert.deepEqual(validateName(name), { valid: true, message: '' });
+    });
+  });
+
+  INVALID_NAMES.forEach(([description, name]) => {
+    it(`rejects ${description}: ${name}`, () => {
+      const result = validateName(name);
+
+      assert.equal(result.valid, false);
+      assert.notEqual(result.message, '');
+    });
+  });
+
+  it('accepts other scripts when the form allows them', () => {
+    const options = { scripts: ['Latin', 'Cyrillic', 'Arabic'] };
+
+    assert.equal(validateName('Иван Петров', options).valid, true);
+    assert.equal(validateName('محمد علي', options).valid, true);
+    assert.equal(validateName('A1', options).valid, false);
+  });
+});